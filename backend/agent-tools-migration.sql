@@ -0,0 +1,9 @@
+-- Agent Tools Migration
+-- Generation jobs in agent mode call server-side tools; keep a record of every call
+
+ALTER TABLE generation_jobs ADD COLUMN IF NOT EXISTS tool_calls JSONB DEFAULT '[]';
+
+COMMENT ON COLUMN generation_jobs.mode IS 'text (output goes into the job card), agent (tool calling) or a transform: atomic_notes, outline, flashcards';
+COMMENT ON COLUMN generation_jobs.tool_calls IS 'Tool calls an agent job made: name, arguments, whether the user approved them, result or error';
+
+SELECT 'Agent tools migration completed successfully!' AS status;
@@ -0,0 +1,10 @@
+-- AI Transforms Migration
+-- Generation jobs can run in a transform mode that turns structured output into several cards
+
+ALTER TABLE generation_jobs ADD COLUMN IF NOT EXISTS mode VARCHAR(30) NOT NULL DEFAULT 'text';
+ALTER TABLE generation_jobs ADD COLUMN IF NOT EXISTS result_card_ids UUID[] DEFAULT '{}';
+
+COMMENT ON COLUMN generation_jobs.mode IS 'text (output goes into the job card) or a transform: atomic_notes, outline, flashcards';
+COMMENT ON COLUMN generation_jobs.result_card_ids IS 'Cards created from a transform job''s structured output';
+
+SELECT 'AI transforms migration completed successfully!' AS status;
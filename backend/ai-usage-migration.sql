@@ -0,0 +1,32 @@
+-- AI Usage Migration
+-- Token usage and cost per AI call, plus optional monthly budgets per user
+
+-- Create ai_usage table (one row per generation, chat reply or brain question)
+CREATE TABLE IF NOT EXISTS ai_usage (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    brain_id UUID REFERENCES brains(id) ON DELETE SET NULL,
+    model VARCHAR(200) NOT NULL,
+    provider VARCHAR(50),
+    source VARCHAR(20) NOT NULL CHECK (source IN ('generation', 'chat', 'ask')),
+    source_id UUID,
+    prompt_tokens INTEGER NOT NULL DEFAULT 0,
+    completion_tokens INTEGER NOT NULL DEFAULT 0,
+    total_tokens INTEGER NOT NULL DEFAULT 0,
+    cost_usd NUMERIC(12, 6),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Optional per-user monthly spending limit (NULL = use AI_MONTHLY_BUDGET_USD or no limit)
+ALTER TABLE users ADD COLUMN IF NOT EXISTS ai_monthly_budget_usd NUMERIC(10, 2);
+
+-- Indexes for performance
+CREATE INDEX IF NOT EXISTS idx_ai_usage_user_created ON ai_usage(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_ai_usage_brain_created ON ai_usage(brain_id, created_at DESC);
+
+-- Comments for documentation
+COMMENT ON TABLE ai_usage IS 'Provider-reported token usage and computed cost for every AI call';
+COMMENT ON COLUMN ai_usage.cost_usd IS 'Cost from the price table at the time of the call (NULL if the model has no price)';
+COMMENT ON COLUMN users.ai_monthly_budget_usd IS 'AI spending limit per calendar month; generation is refused once reached';
+
+SELECT 'AI usage migration completed successfully!' AS status;
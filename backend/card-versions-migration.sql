@@ -0,0 +1,33 @@
+-- Card Versions Migration
+-- Version history for card content, recorded on every save, and versioned [[Title:v2]] links
+
+-- Create card_versions table (also created by the production API migration)
+CREATE TABLE IF NOT EXISTS card_versions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    card_id UUID NOT NULL REFERENCES cards(id) ON DELETE CASCADE,
+    version_number INTEGER NOT NULL,
+    content TEXT NOT NULL,
+    is_active BOOLEAN DEFAULT false,
+    created_by_user_id UUID REFERENCES users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(card_id, version_number)
+);
+
+ALTER TABLE card_versions ADD COLUMN IF NOT EXISTS title VARCHAR(200);
+ALTER TABLE card_versions ADD COLUMN IF NOT EXISTS content_hash VARCHAR(64);
+ALTER TABLE card_versions ADD COLUMN IF NOT EXISTS file_size INTEGER DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_card_versions_card_id ON card_versions(card_id);
+CREATE INDEX IF NOT EXISTS idx_card_versions_card_number ON card_versions(card_id, version_number DESC);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_card_versions_one_active ON card_versions(card_id) WHERE is_active = true;
+
+-- Versioned links point at one version of their target card
+ALTER TABLE card_links ADD COLUMN IF NOT EXISTS target_version INTEGER;
+
+-- Comments for documentation
+COMMENT ON TABLE card_versions IS 'Snapshot of a card''s content for every save; restoring a version adds a new one';
+COMMENT ON COLUMN card_versions.is_active IS 'True for the version matching the card''s current content';
+COMMENT ON COLUMN card_versions.title IS 'Card title when the version was saved';
+COMMENT ON COLUMN card_links.target_version IS 'Version number of a [[Title:vN]] link (NULL for links to the current content)';
+
+SELECT 'Card versions migration completed successfully!' AS status;
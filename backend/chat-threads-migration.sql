@@ -0,0 +1,137 @@
+-- Chat Threads Migration
+-- Multi-turn AI conversations that live in streams alongside cards and files
+
+-- Create chat_threads table
+CREATE TABLE IF NOT EXISTS chat_threads (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    brain_id UUID NOT NULL REFERENCES brains(id) ON DELETE CASCADE,
+    title VARCHAR(200),
+    model VARCHAR(200),
+    active_message_id UUID,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create chat_messages table (a tree: each turn points at the turn it answers)
+CREATE TABLE IF NOT EXISTS chat_messages (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    thread_id UUID NOT NULL REFERENCES chat_threads(id) ON DELETE CASCADE,
+    parent_message_id UUID REFERENCES chat_messages(id) ON DELETE CASCADE,
+    role VARCHAR(20) NOT NULL CHECK (role IN ('system', 'user', 'assistant')),
+    content TEXT NOT NULL DEFAULT '',
+    model VARCHAR(200),
+    context_card_ids UUID[] DEFAULT '{}',
+    status VARCHAR(20) NOT NULL DEFAULT 'complete' CHECK (status IN ('pending', 'streaming', 'complete', 'error')),
+    error_message TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE chat_threads DROP CONSTRAINT IF EXISTS fk_chat_threads_active_message;
+ALTER TABLE chat_threads ADD CONSTRAINT fk_chat_threads_active_message
+    FOREIGN KEY (active_message_id) REFERENCES chat_messages(id) ON DELETE SET NULL;
+
+-- Create stream_chat_threads table (thread placement in streams)
+CREATE TABLE IF NOT EXISTS stream_chat_threads (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    stream_id UUID NOT NULL REFERENCES streams(id) ON DELETE CASCADE,
+    thread_id UUID NOT NULL REFERENCES chat_threads(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    depth INTEGER DEFAULT 0,
+    is_collapsed BOOLEAN DEFAULT false,
+    added_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT unique_stream_thread_position UNIQUE (stream_id, position),
+    CONSTRAINT unique_stream_thread UNIQUE (stream_id, thread_id)
+);
+
+-- Indexes for performance
+CREATE INDEX IF NOT EXISTS idx_chat_threads_brain_id ON chat_threads(brain_id);
+CREATE INDEX IF NOT EXISTS idx_chat_messages_thread_id ON chat_messages(thread_id);
+CREATE INDEX IF NOT EXISTS idx_chat_messages_parent_id ON chat_messages(parent_message_id);
+CREATE INDEX IF NOT EXISTS idx_stream_chat_threads_stream_id ON stream_chat_threads(stream_id, position);
+
+-- Include threads in the shared stream position helpers
+CREATE OR REPLACE FUNCTION get_next_stream_position(target_stream_id UUID)
+RETURNS INTEGER AS $$
+BEGIN
+    RETURN GREATEST(
+        (SELECT COALESCE(MAX(position), -1) FROM stream_cards WHERE stream_id = target_stream_id),
+        (SELECT COALESCE(MAX(position), -1) FROM stream_files WHERE stream_id = target_stream_id),
+        (SELECT COALESCE(MAX(position), -1) FROM stream_chat_threads WHERE stream_id = target_stream_id)
+    ) + 1;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION shift_stream_positions(
+    target_stream_id UUID,
+    insert_position INTEGER,
+    shift_amount INTEGER DEFAULT 1
+)
+RETURNS VOID AS $$
+BEGIN
+    UPDATE stream_cards
+    SET position = position + shift_amount
+    WHERE stream_id = target_stream_id AND position >= insert_position;
+
+    UPDATE stream_files
+    SET position = position + shift_amount
+    WHERE stream_id = target_stream_id AND position >= insert_position;
+
+    UPDATE stream_chat_threads
+    SET position = position + shift_amount
+    WHERE stream_id = target_stream_id AND position >= insert_position;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Recreate stream items view with threads
+DROP VIEW IF EXISTS stream_items_view;
+
+CREATE VIEW stream_items_view AS
+SELECT
+    sc.stream_id,
+    sc.position,
+    sc.depth,
+    sc.is_collapsed,
+    sc.added_at,
+    'card' as item_type,
+    sc.id as item_id,
+    NULL::UUID as file_id,
+    sc.card_id as card_id,
+    NULL::UUID as thread_id
+FROM stream_cards sc
+UNION ALL
+SELECT
+    sf.stream_id,
+    sf.position,
+    sf.depth,
+    sf.is_collapsed,
+    sf.added_at,
+    'file' as item_type,
+    sf.id as item_id,
+    sf.file_id,
+    NULL::UUID as card_id,
+    NULL::UUID as thread_id
+FROM stream_files sf
+UNION ALL
+SELECT
+    st.stream_id,
+    st.position,
+    st.depth,
+    st.is_collapsed,
+    st.added_at,
+    'thread' as item_type,
+    st.id as item_id,
+    NULL::UUID as file_id,
+    NULL::UUID as card_id,
+    st.thread_id
+FROM stream_chat_threads st
+ORDER BY stream_id, position;
+
+-- Comments for documentation
+COMMENT ON TABLE chat_threads IS 'Multi-turn AI conversations; active_message_id is the leaf of the branch being viewed';
+COMMENT ON TABLE chat_messages IS 'Conversation turns stored as a tree so any earlier turn can be branched from';
+COMMENT ON COLUMN chat_messages.parent_message_id IS 'Previous turn in the conversation (NULL for the first turn)';
+COMMENT ON TABLE stream_chat_threads IS 'Places chat threads in streams, sharing the card/file position space';
+COMMENT ON VIEW stream_items_view IS 'Unified view of all stream items (cards, files and chat threads)';
+
+SELECT 'Chat threads migration completed successfully!' AS status;
@@ -0,0 +1,56 @@
+const Brain = require('../../src/models/Brain');
+const UsageTracker = require('../../src/services/usageTracker');
+const { ensureAuthentication } = require('../utils/auth');
+
+/**
+ * AI CLI Commands
+ */
+
+/**
+ * Get AI usage for the current user
+ */
+async function getUsage(options = {}) {
+  const user = await ensureAuthentication();
+
+  let brainId = null;
+  if (options.brain) {
+    const brain = await Brain.findByUserAndName(user.id, options.brain);
+    if (!brain) {
+      throw new Error(`Brain '${options.brain}' not found`);
+    }
+    brainId = brain.id;
+  }
+
+  const from = options.from ? new Date(options.from) : undefined;
+  let to = options.to ? new Date(options.to) : undefined;
+  // A bare date means "through the end of that day"
+  if (to && /^\d{4}-\d{2}-\d{2}$/.test(options.to)) {
+    to = new Date(to.getTime() + 24 * 60 * 60 * 1000 - 1);
+  }
+  if ((from && isNaN(from)) || (to && isNaN(to))) {
+    throw new Error('--from and --to must be valid dates (YYYY-MM-DD)');
+  }
+
+  const summary = await UsageTracker.getSummary(user.id, {
+    brainId,
+    groupBy: options.groupBy || 'model',
+    from,
+    to
+  });
+  const budget = await UsageTracker.getBudgetStatus(user.id);
+
+  return { ...summary, budget };
+}
+
+/**
+ * Set or clear the current user's monthly AI budget
+ */
+async function setBudget(amount) {
+  const user = await ensureAuthentication();
+  return await UsageTracker.setBudget(user.id, amount === null ? null : parseFloat(amount));
+}
+
+module.exports = {
+  getUsage,
+  setBudget
+};
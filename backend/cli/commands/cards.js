@@ -8,6 +8,7 @@ const Card = require('../../src/models/Card');
 const Brain = require('../../src/models/Brain');
 const cardProcessor = require('../../src/services/cardProcessor');
 const linkParser = require('../../src/services/linkParser');
+const linkRenamer = require('../../src/services/linkRenamer');
 const { getCurrentUser } = require('../utils/auth');
 const { formatTable, formatJson } = require('../utils/formatting');
 
@@ -491,6 +492,74 @@ cardsCommand
     }
   });
 
+/**
+ * Rename a card and rewrite links to it
+ */
+cardsCommand
+  .command('rename <title> <newTitle>')
+  .description('Rename a card and rewrite [[links]] to it in referencing cards')
+  .option('-b, --brain <name>', 'Brain name (required)')
+  .option('--dry-run', 'Show which links would be rewritten without changing anything')
+  .option('--json', 'Output as JSON')
+  .action(async (title, newTitle, options) => {
+    try {
+      const user = await getCurrentUser();
+      
+      if (!options.brain) {
+        console.error(chalk.red('❌ Brain name is required. Use --brain <name>'));
+        process.exit(1);
+      }
+
+      // Find brain
+      const brain = await Brain.findByUserAndName(user.id, options.brain);
+      if (!brain) {
+        console.error(chalk.red(`❌ Brain '${options.brain}' not found`));
+        process.exit(1);
+      }
+
+      // Find card
+      const card = await Card.findByBrainAndTitle(brain.id, title);
+      if (!card) {
+        console.error(chalk.red(`❌ Card '${title}' not found in brain '${options.brain}'`));
+        process.exit(1);
+      }
+
+      const report = await linkRenamer.renameCard(card.id, newTitle, { dryRun: !!options.dryRun });
+
+      if (options.json) {
+        console.log(formatJson(report));
+        return;
+      }
+
+      if (report.dryRun) {
+        console.log(chalk.blue(`🔍 Renaming '${report.oldTitle}' to '${report.newTitle}' would change:`));
+      } else {
+        console.log(chalk.green(`✅ Renamed '${report.oldTitle}' to '${report.newTitle}'`));
+      }
+
+      for (const change of report.changes) {
+        console.log(chalk.green(`\n   ${change.title || 'Untitled'}`));
+        for (const replacement of change.replacements) {
+          console.log(`     ${chalk.red(replacement.before)} → ${chalk.cyan(replacement.after)}`);
+        }
+      }
+
+      for (const skipped of report.skipped) {
+        console.log(chalk.yellow(`\n⚠️  Skipped ${skipped.title || 'Untitled'}: ${skipped.reason}`));
+      }
+
+      if (report.changes.length === 0) {
+        console.log(chalk.yellow('   No links to rewrite'));
+      }
+
+      console.log(chalk.gray(`\nSummary: ${report.linksRewritten} links in ${report.cardsUpdated} cards${report.dryRun ? ' (dry run, nothing written)' : ''}`));
+
+    } catch (error) {
+      console.error(chalk.red('❌ Error renaming card:'), error.message);
+      process.exit(1);
+    }
+  });
+
 /**
  * Sync cards with file system
  */
@@ -16,6 +16,7 @@ const brainCommands = require('./commands/brains');
 const cardCommands = require('./commands/cards');
 const streamCommands = require('./commands/streams');
 const syncCommands = require('./commands/sync');
+const aiCommands = require('./commands/ai');
 
 const program = new Command();
 
@@ -296,6 +297,81 @@ program
     }
   });
 
+// AI commands
+const ai = program
+  .command('ai')
+  .description('AI usage and budget commands');
+
+ai
+  .command('usage')
+  .description('Show AI token usage and cost (default: this month, by model)')
+  .option('-b, --brain <name>', 'Only usage in this brain')
+  .option('-g, --group-by <field>', 'Group by model, provider, brain, source or day', 'model')
+  .option('--from <date>', 'Start date (YYYY-MM-DD)')
+  .option('--to <date>', 'End date (YYYY-MM-DD)')
+  .action(async (options) => {
+    try {
+      const usage = await aiCommands.getUsage(options);
+
+      if (program.opts().json) {
+        console.log(JSON.stringify(usage, null, 2));
+      } else {
+        const period = `${new Date(usage.from).toLocaleDateString()} - ${new Date(usage.to).toLocaleDateString()}`;
+        console.log(colorize.info(`🤖 AI usage ${period}${options.brain ? ` in '${options.brain}'` : ''}:`));
+
+        if (usage.rows.length === 0) {
+          console.log(colorize.info('No AI usage recorded'));
+        } else {
+          console.log(formatTable(usage.rows.map(row => ({
+            [options.groupBy.charAt(0).toUpperCase() + options.groupBy.slice(1)]: row.key,
+            Calls: row.calls,
+            Input: row.promptTokens.toLocaleString(),
+            Output: row.completionTokens.toLocaleString(),
+            Cost: formatCost(row.costUsd, row.unpricedCalls)
+          }))));
+          console.log(`   Total: ${usage.totals.calls} calls, ${usage.totals.totalTokens.toLocaleString()} tokens, ${formatCost(usage.totals.costUsd, usage.totals.unpricedCalls)}`);
+        }
+
+        if (usage.budget.budgetUsd !== null) {
+          const status = `$${usage.budget.spentUsd.toFixed(2)} of $${usage.budget.budgetUsd.toFixed(2)} this month`;
+          console.log(`   Budget: ${usage.budget.exceeded ? colorize.error(`❌ ${status} (exceeded)`) : colorize.success(status)}`);
+        }
+      }
+    } catch (error) {
+      console.error(colorize.error(`❌ Failed to get AI usage: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+ai
+  .command('budget')
+  .description('Set your monthly AI budget in USD')
+  .argument('[amount]', 'Budget in USD (omit with --clear to remove)')
+  .option('--clear', 'Remove the budget')
+  .action(async (amount, options) => {
+    try {
+      if (!options.clear && amount === undefined) {
+        throw new Error('Give an amount in USD or use --clear');
+      }
+
+      const budget = await aiCommands.setBudget(options.clear ? null : amount);
+
+      if (program.opts().json) {
+        console.log(JSON.stringify(budget, null, 2));
+      } else if (budget.budgetUsd === null) {
+        console.log(colorize.success('✅ Monthly AI budget removed'));
+      } else if (budget.userBudgetUsd === null) {
+        console.log(colorize.success(`✅ Your budget was removed; the server limit of $${budget.budgetUsd.toFixed(2)} applies ($${budget.spentUsd.toFixed(2)} spent this month)`));
+      } else {
+        const capped = budget.budgetUsd < budget.userBudgetUsd ? ' (capped by the server limit)' : '';
+        console.log(colorize.success(`✅ Monthly AI budget set to $${budget.budgetUsd.toFixed(2)}${capped} ($${budget.spentUsd.toFixed(2)} spent this month)`));
+      }
+    } catch (error) {
+      console.error(colorize.error(`❌ Failed to set AI budget: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
 // Status command
 program
   .command('status')
@@ -331,6 +407,12 @@ program
     }
   });
 
+// Helper function to format a USD cost, flagging calls with no known price
+function formatCost(costUsd, unpricedCalls = 0) {
+  const cost = `$${costUsd.toFixed(costUsd < 1 ? 4 : 2)}`;
+  return unpricedCalls > 0 ? `${cost} (+${unpricedCalls} unpriced)` : cost;
+}
+
 // Helper function to format bytes
 function formatBytes(bytes) {
   if (bytes === 0) return '0 B';
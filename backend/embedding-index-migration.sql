@@ -0,0 +1,29 @@
+-- Embedding Index Migration
+-- Chunked, embedded copies of card and file text for "ask my brain" retrieval
+
+-- Create embedding_chunks table
+CREATE TABLE IF NOT EXISTS embedding_chunks (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    brain_id UUID NOT NULL REFERENCES brains(id) ON DELETE CASCADE,
+    source_type VARCHAR(10) NOT NULL CHECK (source_type IN ('card', 'file')),
+    source_id UUID NOT NULL,
+    source_title VARCHAR(500),
+    source_version VARCHAR(100) NOT NULL,
+    chunk_index INTEGER NOT NULL,
+    content TEXT NOT NULL,
+    embedder VARCHAR(100) NOT NULL,
+    embedding REAL[] NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (source_id, embedder, chunk_index)
+);
+
+-- Indexes for performance
+CREATE INDEX IF NOT EXISTS idx_embedding_chunks_brain ON embedding_chunks(brain_id, embedder);
+CREATE INDEX IF NOT EXISTS idx_embedding_chunks_source ON embedding_chunks(source_id);
+
+-- Comments for documentation
+COMMENT ON TABLE embedding_chunks IS 'Embedded text chunks of cards and files, used to retrieve context for brain-wide questions';
+COMMENT ON COLUMN embedding_chunks.source_version IS 'Card updated_at or file hash when indexed; a change triggers re-indexing';
+COMMENT ON COLUMN embedding_chunks.embedder IS 'Embedder that produced the vector; vectors from different embedders are never compared';
+
+SELECT 'Embedding index migration completed successfully!' AS status;
@@ -0,0 +1,8 @@
+-- Generation Context Migration
+-- Record which cards/files went into each generation's context
+
+ALTER TABLE generation_jobs ADD COLUMN IF NOT EXISTS context_report JSONB;
+
+COMMENT ON COLUMN generation_jobs.context_report IS 'Context items included, truncated or omitted to fit the model context window';
+
+SELECT 'Generation context migration completed successfully!' AS status;
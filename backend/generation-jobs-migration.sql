@@ -0,0 +1,37 @@
+-- Generation Jobs Migration
+-- Track AI generations in their own table instead of cards.content_preview
+
+-- Create generation_jobs table
+CREATE TABLE IF NOT EXISTS generation_jobs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    brain_id UUID NOT NULL REFERENCES brains(id) ON DELETE CASCADE,
+    stream_id UUID REFERENCES streams(id) ON DELETE SET NULL,
+    card_id UUID REFERENCES cards(id) ON DELETE SET NULL,
+    model VARCHAR(200) NOT NULL,
+    provider VARCHAR(50),
+    prompt TEXT NOT NULL,
+    context_card_ids UUID[] DEFAULT '{}',
+    status VARCHAR(20) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'complete', 'failed', 'cancelled')),
+    output TEXT,
+    error_message TEXT,
+    prompt_tokens INTEGER,
+    completion_tokens INTEGER,
+    total_tokens INTEGER,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    started_at TIMESTAMP WITH TIME ZONE,
+    completed_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Indexes for performance
+CREATE INDEX IF NOT EXISTS idx_generation_jobs_card_id ON generation_jobs(card_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_generation_jobs_stream_id ON generation_jobs(stream_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_generation_jobs_brain_id ON generation_jobs(brain_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_generation_jobs_status ON generation_jobs(status) WHERE status IN ('queued', 'running');
+
+-- Comments for documentation
+COMMENT ON TABLE generation_jobs IS 'One row per AI generation: parameters, lifecycle, usage and final output';
+COMMENT ON COLUMN generation_jobs.card_id IS 'Card receiving the output (written once when the job finishes)';
+COMMENT ON COLUMN generation_jobs.output IS 'Final generated text (partial text for failed or cancelled jobs)';
+
+SELECT 'Generation jobs migration completed successfully!' AS status;
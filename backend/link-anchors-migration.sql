@@ -0,0 +1,20 @@
+-- Link Anchors Migration
+-- [[Title|alias]] display text, [[Title#Heading]] and [[Title^block-id]] anchors, and ![[...]] transclusion
+
+ALTER TABLE card_links ADD COLUMN IF NOT EXISTS alias TEXT;
+ALTER TABLE card_links ADD COLUMN IF NOT EXISTS anchor_type VARCHAR(10);
+ALTER TABLE card_links ADD COLUMN IF NOT EXISTS anchor TEXT;
+ALTER TABLE card_links ADD COLUMN IF NOT EXISTS is_embed BOOLEAN DEFAULT false;
+
+ALTER TABLE card_links DROP CONSTRAINT IF EXISTS card_links_anchor_type_check;
+ALTER TABLE card_links ADD CONSTRAINT card_links_anchor_type_check CHECK (anchor_type IS NULL OR anchor_type IN ('heading', 'block'));
+
+CREATE INDEX IF NOT EXISTS idx_card_links_embeds ON card_links(source_card_id) WHERE is_embed = true;
+
+-- Comments for documentation
+COMMENT ON COLUMN card_links.alias IS 'Display text of a [[Title|alias]] link';
+COMMENT ON COLUMN card_links.anchor_type IS 'heading for [[Title#Heading]], block for [[Title^block-id]], NULL for the whole card';
+COMMENT ON COLUMN card_links.anchor IS 'Heading text or block id the link points at';
+COMMENT ON COLUMN card_links.is_embed IS 'True for ![[...]] links, which show the linked content inline';
+
+SELECT 'Link anchors migration completed successfully!' AS status;
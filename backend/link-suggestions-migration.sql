@@ -0,0 +1,31 @@
+-- Link Suggestions Migration
+-- Proposed [[links]] between related cards, reviewed by the user before they are written
+
+-- Create link_suggestions table
+CREATE TABLE IF NOT EXISTS link_suggestions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    brain_id UUID NOT NULL REFERENCES brains(id) ON DELETE CASCADE,
+    source_card_id UUID NOT NULL REFERENCES cards(id) ON DELETE CASCADE,
+    target_card_id UUID NOT NULL REFERENCES cards(id) ON DELETE CASCADE,
+    score REAL NOT NULL,
+    reason TEXT,
+    anchor_text VARCHAR(300),
+    status VARCHAR(10) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'rejected')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    decided_at TIMESTAMP WITH TIME ZONE,
+    UNIQUE (source_card_id, target_card_id),
+    CHECK (source_card_id <> target_card_id)
+);
+
+-- Indexes for performance
+CREATE INDEX IF NOT EXISTS idx_link_suggestions_source ON link_suggestions(source_card_id, status);
+CREATE INDEX IF NOT EXISTS idx_link_suggestions_brain ON link_suggestions(brain_id, status);
+
+-- Comments for documentation
+COMMENT ON TABLE link_suggestions IS 'Candidate [[links]] from one card to another, found by comparing card embeddings';
+COMMENT ON COLUMN link_suggestions.score IS 'Embedding similarity of the two cards, plus a bonus when the source text mentions the target title';
+COMMENT ON COLUMN link_suggestions.anchor_text IS 'Text in the source card that names the target; accepting wraps it in [[ ]] instead of appending a link';
+COMMENT ON COLUMN link_suggestions.status IS 'Rejected suggestions are kept so later analysis does not propose them again';
+
+SELECT 'Link suggestions migration completed successfully!' AS status;
@@ -0,0 +1,25 @@
+-- Prompt Templates Migration
+-- Named, reusable prompts with {{variables}}, scoped to a brain or to a user
+
+-- Create prompt_templates table
+CREATE TABLE IF NOT EXISTS prompt_templates (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    brain_id UUID REFERENCES brains(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    description VARCHAR(500),
+    template TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Names are unique within a brain, and among a user's brain-independent templates
+CREATE UNIQUE INDEX IF NOT EXISTS idx_prompt_templates_brain_name ON prompt_templates(brain_id, LOWER(name)) WHERE brain_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_prompt_templates_user_name ON prompt_templates(user_id, LOWER(name)) WHERE brain_id IS NULL;
+CREATE INDEX IF NOT EXISTS idx_prompt_templates_user ON prompt_templates(user_id);
+
+-- Comments for documentation
+COMMENT ON TABLE prompt_templates IS 'Reusable AI prompts; variables like {{selection}} are resolved server-side at generation time';
+COMMENT ON COLUMN prompt_templates.brain_id IS 'Brain the template belongs to (NULL = available in all of the user''s brains)';
+
+SELECT 'Prompt templates migration completed successfully!' AS status;
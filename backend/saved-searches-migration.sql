@@ -0,0 +1,24 @@
+-- Saved Searches Migration
+-- Named search queries (in the search query language) that can be re-run or turned into a stream
+
+-- Create saved_searches table
+CREATE TABLE IF NOT EXISTS saved_searches (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    brain_id UUID REFERENCES brains(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    query TEXT NOT NULL,
+    last_run_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Names are unique per user
+CREATE UNIQUE INDEX IF NOT EXISTS idx_saved_searches_user_name ON saved_searches(user_id, LOWER(name));
+CREATE INDEX IF NOT EXISTS idx_saved_searches_brain ON saved_searches(brain_id);
+
+-- Comments for documentation
+COMMENT ON TABLE saved_searches IS 'Saved search queries, e.g. title:"project x" -tag:archive modified:>30d';
+COMMENT ON COLUMN saved_searches.brain_id IS 'Brain the search runs in (NULL = all of the user''s brains)';
+
+SELECT 'Saved searches migration completed successfully!' AS status;
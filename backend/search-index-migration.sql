@@ -0,0 +1,31 @@
+-- Search Index Migration
+-- Full-text search over complete card content and extracted file text
+
+-- Create search_documents table
+CREATE TABLE IF NOT EXISTS search_documents (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    brain_id UUID NOT NULL REFERENCES brains(id) ON DELETE CASCADE,
+    source_type VARCHAR(10) NOT NULL CHECK (source_type IN ('card', 'file')),
+    source_id UUID NOT NULL UNIQUE,
+    source_version VARCHAR(100) NOT NULL,
+    source_updated_at TIMESTAMP WITH TIME ZONE,
+    title VARCHAR(500),
+    body TEXT NOT NULL DEFAULT '',
+    search_vector TSVECTOR GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', COALESCE(title, '')), 'A') ||
+        setweight(to_tsvector('english', body), 'B')
+    ) STORED,
+    indexed_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Indexes for performance
+CREATE INDEX IF NOT EXISTS idx_search_documents_vector ON search_documents USING GIN(search_vector);
+CREATE INDEX IF NOT EXISTS idx_search_documents_brain ON search_documents(brain_id, source_type);
+CREATE INDEX IF NOT EXISTS idx_search_documents_updated ON search_documents(source_updated_at);
+
+-- Comments for documentation
+COMMENT ON TABLE search_documents IS 'Full text of cards and files with a weighted tsvector (title A, body B) for full-text search';
+COMMENT ON COLUMN search_documents.source_version IS 'Card updated_at or file hash when indexed; a change triggers re-indexing';
+COMMENT ON COLUMN search_documents.body IS 'Card content or extracted file text, cut to SEARCH_MAX_BODY_CHARS';
+
+SELECT 'Search index migration completed successfully!' AS status;
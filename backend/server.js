@@ -3,6 +3,7 @@ require('dotenv').config(); // Load environment variables first
 const app = require('./src/app-working');
 const { healthCheck, closePool } = require('./src/models/database');
 const fileWatcher = require('./src/services/fileWatcher');
+const GenerationJob = require('./src/models/GenerationJob');
 
 const PORT = process.env.PORT || 3001; // Use port 3001 for API server
 
@@ -15,6 +16,16 @@ const server = app.listen(PORT, async () => {
   const isHealthy = await healthCheck();
   if (isHealthy) {
     console.log('✅ Database connection established');
+
+    // Generations run in-process, so anything still marked active was cut off
+    try {
+      const interrupted = await GenerationJob.failInterrupted();
+      if (interrupted > 0) {
+        console.log(`⚠️  Marked ${interrupted} interrupted generation job(s) as failed`);
+      }
+    } catch (error) {
+      console.error('❌ Failed to clean up generation jobs:', error.message);
+    }
   } else {
     console.log('❌ Database connection failed');
   }
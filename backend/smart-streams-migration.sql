@@ -0,0 +1,96 @@
+-- Smart Streams Migration
+-- Streams whose items come from a search query, re-evaluated each time the stream is opened
+
+ALTER TABLE streams ADD COLUMN IF NOT EXISTS smart_query TEXT;
+ALTER TABLE streams ADD COLUMN IF NOT EXISTS smart_limit INTEGER DEFAULT 50;
+ALTER TABLE streams ADD COLUMN IF NOT EXISTS smart_evaluated_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE streams DROP CONSTRAINT IF EXISTS streams_smart_limit_range;
+ALTER TABLE streams ADD CONSTRAINT streams_smart_limit_range CHECK (smart_limit IS NULL OR (smart_limit >= 1 AND smart_limit <= 100));
+
+-- Create stream_smart_items table (the last evaluation of a smart stream's query)
+CREATE TABLE IF NOT EXISTS stream_smart_items (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    stream_id UUID NOT NULL REFERENCES streams(id) ON DELETE CASCADE,
+    card_id UUID REFERENCES cards(id) ON DELETE CASCADE,
+    file_id UUID REFERENCES files(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    rank REAL DEFAULT 0,
+    is_collapsed BOOLEAN DEFAULT false,
+    added_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT stream_smart_items_one_source CHECK ((card_id IS NULL) <> (file_id IS NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_stream_smart_items_stream ON stream_smart_items(stream_id, position);
+CREATE INDEX IF NOT EXISTS idx_stream_smart_items_card ON stream_smart_items(card_id);
+CREATE INDEX IF NOT EXISTS idx_stream_smart_items_file ON stream_smart_items(file_id);
+
+-- Recreate stream items view with smart stream items
+DROP VIEW IF EXISTS stream_items_view;
+
+CREATE VIEW stream_items_view AS
+SELECT
+    sc.stream_id,
+    sc.position,
+    sc.depth,
+    sc.is_collapsed,
+    sc.added_at,
+    'card' as item_type,
+    sc.id as item_id,
+    NULL::UUID as file_id,
+    sc.card_id as card_id,
+    NULL::UUID as thread_id,
+    false as is_smart
+FROM stream_cards sc
+UNION ALL
+SELECT
+    sf.stream_id,
+    sf.position,
+    sf.depth,
+    sf.is_collapsed,
+    sf.added_at,
+    'file' as item_type,
+    sf.id as item_id,
+    sf.file_id,
+    NULL::UUID as card_id,
+    NULL::UUID as thread_id,
+    false as is_smart
+FROM stream_files sf
+UNION ALL
+SELECT
+    st.stream_id,
+    st.position,
+    st.depth,
+    st.is_collapsed,
+    st.added_at,
+    'thread' as item_type,
+    st.id as item_id,
+    NULL::UUID as file_id,
+    NULL::UUID as card_id,
+    st.thread_id,
+    false as is_smart
+FROM stream_chat_threads st
+UNION ALL
+SELECT
+    ss.stream_id,
+    ss.position,
+    0 as depth,
+    ss.is_collapsed,
+    ss.added_at,
+    CASE WHEN ss.card_id IS NOT NULL THEN 'card' ELSE 'file' END as item_type,
+    ss.id as item_id,
+    ss.file_id,
+    ss.card_id,
+    NULL::UUID as thread_id,
+    true as is_smart
+FROM stream_smart_items ss
+ORDER BY stream_id, position;
+
+-- Comments for documentation
+COMMENT ON COLUMN streams.smart_query IS 'Search query defining a smart stream''s items (NULL for hand-curated streams)';
+COMMENT ON COLUMN streams.smart_limit IS 'Most items a smart stream shows';
+COMMENT ON COLUMN streams.smart_evaluated_at IS 'When the smart query was last run';
+COMMENT ON TABLE stream_smart_items IS 'Cards and files matched by a smart stream''s query, replaced on every evaluation';
+COMMENT ON VIEW stream_items_view IS 'Unified view of all stream items (cards, files, chat threads and smart stream matches)';
+
+SELECT 'Smart streams migration completed successfully!' AS status;
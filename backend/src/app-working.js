@@ -168,6 +168,12 @@ try {
   console.log('✅ Stream routes loaded');
   app.use('/api/ai', require('./routes/ai'));
   console.log('✅ AI routes loaded');
+  app.use('/api/chat', require('./routes/chat'));
+  console.log('✅ Chat routes loaded');
+  app.use('/api/prompt-templates', require('./routes/promptTemplates'));
+  console.log('✅ Prompt template routes loaded');
+  app.use('/api/search', require('./routes/search'));
+  console.log('✅ Search routes loaded');
 } catch (error) {
   console.error('❌ Error loading routes:', error);
   throw error;
@@ -2,6 +2,7 @@ const { query, transaction } = require('./database');
 const fs = require('fs-extra');
 const path = require('path');
 const crypto = require('crypto');
+const CardVersion = require('./CardVersion');
 
 /**
  * Card Model
@@ -166,6 +167,11 @@ class Card {
         card.filePath = cardFilePath;
       }
 
+      // First version of the card's history
+      if (content) {
+        await CardVersion.record(client, card, content);
+      }
+
       // Update brain storage usage
       await client.query(
         'UPDATE brains SET storage_used = storage_used + $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
@@ -312,10 +318,12 @@ class Card {
    * @param {string} content - New card content
    * @param {Object} options - Update options
    * @param {boolean} options.updateFile - Update file system file (default: true)
+   * @param {Object} options.client - Run inside this transaction client instead of a new transaction
+   * @param {string} options.userId - User saving the content (recorded on the new version)
    * @returns {Promise<void>}
    */
   async updateContent(content, options = {}) {
-    const { updateFile = true } = options;
+    const { updateFile = true, client: outerClient = null, userId = null } = options;
 
     if (typeof content !== 'string') {
       throw new Error('Content must be a string');
@@ -325,7 +333,7 @@ class Card {
     const fileHash = crypto.createHash('sha256').update(content).digest('hex');
     const fileSize = Buffer.byteLength(content, 'utf8');
 
-    await transaction(async (client) => {
+    const apply = async (client) => {
       // Get current file size for storage calculation
       const currentCard = await client.query(
         'SELECT file_size FROM cards WHERE id = $1',
@@ -347,6 +355,12 @@ class Card {
         WHERE id = $4
       `, [contentPreview, fileHash, fileSize, this.id]);
 
+      // Record the new content in the card's version history (before the file is overwritten)
+      await CardVersion.record(client, this, content, {
+        loadPrevious: () => this.getContent(),
+        userId
+      });
+
       // Update brain storage usage
       if (sizeDifference !== 0) {
         await client.query(
@@ -372,7 +386,13 @@ class Card {
       this.fileSize = fileSize;
       this.lastModified = new Date();
       this.updatedAt = new Date();
-    });
+    };
+
+    if (outerClient) {
+      await apply(outerClient);
+    } else {
+      await transaction(apply);
+    }
 
     console.log(`✅ Updated card: ${this.title}`);
   }
@@ -664,7 +684,7 @@ class Card {
    */
   async getForwardLinks() {
     const result = await query(`
-      SELECT c.*, cl.link_text, cl.position_in_source
+      SELECT c.*, cl.link_text, cl.position_in_source, cl.target_version
       FROM cards c
       JOIN card_links cl ON c.id = cl.target_card_id
       WHERE cl.source_card_id = $1 AND cl.is_valid = true AND c.is_active = true
@@ -674,10 +694,45 @@ class Card {
     return result.rows.map(row => ({
       card: new Card(row),
       linkText: row.link_text,
-      position: row.position_in_source
+      position: row.position_in_source,
+      targetVersion: row.target_version
     }));
   }
 
+  /**
+   * Get the card's version history, newest first
+   * @returns {Promise<Array<CardVersion>>} - Versions (without content)
+   */
+  async getVersions() {
+    return await CardVersion.findByCardId(this.id);
+  }
+
+  /**
+   * Get one version of the card
+   * @param {number} versionNumber - Version number
+   * @returns {Promise<CardVersion|null>} - Version with content, or null if not found
+   */
+  async getVersion(versionNumber) {
+    return await CardVersion.findByCardAndNumber(this.id, versionNumber);
+  }
+
+  /**
+   * Restore an earlier version's content; the restore is saved as a new version
+   * @param {number} versionNumber - Version to restore
+   * @param {Object} options - Update options passed to updateContent
+   * @returns {Promise<CardVersion>} - The restored version
+   */
+  async restoreVersion(versionNumber, options = {}) {
+    const version = await this.getVersion(versionNumber);
+    if (!version) {
+      throw new Error(`Version ${versionNumber} not found`);
+    }
+
+    await this.updateContent(version.content, options);
+    console.log(`✅ Restored card ${this.title || this.id} to version ${versionNumber}`);
+    return version;
+  }
+
   /**
    * Check if file system file has been modified since last sync
    * @returns {Promise<boolean>} - True if file has been modified
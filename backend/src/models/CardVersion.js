@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+const { query } = require('./database');
+
+/**
+ * CardVersion Model
+ * A snapshot of a card's content, recorded each time the content is saved.
+ * Version numbers count up from 1 per card; the active version matches the current content.
+ */
+
+class CardVersion {
+  constructor(data) {
+    this.id = data.id;
+    this.cardId = data.card_id;
+    this.versionNumber = data.version_number;
+    this.title = data.title;
+    this.content = data.content;
+    this.contentHash = data.content_hash;
+    this.fileSize = data.file_size || 0;
+    this.isActive = data.is_active;
+    this.createdByUserId = data.created_by_user_id;
+    this.createdAt = data.created_at;
+  }
+
+  /**
+   * Record a new version of a card's content
+   * Saves that don't change the content are not recorded. Cards saved before version
+   * history existed get their previous content recorded first, as version 1.
+   * @param {Object} client - Transaction client
+   * @param {Object} card - Card being saved (id, title)
+   * @param {string} content - New content
+   * @param {Object} options - Record options
+   * @param {Function} options.loadPrevious - Returns the content before this save (used for the first version)
+   * @param {string} options.userId - User who saved the content
+   * @returns {Promise<CardVersion|null>} - Recorded version, or null if the content did not change
+   */
+  static async record(client, card, content, options = {}) {
+    const { loadPrevious = null, userId = null } = options;
+    const contentHash = crypto.createHash('sha256').update(content).digest('hex');
+
+    // Serialize saves of the same card so version numbers stay sequential
+    await client.query('SELECT id FROM cards WHERE id = $1 FOR UPDATE', [card.id]);
+
+    const latest = await client.query(`
+      SELECT version_number, content_hash FROM card_versions
+      WHERE card_id = $1
+      ORDER BY version_number DESC
+      LIMIT 1
+    `, [card.id]);
+
+    let versionNumber = 1;
+    if (latest.rows.length > 0) {
+      if (latest.rows[0].content_hash === contentHash) {
+        return null;
+      }
+      versionNumber = latest.rows[0].version_number + 1;
+    } else if (loadPrevious) {
+      const previous = await loadPrevious();
+      if (previous && previous !== content) {
+        await this.insert(client, card, previous, 1, null);
+        versionNumber = 2;
+      }
+    }
+
+    await client.query(
+      'UPDATE card_versions SET is_active = false WHERE card_id = $1 AND is_active = true',
+      [card.id]
+    );
+
+    return await this.insert(client, card, content, versionNumber, userId, true);
+  }
+
+  /**
+   * Insert a version row
+   * @param {Object} client - Transaction client
+   * @param {Object} card - Card (id, title)
+   * @param {string} content - Version content
+   * @param {number} versionNumber - Version number
+   * @param {string|null} userId - User who saved the content
+   * @param {boolean} isActive - Whether this version is the current content
+   * @returns {Promise<CardVersion>} - Inserted version
+   */
+  static async insert(client, card, content, versionNumber, userId, isActive = false) {
+    const result = await client.query(`
+      INSERT INTO card_versions (
+        card_id, version_number, title, content, content_hash, file_size, is_active, created_by_user_id
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *
+    `, [
+      card.id,
+      versionNumber,
+      card.title || null,
+      content,
+      crypto.createHash('sha256').update(content).digest('hex'),
+      Buffer.byteLength(content, 'utf8'),
+      isActive,
+      userId
+    ]);
+
+    return new CardVersion(result.rows[0]);
+  }
+
+  /**
+   * List a card's versions, newest first (without content)
+   * @param {string} cardId - Card ID
+   * @returns {Promise<Array<CardVersion>>} - Versions
+   */
+  static async findByCardId(cardId) {
+    const result = await query(`
+      SELECT id, card_id, version_number, title, content_hash, file_size, is_active, created_by_user_id, created_at
+      FROM card_versions
+      WHERE card_id = $1
+      ORDER BY version_number DESC
+    `, [cardId]);
+
+    return result.rows.map(row => new CardVersion(row));
+  }
+
+  /**
+   * Find one version of a card
+   * @param {string} cardId - Card ID
+   * @param {number} versionNumber - Version number
+   * @returns {Promise<CardVersion|null>} - Version with content, or null if not found
+   */
+  static async findByCardAndNumber(cardId, versionNumber) {
+    const result = await query(
+      'SELECT * FROM card_versions WHERE card_id = $1 AND version_number = $2',
+      [cardId, versionNumber]
+    );
+
+    return result.rows.length > 0 ? new CardVersion(result.rows[0]) : null;
+  }
+
+  /**
+   * Convert to JSON
+   * @param {boolean} includeContent - Include the version's content
+   * @returns {Object} - JSON representation
+   */
+  toJSON(includeContent = false) {
+    const json = {
+      id: this.id,
+      cardId: this.cardId,
+      versionNumber: this.versionNumber,
+      title: this.title,
+      contentHash: this.contentHash,
+      fileSize: this.fileSize,
+      isActive: this.isActive,
+      createdAt: this.createdAt
+    };
+
+    if (includeContent) {
+      json.content = this.content;
+    }
+
+    return json;
+  }
+}
+
+module.exports = CardVersion;
@@ -0,0 +1,156 @@
+const { query } = require('./database');
+
+/**
+ * ChatMessage Model
+ * A single turn in a chat thread. Messages form a tree through
+ * parent_message_id so a conversation can branch from any earlier turn.
+ */
+
+class ChatMessage {
+  constructor(data) {
+    this.id = data.id;
+    this.threadId = data.thread_id;
+    this.parentMessageId = data.parent_message_id;
+    this.role = data.role;
+    this.content = data.content;
+    this.model = data.model;
+    this.contextCardIds = data.context_card_ids || [];
+    this.status = data.status;
+    this.errorMessage = data.error_message;
+    this.createdAt = data.created_at;
+  }
+
+  /**
+   * Create a new message in a thread
+   * @param {string} threadId - Thread ID
+   * @param {Object} data - Message data
+   * @param {string} data.role - 'system', 'user' or 'assistant'
+   * @param {string} data.content - Message content
+   * @param {string} data.parentMessageId - Turn this message follows (null for the first turn)
+   * @param {string} data.model - Model used (assistant messages)
+   * @param {Array<string>} data.contextCardIds - Cards to include as context (user messages)
+   * @param {string} data.status - Initial status (default: 'complete')
+   * @param {Object} client - Optional transaction client
+   * @returns {Promise<ChatMessage>} - Created message
+   */
+  static async create(threadId, data, client = null) {
+    const {
+      role,
+      content = '',
+      parentMessageId = null,
+      model = null,
+      contextCardIds = [],
+      status = 'complete'
+    } = data;
+
+    if (!['system', 'user', 'assistant'].includes(role)) {
+      throw new Error('Invalid message role');
+    }
+
+    const runQuery = client ? client.query.bind(client) : query;
+    const result = await runQuery(`
+      INSERT INTO chat_messages (thread_id, parent_message_id, role, content, model, context_card_ids, status)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *
+    `, [threadId, parentMessageId, role, content, model, contextCardIds, status]);
+
+    return new ChatMessage(result.rows[0]);
+  }
+
+  /**
+   * Find message by ID
+   * @param {string} messageId - Message ID
+   * @returns {Promise<ChatMessage|null>} - Message or null if not found
+   */
+  static async findById(messageId) {
+    const result = await query('SELECT * FROM chat_messages WHERE id = $1', [messageId]);
+    return result.rows.length > 0 ? new ChatMessage(result.rows[0]) : null;
+  }
+
+  /**
+   * Get the conversation leading to (and including) this message, oldest first
+   * @returns {Promise<Array<ChatMessage>>} - Messages from the root turn to this one
+   */
+  async getHistory() {
+    const result = await query(`
+      WITH RECURSIVE branch AS (
+        SELECT *, 0 AS depth FROM chat_messages WHERE id = $1
+        UNION ALL
+        SELECT m.*, b.depth + 1 FROM chat_messages m
+        JOIN branch b ON m.id = b.parent_message_id
+      )
+      SELECT * FROM branch ORDER BY depth DESC
+    `, [this.id]);
+
+    return result.rows.map(row => new ChatMessage(row));
+  }
+
+  /**
+   * Mark an assistant message as streaming
+   * Only succeeds if the message is still pending, so one client drives generation
+   * @returns {Promise<boolean>} - True if this caller claimed the message
+   */
+  async markStreaming() {
+    const result = await query(
+      `UPDATE chat_messages SET status = 'streaming' WHERE id = $1 AND status = 'pending' RETURNING id`,
+      [this.id]
+    );
+
+    if (result.rows.length > 0) {
+      this.status = 'streaming';
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Store the final generated content
+   * @param {string} content - Full message content
+   * @returns {Promise<void>}
+   */
+  async complete(content) {
+    await query(
+      `UPDATE chat_messages SET content = $1, status = 'complete', error_message = NULL WHERE id = $2`,
+      [content, this.id]
+    );
+    this.content = content;
+    this.status = 'complete';
+  }
+
+  /**
+   * Record a failed generation, keeping any partial content
+   * @param {string} errorMessage - Error description
+   * @param {string} partialContent - Content received before the failure
+   * @returns {Promise<void>}
+   */
+  async fail(errorMessage, partialContent = '') {
+    await query(
+      `UPDATE chat_messages SET content = $1, status = 'error', error_message = $2 WHERE id = $3`,
+      [partialContent, errorMessage, this.id]
+    );
+    this.content = partialContent;
+    this.status = 'error';
+    this.errorMessage = errorMessage;
+  }
+
+  /**
+   * Convert to JSON representation
+   * @returns {Object} - JSON representation
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      threadId: this.threadId,
+      parentMessageId: this.parentMessageId,
+      role: this.role,
+      content: this.content,
+      model: this.model,
+      contextCardIds: this.contextCardIds,
+      status: this.status,
+      errorMessage: this.errorMessage,
+      createdAt: this.createdAt
+    };
+  }
+}
+
+module.exports = ChatMessage;
@@ -0,0 +1,323 @@
+const { query, transaction } = require('./database');
+const ChatMessage = require('./ChatMessage');
+const Stream = require('./Stream');
+
+/**
+ * ChatThread Model
+ * A multi-turn AI conversation that appears in streams alongside cards and files.
+ * The thread remembers which branch is being viewed through active_message_id.
+ */
+
+class ChatThread {
+  constructor(data) {
+    this.id = data.id;
+    this.brainId = data.brain_id;
+    this.title = data.title;
+    this.model = data.model;
+    this.activeMessageId = data.active_message_id;
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+  }
+
+  /**
+   * Create a new chat thread, optionally placing it in a stream
+   * @param {string} brainId - Brain ID
+   * @param {Object} options - Thread options
+   * @param {string} options.title - Thread title
+   * @param {string} options.model - Default model for replies
+   * @param {string} options.streamId - Stream to add the thread to
+   * @param {number} options.position - Position in stream (null for end)
+   * @returns {Promise<ChatThread>} - Created thread
+   */
+  static async create(brainId, options = {}) {
+    const { title = null, model = null, streamId = null, position = null } = options;
+
+    if (title && title.length > 200) {
+      throw new Error('Thread title cannot exceed 200 characters');
+    }
+
+    return await transaction(async (client) => {
+      const result = await client.query(`
+        INSERT INTO chat_threads (brain_id, title, model)
+        VALUES ($1, $2, $3)
+        RETURNING *
+      `, [brainId, title, model]);
+
+      const thread = new ChatThread(result.rows[0]);
+
+      if (streamId) {
+        await ChatThread.addThreadToStream(client, streamId, thread.id, position);
+      }
+
+      console.log(`✅ Created chat thread ${thread.id} in brain ${brainId}`);
+      return thread;
+    });
+  }
+
+  /**
+   * Add a thread to a stream, sharing the card/file position space
+   * @param {Object} client - Transaction client
+   * @param {string} streamId - Stream ID
+   * @param {string} threadId - Thread ID
+   * @param {number} position - Position in stream (null for end)
+   * @param {number} depth - Nesting depth (default: 0)
+   * @returns {Promise<void>}
+   */
+  static async addThreadToStream(client, streamId, threadId, position = null, depth = 0) {
+    const streamResult = await client.query('SELECT * FROM streams WHERE id = $1', [streamId]);
+    if (streamResult.rows.length === 0) {
+      throw new Error('Stream not found');
+    }
+    new Stream(streamResult.rows[0]).assertEditable();
+
+    let actualPosition = position;
+    if (actualPosition === null || actualPosition === undefined) {
+      const maxResult = await client.query(`
+        SELECT GREATEST(
+          (SELECT COALESCE(MAX(position), -1) FROM stream_cards WHERE stream_id = $1),
+          (SELECT COALESCE(MAX(position), -1) FROM stream_files WHERE stream_id = $1),
+          (SELECT COALESCE(MAX(position), -1) FROM stream_chat_threads WHERE stream_id = $1)
+        ) AS max_pos
+      `, [streamId]);
+      actualPosition = maxResult.rows[0].max_pos + 1;
+    } else {
+      // Shift existing items to make room
+      for (const table of ['stream_cards', 'stream_files', 'stream_chat_threads']) {
+        await client.query(
+          `UPDATE ${table} SET position = position + 1 WHERE stream_id = $1 AND position >= $2`,
+          [streamId, actualPosition]
+        );
+      }
+    }
+
+    await client.query(`
+      INSERT INTO stream_chat_threads (stream_id, thread_id, position, depth)
+      VALUES ($1, $2, $3, $4)
+    `, [streamId, threadId, actualPosition, depth]);
+  }
+
+  /**
+   * Find thread by ID
+   * @param {string} threadId - Thread ID
+   * @returns {Promise<ChatThread|null>} - Thread or null if not found
+   */
+  static async findById(threadId) {
+    const result = await query('SELECT * FROM chat_threads WHERE id = $1', [threadId]);
+    return result.rows.length > 0 ? new ChatThread(result.rows[0]) : null;
+  }
+
+  /**
+   * Get every message in the thread (all branches), oldest first
+   * @returns {Promise<Array<ChatMessage>>} - Messages
+   */
+  async getMessages() {
+    const result = await query(
+      'SELECT * FROM chat_messages WHERE thread_id = $1 ORDER BY created_at, id',
+      [this.id]
+    );
+    return result.rows.map(row => new ChatMessage(row));
+  }
+
+  /**
+   * Get the ids of the messages on the active branch, oldest first
+   * @param {Array<ChatMessage>} messages - All thread messages (optional, avoids a query)
+   * @returns {Promise<Array<string>>} - Message IDs from root to active leaf
+   */
+  async getActiveBranch(messages = null) {
+    if (!this.activeMessageId) {
+      return [];
+    }
+
+    const allMessages = messages || await this.getMessages();
+    const byId = new Map(allMessages.map(m => [m.id, m]));
+    const branch = [];
+
+    let current = byId.get(this.activeMessageId);
+    while (current) {
+      branch.unshift(current.id);
+      current = current.parentMessageId ? byId.get(current.parentMessageId) : null;
+    }
+
+    return branch;
+  }
+
+  /**
+   * Switch the viewed branch to the one containing a message.
+   * Follows the newest reply below the message so the branch is shown in full.
+   * @param {string} messageId - Any message in the thread
+   * @returns {Promise<string>} - The new active leaf message ID
+   */
+  async setActiveMessage(messageId) {
+    const messages = await this.getMessages();
+    if (!messages.some(m => m.id === messageId)) {
+      throw new Error('Message not found in thread');
+    }
+
+    let leafId = messageId;
+    let children = messages.filter(m => m.parentMessageId === leafId);
+    while (children.length > 0) {
+      leafId = children[children.length - 1].id;
+      children = messages.filter(m => m.parentMessageId === leafId);
+    }
+
+    await query(
+      'UPDATE chat_threads SET active_message_id = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [leafId, this.id]
+    );
+    this.activeMessageId = leafId;
+    return leafId;
+  }
+
+  /**
+   * Add a user turn and a pending assistant reply after it.
+   * The reply becomes the active leaf; generation is started separately.
+   * @param {string} content - User message content
+   * @param {Object} options - Turn options
+   * @param {string} options.parentMessageId - Turn to reply after (default: active leaf, enables branching)
+   * @param {string} options.model - Model for the reply (default: thread model)
+   * @param {Array<string>} options.contextCardIds - Cards to include as context
+   * @returns {Promise<Object>} - { userMessage, assistantMessage }
+   */
+  async addUserTurn(content, options = {}) {
+    const {
+      parentMessageId = this.activeMessageId,
+      model = this.model,
+      contextCardIds = []
+    } = options;
+
+    if (!model) {
+      throw new Error('A model is required to reply in this thread');
+    }
+
+    return await transaction(async (client) => {
+      if (parentMessageId) {
+        const parentResult = await client.query(
+          'SELECT id FROM chat_messages WHERE id = $1 AND thread_id = $2',
+          [parentMessageId, this.id]
+        );
+        if (parentResult.rows.length === 0) {
+          throw new Error('Parent message not found in thread');
+        }
+      }
+
+      const userMessage = await ChatMessage.create(this.id, {
+        role: 'user',
+        content,
+        parentMessageId,
+        contextCardIds
+      }, client);
+
+      const assistantMessage = await ChatMessage.create(this.id, {
+        role: 'assistant',
+        parentMessageId: userMessage.id,
+        model,
+        status: 'pending'
+      }, client);
+
+      await client.query(`
+        UPDATE chat_threads
+        SET active_message_id = $1, model = $2, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $3
+      `, [assistantMessage.id, model, this.id]);
+
+      this.activeMessageId = assistantMessage.id;
+      this.model = model;
+
+      return { userMessage, assistantMessage };
+    });
+  }
+
+  /**
+   * Update thread properties
+   * @param {Object} updates - Fields to update
+   * @returns {Promise<ChatThread>} - Updated thread
+   */
+  async update(updates) {
+    const allowedFields = ['title', 'model'];
+    const setClause = [];
+    const values = [];
+    let paramIndex = 1;
+
+    for (const [key, value] of Object.entries(updates)) {
+      if (allowedFields.includes(key)) {
+        setClause.push(`${key} = $${paramIndex}`);
+        values.push(value);
+        paramIndex++;
+      }
+    }
+
+    if (setClause.length === 0) {
+      throw new Error('No valid fields to update');
+    }
+
+    setClause.push('updated_at = CURRENT_TIMESTAMP');
+    values.push(this.id);
+
+    const result = await query(`
+      UPDATE chat_threads
+      SET ${setClause.join(', ')}
+      WHERE id = $${paramIndex}
+      RETURNING *
+    `, values);
+
+    const row = result.rows[0];
+    this.title = row.title;
+    this.model = row.model;
+    this.updatedAt = row.updated_at;
+
+    return this;
+  }
+
+  /**
+   * Delete the thread and close the gaps it leaves in streams
+   * @returns {Promise<void>}
+   */
+  async delete() {
+    await transaction(async (client) => {
+      const placements = await client.query(
+        'SELECT stream_id, position FROM stream_chat_threads WHERE thread_id = $1',
+        [this.id]
+      );
+
+      await client.query('DELETE FROM chat_threads WHERE id = $1', [this.id]);
+
+      for (const { stream_id, position } of placements.rows) {
+        for (const table of ['stream_cards', 'stream_files', 'stream_chat_threads']) {
+          await client.query(
+            `UPDATE ${table} SET position = position - 1 WHERE stream_id = $1 AND position > $2`,
+            [stream_id, position]
+          );
+        }
+      }
+
+      console.log(`✅ Deleted chat thread ${this.id}`);
+    });
+  }
+
+  /**
+   * Convert to JSON representation
+   * @param {boolean} includeMessages - Whether to include messages and the active branch
+   * @returns {Promise<Object>} - JSON representation
+   */
+  async toJSON(includeMessages = false) {
+    const json = {
+      id: this.id,
+      brainId: this.brainId,
+      title: this.title,
+      model: this.model,
+      activeMessageId: this.activeMessageId,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+
+    if (includeMessages) {
+      const messages = await this.getMessages();
+      json.messages = messages.map(m => m.toJSON());
+      json.activeBranch = await this.getActiveBranch(messages);
+    }
+
+    return json;
+  }
+}
+
+module.exports = ChatThread;
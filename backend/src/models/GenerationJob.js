@@ -0,0 +1,269 @@
+const { query } = require('./database');
+
+/**
+ * GenerationJob Model
+ * One AI generation from request to final output. Jobs outlive the HTTP
+ * connection that started them, so clients can reattach and audit them later.
+ */
+
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+class GenerationJob {
+  constructor(data) {
+    this.id = data.id;
+    this.userId = data.user_id;
+    this.brainId = data.brain_id;
+    this.streamId = data.stream_id;
+    this.cardId = data.card_id;
+    this.model = data.model;
+    this.provider = data.provider;
+    this.prompt = data.prompt;
+    this.mode = data.mode || 'text';
+    this.parameters = data.parameters || {};
+    this.contextCardIds = data.context_card_ids || [];
+    this.contextReport = data.context_report || null;
+    this.status = data.status;
+    this.output = data.output;
+    this.errorMessage = data.error_message;
+    this.promptTokens = data.prompt_tokens;
+    this.completionTokens = data.completion_tokens;
+    this.totalTokens = data.total_tokens;
+    this.resultCardIds = data.result_card_ids || [];
+    this.toolCalls = data.tool_calls || [];
+    this.createdAt = data.created_at;
+    this.startedAt = data.started_at;
+    this.completedAt = data.completed_at;
+  }
+
+  /**
+   * Create a queued generation job
+   * @param {Object} data - Job parameters
+   * @param {string} data.userId - User who requested the generation
+   * @param {string} data.brainId - Brain ID
+   * @param {string} data.streamId - Stream ID (optional)
+   * @param {string} data.cardId - Card receiving the output
+   * @param {string} data.model - Model ID
+   * @param {string} data.provider - Provider name
+   * @param {string} data.prompt - Prompt text
+   * @param {Array<string>} data.contextCardIds - Context card IDs
+   * @param {Object} data.contextReport - What the context builder included or cut
+   * @param {string} data.mode - 'text', 'agent' (tool calling, see AgentTools) or a transform mode (see AITransforms)
+   * @param {Object} data.parameters - Generation parameters (see Stream.getAISettings)
+   * @returns {Promise<GenerationJob>} - Created job
+   */
+  static async create(data) {
+    const {
+      userId = null,
+      brainId,
+      streamId = null,
+      cardId = null,
+      model,
+      provider = null,
+      prompt,
+      contextCardIds = [],
+      contextReport = null,
+      mode = 'text',
+      parameters = {}
+    } = data;
+
+    const result = await query(`
+      INSERT INTO generation_jobs (user_id, brain_id, stream_id, card_id, model, provider, prompt, context_card_ids, context_report, mode, parameters)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      RETURNING *
+    `, [userId, brainId, streamId, cardId, model, provider, prompt, contextCardIds, contextReport ? JSON.stringify(contextReport) : null, mode, JSON.stringify(parameters || {})]);
+
+    return new GenerationJob(result.rows[0]);
+  }
+
+  /**
+   * Find job by ID
+   * @param {string} jobId - Job ID
+   * @returns {Promise<GenerationJob|null>} - Job or null if not found
+   */
+  static async findById(jobId) {
+    const result = await query('SELECT * FROM generation_jobs WHERE id = $1', [jobId]);
+    return result.rows.length > 0 ? new GenerationJob(result.rows[0]) : null;
+  }
+
+  /**
+   * Find the most recent job for a card
+   * @param {string} cardId - Card ID
+   * @returns {Promise<GenerationJob|null>} - Latest job or null
+   */
+  static async findLatestByCardId(cardId) {
+    const result = await query(
+      'SELECT * FROM generation_jobs WHERE card_id = $1 ORDER BY created_at DESC LIMIT 1',
+      [cardId]
+    );
+    return result.rows.length > 0 ? new GenerationJob(result.rows[0]) : null;
+  }
+
+  /**
+   * List jobs in a brain with optional filters
+   * @param {string} brainId - Brain ID
+   * @param {Object} options - Filters
+   * @param {string} options.streamId - Only jobs for this stream
+   * @param {string} options.cardId - Only jobs for this card
+   * @param {Array<string>} options.statuses - Only jobs in these statuses
+   * @param {number} options.limit - Maximum results (default: 50)
+   * @returns {Promise<Array<GenerationJob>>} - Jobs, newest first
+   */
+  static async findByBrainId(brainId, options = {}) {
+    const { streamId = null, cardId = null, statuses = null, limit = 50 } = options;
+    const conditions = ['brain_id = $1'];
+    const params = [brainId];
+
+    if (streamId) {
+      params.push(streamId);
+      conditions.push(`stream_id = $${params.length}`);
+    }
+    if (cardId) {
+      params.push(cardId);
+      conditions.push(`card_id = $${params.length}`);
+    }
+    if (statuses && statuses.length > 0) {
+      params.push(statuses);
+      conditions.push(`status = ANY($${params.length})`);
+    }
+    params.push(limit);
+
+    const result = await query(`
+      SELECT * FROM generation_jobs
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY created_at DESC
+      LIMIT $${params.length}
+    `, params);
+
+    return result.rows.map(row => new GenerationJob(row));
+  }
+
+  /**
+   * Fail jobs left queued or running by a previous server process
+   * @returns {Promise<number>} - Number of jobs marked failed
+   */
+  static async failInterrupted() {
+    const result = await query(`
+      UPDATE generation_jobs
+      SET status = 'failed', error_message = 'Interrupted by server restart', completed_at = CURRENT_TIMESTAMP
+      WHERE status = ANY($1)
+    `, [ACTIVE_STATUSES]);
+    return result.rowCount;
+  }
+
+  /**
+   * Whether the job is still queued or running
+   * @returns {boolean}
+   */
+  isActive() {
+    return ACTIVE_STATUSES.includes(this.status);
+  }
+
+  /**
+   * Mark the job as running
+   * @returns {Promise<void>}
+   */
+  async markRunning() {
+    const result = await query(`
+      UPDATE generation_jobs SET status = 'running', started_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING started_at
+    `, [this.id]);
+    this.status = 'running';
+    this.startedAt = result.rows[0]?.started_at;
+  }
+
+  /**
+   * Move the job to a terminal state, storing output and usage
+   * @param {string} status - 'complete', 'failed' or 'cancelled'
+   * @param {Object} result - Final result
+   * @param {string} result.output - Generated text (partial for failed/cancelled)
+   * @param {string} result.errorMessage - Error description for failed jobs
+   * @param {Object} result.usage - { promptTokens, completionTokens, totalTokens }
+   * @returns {Promise<boolean>} - False if the job had already finished
+   */
+  async finish(status, { output = '', errorMessage = null, usage = null } = {}) {
+    if (!['complete', 'failed', 'cancelled'].includes(status)) {
+      throw new Error(`Invalid terminal status: ${status}`);
+    }
+
+    const promptTokens = usage?.promptTokens ?? null;
+    const completionTokens = usage?.completionTokens ?? null;
+    const totalTokens = usage?.totalTokens ?? (
+      promptTokens !== null && completionTokens !== null ? promptTokens + completionTokens : null
+    );
+
+    const result = await query(`
+      UPDATE generation_jobs
+      SET status = $1, output = $2, error_message = $3,
+          prompt_tokens = $4, completion_tokens = $5, total_tokens = $6,
+          completed_at = CURRENT_TIMESTAMP
+      WHERE id = $7 AND status = ANY($8)
+      RETURNING *
+    `, [status, output, errorMessage, promptTokens, completionTokens, totalTokens, this.id, ACTIVE_STATUSES]);
+
+    if (result.rows.length === 0) {
+      return false;
+    }
+
+    Object.assign(this, new GenerationJob(result.rows[0]));
+    return true;
+  }
+
+  /**
+   * Record the cards a transform job created
+   * @param {Array<string>} cardIds - Created card IDs
+   * @returns {Promise<void>}
+   */
+  async setResultCards(cardIds) {
+    await query('UPDATE generation_jobs SET result_card_ids = $1 WHERE id = $2', [cardIds, this.id]);
+    this.resultCardIds = cardIds;
+  }
+
+  /**
+   * Record the tool calls an agent job made, with their arguments, status and results
+   * @param {Array<Object>} toolCalls - { id, name, arguments, requiresConfirmation, status, result, error }
+   * @returns {Promise<void>}
+   */
+  async setToolCalls(toolCalls) {
+    await query('UPDATE generation_jobs SET tool_calls = $1 WHERE id = $2', [JSON.stringify(toolCalls), this.id]);
+    this.toolCalls = toolCalls;
+  }
+
+  /**
+   * Convert to JSON representation
+   * @returns {Object} - JSON representation
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      brainId: this.brainId,
+      streamId: this.streamId,
+      cardId: this.cardId,
+      model: this.model,
+      provider: this.provider,
+      prompt: this.prompt,
+      mode: this.mode,
+      parameters: this.parameters,
+      contextCardIds: this.contextCardIds,
+      contextReport: this.contextReport,
+      status: this.status,
+      output: this.output,
+      errorMessage: this.errorMessage,
+      resultCardIds: this.resultCardIds,
+      toolCalls: this.toolCalls,
+      usage: {
+        promptTokens: this.promptTokens,
+        completionTokens: this.completionTokens,
+        totalTokens: this.totalTokens
+      },
+      createdAt: this.createdAt,
+      startedAt: this.startedAt,
+      completedAt: this.completedAt,
+      durationMs: this.startedAt && this.completedAt
+        ? new Date(this.completedAt) - new Date(this.startedAt)
+        : null
+    };
+  }
+}
+
+module.exports = GenerationJob;
@@ -0,0 +1,160 @@
+const { query, transaction } = require('./database');
+
+/**
+ * LinkSuggestion Model
+ * A proposed [[link]] from one card to another. Suggestions stay pending until
+ * the user accepts (the link is written into the card) or rejects them; both
+ * decisions are remembered so the same pair is not proposed again.
+ */
+
+class LinkSuggestion {
+  constructor(data) {
+    this.id = data.id;
+    this.brainId = data.brain_id;
+    this.sourceCardId = data.source_card_id;
+    this.targetCardId = data.target_card_id;
+    this.targetTitle = data.target_title || null;
+    this.targetPreview = data.target_preview || null;
+    this.score = data.score !== null && data.score !== undefined ? parseFloat(data.score) : null;
+    this.reason = data.reason;
+    this.anchorText = data.anchor_text;
+    this.status = data.status;
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+    this.decidedAt = data.decided_at;
+  }
+
+  /**
+   * Find suggestion by ID
+   * @param {string} suggestionId - Suggestion ID
+   * @returns {Promise<LinkSuggestion|null>} - Suggestion or null
+   */
+  static async findById(suggestionId) {
+    const result = await query(`
+      SELECT ls.*, c.title AS target_title, c.content_preview AS target_preview
+      FROM link_suggestions ls
+      JOIN cards c ON c.id = ls.target_card_id
+      WHERE ls.id = $1
+    `, [suggestionId]);
+
+    return result.rows.length > 0 ? new LinkSuggestion(result.rows[0]) : null;
+  }
+
+  /**
+   * Pending suggestions for a card, best first. Targets that were deleted or
+   * that the card has linked to since the analysis are left out.
+   * @param {string} sourceCardId - Source card ID
+   * @returns {Promise<Array<LinkSuggestion>>} - Pending suggestions
+   */
+  static async findPendingBySource(sourceCardId) {
+    const result = await query(`
+      SELECT ls.*, c.title AS target_title, c.content_preview AS target_preview
+      FROM link_suggestions ls
+      JOIN cards c ON c.id = ls.target_card_id
+      WHERE ls.source_card_id = $1 AND ls.status = 'pending'
+        AND c.is_active = true AND c.title IS NOT NULL
+        AND NOT EXISTS (
+          SELECT 1 FROM card_links cl
+          WHERE cl.source_card_id = ls.source_card_id AND cl.target_card_id = ls.target_card_id
+        )
+      ORDER BY ls.score DESC
+    `, [sourceCardId]);
+
+    return result.rows.map(row => new LinkSuggestion(row));
+  }
+
+  /**
+   * Targets already decided (accepted or rejected) for each source card
+   * @param {Array<string>} sourceCardIds - Source card IDs
+   * @returns {Promise<Map<string, Set<string>>>} - source card ID -> target card IDs
+   */
+  static async findDecidedTargets(sourceCardIds) {
+    const result = await query(
+      "SELECT source_card_id, target_card_id FROM link_suggestions WHERE source_card_id = ANY($1) AND status <> 'pending'",
+      [sourceCardIds]
+    );
+
+    const decided = new Map();
+    for (const row of result.rows) {
+      if (!decided.has(row.source_card_id)) {
+        decided.set(row.source_card_id, new Set());
+      }
+      decided.get(row.source_card_id).add(row.target_card_id);
+    }
+    return decided;
+  }
+
+  /**
+   * Replace a card's pending suggestions with a fresh analysis.
+   * Decided suggestions are never touched.
+   * @param {string} brainId - Brain ID
+   * @param {string} sourceCardId - Source card ID
+   * @param {Array<Object>} candidates - { targetCardId, score, reason, anchorText }
+   * @returns {Promise<void>}
+   */
+  static async replacePending(brainId, sourceCardId, candidates) {
+    await transaction(async (client) => {
+      await client.query(
+        "DELETE FROM link_suggestions WHERE source_card_id = $1 AND status = 'pending' AND NOT (target_card_id = ANY($2))",
+        [sourceCardId, candidates.map(candidate => candidate.targetCardId)]
+      );
+
+      for (const candidate of candidates) {
+        await client.query(`
+          INSERT INTO link_suggestions (brain_id, source_card_id, target_card_id, score, reason, anchor_text)
+          VALUES ($1, $2, $3, $4, $5, $6)
+          ON CONFLICT (source_card_id, target_card_id) DO UPDATE
+          SET score = EXCLUDED.score, reason = EXCLUDED.reason, anchor_text = EXCLUDED.anchor_text,
+              updated_at = CURRENT_TIMESTAMP
+          WHERE link_suggestions.status = 'pending'
+        `, [brainId, sourceCardId, candidate.targetCardId, candidate.score, candidate.reason, candidate.anchorText]);
+      }
+    });
+  }
+
+  /**
+   * Record the user's decision
+   * @param {string} status - 'accepted' or 'rejected'
+   * @returns {Promise<void>}
+   */
+  async decide(status) {
+    if (!['accepted', 'rejected'].includes(status)) {
+      throw new Error(`Invalid suggestion status: ${status}`);
+    }
+
+    const result = await query(`
+      UPDATE link_suggestions
+      SET status = $1, decided_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2
+      RETURNING status, decided_at, updated_at
+    `, [status, this.id]);
+
+    if (result.rows.length > 0) {
+      this.status = result.rows[0].status;
+      this.decidedAt = result.rows[0].decided_at;
+      this.updatedAt = result.rows[0].updated_at;
+    }
+  }
+
+  /**
+   * Convert to JSON for API responses
+   * @returns {Object} - JSON representation
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      sourceCardId: this.sourceCardId,
+      targetCardId: this.targetCardId,
+      targetTitle: this.targetTitle,
+      targetPreview: this.targetPreview,
+      score: this.score,
+      reason: this.reason,
+      anchorText: this.anchorText,
+      status: this.status,
+      createdAt: this.createdAt,
+      decidedAt: this.decidedAt
+    };
+  }
+}
+
+module.exports = LinkSuggestion;
@@ -0,0 +1,182 @@
+const { query } = require('./database');
+
+/**
+ * PromptTemplate Model
+ * A named, reusable prompt. Templates belong to a brain, or to the user
+ * (brain_id NULL) so they are offered in every brain.
+ */
+
+class PromptTemplate {
+  constructor(data) {
+    this.id = data.id;
+    this.userId = data.user_id;
+    this.brainId = data.brain_id;
+    this.name = data.name;
+    this.description = data.description;
+    this.template = data.template;
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+  }
+
+  /**
+   * Validate template fields
+   * @param {Object} data - Fields to validate
+   */
+  static validate({ name, template, description }) {
+    if (name !== undefined) {
+      if (!name || name.trim().length === 0) {
+        throw new Error('Template name is required');
+      }
+      if (name.length > 100) {
+        throw new Error('Template name cannot exceed 100 characters');
+      }
+    }
+    if (template !== undefined && (!template || template.trim().length === 0)) {
+      throw new Error('Template text is required');
+    }
+    if (description && description.length > 500) {
+      throw new Error('Template description cannot exceed 500 characters');
+    }
+  }
+
+  /**
+   * Create a prompt template
+   * @param {string} userId - Owner
+   * @param {Object} data - Template data
+   * @param {string} data.brainId - Brain ID (null for a user-wide template)
+   * @param {string} data.name - Template name
+   * @param {string} data.description - Short description
+   * @param {string} data.template - Prompt text with {{variables}}
+   * @returns {Promise<PromptTemplate>} - Created template
+   */
+  static async create(userId, data) {
+    const { brainId = null, name, description = null, template } = data;
+    this.validate({ name, template, description });
+
+    try {
+      const result = await query(`
+        INSERT INTO prompt_templates (user_id, brain_id, name, description, template)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING *
+      `, [userId, brainId, name.trim(), description, template]);
+
+      console.log(`✅ Created prompt template "${name.trim()}"`);
+      return new PromptTemplate(result.rows[0]);
+    } catch (error) {
+      if (error.code === '23505') {
+        throw new Error(`A template named "${name.trim()}" already exists`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Find template by ID
+   * @param {string} templateId - Template ID
+   * @returns {Promise<PromptTemplate|null>} - Template or null if not found
+   */
+  static async findById(templateId) {
+    const result = await query('SELECT * FROM prompt_templates WHERE id = $1', [templateId]);
+    return result.rows.length > 0 ? new PromptTemplate(result.rows[0]) : null;
+  }
+
+  /**
+   * List templates available in a brain: its own plus the user's brain-independent ones
+   * @param {string} userId - User ID
+   * @param {string} brainId - Brain ID (null for user-wide templates only)
+   * @returns {Promise<Array<PromptTemplate>>} - Templates ordered by name
+   */
+  static async findAvailable(userId, brainId = null) {
+    const result = await query(`
+      SELECT * FROM prompt_templates
+      WHERE user_id = $1 AND (brain_id IS NULL OR brain_id = $2)
+      ORDER BY LOWER(name) ASC
+    `, [userId, brainId]);
+
+    return result.rows.map(row => new PromptTemplate(row));
+  }
+
+  /**
+   * Variable names used in the template, e.g. ['selection', 'card:Meeting notes']
+   * @returns {Array<string>} - Unique variable names
+   */
+  getVariables() {
+    const names = [...this.template.matchAll(/\{\{\s*([^}]+?)\s*\}\}/g)].map(match => match[1]);
+    return [...new Set(names)];
+  }
+
+  /**
+   * Update template fields
+   * @param {Object} updates - Fields to update (name, description, template)
+   * @returns {Promise<PromptTemplate>} - Updated template
+   */
+  async update(updates) {
+    const allowedFields = ['name', 'description', 'template'];
+    PromptTemplate.validate(updates);
+
+    const setClause = [];
+    const values = [];
+    let paramIndex = 1;
+
+    for (const [key, value] of Object.entries(updates)) {
+      if (allowedFields.includes(key)) {
+        setClause.push(`${key} = $${paramIndex}`);
+        values.push(key === 'name' ? value.trim() : value);
+        paramIndex++;
+      }
+    }
+
+    if (setClause.length === 0) {
+      throw new Error('No valid fields to update');
+    }
+
+    setClause.push('updated_at = CURRENT_TIMESTAMP');
+    values.push(this.id);
+
+    try {
+      const result = await query(`
+        UPDATE prompt_templates
+        SET ${setClause.join(', ')}
+        WHERE id = $${paramIndex}
+        RETURNING *
+      `, values);
+
+      Object.assign(this, new PromptTemplate(result.rows[0]));
+      return this;
+    } catch (error) {
+      if (error.code === '23505') {
+        throw new Error(`A template named "${updates.name}" already exists`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete the template
+   * @returns {Promise<void>}
+   */
+  async delete() {
+    await query('DELETE FROM prompt_templates WHERE id = $1', [this.id]);
+    console.log(`✅ Deleted prompt template "${this.name}"`);
+  }
+
+  /**
+   * Convert to JSON representation
+   * @returns {Object} - JSON representation
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      brainId: this.brainId,
+      name: this.name,
+      description: this.description,
+      template: this.template,
+      variables: this.getVariables(),
+      scope: this.brainId ? 'brain' : 'user',
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+module.exports = PromptTemplate;
@@ -0,0 +1,180 @@
+const { query } = require('./database');
+
+/**
+ * SavedSearch Model
+ * A named query in the search language. Saved searches belong to a user and
+ * run in one brain, or in all of the user's brains (brain_id NULL).
+ */
+
+class SavedSearch {
+  constructor(data) {
+    this.id = data.id;
+    this.userId = data.user_id;
+    this.brainId = data.brain_id;
+    this.name = data.name;
+    this.query = data.query;
+    this.lastRunAt = data.last_run_at;
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+  }
+
+  /**
+   * Validate saved search fields
+   * @param {Object} data - Fields to validate
+   */
+  static validate({ name, query: queryText }) {
+    if (name !== undefined) {
+      if (!name || name.trim().length === 0) {
+        throw new Error('Search name is required');
+      }
+      if (name.length > 100) {
+        throw new Error('Search name cannot exceed 100 characters');
+      }
+    }
+    if (queryText !== undefined && (!queryText || queryText.trim().length === 0)) {
+      throw new Error('Search query is required');
+    }
+  }
+
+  /**
+   * Save a search
+   * @param {string} userId - Owner
+   * @param {Object} data - Search data
+   * @param {string} data.brainId - Brain ID (null to search all brains)
+   * @param {string} data.name - Search name
+   * @param {string} data.query - Query text
+   * @returns {Promise<SavedSearch>} - Created saved search
+   */
+  static async create(userId, data) {
+    const { brainId = null, name, query: queryText } = data;
+    this.validate({ name, query: queryText });
+
+    try {
+      const result = await query(`
+        INSERT INTO saved_searches (user_id, brain_id, name, query)
+        VALUES ($1, $2, $3, $4)
+        RETURNING *
+      `, [userId, brainId, name.trim(), queryText.trim()]);
+
+      console.log(`✅ Saved search "${name.trim()}"`);
+      return new SavedSearch(result.rows[0]);
+    } catch (error) {
+      if (error.code === '23505') {
+        throw new Error(`A saved search named "${name.trim()}" already exists`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Find saved search by ID
+   * @param {string} searchId - Saved search ID
+   * @returns {Promise<SavedSearch|null>} - Saved search or null if not found
+   */
+  static async findById(searchId) {
+    const result = await query('SELECT * FROM saved_searches WHERE id = $1', [searchId]);
+    return result.rows.length > 0 ? new SavedSearch(result.rows[0]) : null;
+  }
+
+  /**
+   * List saved searches available in a brain: its own plus the user's all-brain ones
+   * @param {string} userId - User ID
+   * @param {string} brainId - Brain ID (null for every saved search of the user)
+   * @returns {Promise<Array<SavedSearch>>} - Saved searches ordered by name
+   */
+  static async findAvailable(userId, brainId = null) {
+    const result = await query(`
+      SELECT * FROM saved_searches
+      WHERE user_id = $1 AND ($2::uuid IS NULL OR brain_id IS NULL OR brain_id = $2)
+      ORDER BY LOWER(name) ASC
+    `, [userId, brainId]);
+
+    return result.rows.map(row => new SavedSearch(row));
+  }
+
+  /**
+   * Update saved search fields
+   * @param {Object} updates - Fields to update (name, query)
+   * @returns {Promise<SavedSearch>} - Updated saved search
+   */
+  async update(updates) {
+    const allowedFields = ['name', 'query'];
+    SavedSearch.validate(updates);
+
+    const setClause = [];
+    const values = [];
+    let paramIndex = 1;
+
+    for (const [key, value] of Object.entries(updates)) {
+      if (allowedFields.includes(key)) {
+        setClause.push(`${key} = $${paramIndex}`);
+        values.push(value.trim());
+        paramIndex++;
+      }
+    }
+
+    if (setClause.length === 0) {
+      throw new Error('No valid fields to update');
+    }
+
+    setClause.push('updated_at = CURRENT_TIMESTAMP');
+    values.push(this.id);
+
+    try {
+      const result = await query(`
+        UPDATE saved_searches
+        SET ${setClause.join(', ')}
+        WHERE id = $${paramIndex}
+        RETURNING *
+      `, values);
+
+      Object.assign(this, new SavedSearch(result.rows[0]));
+      return this;
+    } catch (error) {
+      if (error.code === '23505') {
+        throw new Error(`A saved search named "${updates.name}" already exists`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Record that the search was run
+   * @returns {Promise<void>}
+   */
+  async markRun() {
+    const result = await query(
+      'UPDATE saved_searches SET last_run_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING last_run_at',
+      [this.id]
+    );
+    this.lastRunAt = result.rows[0].last_run_at;
+  }
+
+  /**
+   * Delete the saved search
+   * @returns {Promise<void>}
+   */
+  async delete() {
+    await query('DELETE FROM saved_searches WHERE id = $1', [this.id]);
+    console.log(`✅ Deleted saved search "${this.name}"`);
+  }
+
+  /**
+   * Convert to JSON representation
+   * @returns {Object} - JSON representation
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      brainId: this.brainId,
+      name: this.name,
+      query: this.query,
+      scope: this.brainId ? 'brain' : 'user',
+      lastRunAt: this.lastRunAt,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+module.exports = SavedSearch;
@@ -1,4 +1,17 @@
 const { query, transaction } = require('./database');
+const SearchQuery = require('../services/searchQuery');
+
+// Limits for per-stream generation settings
+const MAX_SYSTEM_PROMPT_LENGTH = 20000;
+const MAX_TEMPERATURE = 2;
+const MAX_OUTPUT_TOKENS = 100000;
+const MAX_STOP_SEQUENCES = 4; // OpenAI accepts at most 4
+const MAX_STOP_SEQUENCE_LENGTH = 100;
+
+// Limits for smart streams
+const DEFAULT_SMART_LIMIT = 50;
+const MAX_SMART_LIMIT = 100; // Most results one search returns
+const MAX_SMART_QUERY_LENGTH = 1000;
 
 /**
  * Stream Model
@@ -13,6 +26,139 @@ class Stream {
     this.isFavorited = data.is_favorited;
     this.createdAt = data.created_at;
     this.lastAccessedAt = data.last_accessed_at;
+    this.systemPrompt = data.system_prompt || null;
+    this.temperature = data.ai_temperature !== null && data.ai_temperature !== undefined
+      ? parseFloat(data.ai_temperature)
+      : null;
+    this.maxTokens = data.ai_max_tokens || null;
+    this.stopSequences = data.ai_stop_sequences || [];
+    this.smartQuery = data.smart_query || null;
+    this.smartLimit = data.smart_limit || DEFAULT_SMART_LIMIT;
+    this.smartEvaluatedAt = data.smart_evaluated_at || null;
+  }
+
+  /**
+   * Whether the stream's items come from a search query rather than being added by hand
+   * @returns {boolean}
+   */
+  isSmart() {
+    return !!this.smartQuery;
+  }
+
+  /**
+   * Refuse to change the items of a smart stream (freeze it first)
+   */
+  assertEditable() {
+    if (this.isSmart()) {
+      throw new Error('Smart streams are defined by their query; freeze the stream to edit its items');
+    }
+  }
+
+  /**
+   * Validate and normalise smart stream settings. A null smartQuery turns a
+   * stream back into a hand-curated one, an undefined one leaves it alone.
+   * @param {Object} settings - { smartQuery, smartLimit }
+   * @returns {Object} - { isValid, errors, values } where values holds the normalised settings given
+   */
+  static validateSmartSettings(settings = {}) {
+    const errors = {};
+    const values = {};
+    const { smartQuery, smartLimit } = settings;
+
+    if (smartQuery !== undefined) {
+      if (smartQuery !== null && typeof smartQuery !== 'string') {
+        errors.smartQuery = 'Smart query must be text';
+      } else if (smartQuery && smartQuery.length > MAX_SMART_QUERY_LENGTH) {
+        errors.smartQuery = `Smart query cannot exceed ${MAX_SMART_QUERY_LENGTH} characters`;
+      } else if (smartQuery && smartQuery.trim()) {
+        const parsed = SearchQuery.parse(smartQuery);
+        if (parsed.errors.length > 0) {
+          errors.smartQuery = parsed.errors.join('; ');
+        } else {
+          values.smartQuery = smartQuery.trim();
+        }
+      } else {
+        values.smartQuery = null;
+      }
+    }
+
+    if (smartLimit !== undefined) {
+      const number = smartLimit === null || smartLimit === '' ? DEFAULT_SMART_LIMIT : Number(smartLimit);
+      if (!Number.isInteger(number) || number < 1 || number > MAX_SMART_LIMIT) {
+        errors.smartLimit = `Smart stream limit must be a whole number between 1 and ${MAX_SMART_LIMIT}`;
+      } else {
+        values.smartLimit = number;
+      }
+    }
+
+    return {
+      isValid: Object.keys(errors).length === 0,
+      errors,
+      values
+    };
+  }
+
+  /**
+   * Validate and normalise generation settings. A null value clears a setting,
+   * an undefined one leaves it alone.
+   * @param {Object} settings - { systemPrompt, temperature, maxTokens, stopSequences }
+   * @returns {Object} - { isValid, errors, values } where values holds the normalised settings given
+   */
+  static validateAISettings(settings = {}) {
+    const errors = {};
+    const values = {};
+    const { systemPrompt, temperature, maxTokens, stopSequences } = settings;
+
+    if (systemPrompt !== undefined) {
+      if (systemPrompt !== null && typeof systemPrompt !== 'string') {
+        errors.systemPrompt = 'System prompt must be text';
+      } else if (systemPrompt && systemPrompt.length > MAX_SYSTEM_PROMPT_LENGTH) {
+        errors.systemPrompt = `System prompt cannot exceed ${MAX_SYSTEM_PROMPT_LENGTH} characters`;
+      } else {
+        values.systemPrompt = systemPrompt && systemPrompt.trim() ? systemPrompt.trim() : null;
+      }
+    }
+
+    if (temperature !== undefined) {
+      const number = temperature === null || temperature === '' ? null : Number(temperature);
+      if (number !== null && (!Number.isFinite(number) || number < 0 || number > MAX_TEMPERATURE)) {
+        errors.temperature = `Temperature must be between 0 and ${MAX_TEMPERATURE}`;
+      } else {
+        values.temperature = number === null ? null : Math.round(number * 100) / 100;
+      }
+    }
+
+    if (maxTokens !== undefined) {
+      const number = maxTokens === null || maxTokens === '' ? null : Number(maxTokens);
+      if (number !== null && (!Number.isInteger(number) || number < 1 || number > MAX_OUTPUT_TOKENS)) {
+        errors.maxTokens = `Max tokens must be a whole number between 1 and ${MAX_OUTPUT_TOKENS}`;
+      } else {
+        values.maxTokens = number;
+      }
+    }
+
+    if (stopSequences !== undefined) {
+      const list = stopSequences === null ? [] : stopSequences;
+      if (!Array.isArray(list) || list.some(sequence => typeof sequence !== 'string')) {
+        errors.stopSequences = 'Stop sequences must be a list of strings';
+      } else {
+        // Whitespace can be a meaningful stop sequence ("\n\n"), so only drop empty strings
+        const sequences = [...new Set(list.filter(sequence => sequence.length > 0))];
+        if (sequences.length > MAX_STOP_SEQUENCES) {
+          errors.stopSequences = `At most ${MAX_STOP_SEQUENCES} stop sequences are allowed`;
+        } else if (sequences.some(sequence => sequence.length > MAX_STOP_SEQUENCE_LENGTH)) {
+          errors.stopSequences = `Stop sequences cannot exceed ${MAX_STOP_SEQUENCE_LENGTH} characters`;
+        } else {
+          values.stopSequences = sequences;
+        }
+      }
+    }
+
+    return {
+      isValid: Object.keys(errors).length === 0,
+      errors,
+      values
+    };
   }
 
   /**
@@ -20,9 +166,14 @@ class Stream {
    * @param {string} brainId - Brain ID that owns the stream
    * @param {string} name - Stream name (must be unique within brain)
    * @param {boolean} isWelcomeStream - Whether this is a welcome stream with tutorial content
+   * @param {Object} options - Smart stream settings (validated with validateSmartSettings)
+   * @param {string} options.smartQuery - Search query defining the stream's items
+   * @param {number} options.smartLimit - Most items the smart stream shows
    * @returns {Promise<Stream>} - Created stream instance
    */
-  static async create(brainId, name, isWelcomeStream = false) {
+  static async create(brainId, name, isWelcomeStream = false, options = {}) {
+    const { smartQuery = null, smartLimit = DEFAULT_SMART_LIMIT } = options;
+
     if (!name || name.trim().length === 0) {
       throw new Error('Stream name is required');
     }
@@ -54,10 +205,10 @@ class Stream {
 
       // Insert stream into database
       const result = await client.query(`
-        INSERT INTO streams (brain_id, name, is_favorited)
-        VALUES ($1, $2, $3)
+        INSERT INTO streams (brain_id, name, is_favorited, smart_query, smart_limit)
+        VALUES ($1, $2, $3, $4, $5)
         RETURNING *
-      `, [brainId, name.trim(), isWelcomeStream]);
+      `, [brainId, name.trim(), isWelcomeStream, smartQuery, smartLimit]);
 
       const stream = new Stream(result.rows[0]);
 
@@ -101,6 +252,26 @@ class Stream {
     return result.rows.length > 0 ? new Stream(result.rows[0]) : null;
   }
 
+  /**
+   * Find a user's streams, in any of their brains, whose name contains the text
+   * @param {string} userId - User ID
+   * @param {string} text - Text to look for in stream names
+   * @param {number} limit - Maximum streams to return (default: 10)
+   * @returns {Promise<Array<Stream>>} - Matching streams, most recently opened first
+   */
+  static async searchByName(userId, text, limit = 10) {
+    const pattern = `%${text.replace(/[\\%_]/g, '\\$&')}%`;
+    const result = await query(`
+      SELECT s.* FROM streams s
+      JOIN brains b ON b.id = s.brain_id
+      WHERE b.user_id = $1 AND s.name ILIKE $2
+      ORDER BY s.last_accessed_at DESC
+      LIMIT $3
+    `, [userId, pattern, limit]);
+
+    return result.rows.map(row => new Stream(row));
+  }
+
   /**
    * Get all streams for a brain with automatic cleanup
    * @param {string} brainId - Brain ID
@@ -179,7 +350,7 @@ class Stream {
    * @returns {Promise<void>}
    */
   async update(updates) {
-    const allowedFields = ['name', 'is_favorited'];
+    const allowedFields = ['name', 'is_favorited', 'system_prompt', 'ai_temperature', 'ai_max_tokens', 'ai_stop_sequences', 'smart_query', 'smart_limit'];
     const validUpdates = {};
     
     for (const [key, value] of Object.entries(updates)) {
@@ -192,6 +363,17 @@ class Stream {
       throw new Error('No valid fields to update');
     }
 
+    // A hand-curated stream only becomes smart while it is empty, so no items are lost
+    if (validUpdates.smart_query && !this.isSmart()) {
+      const itemCount = await query(
+        'SELECT COUNT(*) as count FROM stream_items_view WHERE stream_id = $1',
+        [this.id]
+      );
+      if (parseInt(itemCount.rows[0].count) > 0) {
+        throw new Error('Only an empty stream can be turned into a smart stream');
+      }
+    }
+
     // Check name uniqueness if name is being updated
     if (validUpdates.name && validUpdates.name !== this.name) {
       const existing = await Stream.findByBrainAndName(this.brainId, validUpdates.name);
@@ -203,18 +385,119 @@ class Stream {
     const setClause = Object.keys(validUpdates).map((key, index) => `${key} = $${index + 2}`).join(', ');
     const values = [this.id, ...Object.values(validUpdates)];
 
-    await query(`
+    const result = await query(`
       UPDATE streams 
       SET ${setClause}
       WHERE id = $1
+      RETURNING *
     `, values);
 
+    // Matches of a query that was changed or cleared are stale
+    if (validUpdates.smart_query !== undefined && validUpdates.smart_query !== this.smartQuery) {
+      await query('DELETE FROM stream_smart_items WHERE stream_id = $1', [this.id]);
+      await query('UPDATE streams SET smart_evaluated_at = NULL WHERE id = $1', [this.id]);
+      result.rows[0].smart_evaluated_at = null;
+    }
+
     // Update instance properties
-    Object.assign(this, validUpdates);
+    Object.assign(this, new Stream(result.rows[0]));
 
     console.log(`✅ Updated stream: ${this.name}`);
   }
 
+  /**
+   * Replace a smart stream's items with a new evaluation of its query
+   * @param {Array<Object>} matches - { sourceType: 'card' | 'file', id, rank } in display order
+   * @returns {Promise<void>}
+   */
+  async replaceSmartItems(matches) {
+    await transaction(async (client) => {
+      // Keep collapsed state for items that still match
+      const collapsed = await client.query(
+        'SELECT COALESCE(card_id, file_id) as source_id FROM stream_smart_items WHERE stream_id = $1 AND is_collapsed = true',
+        [this.id]
+      );
+      const collapsedIds = new Set(collapsed.rows.map(row => row.source_id));
+
+      await client.query('DELETE FROM stream_smart_items WHERE stream_id = $1', [this.id]);
+
+      for (const [position, match] of matches.entries()) {
+        await client.query(`
+          INSERT INTO stream_smart_items (stream_id, card_id, file_id, position, rank, is_collapsed)
+          VALUES ($1, $2, $3, $4, $5, $6)
+        `, [
+          this.id,
+          match.sourceType === 'card' ? match.id : null,
+          match.sourceType === 'file' ? match.id : null,
+          position,
+          match.rank || 0,
+          collapsedIds.has(match.id)
+        ]);
+      }
+
+      const result = await client.query(
+        'UPDATE streams SET smart_evaluated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING smart_evaluated_at',
+        [this.id]
+      );
+      this.smartEvaluatedAt = result.rows[0].smart_evaluated_at;
+    });
+  }
+
+  /**
+   * Freeze a smart stream into a normal one holding its current items
+   * @returns {Promise<number>} - Number of items kept
+   */
+  async freeze() {
+    if (!this.isSmart()) {
+      throw new Error('Stream is not a smart stream');
+    }
+
+    const kept = await transaction(async (client) => {
+      const cards = await client.query(`
+        INSERT INTO stream_cards (stream_id, card_id, position, depth, is_in_ai_context, is_collapsed)
+        SELECT ss.stream_id, ss.card_id, ss.position, 0, false, ss.is_collapsed
+        FROM stream_smart_items ss
+        JOIN cards c ON c.id = ss.card_id
+        WHERE ss.stream_id = $1 AND c.is_active = true
+        ORDER BY ss.position
+      `, [this.id]);
+
+      const files = await client.query(`
+        INSERT INTO stream_files (stream_id, file_id, position, depth, is_collapsed)
+        SELECT stream_id, file_id, position, 0, is_collapsed
+        FROM stream_smart_items
+        WHERE stream_id = $1 AND file_id IS NOT NULL
+        ORDER BY position
+      `, [this.id]);
+
+      await client.query('DELETE FROM stream_smart_items WHERE stream_id = $1', [this.id]);
+      await client.query(
+        'UPDATE streams SET smart_query = NULL, smart_evaluated_at = NULL WHERE id = $1',
+        [this.id]
+      );
+
+      return cards.rowCount + files.rowCount;
+    });
+
+    console.log(`✅ Froze smart stream '${this.name}' with ${kept} items`);
+    this.smartQuery = null;
+    this.smartEvaluatedAt = null;
+    return kept;
+  }
+
+  /**
+   * Generation settings for AI requests made from this stream
+   * @returns {Object} - { systemPrompt, temperature, maxTokens, stopSequences }
+   */
+  getAISettings() {
+    return {
+      systemPrompt: this.systemPrompt,
+      temperature: this.temperature,
+      maxTokens: this.maxTokens,
+      stopSequences: this.stopSequences
+    };
+  }
+
   /**
    * Get all cards in this stream with proper ordering
    * @returns {Promise<Array<Object>>} - Array of cards with stream metadata
@@ -255,9 +538,9 @@ class Stream {
   async getCardCount() {
     const result = await query(`
       SELECT COUNT(*) as count 
-      FROM stream_cards sc
-      JOIN cards c ON sc.card_id = c.id
-      WHERE sc.stream_id = $1 AND c.is_active = true
+      FROM stream_items_view si
+      JOIN cards c ON si.card_id = c.id
+      WHERE si.stream_id = $1 AND c.is_active = true
     `, [this.id]);
 
     return parseInt(result.rows[0].count);
@@ -300,6 +583,9 @@ class Stream {
       // Delete stream_files relationships
       await client.query('DELETE FROM stream_files WHERE stream_id = $1', [this.id]);
       
+      // Delete stream_chat_threads relationships
+      await client.query('DELETE FROM stream_chat_threads WHERE stream_id = $1', [this.id]);
+      
       // Finally, delete the stream itself
       await client.query('DELETE FROM streams WHERE id = $1', [this.id]);
       
@@ -316,10 +602,10 @@ class Stream {
     return await transaction(async (client) => {
       // Create new stream
       const streamResult = await client.query(`
-        INSERT INTO streams (brain_id, name, is_favorited)
-        VALUES ($1, $2, false)
+        INSERT INTO streams (brain_id, name, is_favorited, system_prompt, ai_temperature, ai_max_tokens, ai_stop_sequences, smart_query, smart_limit)
+        VALUES ($1, $2, false, $3, $4, $5, $6, $7, $8)
         RETURNING *
-      `, [this.brainId, newName]);
+      `, [this.brainId, newName, this.systemPrompt, this.temperature, this.maxTokens, this.stopSequences, this.smartQuery, this.smartLimit]);
 
       const newStream = new Stream(streamResult.rows[0]);
 
@@ -353,6 +639,11 @@ class Stream {
       isFavorited: this.isFavorited,
       cardCount,
       aiContextCount,
+      aiSettings: this.getAISettings(),
+      isSmart: this.isSmart(),
+      smartQuery: this.smartQuery,
+      smartLimit: this.smartLimit,
+      smartEvaluatedAt: this.smartEvaluatedAt,
       createdAt: this.createdAt,
       lastAccessedAt: this.lastAccessedAt
     };
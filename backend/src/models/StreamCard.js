@@ -1,4 +1,5 @@
 const { query, transaction } = require('./database');
+const Stream = require('./Stream');
 
 /**
  * StreamCard Model
@@ -33,7 +34,7 @@ class StreamCard {
     return await transaction(async (client) => {
       // Verify stream exists
       const streamResult = await client.query(
-        'SELECT id FROM streams WHERE id = $1',
+        'SELECT * FROM streams WHERE id = $1',
         [streamId]
       );
 
@@ -41,6 +42,9 @@ class StreamCard {
         throw new Error('Stream not found');
       }
 
+      // Smart streams get their items from their query
+      new Stream(streamResult.rows[0]).assertEditable();
+
       // Verify card exists and is active
       const cardResult = await client.query(
         'SELECT id FROM cards WHERE id = $1 AND is_active = true',
@@ -1,4 +1,5 @@
 const { query, transaction } = require('./database');
+const Stream = require('./Stream');
 
 /**
  * StreamFile Model
@@ -32,7 +33,7 @@ class StreamFile {
     return await transaction(async (client) => {
       // Verify stream exists
       const streamResult = await client.query(
-        'SELECT id FROM streams WHERE id = $1',
+        'SELECT * FROM streams WHERE id = $1',
         [streamId]
       );
 
@@ -40,6 +41,9 @@ class StreamFile {
         throw new Error('Stream not found');
       }
 
+      // Smart streams get their items from their query
+      new Stream(streamResult.rows[0]).assertEditable();
+
       // Verify file exists
       const fileResult = await client.query(
         'SELECT id FROM files WHERE id = $1',
@@ -160,7 +164,8 @@ class StreamFile {
         is_collapsed,
         added_at,
         card_id,
-        file_id
+        file_id,
+        thread_id
       FROM stream_items_view
       WHERE stream_id = $1
       ORDER BY position
@@ -168,6 +173,7 @@ class StreamFile {
 
     const items = [];
     const Card = require('./Card');
+    const ChatThread = require('./ChatThread');
 
     for (const row of result.rows) {
       if (row.item_type === 'card') {
@@ -183,13 +189,8 @@ class StreamFile {
           items.push(cardData);
         }
       } else if (row.item_type === 'file') {
-        // Get full file data
-        const fileResult = await query(`
-          SELECT f.*, sf.position, sf.depth, sf.is_collapsed, sf.added_at
-          FROM files f
-          JOIN stream_files sf ON f.id = sf.file_id
-          WHERE sf.file_id = $1
-        `, [row.file_id]);
+        // Get full file data (placement comes from the view, which also covers smart stream matches)
+        const fileResult = await query('SELECT * FROM files WHERE id = $1', [row.file_id]);
 
         if (fileResult.rows.length > 0) {
           const fileRow = fileResult.rows[0];
@@ -212,14 +213,26 @@ class StreamFile {
             processingStatus: fileRow.processing_status,
             uploadedAt: fileRow.uploaded_at,
             // Stream metadata
-            position: fileRow.position,
-            depth: fileRow.depth,
-            isCollapsed: fileRow.is_collapsed,
-            addedAt: fileRow.added_at,
+            position: row.position,
+            depth: row.depth,
+            isCollapsed: row.is_collapsed,
+            addedAt: row.added_at,
             itemType: 'file'
           };
           items.push(fileData);
         }
+      } else if (row.item_type === 'thread') {
+        // Get chat thread summary (messages are loaded by the thread itself)
+        const thread = await ChatThread.findById(row.thread_id);
+        if (thread) {
+          const threadData = await thread.toJSON(false);
+          threadData.position = row.position;
+          threadData.depth = row.depth;
+          threadData.isCollapsed = row.is_collapsed;
+          threadData.addedAt = row.added_at;
+          threadData.itemType = 'thread';
+          items.push(threadData);
+        }
       }
     }
 
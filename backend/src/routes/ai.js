@@ -1,6 +1,21 @@
 const express = require('express');
-const { AIProviderService } = require('../services/aiProviders');
+const { AIProviderService, buildPromptMessages } = require('../services/aiProviders');
+const generationRunner = require('../services/generationRunner');
+const GenerationJob = require('../models/GenerationJob');
+const ContextBuilder = require('../services/contextBuilder');
+const tokenizer = require('../services/tokenizer');
+const brainIndex = require('../services/brainIndex');
 const CardFactory = require('../services/CardFactory');
+const linkParser = require('../services/linkParser');
+const Card = require('../models/Card');
+const Stream = require('../models/Stream');
+const PromptTemplate = require('../models/PromptTemplate');
+const PromptVariables = require('../services/promptVariables');
+const AITransforms = require('../services/aiTransforms');
+const AgentTools = require('../services/agentTools');
+const ImageInputs = require('../services/imageInputs');
+const UsageTracker = require('../services/usageTracker');
+const { BudgetExceededError, ValidationError } = require('../utils/apiError');
 const { query } = require('../models/database');
 const { requireAuth } = require('../middleware/auth');
 
@@ -10,6 +25,52 @@ const validateUUID = (id) => {
   return uuidRegex.test(id);
 };
 
+// Load a card only if it belongs to one of the user's brains
+const getOwnedCard = async (cardId, userId) => {
+  const result = await query(`
+    SELECT c.id, c.brain_id FROM cards c
+    JOIN brains b ON c.brain_id = b.id
+    WHERE c.id = $1 AND b.user_id = $2
+  `, [cardId, userId]);
+  return result.rows[0] || null;
+};
+
+// Check that a brain belongs to the user
+const ownsBrain = async (brainId, userId) => {
+  const result = await query(
+    'SELECT id FROM brains WHERE id = $1 AND user_id = $2',
+    [brainId, userId]
+  );
+  return result.rows.length > 0;
+};
+
+// Refuse AI calls once the user's monthly budget is spent (responds 402)
+const checkBudget = async (req, res) => {
+  try {
+    await UsageTracker.assertWithinBudget(req.session.userId);
+    return true;
+  } catch (error) {
+    if (error instanceof BudgetExceededError) {
+      res.status(402).json({
+        error: 'AI budget exceeded',
+        message: error.message,
+        budget: error.details
+      });
+      return false;
+    }
+    throw error;
+  }
+};
+
+// Load a generation job only if it belongs to one of the user's brains
+const getOwnedJob = async (jobId, userId) => {
+  const job = await GenerationJob.findById(jobId);
+  if (!job) {
+    return null;
+  }
+  return await ownsBrain(job.brainId, userId) ? job : null;
+};
+
 const router = express.Router();
 const aiService = new AIProviderService();
 
@@ -19,14 +80,15 @@ const aiService = new AIProviderService();
  */
 router.get('/test', async (req, res) => {
   try {
-    const models = aiService.getAvailableModels();
+    const models = await aiService.getAvailableModels();
     res.json({ 
       status: 'ok',
       modelsAvailable: models.length,
       providers: {
         openai: !!process.env.OPENAI_API_KEY,
         anthropic: !!process.env.ANTHROPIC_API_KEY,
-        google: !!process.env.GOOGLE_AI_API_KEY
+        google: !!process.env.GOOGLE_AI_API_KEY,
+        local: !!process.env.LOCAL_AI_BASE_URL
       }
     });
   } catch (error) {
@@ -47,7 +109,7 @@ router.post('/test-generate', requireAuth, async (req, res) => {
     const { prompt, model } = req.body;
     console.log('🧪 Testing AI generation with model:', model);
     
-    const models = aiService.getAvailableModels();
+    const models = await aiService.getAvailableModels();
     const selectedModel = models.find(m => m.id === model);
     
     if (!selectedModel) {
@@ -80,7 +142,7 @@ router.post('/test-generate', requireAuth, async (req, res) => {
  */
 router.get('/models', requireAuth, async (req, res) => {
   try {
-    const models = aiService.getAvailableModels();
+    const models = await aiService.getAvailableModels();
     res.json({ models });
   } catch (error) {
     console.error('❌ Get AI models error:', error);
@@ -92,121 +154,243 @@ router.get('/models', requireAuth, async (req, res) => {
 });
 
 /**
- * GET /api/ai/stream/:cardId
- * Stream AI generation for a specific card
+ * GET /api/ai/transforms
+ * List the structured transform modes a generation can run in
  */
-router.get('/stream/:cardId', requireAuth, async (req, res) => {
+router.get('/transforms', requireAuth, (req, res) => {
+  res.json({ transforms: AITransforms.list() });
+});
+
+/**
+ * GET /api/ai/tools
+ * List the tools an agent generation can call, and which need approval
+ */
+router.get('/tools', requireAuth, (req, res) => {
+  res.json({ tools: AgentTools.list() });
+});
+
+/**
+ * POST /api/ai/tokens/count
+ * Count tokens with the model's tokenizer, for texts and/or cards and files as
+ * they would be sent as AI context, plus attached images.
+ * Body: { model, text, brainId, itemIds, images }
+ */
+router.post('/tokens/count', requireAuth, async (req, res) => {
   try {
-    const { cardId } = req.params;
-    console.log('📨 AI stream request for card:', cardId);
-    
-    if (!cardId || !validateUUID(cardId)) {
+    const { model, text = '', brainId, itemIds = [], images = [] } = req.body;
+
+    if (!model || typeof model !== 'string') {
       return res.status(400).json({
-        error: 'Invalid card ID',
-        message: 'A valid card ID is required'
+        error: 'Validation failed',
+        message: 'Model is required'
       });
     }
 
-    // Get card details to extract generation parameters
-    const cardResult = await query(
-      'SELECT brain_id, content_preview FROM cards WHERE id = $1',
-      [cardId]
-    );
-    
-    if (cardResult.rows.length === 0) {
-      return res.status(404).json({
-        error: 'Card not found',
-        message: 'The specified card does not exist'
+    if (typeof text !== 'string') {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'text must be a string'
       });
     }
 
-    const brainId = cardResult.rows[0].brain_id;
-    
-    // Parse generation parameters from content_preview
-    let params;
+    if (!Array.isArray(itemIds) || !itemIds.every(validateUUID)) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'itemIds must be an array of card or file IDs'
+      });
+    }
+
+    if (itemIds.length > 0 || (Array.isArray(images) && images.length > 0)) {
+      if (!brainId || !validateUUID(brainId)) {
+        return res.status(400).json({
+          error: 'Invalid brain ID',
+          message: 'A valid brain ID is required to count cards, files and images'
+        });
+      }
+      if (!await ownsBrain(brainId, req.session.userId)) {
+        return res.status(404).json({
+          error: 'Brain not found',
+          message: 'The specified brain does not exist'
+        });
+      }
+    }
+
+    const modelInfo = (await aiService.getAvailableModels()).find(m => m.id === model);
+    const sources = itemIds.length > 0 ? await ContextBuilder.loadSources(brainId, itemIds) : new Map();
+
+    const items = itemIds.map(id => {
+      const source = sources.get(id);
+      if (!source) {
+        return { id, found: false, tokens: 0 };
+      }
+      return {
+        id,
+        found: true,
+        type: source.type,
+        title: source.title,
+        tokens: tokenizer.count(`# ${source.title}\n\n${source.text}`, model)
+      };
+    });
+
+    let imageItems;
     try {
-      params = JSON.parse(cardResult.rows[0].content_preview || '{}');
-    } catch (e) {
-      params = { prompt: 'Generate content', model: 'gpt-4o', contextCardIds: [] };
+      imageItems = (await ImageInputs.resolve(brainId, images))
+        .map(image => ImageInputs.describe(image, tokenizer.countImage(image, model)));
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(400).json({
+          error: 'Invalid image',
+          message: error.message
+        });
+      }
+      throw error;
     }
 
-    const { prompt = 'Generate content', model = 'gpt-4o', contextCardIds = [] } = params;
-    
-    res.writeHead(200, {
-      'Content-Type': 'text/event-stream',
-      'Cache-Control': 'no-cache',
-      'Connection': 'keep-alive',
-      'Access-Control-Allow-Origin': req.headers.origin || 'https://dev.jimboslice.xyz',
-      'Access-Control-Allow-Credentials': 'true',
-      'Access-Control-Allow-Headers': 'Cache-Control, Content-Type'
+    const textTokens = tokenizer.count(text, model);
+    const contextLimit = modelInfo ? modelInfo.contextLimit : null;
+
+    res.json({
+      model,
+      ...tokenizer.getEncodingInfo(model),
+      contextLimit,
+      vision: modelInfo ? Boolean(modelInfo.vision) : null,
+      reserveTokens: contextLimit ? ContextBuilder.getReserveTokens(contextLimit) : null,
+      textTokens,
+      items,
+      images: imageItems,
+      totalTokens: textTokens
+        + items.reduce((sum, item) => sum + item.tokens, 0)
+        + imageItems.reduce((sum, image) => sum + image.tokens, 0)
     });
 
-    res.write(`data: ${JSON.stringify({
-      type: 'start',
-      model: model
-    })}\n\n`);
+  } catch (error) {
+    console.error('❌ Token count error:', error);
+    res.status(500).json({
+      error: 'Failed to count tokens',
+      message: error.message
+    });
+  }
+});
 
-    console.log(`🤖 Starting real AI generation with ${model} for prompt: ${prompt.substring(0, 50)}...`);
+/**
+ * Stream a generation job to the client as Server-Sent Events.
+ * Event ids are character offsets into the output, so a reconnecting
+ * EventSource (which sends Last-Event-ID) only receives what it missed.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {GenerationJob} job - Job to stream
+ */
+const streamJob = async (req, res, job) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'Access-Control-Allow-Origin': req.headers.origin || 'https://dev.jimboslice.xyz',
+    'Access-Control-Allow-Credentials': 'true',
+    'Access-Control-Allow-Headers': 'Cache-Control, Content-Type, Last-Event-ID'
+  });
 
-    let currentContent = '';
+  const lastEventId = parseInt(req.headers['last-event-id'], 10);
+  const resumeFrom = Number.isInteger(lastEventId) && lastEventId > 0 ? lastEventId : 0;
 
-    const onChunk = async (chunk) => {
-      currentContent += chunk;
-      
-      // Update card in database
-      await query('UPDATE cards SET content_preview = $1 WHERE id = $2', [currentContent, cardId]);
-      
-      res.write(`data: ${JSON.stringify({
-        type: 'chunk',
-        content: chunk,
-        totalContent: currentContent
-      })}\n\n`);
-    };
+  const send = (data, id = null) => {
+    if (res.writableEnded) return;
+    if (id !== null) {
+      res.write(`id: ${id}\n`);
+    }
+    res.write(`data: ${JSON.stringify({ jobId: job.id, ...data })}\n\n`);
+  };
 
-    const onComplete = () => {
-      res.write(`data: ${JSON.stringify({
-        type: 'complete',
-        totalContent: currentContent
-      })}\n\n`);
-      res.end();
-    };
+  // Ask the browser to reconnect quickly if the connection drops
+  res.write('retry: 2000\n\n');
+  send({ type: 'start', model: job.model, status: job.status, resumed: resumeFrom > 0 });
+  if (job.contextReport) {
+    send({ type: 'context', report: job.contextReport });
+  }
 
-    const onError = (error) => {
-      console.error('AI generation error:', error);
-      res.write(`data: ${JSON.stringify({
-        type: 'error',
-        message: error.message
-      })}\n\n`);
+  const subscription = generationRunner.subscribe(job.id, (event) => {
+    send(event, event.totalContent !== undefined ? event.totalContent.length : null);
+    if (['complete', 'cancelled', 'error'].includes(event.type)) {
       res.end();
-    };
+    }
+  });
 
-    // Get context cards if specified and format them properly
-    const context = [];
-    if (contextCardIds.length > 0) {
-      const contextResult = await query(
-        'SELECT id, title, content_preview as content, created_at FROM cards WHERE id = ANY($1) AND brain_id = $2 ORDER BY created_at ASC',
-        [contextCardIds, brainId]
-      );
-      
-      // Format context cards with proper structure for AI
-      context.push(...contextResult.rows.map(card => ({
-        id: card.id,
-        title: card.title || 'Untitled',
-        content: card.content || '',
-        contextText: `# ${card.title || 'Untitled'}\n\n${card.content || ''}`
-      })));
-      
-      console.log(`📄 Using ${context.length} context cards for AI generation`);
+  if (subscription) {
+    if (subscription.output.length > resumeFrom) {
+      send({
+        type: 'chunk',
+        content: subscription.output.slice(resumeFrom),
+        totalContent: subscription.output
+      }, subscription.output.length);
     }
+    // Tool call events carry no offset, so a reattaching client gets them all again
+    for (const call of subscription.toolCalls) {
+      send({ type: 'tool_call', call });
+    }
+    res.on('close', subscription.unsubscribe);
+    return;
+  }
 
-    try {
-      // Use the AI service for real generation
-      await aiService.generateStreaming(model, prompt, context, onChunk, onComplete, onError);
-    } catch (error) {
-      console.error('❌ AI Service Error:', error);
-      onError(error);
+  // Not running in this process: report the stored result
+  const storedJob = await GenerationJob.findById(job.id);
+  const output = storedJob.output || '';
+  if (storedJob.status === 'complete') {
+    send({
+      type: 'complete',
+      totalContent: output,
+      usage: storedJob.toJSON().usage,
+      cards: storedJob.resultCardIds,
+      toolCalls: storedJob.toolCalls
+    }, output.length);
+  } else if (storedJob.status === 'cancelled') {
+    send({ type: 'cancelled', totalContent: output }, output.length);
+  } else if (storedJob.isActive()) {
+    send({ type: 'error', status: storedJob.status, message: 'Generation is no longer running' });
+  } else {
+    send({
+      type: 'error',
+      status: storedJob.status,
+      message: storedJob.errorMessage || `Generation ${storedJob.status}`,
+      totalContent: output
+    }, output.length);
+  }
+  res.end();
+};
+
+/**
+ * GET /api/ai/stream/:cardId
+ * Attach to the latest generation job for a card
+ */
+router.get('/stream/:cardId', requireAuth, async (req, res) => {
+  try {
+    const { cardId } = req.params;
+    console.log('📨 AI stream request for card:', cardId);
+    
+    if (!cardId || !validateUUID(cardId)) {
+      return res.status(400).json({
+        error: 'Invalid card ID',
+        message: 'A valid card ID is required'
+      });
+    }
+
+    const card = await getOwnedCard(cardId, req.session.userId);
+    if (!card) {
+      return res.status(404).json({
+        error: 'Card not found',
+        message: 'The specified card does not exist'
+      });
     }
 
+    const job = await GenerationJob.findLatestByCardId(cardId);
+    if (!job) {
+      return res.status(404).json({
+        error: 'Generation not found',
+        message: 'No generation has been started for this card'
+      });
+    }
+
+    await streamJob(req, res, job);
+
   } catch (error) {
     console.error('❌ AI stream error:', error);
     if (!res.headersSent) {
@@ -214,47 +398,720 @@ router.get('/stream/:cardId', requireAuth, async (req, res) => {
         error: 'Failed to stream AI content',
         message: error.message
       });
+    } else {
+      res.end();
     }
   }
 });
 
 /**
  * POST /api/ai/generate-streaming
- * Generate AI content with streaming response (original endpoint)
+ * Start a generation job for a card; output is streamed from /api/ai/stream/:cardId
+ * With mode 'agent' the model can call AgentTools; calls that change the brain
+ * wait for POST /api/ai/jobs/:id/tool-calls/:callId
  */
 router.post('/generate-streaming', requireAuth, async (req, res) => {
   try {
     console.log('📨 AI generate streaming request received');
-    const { brainId, streamId, cardId, prompt, model, contextCardIds = [] } = req.body;
-    console.log('📝 Request details:', { brainId, streamId, cardId, model, prompt: prompt?.substring(0, 50) });
+    const { streamId, cardId, templateId, model, mode = 'text', contextCardIds = [], images = [], parameters = {} } = req.body;
+    let { prompt } = req.body;
+    console.log('📝 Request details:', { streamId, cardId, model, templateId, mode, prompt: prompt?.substring(0, 50) });
+
+    if (!cardId || !validateUUID(cardId)) {
+      return res.status(400).json({
+        error: 'Invalid card ID',
+        message: 'A valid card ID is required'
+      });
+    }
+
+    if (streamId && !validateUUID(streamId)) {
+      return res.status(400).json({
+        error: 'Invalid stream ID',
+        message: 'Stream ID must be a valid UUID'
+      });
+    }
+
+    if (templateId) {
+      const template = validateUUID(templateId) ? await PromptTemplate.findById(templateId) : null;
+      if (!template || template.userId !== req.session.userId) {
+        return res.status(404).json({
+          error: 'Template not found',
+          message: 'The specified prompt template does not exist'
+        });
+      }
+      // Anything typed alongside a template is appended to it
+      prompt = prompt && prompt.trim() ? `${template.template}\n\n${prompt.trim()}` : template.template;
+    }
+
+    if (!prompt || typeof prompt !== 'string' || prompt.trim().length === 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Prompt is required'
+      });
+    }
+
+    if (!Array.isArray(contextCardIds) || !contextCardIds.every(validateUUID)) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'contextCardIds must be an array of card IDs'
+      });
+    }
+
+    if (mode !== 'text' && mode !== 'agent' && !AITransforms.isTransform(mode)) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: `Unknown mode: ${mode}`
+      });
+    }
+
+    // Per-request parameters override the stream's settings
+    const parameterValidation = parameters && typeof parameters === 'object' && !Array.isArray(parameters)
+      ? Stream.validateAISettings(parameters)
+      : { isValid: false, errors: { parameters: 'parameters must be an object' } };
+    if (!parameterValidation.isValid) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Invalid generation parameters',
+        fields: parameterValidation.errors
+      });
+    }
+
+    const card = await getOwnedCard(cardId, req.session.userId);
+    if (!card) {
+      return res.status(404).json({
+        error: 'Card not found',
+        message: 'The specified card does not exist'
+      });
+    }
+
+    // The job writes cards into this stream, so it must be one of the card's brain
+    const stream = streamId ? await Stream.findById(streamId) : null;
+    if (streamId && (!stream || stream.brainId !== card.brain_id)) {
+      return res.status(404).json({
+        error: 'Stream not found',
+        message: 'The stream does not exist in this brain'
+      });
+    }
+    const jobStreamId = stream ? stream.id : null;
+
+    // A transform replaces its card with the cards it creates; only an empty placeholder may go
+    if (AITransforms.isTransform(mode)) {
+      const target = await Card.findById(cardId);
+      if ((await target.getContent()).trim()) {
+        return res.status(400).json({
+          error: 'Card not empty',
+          message: 'Transforms replace their card; start them on a new empty card'
+        });
+      }
+    }
+
+    if (!await checkBudget(req, res)) {
+      return;
+    }
+
+    const selectedModel = (await aiService.getAvailableModels()).find(m => m.id === model);
+    if (!selectedModel) {
+      return res.status(400).json({
+        error: 'Model not found',
+        message: `Model ${model} not found or not available`
+      });
+    }
+
+    if (mode === 'agent' && !selectedModel.tools) {
+      return res.status(400).json({
+        error: 'Model cannot call tools',
+        message: `${selectedModel.name} cannot call tools; pick another model for agent mode`
+      });
+    }
 
-    // Store generation parameters in the card for the streaming endpoint to use
-    await query(
-      'UPDATE cards SET content_preview = $1 WHERE id = $2',
-      [JSON.stringify({ prompt, model, contextCardIds, status: 'ready' }), cardId]
-    );
+    if (Array.isArray(images) && images.length > 0 && !selectedModel.vision) {
+      return res.status(400).json({
+        error: 'Model does not accept images',
+        message: `${selectedModel.name} cannot read images; pick a vision model or remove the images`
+      });
+    }
+
+    let resolvedImages;
+    try {
+      resolvedImages = await ImageInputs.resolve(card.brain_id, images);
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(400).json({
+          error: 'Invalid image',
+          message: error.message
+        });
+      }
+      throw error;
+    }
+    const imageReport = resolvedImages.map(image => ImageInputs.describe(image, tokenizer.countImage(image, model)));
+    const imageTokens = imageReport.reduce((sum, image) => sum + image.tokens, 0);
+
+    const generationParameters = {
+      ...(stream ? stream.getAISettings() : {}),
+      ...parameterValidation.values
+    };
+    const reserveTokens = generationParameters.maxTokens || ContextBuilder.getReserveTokens(selectedModel.contextLimit);
+
+    // Resolve {{variables}}; a prompt that places {{selection}} itself gets no separate context
+    let context = [];
+    let contextReport = null;
+    let unresolvedVariables = [];
+    let usedSelection = false;
+    if (PromptVariables.hasVariables(prompt)) {
+      const resolved = await PromptVariables.resolve(prompt, {
+        brainId: card.brain_id,
+        streamId: jobStreamId,
+        selectionIds: contextCardIds,
+        contextLimit: selectedModel.contextLimit,
+        model
+      });
+      prompt = resolved.prompt;
+      contextReport = resolved.contextReport;
+      unresolvedVariables = resolved.unresolved;
+      usedSelection = resolved.usedSelection;
+    }
+
+    // Transforms ask for JSON that becomes several cards when the job completes
+    if (AITransforms.isTransform(mode)) {
+      prompt = AITransforms.buildPrompt(mode, prompt);
+    }
+
+    if (!usedSelection) {
+      // Full card bodies and file text, fitted to the model's context window
+      ({ context, report: contextReport } = await ContextBuilder.build(card.brain_id, contextCardIds, {
+        contextLimit: selectedModel.contextLimit,
+        model,
+        promptText: [generationParameters.systemPrompt, prompt].filter(Boolean).join('\n\n'),
+        reserveTokens,
+        imageTokens
+      }));
+    }
+
+    if (imageReport.length > 0) {
+      contextReport = { ...(contextReport || {}), imageTokens, images: imageReport };
+    }
+
+    // Context is trimmed to fit, but the prompt and images can't be: refuse before calling the provider
+    const promptMessages = buildPromptMessages(prompt, context, generationParameters.systemPrompt, resolvedImages);
+    const promptTokens = tokenizer.countMessages(promptMessages, model);
+    const maxPromptTokens = selectedModel.contextLimit - reserveTokens;
+    if (promptTokens > maxPromptTokens) {
+      return res.status(413).json({
+        error: 'Prompt too long',
+        message: `The prompt is ${promptTokens} tokens; ${model} accepts at most ${maxPromptTokens} with room for a reply`,
+        promptTokens,
+        maxPromptTokens,
+        contextLimit: selectedModel.contextLimit
+      });
+    }
+
+    const job = await GenerationJob.create({
+      userId: req.session.userId,
+      brainId: card.brain_id,
+      streamId: jobStreamId,
+      cardId,
+      model,
+      provider: selectedModel.provider,
+      prompt,
+      contextCardIds,
+      contextReport,
+      mode,
+      parameters: generationParameters
+    });
+
+    await generationRunner.start(job, context, resolvedImages);
 
     res.json({
       success: true,
       message: 'Generation initiated',
+      jobId: job.id,
+      contextReport,
+      unresolvedVariables,
       streamUrl: `/api/ai/stream/${cardId}`
     });
 
   } catch (error) {
     console.error('❌ AI generation error:', error);
+    res.status(500).json({
+      error: 'Failed to generate AI content',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/ai/jobs
+ * List generation jobs in a brain (filter by streamId, cardId, status)
+ */
+router.get('/jobs', requireAuth, async (req, res) => {
+  try {
+    const { brainId, streamId, cardId, status, limit = 50 } = req.query;
+
+    if (!brainId || !validateUUID(brainId)) {
+      return res.status(400).json({
+        error: 'Invalid brain ID',
+        message: 'A valid brain ID is required'
+      });
+    }
+
+    if ((streamId && !validateUUID(streamId)) || (cardId && !validateUUID(cardId))) {
+      return res.status(400).json({
+        error: 'Invalid ID',
+        message: 'Stream ID and card ID must be valid UUIDs'
+      });
+    }
+
+    if (!await ownsBrain(brainId, req.session.userId)) {
+      return res.status(404).json({
+        error: 'Brain not found',
+        message: 'The specified brain does not exist'
+      });
+    }
+
+    const jobs = await GenerationJob.findByBrainId(brainId, {
+      streamId,
+      cardId,
+      statuses: status ? status.split(',') : null,
+      limit: Math.min(parseInt(limit, 10) || 50, 200)
+    });
+
+    res.json({
+      jobs: jobs.map(job => job.toJSON()),
+      count: jobs.length
+    });
+
+  } catch (error) {
+    console.error('❌ List generation jobs error:', error);
+    res.status(500).json({
+      error: 'Failed to list generation jobs',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/ai/jobs/:id
+ * Get a generation job
+ */
+router.get('/jobs/:id', requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!validateUUID(id)) {
+      return res.status(400).json({
+        error: 'Invalid job ID',
+        message: 'Job ID must be a valid UUID'
+      });
+    }
+
+    const job = await getOwnedJob(id, req.session.userId);
+    if (!job) {
+      return res.status(404).json({
+        error: 'Generation not found',
+        message: 'The specified generation job does not exist'
+      });
+    }
+
+    res.json({ job: job.toJSON() });
+
+  } catch (error) {
+    console.error('❌ Get generation job error:', error);
+    res.status(500).json({
+      error: 'Failed to get generation job',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/ai/jobs/:id/stream
+ * Attach to a generation job by ID
+ */
+router.get('/jobs/:id/stream', requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!validateUUID(id)) {
+      return res.status(400).json({
+        error: 'Invalid job ID',
+        message: 'Job ID must be a valid UUID'
+      });
+    }
+
+    const job = await getOwnedJob(id, req.session.userId);
+    if (!job) {
+      return res.status(404).json({
+        error: 'Generation not found',
+        message: 'The specified generation job does not exist'
+      });
+    }
+
+    await streamJob(req, res, job);
+
+  } catch (error) {
+    console.error('❌ Generation job stream error:', error);
     if (!res.headersSent) {
       res.status(500).json({
-        error: 'Failed to generate AI content',
+        error: 'Failed to stream generation job',
         message: error.message
       });
     } else {
-      res.write(`data: ${JSON.stringify({
-        type: 'error',
-        message: error.message
-      })}\n\n`);
       res.end();
     }
   }
 });
 
+/**
+ * POST /api/ai/jobs/:id/cancel
+ * Cancel a generation, aborting the upstream provider request
+ */
+router.post('/jobs/:id/cancel', requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!validateUUID(id)) {
+      return res.status(400).json({
+        error: 'Invalid job ID',
+        message: 'Job ID must be a valid UUID'
+      });
+    }
+
+    const job = await getOwnedJob(id, req.session.userId);
+    if (!job) {
+      return res.status(404).json({
+        error: 'Generation not found',
+        message: 'The specified generation job does not exist'
+      });
+    }
+
+    if (!job.isActive()) {
+      return res.status(409).json({
+        error: 'Generation not running',
+        message: `Generation already ${job.status}`,
+        job: job.toJSON()
+      });
+    }
+
+    const cancelled = await generationRunner.cancel(id);
+    if (!cancelled) {
+      // Active in the database but not running here (e.g. left over from a restart)
+      await job.finish('cancelled', { output: job.output || '', errorMessage: 'Cancelled by user' });
+    }
+
+    const updatedJob = await GenerationJob.findById(id);
+    res.json({
+      job: updatedJob.toJSON(),
+      message: 'Generation cancelled'
+    });
+
+  } catch (error) {
+    console.error('❌ Cancel generation job error:', error);
+    res.status(500).json({
+      error: 'Failed to cancel generation',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/ai/jobs/:id/tool-calls/:callId
+ * Approve or reject an agent tool call that is waiting for confirmation
+ * Body: { approved: boolean }
+ */
+router.post('/jobs/:id/tool-calls/:callId', requireAuth, async (req, res) => {
+  try {
+    const { id, callId } = req.params;
+    const { approved } = req.body;
+
+    if (!validateUUID(id)) {
+      return res.status(400).json({
+        error: 'Invalid job ID',
+        message: 'Job ID must be a valid UUID'
+      });
+    }
+
+    if (typeof approved !== 'boolean') {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'approved must be true or false'
+      });
+    }
+
+    const job = await getOwnedJob(id, req.session.userId);
+    if (!job) {
+      return res.status(404).json({
+        error: 'Generation not found',
+        message: 'The specified generation job does not exist'
+      });
+    }
+
+    if (!generationRunner.confirmToolCall(id, callId, approved)) {
+      return res.status(409).json({
+        error: 'Tool call not waiting',
+        message: 'This tool call is not waiting for confirmation'
+      });
+    }
+
+    res.json({
+      jobId: id,
+      callId,
+      approved,
+      message: approved ? 'Tool call approved' : 'Tool call rejected'
+    });
+
+  } catch (error) {
+    console.error('❌ Confirm tool call error:', error);
+    res.status(500).json({
+      error: 'Failed to confirm tool call',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/ai/index
+ * Bring a brain's embedding index up to date (force=true re-embeds everything)
+ */
+router.post('/index', requireAuth, async (req, res) => {
+  try {
+    const { brainId, force = false } = req.body;
+
+    if (!brainId || !validateUUID(brainId)) {
+      return res.status(400).json({
+        error: 'Invalid brain ID',
+        message: 'A valid brain ID is required'
+      });
+    }
+
+    if (!await ownsBrain(brainId, req.session.userId)) {
+      return res.status(404).json({
+        error: 'Brain not found',
+        message: 'The specified brain does not exist'
+      });
+    }
+
+    const stats = await brainIndex.indexBrain(brainId, { force: force === true });
+
+    res.json({
+      stats,
+      message: 'Brain index updated'
+    });
+
+  } catch (error) {
+    console.error('❌ Index brain error:', error);
+    res.status(500).json({
+      error: 'Failed to index brain',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/ai/ask
+ * Answer a question from a brain's cards and files, citing the sources used.
+ * With streamId the answer is also saved as a card in that stream.
+ */
+router.post('/ask', requireAuth, async (req, res) => {
+  try {
+    const { brainId, question, model, topK = 6, streamId, position = null } = req.body;
+
+    if (!brainId || !validateUUID(brainId)) {
+      return res.status(400).json({
+        error: 'Invalid brain ID',
+        message: 'A valid brain ID is required'
+      });
+    }
+
+    if (!question || typeof question !== 'string' || question.trim().length === 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Question is required'
+      });
+    }
+
+    if (!model) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Model is required'
+      });
+    }
+
+    if (streamId && !validateUUID(streamId)) {
+      return res.status(400).json({
+        error: 'Invalid stream ID',
+        message: 'Stream ID must be a valid UUID'
+      });
+    }
+
+    if (!await ownsBrain(brainId, req.session.userId)) {
+      return res.status(404).json({
+        error: 'Brain not found',
+        message: 'The specified brain does not exist'
+      });
+    }
+
+    if (streamId) {
+      const stream = await Stream.findById(streamId);
+      if (!stream || stream.brainId !== brainId) {
+        return res.status(404).json({
+          error: 'Stream not found',
+          message: 'The stream does not exist in this brain'
+        });
+      }
+    }
+
+    const selectedModel = (await aiService.getAvailableModels()).find(m => m.id === model);
+    if (!selectedModel) {
+      return res.status(400).json({
+        error: 'Model not found',
+        message: `Model ${model} not found or not available`
+      });
+    }
+
+    if (!await checkBudget(req, res)) {
+      return;
+    }
+
+    const result = await brainIndex.ask(brainId, question.trim(), {
+      model,
+      topK: Math.min(Math.max(parseInt(topK, 10) || 6, 1), 20)
+    });
+
+    await UsageTracker.record({
+      userId: req.session.userId,
+      brainId,
+      model: result.servedBy.model,
+      provider: result.servedBy.provider || selectedModel.provider,
+      source: 'ask',
+      usage: result.usage
+    });
+
+    let card = null;
+    if (streamId) {
+      const content = brainIndex.formatAnswer(question.trim(), result);
+      card = await CardFactory.createUntitledCard(brainId, streamId, content, { position });
+      await linkParser.processCardLinks(card.id, content);
+    }
+
+    res.json({
+      answer: result.answer,
+      citations: result.citations,
+      usage: result.usage,
+      servedBy: result.servedBy.model,
+      card: card ? await card.toJSON() : null
+    });
+
+  } catch (error) {
+    console.error('❌ Ask brain error:', error);
+    res.status(500).json({
+      error: 'Failed to answer question',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/ai/usage
+ * Token usage and cost for the current user, grouped by model, provider,
+ * brain, source or day (default: this month, grouped by model)
+ */
+router.get('/usage', requireAuth, async (req, res) => {
+  try {
+    const { brainId, groupBy = 'model', from, to } = req.query;
+
+    if (brainId && !validateUUID(brainId)) {
+      return res.status(400).json({
+        error: 'Invalid brain ID',
+        message: 'Brain ID must be a valid UUID'
+      });
+    }
+
+    const fromDate = from ? new Date(from) : undefined;
+    const toDate = to ? new Date(to) : undefined;
+    if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'from and to must be valid dates'
+      });
+    }
+
+    if (brainId && !await ownsBrain(brainId, req.session.userId)) {
+      return res.status(404).json({
+        error: 'Brain not found',
+        message: 'The specified brain does not exist'
+      });
+    }
+
+    const summary = await UsageTracker.getSummary(req.session.userId, {
+      brainId,
+      groupBy,
+      from: fromDate,
+      to: toDate
+    });
+    const budget = await UsageTracker.getBudgetStatus(req.session.userId);
+
+    res.json({ ...summary, budget });
+
+  } catch (error) {
+    console.error('❌ AI usage error:', error);
+    if (error.message.startsWith('Invalid groupBy')) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      error: 'Failed to get AI usage',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/ai/usage/budget
+ * Monthly budget and spend for the current user
+ */
+router.get('/usage/budget', requireAuth, async (req, res) => {
+  try {
+    res.json({ budget: await UsageTracker.getBudgetStatus(req.session.userId) });
+  } catch (error) {
+    console.error('❌ AI budget error:', error);
+    res.status(500).json({
+      error: 'Failed to get AI budget',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/ai/usage/budget
+ * Set the current user's monthly budget in USD (null removes it)
+ */
+router.put('/usage/budget', requireAuth, async (req, res) => {
+  try {
+    const { budgetUsd } = req.body;
+    const value = budgetUsd === null || budgetUsd === undefined ? null : Number(budgetUsd);
+
+    const budget = await UsageTracker.setBudget(req.session.userId, value);
+
+    res.json({
+      budget,
+      message: value === null ? 'Budget removed' : 'Budget updated'
+    });
+
+  } catch (error) {
+    console.error('❌ Set AI budget error:', error);
+    if (error.message.startsWith('Invalid budget')) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      error: 'Failed to set AI budget',
+      message: error.message
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
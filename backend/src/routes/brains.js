@@ -5,6 +5,8 @@ const Card = require('../models/Card');
 const { requireAuth } = require('../middleware/auth');
 const { validateBrainName } = require('../utils/fileSystem');
 const { recreateWelcomeStream } = require('../services/welcomeContent');
+const linkSuggester = require('../services/linkSuggester');
+const linkGraph = require('../services/linkGraph');
 
 // All brain routes require authentication
 router.use(requireAuth);
@@ -448,6 +450,110 @@ router.post('/:id/sync', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/brains/:id/link-suggestions/analyze
+ * Suggest [[links]] between related cards across the whole brain
+ */
+router.post('/:id/link-suggestions/analyze', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!validateUUID(id)) {
+      return res.status(400).json({
+        error: 'Invalid brain ID',
+        message: 'Brain ID must be a valid UUID'
+      });
+    }
+
+    const validation = await validateBrainOwnership(id, req.session.userId);
+    if (!validation.valid) {
+      return res.status(validation.status).json({
+        error: validation.error,
+        message: validation.message
+      });
+    }
+
+    const stats = await linkSuggester.analyzeBrain(id);
+
+    res.json({
+      stats,
+      message: `Found ${stats.suggestions} link suggestions across ${stats.cards} cards`
+    });
+
+  } catch (error) {
+    console.error('❌ Analyze brain links error:', error);
+    res.status(500).json({
+      error: 'Failed to analyze links',
+      message: 'An error occurred while looking for link suggestions'
+    });
+  }
+});
+
+/**
+ * GET /api/brains/:id/graph
+ * Cards and [[links]] as a graph, for the whole brain or the neighbourhood of one card
+ * Query: cardId, hops (1-3), types (comma-separated card types), orphans, broken, crossBrain, limit
+ */
+router.get('/:id/graph', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { cardId, hops, types, orphans, broken, crossBrain, limit } = req.query;
+
+    if (!validateUUID(id)) {
+      return res.status(400).json({
+        error: 'Invalid brain ID',
+        message: 'Brain ID must be a valid UUID'
+      });
+    }
+
+    if (cardId && !validateUUID(cardId)) {
+      return res.status(400).json({
+        error: 'Invalid card ID',
+        message: 'Card ID must be a valid UUID'
+      });
+    }
+
+    const validation = await validateBrainOwnership(id, req.session.userId);
+    if (!validation.valid) {
+      return res.status(validation.status).json({
+        error: validation.error,
+        message: validation.message
+      });
+    }
+
+    const graph = await linkGraph.getGraph(id, {
+      cardId: cardId || null,
+      hops,
+      cardTypes: types ? types.split(',').map(type => type.trim()).filter(Boolean) : null,
+      includeOrphans: orphans !== 'false',
+      includeBroken: broken !== 'false',
+      crossBrain: crossBrain === 'true',
+      limit
+    });
+
+    res.json({
+      brainId: id,
+      brainName: validation.brain.name,
+      ...graph
+    });
+
+  } catch (error) {
+    console.error('❌ Get brain graph error:', error);
+
+    if (error.message.includes('not found in graph')) {
+      return res.status(404).json({
+        error: 'Card not found',
+        message: 'The card is not in this brain'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to build graph',
+      message: 'An error occurred while building the link graph'
+    });
+  }
+});
+
 /**
  * POST /api/brains/:id/welcome
  * Recreate welcome stream for existing brain (if user deleted it)
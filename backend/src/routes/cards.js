@@ -5,11 +5,18 @@ const path = require('path');
 const fs = require('fs-extra');
 
 const Card = require('../models/Card');
+const CardVersion = require('../models/CardVersion');
 const Brain = require('../models/Brain');
 const { requireAuth } = require('../middleware/auth');
 const cardProcessor = require('../services/cardProcessor');
 const linkParser = require('../services/linkParser');
+const linkRenamer = require('../services/linkRenamer');
+const { diffLines } = require('../utils/lineDiff');
 const CardFactory = require('../services/CardFactory');
+const linkSuggester = require('../services/linkSuggester');
+const unlinkedMentions = require('../services/unlinkedMentions');
+const LinkSuggestion = require('../models/LinkSuggestion');
+const { ValidationError } = require('../utils/apiError');
 const pdfProcessor = require('../utils/fileProcessors/pdfProcessor');
 const epubProcessor = require('../utils/fileProcessors/epubProcessor');
 
@@ -315,21 +322,30 @@ router.put('/:id', async (req, res) => {
         });
       }
 
-      await card.updateContent(content);
+      await card.updateContent(content, { userId: req.session.userId });
       
       // Process links in the updated content
       await linkParser.processCardLinks(card.id, content);
     }
 
+    // Renaming a titled card rewrites the [[links]] that point at it
+    let rename = null;
+    if (updates.title && card.hasTitle() && updates.title !== card.title) {
+      rename = await linkRenamer.renameCard(card.id, updates.title);
+      delete updates.title;
+    }
+
     // Update other fields if provided
     if (Object.keys(updates).length > 0) {
       await card.update(updates);
     }
 
-    const cardData = await card.toJSON(true);
+    const updatedCard = rename ? await Card.findById(id) : card;
+    const cardData = await updatedCard.toJSON(true);
 
     res.json({
       card: cardData,
+      ...(rename && { rename }),
       message: 'Card updated successfully'
     });
 
@@ -342,6 +358,13 @@ router.put('/:id', async (req, res) => {
         message: error.message
       });
     }
+
+    if (error.message.includes('cannot contain')) {
+      return res.status(400).json({
+        error: 'Invalid title',
+        message: error.message
+      });
+    }
     
     res.status(500).json({
       error: 'Failed to update card',
@@ -604,9 +627,14 @@ router.get('/:id/links', async (req, res) => {
       validation.card.getBacklinks()
     ]);
 
+    // Versioned links render the content of the version they name
+    const linkedVersions = await Promise.all(forwardLinks.map(link =>
+      link.targetVersion ? CardVersion.findByCardAndNumber(link.card.id, link.targetVersion) : null
+    ));
+
     res.json({
       cardId: id,
-      forwardLinks: forwardLinks.map(link => ({
+      forwardLinks: forwardLinks.map((link, index) => ({
         card: {
           id: link.card.id,
           title: link.card.title,
@@ -614,7 +642,8 @@ router.get('/:id/links', async (req, res) => {
           brainId: link.card.brainId
         },
         linkText: link.linkText,
-        position: link.position
+        position: link.position,
+        ...(linkedVersions[index] && { version: linkedVersions[index].toJSON(true) })
       })),
       backlinks: backlinks.map(link => ({
         card: {
@@ -641,6 +670,321 @@ router.get('/:id/links', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/cards/:id/links/resolved
+ * Get every [[link]] in the card with its target, anchor and alias, and the content of ![[embeds]]
+ */
+router.get('/:id/links/resolved', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!validateUUID(id)) {
+      return res.status(400).json({
+        error: 'Invalid card ID',
+        message: 'Card ID must be a valid UUID'
+      });
+    }
+
+    const validation = await validateCardOwnership(id, req.session.userId);
+    if (!validation.valid) {
+      const status = validation.error === 'Card not found' ? 404 : 403;
+      return res.status(status).json({
+        error: validation.error,
+        message: `Cannot access card links: ${validation.error}`
+      });
+    }
+
+    const links = await linkParser.getResolvedLinks(id);
+
+    res.json({
+      cardId: id,
+      links,
+      count: links.length
+    });
+
+  } catch (error) {
+    console.error('❌ Get resolved card links error:', error);
+    res.status(500).json({
+      error: 'Failed to resolve card links',
+      message: 'An error occurred while resolving card links'
+    });
+  }
+});
+
+/**
+ * GET /api/cards/:id/link-suggestions
+ * Get pending [[link]] suggestions for a card
+ */
+router.get('/:id/link-suggestions', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!validateUUID(id)) {
+      return res.status(400).json({
+        error: 'Invalid card ID',
+        message: 'Card ID must be a valid UUID'
+      });
+    }
+
+    const validation = await validateCardOwnership(id, req.session.userId);
+    if (!validation.valid) {
+      const status = validation.error === 'Card not found' ? 404 : 403;
+      return res.status(status).json({
+        error: validation.error,
+        message: `Cannot access link suggestions: ${validation.error}`
+      });
+    }
+
+    const suggestions = await LinkSuggestion.findPendingBySource(id);
+
+    res.json({
+      cardId: id,
+      suggestions: suggestions.map(suggestion => suggestion.toJSON())
+    });
+
+  } catch (error) {
+    console.error('❌ Get link suggestions error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve link suggestions',
+      message: 'An error occurred while fetching link suggestions'
+    });
+  }
+});
+
+/**
+ * POST /api/cards/:id/link-suggestions/analyze
+ * Look for cards this card could link to and replace its pending suggestions
+ */
+router.post('/:id/link-suggestions/analyze', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!validateUUID(id)) {
+      return res.status(400).json({
+        error: 'Invalid card ID',
+        message: 'Card ID must be a valid UUID'
+      });
+    }
+
+    const validation = await validateCardOwnership(id, req.session.userId);
+    if (!validation.valid) {
+      const status = validation.error === 'Card not found' ? 404 : 403;
+      return res.status(status).json({
+        error: validation.error,
+        message: `Cannot analyze card: ${validation.error}`
+      });
+    }
+
+    if (validation.card.fileId) {
+      return res.status(400).json({
+        error: 'Unsupported card type',
+        message: 'Links can only be suggested for text cards'
+      });
+    }
+
+    const suggestions = await linkSuggester.analyzeCard(validation.card);
+
+    res.json({
+      cardId: id,
+      suggestions: suggestions.map(suggestion => suggestion.toJSON()),
+      message: `Found ${suggestions.length} link suggestions`
+    });
+
+  } catch (error) {
+    console.error('❌ Analyze card links error:', error);
+    res.status(500).json({
+      error: 'Failed to analyze links',
+      message: 'An error occurred while looking for link suggestions'
+    });
+  }
+});
+
+/**
+ * POST /api/cards/:id/link-suggestions/:suggestionId/:decision
+ * Accept (write the [[link]] into the card) or reject a suggestion
+ */
+router.post('/:id/link-suggestions/:suggestionId/:decision', async (req, res) => {
+  try {
+    const { id, suggestionId, decision } = req.params;
+
+    if (!validateUUID(id) || !validateUUID(suggestionId)) {
+      return res.status(400).json({
+        error: 'Invalid ID',
+        message: 'Card and suggestion IDs must be valid UUIDs'
+      });
+    }
+
+    if (!['accept', 'reject'].includes(decision)) {
+      return res.status(400).json({
+        error: 'Invalid decision',
+        message: 'Decision must be accept or reject'
+      });
+    }
+
+    const validation = await validateCardOwnership(id, req.session.userId);
+    if (!validation.valid) {
+      const status = validation.error === 'Card not found' ? 404 : 403;
+      return res.status(status).json({
+        error: validation.error,
+        message: `Cannot update link suggestion: ${validation.error}`
+      });
+    }
+
+    const suggestion = await LinkSuggestion.findById(suggestionId);
+    if (!suggestion || suggestion.sourceCardId !== id) {
+      return res.status(404).json({
+        error: 'Suggestion not found',
+        message: 'The specified link suggestion does not exist'
+      });
+    }
+
+    if (suggestion.status !== 'pending') {
+      return res.status(409).json({
+        error: 'Suggestion already decided',
+        message: `This suggestion was already ${suggestion.status}`
+      });
+    }
+
+    if (decision === 'reject') {
+      await suggestion.decide('rejected');
+      return res.json({
+        suggestion: suggestion.toJSON(),
+        message: 'Link suggestion rejected'
+      });
+    }
+
+    const { card } = await linkSuggester.accept(suggestion, { userId: req.session.userId });
+
+    res.json({
+      suggestion: suggestion.toJSON(),
+      card: await card.toJSON(true),
+      message: `Linked to "${suggestion.targetTitle}"`
+    });
+
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({
+        error: 'Cannot accept suggestion',
+        message: error.message
+      });
+    }
+
+    console.error('❌ Decide link suggestion error:', error);
+    res.status(500).json({
+      error: 'Failed to update link suggestion',
+      message: 'An error occurred while updating the link suggestion'
+    });
+  }
+});
+
+/**
+ * GET /api/cards/:id/unlinked-mentions
+ * Cards and files that mention this card's title (or link aliases) without linking it
+ */
+router.get('/:id/unlinked-mentions', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!validateUUID(id)) {
+      return res.status(400).json({
+        error: 'Invalid card ID',
+        message: 'Card ID must be a valid UUID'
+      });
+    }
+
+    const validation = await validateCardOwnership(id, req.session.userId);
+    if (!validation.valid) {
+      const status = validation.error === 'Card not found' ? 404 : 403;
+      return res.status(status).json({
+        error: validation.error,
+        message: `Cannot access unlinked mentions: ${validation.error}`
+      });
+    }
+
+    const result = await unlinkedMentions.find(validation.card);
+
+    res.json({
+      cardId: id,
+      ...result
+    });
+
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({
+        error: 'Cannot find mentions',
+        message: error.message
+      });
+    }
+
+    console.error('❌ Get unlinked mentions error:', error);
+    res.status(500).json({
+      error: 'Failed to find unlinked mentions',
+      message: 'An error occurred while looking for unlinked mentions'
+    });
+  }
+});
+
+/**
+ * POST /api/cards/:id/unlinked-mentions/link
+ * Turn a mention of this card in another card into a [[link]]
+ */
+router.post('/:id/unlinked-mentions/link', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { sourceCardId, position, all } = req.body;
+
+    if (!validateUUID(id) || !validateUUID(sourceCardId)) {
+      return res.status(400).json({
+        error: 'Invalid ID',
+        message: 'Card and source card IDs must be valid UUIDs'
+      });
+    }
+
+    if (position !== undefined && position !== null && !Number.isInteger(position)) {
+      return res.status(400).json({
+        error: 'Invalid position',
+        message: 'Position must be an integer'
+      });
+    }
+
+    const validation = await validateCardOwnership(id, req.session.userId);
+    if (!validation.valid) {
+      const status = validation.error === 'Card not found' ? 404 : 403;
+      return res.status(status).json({
+        error: validation.error,
+        message: `Cannot link mention: ${validation.error}`
+      });
+    }
+
+    const { card, linked } = await unlinkedMentions.link(validation.card, sourceCardId, {
+      position,
+      all: Boolean(all),
+      userId: req.session.userId
+    });
+
+    res.json({
+      card: await card.toJSON(true),
+      linked,
+      message: `Linked ${linked} mention${linked === 1 ? '' : 's'} of "${validation.card.title}"`
+    });
+
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      const status = error.message.startsWith('Mention not found') ? 409 : 400;
+      return res.status(status).json({
+        error: 'Cannot link mention',
+        message: error.message
+      });
+    }
+
+    console.error('❌ Link mention error:', error);
+    res.status(500).json({
+      error: 'Failed to link mention',
+      message: 'An error occurred while linking the mention'
+    });
+  }
+});
+
 /**
  * POST /api/cards/:id/sync
  * Sync card with its file system file
@@ -757,6 +1101,315 @@ router.post('/:id/convert-to-saved', async (req, res) => {
   }
 });
 
+/**
+ * Parse a version number route parameter
+ * @param {string} value - Route parameter
+ * @returns {number|null} - Version number, or null if not a positive integer
+ */
+function parseVersionNumber(value) {
+  return /^\d+$/.test(value) && parseInt(value, 10) > 0 ? parseInt(value, 10) : null;
+}
+
+/**
+ * GET /api/cards/:id/versions
+ * List a card's saved versions, newest first
+ */
+router.get('/:id/versions', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!validateUUID(id)) {
+      return res.status(400).json({
+        error: 'Invalid card ID',
+        message: 'Card ID must be a valid UUID'
+      });
+    }
+
+    const validation = await validateCardOwnership(id, req.session.userId);
+    if (!validation.valid) {
+      const status = validation.error === 'Card not found' ? 404 : 403;
+      return res.status(status).json({
+        error: validation.error,
+        message: `Cannot access card versions: ${validation.error}`
+      });
+    }
+
+    const versions = await validation.card.getVersions();
+
+    res.json({
+      cardId: id,
+      versions: versions.map(version => version.toJSON()),
+      count: versions.length
+    });
+
+  } catch (error) {
+    console.error('❌ Get card versions error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve card versions',
+      message: 'An error occurred while fetching card versions'
+    });
+  }
+});
+
+/**
+ * GET /api/cards/:id/versions/:version
+ * Get one version of a card with its content
+ */
+router.get('/:id/versions/:version', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const versionNumber = parseVersionNumber(req.params.version);
+
+    if (!validateUUID(id) || !versionNumber) {
+      return res.status(400).json({
+        error: 'Invalid version',
+        message: 'Card ID must be a valid UUID and version a positive number'
+      });
+    }
+
+    const validation = await validateCardOwnership(id, req.session.userId);
+    if (!validation.valid) {
+      const status = validation.error === 'Card not found' ? 404 : 403;
+      return res.status(status).json({
+        error: validation.error,
+        message: `Cannot access card version: ${validation.error}`
+      });
+    }
+
+    const version = await validation.card.getVersion(versionNumber);
+    if (!version) {
+      return res.status(404).json({
+        error: 'Version not found',
+        message: `Version ${versionNumber} not found`
+      });
+    }
+
+    res.json({
+      version: version.toJSON(true)
+    });
+
+  } catch (error) {
+    console.error('❌ Get card version error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve card version',
+      message: 'An error occurred while fetching the card version'
+    });
+  }
+});
+
+/**
+ * GET /api/cards/:id/versions/:version/diff
+ * Line diff of a version against another version (?against=N) or, by default, the one before it.
+ * ?against=current compares the version with the card's current content.
+ */
+router.get('/:id/versions/:version/diff', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { against } = req.query;
+    const versionNumber = parseVersionNumber(req.params.version);
+    const againstNumber = against && against !== 'current' ? parseVersionNumber(against) : null;
+
+    if (!validateUUID(id) || !versionNumber || (against && against !== 'current' && !againstNumber)) {
+      return res.status(400).json({
+        error: 'Invalid version',
+        message: 'Card ID must be a valid UUID and versions positive numbers (or against=current)'
+      });
+    }
+
+    const validation = await validateCardOwnership(id, req.session.userId);
+    if (!validation.valid) {
+      const status = validation.error === 'Card not found' ? 404 : 403;
+      return res.status(status).json({
+        error: validation.error,
+        message: `Cannot access card versions: ${validation.error}`
+      });
+    }
+
+    const card = validation.card;
+    const version = await card.getVersion(versionNumber);
+    if (!version) {
+      return res.status(404).json({
+        error: 'Version not found',
+        message: `Version ${versionNumber} not found`
+      });
+    }
+
+    // Diff runs from the older text to the newer one
+    let from;
+    let to;
+    if (against === 'current') {
+      from = { versionNumber, content: version.content };
+      to = { versionNumber: null, content: await card.getContent() };
+    } else {
+      const baseNumber = againstNumber || versionNumber - 1;
+      const base = baseNumber > 0 ? await card.getVersion(baseNumber) : null;
+      if (againstNumber && !base) {
+        return res.status(404).json({
+          error: 'Version not found',
+          message: `Version ${againstNumber} not found`
+        });
+      }
+
+      const older = base && base.versionNumber > versionNumber ? version : base;
+      const newer = older === version ? base : version;
+      from = { versionNumber: older ? older.versionNumber : null, content: older ? older.content : '' };
+      to = { versionNumber: newer.versionNumber, content: newer.content };
+    }
+
+    const diff = diffLines(from.content, to.content);
+
+    res.json({
+      cardId: id,
+      from: from.versionNumber,
+      to: to.versionNumber,
+      changes: diff.changes,
+      stats: {
+        added: diff.added,
+        removed: diff.removed
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Diff card versions error:', error);
+    res.status(500).json({
+      error: 'Failed to diff card versions',
+      message: 'An error occurred while comparing card versions'
+    });
+  }
+});
+
+/**
+ * POST /api/cards/:id/versions/:version/restore
+ * Restore a version's content; the restore is saved as a new version
+ */
+router.post('/:id/versions/:version/restore', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const versionNumber = parseVersionNumber(req.params.version);
+
+    if (!validateUUID(id) || !versionNumber) {
+      return res.status(400).json({
+        error: 'Invalid version',
+        message: 'Card ID must be a valid UUID and version a positive number'
+      });
+    }
+
+    const validation = await validateCardOwnership(id, req.session.userId);
+    if (!validation.valid) {
+      const status = validation.error === 'Card not found' ? 404 : 403;
+      return res.status(status).json({
+        error: validation.error,
+        message: `Cannot restore card version: ${validation.error}`
+      });
+    }
+
+    const card = validation.card;
+    const restored = await card.restoreVersion(versionNumber, { userId: req.session.userId });
+
+    // The restored content may link to different cards
+    await linkParser.processCardLinks(card.id, restored.content);
+
+    const cardData = await card.toJSON(true);
+
+    res.json({
+      card: cardData,
+      restoredVersion: versionNumber,
+      message: `Card restored to version ${versionNumber}`
+    });
+
+  } catch (error) {
+    console.error('❌ Restore card version error:', error);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        error: 'Version not found',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to restore card version',
+      message: 'An error occurred while restoring the card version'
+    });
+  }
+});
+
+/**
+ * POST /api/cards/:id/rename
+ * Rename a card and rewrite [[links]] to it in every card that references it
+ */
+router.post('/:id/rename', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { title, dryRun = false } = req.body;
+
+    if (!validateUUID(id)) {
+      return res.status(400).json({
+        error: 'Invalid card ID',
+        message: 'Card ID must be a valid UUID'
+      });
+    }
+
+    if (!title || typeof title !== 'string' || title.trim().length === 0) {
+      return res.status(400).json({
+        error: 'Invalid title',
+        message: 'Card title cannot be empty'
+      });
+    }
+
+    if (title.trim().length > 200) {
+      return res.status(400).json({
+        error: 'Invalid title',
+        message: 'Card title cannot exceed 200 characters'
+      });
+    }
+
+    const validation = await validateCardOwnership(id, req.session.userId);
+    if (!validation.valid) {
+      const status = validation.error === 'Card not found' ? 404 : 403;
+      return res.status(status).json({
+        error: validation.error,
+        message: `Cannot rename card: ${validation.error}`
+      });
+    }
+
+    const rename = await linkRenamer.renameCard(id, title, { dryRun: dryRun === true });
+
+    const updatedCard = await Card.findById(id);
+    const cardData = await updatedCard.toJSON();
+
+    res.json({
+      card: cardData,
+      rename,
+      message: rename.dryRun
+        ? `Renaming would rewrite ${rename.linksRewritten} links in ${rename.cardsUpdated} cards`
+        : `Card renamed; rewrote ${rename.linksRewritten} links in ${rename.cardsUpdated} cards`
+    });
+
+  } catch (error) {
+    console.error('❌ Rename card error:', error);
+
+    if (error.message.includes('already exists')) {
+      return res.status(409).json({
+        error: 'Card title already exists',
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('cannot contain')) {
+      return res.status(400).json({
+        error: 'Invalid title',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to rename card',
+      message: error.message || 'An error occurred while renaming the card'
+    });
+  }
+});
+
 /**
  * GET /api/cards/by-type/:brainId/:cardType
  * Get cards by type within a brain
@@ -1021,15 +1674,19 @@ router.put('/:id/update-with-title', async (req, res) => {
 
     // Update content if provided
     if (content !== undefined) {
-      await card.updateContent(content);
+      await card.updateContent(content, { userId: req.session.userId });
     }
 
     // If title is provided and not empty, update it (and auto-convert unsaved to saved)
+    let rename = null;
     if (title !== undefined && title !== null && typeof title === 'string' && title.trim && title.trim() !== '') {
       const trimmedTitle = title.trim();
       if (card.cardType === 'unsaved') {
         // This will trigger the database trigger to convert to saved
         await card.update({ title: trimmedTitle });
+      } else if (card.hasTitle() && card.title !== trimmedTitle) {
+        // Renaming a titled card rewrites the [[links]] that point at it
+        rename = await linkRenamer.renameCard(card.id, trimmedTitle);
       } else {
         await card.update({ title: trimmedTitle });
       }
@@ -1046,6 +1703,7 @@ router.put('/:id/update-with-title', async (req, res) => {
 
     res.json({
       card: cardData,
+      ...(rename && { rename }),
       message: updatedCard.cardType === 'saved' ? 'Card saved to brain' : 'Card updated'
     });
 
@@ -1058,6 +1716,13 @@ router.put('/:id/update-with-title', async (req, res) => {
         message: error.message
       });
     }
+
+    if (error.message.includes('cannot contain')) {
+      return res.status(400).json({
+        error: 'Invalid title',
+        message: error.message
+      });
+    }
     
     res.status(500).json({
       error: 'Failed to update card',
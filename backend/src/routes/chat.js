@@ -0,0 +1,604 @@
+const express = require('express');
+const ChatThread = require('../models/ChatThread');
+const ChatMessage = require('../models/ChatMessage');
+const Brain = require('../models/Brain');
+const Stream = require('../models/Stream');
+const CardFactory = require('../services/CardFactory');
+const { AIProviderService, buildPromptMessages } = require('../services/aiProviders');
+const ContextBuilder = require('../services/contextBuilder');
+const tokenizer = require('../services/tokenizer');
+const { query } = require('../models/database');
+const UsageTracker = require('../services/usageTracker');
+const { BudgetExceededError } = require('../utils/apiError');
+const { requireAuth } = require('../middleware/auth');
+
+const router = express.Router();
+const aiService = new AIProviderService();
+
+// All chat routes require authentication
+router.use(requireAuth);
+
+// UUID validation helper
+const validateUUID = (id) => {
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+  return uuidRegex.test(id);
+};
+
+const validateBrainOwnership = async (brainId, userId) => {
+  const brain = await Brain.findById(brainId);
+  if (!brain) {
+    throw new Error('Brain not found');
+  }
+  if (brain.userId !== userId) {
+    throw new Error('Access denied to brain');
+  }
+  return brain;
+};
+
+const validateThreadOwnership = async (threadId, userId) => {
+  const thread = await ChatThread.findById(threadId);
+  if (!thread) {
+    throw new Error('Thread not found');
+  }
+  const brain = await validateBrainOwnership(thread.brainId, userId);
+  return { thread, brain };
+};
+
+const validateMessageOwnership = async (messageId, userId) => {
+  const message = await ChatMessage.findById(messageId);
+  if (!message) {
+    throw new Error('Message not found');
+  }
+  const { thread, brain } = await validateThreadOwnership(message.threadId, userId);
+  return { message, thread, brain };
+};
+
+// The stream a thread is replying in: the one given if the thread is in it,
+// otherwise the stream it was most recently added to (null if none)
+const findThreadStream = async (thread, streamId = null) => {
+  const result = await query(`
+    SELECT s.* FROM streams s
+    JOIN stream_chat_threads sct ON sct.stream_id = s.id
+    WHERE sct.thread_id = $1 AND s.brain_id = $2 AND ($3::uuid IS NULL OR s.id = $3)
+    ORDER BY sct.added_at DESC
+    LIMIT 1
+  `, [thread.id, thread.brainId, streamId]);
+  return result.rows.length > 0 ? new Stream(result.rows[0]) : null;
+};
+
+// Map ownership and lookup errors to HTTP responses
+const handleChatError = (res, error, fallbackError) => {
+  if (error instanceof BudgetExceededError) {
+    return res.status(402).json({ error: 'AI budget exceeded', message: error.message, budget: error.details });
+  }
+  if (error.message.includes('Access denied')) {
+    return res.status(403).json({ error: 'Access denied', message: error.message });
+  }
+  if (error.message.includes('not found')) {
+    return res.status(404).json({ error: 'Not found', message: error.message });
+  }
+  if (error.message.includes('required') || error.message.includes('cannot exceed') || error.message.includes('Invalid')) {
+    return res.status(400).json({ error: 'Validation failed', message: error.message });
+  }
+  res.status(500).json({ error: fallbackError, message: error.message });
+};
+
+/**
+ * POST /api/chat/threads
+ * Create a chat thread, optionally placing it in a stream
+ */
+router.post('/threads', async (req, res) => {
+  try {
+    const { brainId, streamId, position = null, title = null, model = null } = req.body;
+
+    if (!brainId || !validateUUID(brainId)) {
+      return res.status(400).json({
+        error: 'Invalid brain ID',
+        message: 'A valid brain ID is required'
+      });
+    }
+
+    if (streamId && !validateUUID(streamId)) {
+      return res.status(400).json({
+        error: 'Invalid stream ID',
+        message: 'Stream ID must be a valid UUID'
+      });
+    }
+
+    await validateBrainOwnership(brainId, req.session.userId);
+
+    if (streamId) {
+      const stream = await Stream.findById(streamId);
+      if (!stream || stream.brainId !== brainId) {
+        return res.status(404).json({
+          error: 'Stream not found',
+          message: 'The stream does not exist in this brain'
+        });
+      }
+    }
+
+    const thread = await ChatThread.create(brainId, { title, model, streamId, position });
+
+    res.status(201).json({
+      thread: await thread.toJSON(true),
+      message: 'Chat thread created successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Create chat thread error:', error);
+    handleChatError(res, error, 'Failed to create chat thread');
+  }
+});
+
+/**
+ * GET /api/chat/threads/:id
+ * Get a thread with all messages and the active branch
+ */
+router.get('/threads/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!validateUUID(id)) {
+      return res.status(400).json({
+        error: 'Invalid thread ID',
+        message: 'Thread ID must be a valid UUID'
+      });
+    }
+
+    const { thread } = await validateThreadOwnership(id, req.session.userId);
+
+    res.json({ thread: await thread.toJSON(true) });
+
+  } catch (error) {
+    console.error('❌ Get chat thread error:', error);
+    handleChatError(res, error, 'Failed to get chat thread');
+  }
+});
+
+/**
+ * PUT /api/chat/threads/:id
+ * Update thread title or default model
+ */
+router.put('/threads/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!validateUUID(id)) {
+      return res.status(400).json({
+        error: 'Invalid thread ID',
+        message: 'Thread ID must be a valid UUID'
+      });
+    }
+
+    const { thread } = await validateThreadOwnership(id, req.session.userId);
+    const updates = {};
+    if (req.body.title !== undefined) updates.title = req.body.title;
+    if (req.body.model !== undefined) updates.model = req.body.model;
+
+    await thread.update(updates);
+
+    res.json({
+      thread: await thread.toJSON(),
+      message: 'Chat thread updated successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Update chat thread error:', error);
+    handleChatError(res, error, 'Failed to update chat thread');
+  }
+});
+
+/**
+ * DELETE /api/chat/threads/:id
+ * Delete a thread and all its messages
+ */
+router.delete('/threads/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!validateUUID(id)) {
+      return res.status(400).json({
+        error: 'Invalid thread ID',
+        message: 'Thread ID must be a valid UUID'
+      });
+    }
+
+    const { thread } = await validateThreadOwnership(id, req.session.userId);
+    await thread.delete();
+
+    res.json({ message: 'Chat thread deleted successfully' });
+
+  } catch (error) {
+    console.error('❌ Delete chat thread error:', error);
+    handleChatError(res, error, 'Failed to delete chat thread');
+  }
+});
+
+/**
+ * PUT /api/chat/threads/:id/active
+ * Switch the viewed branch to the one containing a message
+ */
+router.put('/threads/:id/active', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { messageId } = req.body;
+
+    if (!validateUUID(id) || !messageId || !validateUUID(messageId)) {
+      return res.status(400).json({
+        error: 'Invalid ID',
+        message: 'Thread ID and message ID must be valid UUIDs'
+      });
+    }
+
+    const { thread } = await validateThreadOwnership(id, req.session.userId);
+    await thread.setActiveMessage(messageId);
+
+    res.json({ thread: await thread.toJSON(true) });
+
+  } catch (error) {
+    console.error('❌ Switch chat branch error:', error);
+    handleChatError(res, error, 'Failed to switch branch');
+  }
+});
+
+/**
+ * POST /api/chat/threads/:id/messages
+ * Add a user turn and a pending assistant reply.
+ * Pass parentMessageId to branch from an earlier turn instead of the active leaf.
+ */
+router.post('/threads/:id/messages', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { content, parentMessageId, model, contextCardIds = [], streamId } = req.body;
+
+    if (!validateUUID(id)) {
+      return res.status(400).json({
+        error: 'Invalid thread ID',
+        message: 'Thread ID must be a valid UUID'
+      });
+    }
+
+    if (!content || typeof content !== 'string' || content.trim().length === 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Message content is required'
+      });
+    }
+
+    if (parentMessageId && !validateUUID(parentMessageId)) {
+      return res.status(400).json({
+        error: 'Invalid message ID',
+        message: 'Parent message ID must be a valid UUID'
+      });
+    }
+
+    if (!Array.isArray(contextCardIds) || !contextCardIds.every(validateUUID)) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'contextCardIds must be an array of card IDs'
+      });
+    }
+
+    if (streamId && !validateUUID(streamId)) {
+      return res.status(400).json({
+        error: 'Invalid stream ID',
+        message: 'Stream ID must be a valid UUID'
+      });
+    }
+
+    const { thread } = await validateThreadOwnership(id, req.session.userId);
+    await UsageTracker.assertWithinBudget(req.session.userId);
+
+    const options = { contextCardIds };
+    if (parentMessageId !== undefined) options.parentMessageId = parentMessageId;
+    if (model) options.model = model;
+
+    const { userMessage, assistantMessage } = await thread.addUserTurn(content.trim(), options);
+
+    res.status(201).json({
+      userMessage: userMessage.toJSON(),
+      assistantMessage: assistantMessage.toJSON(),
+      // The reply uses the settings of the stream it is written in
+      streamUrl: `/api/chat/messages/${assistantMessage.id}/stream${streamId ? `?streamId=${streamId}` : ''}`
+    });
+
+  } catch (error) {
+    console.error('❌ Add chat message error:', error);
+    handleChatError(res, error, 'Failed to add message');
+  }
+});
+
+/**
+ * GET /api/chat/messages/:id/stream
+ * Generate a pending assistant reply, replaying the branch as a messages array
+ */
+router.get('/messages/:id/stream', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { streamId } = req.query;
+
+    if (!validateUUID(id) || (streamId && !validateUUID(streamId))) {
+      return res.status(400).json({
+        error: 'Invalid ID',
+        message: 'Message and stream IDs must be valid UUIDs'
+      });
+    }
+
+    const { message, thread } = await validateMessageOwnership(id, req.session.userId);
+
+    if (message.role !== 'assistant') {
+      return res.status(400).json({
+        error: 'Invalid message',
+        message: 'Only assistant messages can be generated'
+      });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'Access-Control-Allow-Origin': req.headers.origin || 'https://dev.jimboslice.xyz',
+      'Access-Control-Allow-Credentials': 'true',
+      'Access-Control-Allow-Headers': 'Cache-Control, Content-Type'
+    });
+
+    const send = (data) => {
+      if (!res.writableEnded) {
+        res.write(`data: ${JSON.stringify(data)}\n\n`);
+      }
+    };
+
+    // Already generated (e.g. a reconnect): just report the stored result
+    if (message.status === 'complete' || message.status === 'error') {
+      send(message.status === 'complete'
+        ? { type: 'complete', messageId: message.id, totalContent: message.content }
+        : { type: 'error', messageId: message.id, message: message.errorMessage });
+      return res.end();
+    }
+
+    // Checked for every reply, not just when the message was added
+    const budget = await UsageTracker.getBudgetStatus(req.session.userId);
+    if (budget.exceeded) {
+      const errorMessage = new BudgetExceededError(budget.budgetUsd, budget.spentUsd).message;
+      await message.fail(errorMessage);
+      send({ type: 'error', messageId: message.id, message: errorMessage, budget });
+      return res.end();
+    }
+
+    if (!await message.markStreaming()) {
+      send({ type: 'error', messageId: message.id, message: 'This reply is already being generated' });
+      return res.end();
+    }
+
+    // System prompt and generation parameters of the stream the thread is in
+    const stream = await findThreadStream(thread, streamId || null);
+    const parameters = stream ? stream.getAISettings() : {};
+
+    // Replay the branch up to the user turn this reply answers
+    const history = (await message.getHistory())
+      .filter(m => m.id !== message.id && m.status === 'complete');
+
+    const modelInfo = (await aiService.getAvailableModels()).find(m => m.id === message.model);
+    const contextLimit = modelInfo?.contextLimit || 8192;
+    const conversationText = [parameters.systemPrompt, ...history.map(turn => turn.content)].filter(Boolean).join('\n\n');
+    // Room for the reply, plus the system prompt generateChatStreaming puts in front
+    const reserveTokens = (parameters.maxTokens || ContextBuilder.getReserveTokens(contextLimit)) +
+      (parameters.systemPrompt ? tokenizer.countMessage({ role: 'system', content: parameters.systemPrompt }, message.model) : 0);
+
+    const messages = [];
+    let contextReport = null;
+    for (const turn of history) {
+      if (turn.role === 'user' && turn.contextCardIds.length > 0) {
+        const { context, report } = await ContextBuilder.build(thread.brainId, turn.contextCardIds, {
+          contextLimit,
+          model: message.model,
+          promptText: conversationText,
+          reserveTokens
+        });
+        contextReport = report;
+        messages.push(...buildPromptMessages(turn.content, context));
+      } else {
+        messages.push({ role: turn.role, content: turn.content });
+      }
+    }
+
+    // Long threads lose their oldest turns rather than overflowing the model
+    const fitted = ContextBuilder.fitMessages(messages, { contextLimit, model: message.model, reserveTokens });
+    if (!fitted.fits) {
+      const errorMessage = `The message is ${fitted.promptTokens} tokens, more than ${message.model} accepts with room for a reply`;
+      await message.fail(errorMessage);
+      send({ type: 'error', messageId: message.id, message: errorMessage });
+      return res.end();
+    }
+
+    send({ type: 'start', messageId: message.id, model: message.model });
+    if (contextReport || fitted.droppedCount > 0) {
+      send({
+        type: 'context',
+        messageId: message.id,
+        report: contextReport,
+        droppedMessages: fitted.droppedCount,
+        promptTokens: fitted.promptTokens
+      });
+    }
+    console.log(`🤖 Chat reply in thread ${thread.id} with ${message.model} (${fitted.messages.length} messages, ${fitted.droppedCount} dropped, ${fitted.promptTokens} tokens)`);
+
+    let currentContent = '';
+    let finished = false;
+
+    const onChunk = (chunk) => {
+      currentContent += chunk;
+      send({ type: 'chunk', content: chunk, totalContent: currentContent });
+    };
+
+    // Usage to bill when the provider reported none (stopped, failed mid-stream or no usage data)
+    const estimateUsage = () => {
+      const promptTokens = tokenizer.countMessages(fitted.messages, message.model);
+      const completionTokens = tokenizer.count(currentContent, message.model);
+      return { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens };
+    };
+
+    const recordUsage = (usage, served = null) => UsageTracker.record({
+      userId: req.session.userId,
+      brainId: thread.brainId,
+      model: served?.model || message.model,
+      provider: served?.provider || modelInfo?.provider,
+      source: 'chat',
+      sourceId: message.id,
+      usage
+    });
+
+    const onComplete = async (usage = null, served = null) => {
+      if (finished) return;
+      finished = true;
+      try {
+        await message.complete(currentContent);
+      } catch (error) {
+        console.error('❌ Failed to save chat reply:', error);
+      }
+      await recordUsage(usage || estimateUsage(), served);
+      send({
+        type: 'complete',
+        messageId: message.id,
+        totalContent: currentContent,
+        usage,
+        servedBy: served?.model || message.model
+      });
+      res.end();
+    };
+
+    const onError = async (error) => {
+      if (finished) return;
+      finished = true;
+      console.error('Chat generation error:', error);
+      try {
+        await message.fail(error.message, currentContent);
+      } catch (saveError) {
+        console.error('❌ Failed to save chat error:', saveError);
+      }
+      // A failure before any output is taken to have been refused by the provider
+      if (currentContent) {
+        await recordUsage(estimateUsage());
+      }
+      send({ type: 'error', messageId: message.id, message: error.message });
+      res.end();
+    };
+
+    // Chat replies are tied to the connection: stop the provider if the client leaves
+    const controller = new AbortController();
+    res.on('close', async () => {
+      if (finished) return;
+      finished = true;
+      controller.abort();
+      try {
+        await message.fail('Generation stopped', currentContent);
+      } catch (error) {
+        console.error('❌ Failed to save stopped chat reply:', error);
+      }
+      // The request was sent, so it is paid for even though it stopped early
+      await recordUsage(estimateUsage());
+    });
+
+    try {
+      await aiService.generateChatStreaming(message.model, fitted.messages, onChunk, onComplete, onError, {
+        signal: controller.signal,
+        parameters,
+        onEvent: (event) => {
+          if (!finished) send({ ...event, messageId: message.id });
+        }
+      });
+    } catch (error) {
+      onError(error);
+    }
+
+  } catch (error) {
+    console.error('❌ Chat stream error:', error);
+    if (!res.headersSent) {
+      handleChatError(res, error, 'Failed to stream chat reply');
+    } else {
+      res.end();
+    }
+  }
+});
+
+/**
+ * POST /api/chat/messages/:id/promote
+ * Save an assistant reply as a card.
+ * With a title it becomes a titled card (added to streamId if given);
+ * without one it becomes an untitled card in streamId.
+ */
+router.post('/messages/:id/promote', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { streamId, title, position = null } = req.body;
+
+    if (!validateUUID(id)) {
+      return res.status(400).json({
+        error: 'Invalid message ID',
+        message: 'Message ID must be a valid UUID'
+      });
+    }
+
+    if (streamId && !validateUUID(streamId)) {
+      return res.status(400).json({
+        error: 'Invalid stream ID',
+        message: 'Stream ID must be a valid UUID'
+      });
+    }
+
+    if (!streamId && (!title || title.trim().length === 0)) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'A title or stream ID is required to save a reply as a card'
+      });
+    }
+
+    const { message, thread } = await validateMessageOwnership(id, req.session.userId);
+
+    if (message.role !== 'assistant' || message.status !== 'complete') {
+      return res.status(400).json({
+        error: 'Invalid message',
+        message: 'Only completed assistant replies can be saved as cards'
+      });
+    }
+
+    if (streamId) {
+      const stream = await Stream.findById(streamId);
+      if (!stream || stream.brainId !== thread.brainId) {
+        return res.status(404).json({
+          error: 'Stream not found',
+          message: 'The stream does not exist in this brain'
+        });
+      }
+    }
+
+    let card;
+    if (title && title.trim().length > 0) {
+      card = await CardFactory.createTitledCard(thread.brainId, title.trim(), message.content);
+      if (streamId) {
+        await CardFactory.addCardToStreamSafely(streamId, card.id, position);
+      }
+    } else {
+      card = await CardFactory.createUntitledCard(thread.brainId, streamId, message.content, { position });
+    }
+
+    res.status(201).json({
+      card: await card.toJSON(),
+      message: 'Reply saved as card'
+    });
+
+  } catch (error) {
+    console.error('❌ Promote chat message error:', error);
+
+    if (error.message.includes('already exists')) {
+      return res.status(409).json({
+        error: 'Card already exists',
+        message: error.message
+      });
+    }
+
+    handleChatError(res, error, 'Failed to save reply as card');
+  }
+});
+
+module.exports = router;
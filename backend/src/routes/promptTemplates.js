@@ -0,0 +1,262 @@
+const express = require('express');
+const PromptTemplate = require('../models/PromptTemplate');
+const Brain = require('../models/Brain');
+const PromptVariables = require('../services/promptVariables');
+const { requireAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All prompt template routes require authentication
+router.use(requireAuth);
+
+// UUID validation helper
+const validateUUID = (id) => {
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+  return uuidRegex.test(id);
+};
+
+const validateBrainOwnership = async (brainId, userId) => {
+  const brain = await Brain.findById(brainId);
+  if (!brain) {
+    throw new Error('Brain not found');
+  }
+  if (brain.userId !== userId) {
+    throw new Error('Access denied to brain');
+  }
+  return brain;
+};
+
+const validateTemplateOwnership = async (templateId, userId) => {
+  const template = await PromptTemplate.findById(templateId);
+  if (!template) {
+    throw new Error('Template not found');
+  }
+  if (template.userId !== userId) {
+    throw new Error('Access denied to template');
+  }
+  return template;
+};
+
+// Map ownership and validation errors to HTTP responses
+const handleTemplateError = (res, error, fallbackError) => {
+  if (error.message.includes('Access denied')) {
+    return res.status(403).json({ error: 'Access denied', message: error.message });
+  }
+  if (error.message.includes('not found')) {
+    return res.status(404).json({ error: 'Not found', message: error.message });
+  }
+  if (error.message.includes('already exists')) {
+    return res.status(409).json({ error: 'Template already exists', message: error.message });
+  }
+  if (error.message.includes('required') || error.message.includes('cannot exceed') || error.message.includes('No valid fields')) {
+    return res.status(400).json({ error: 'Validation failed', message: error.message });
+  }
+  res.status(500).json({ error: fallbackError, message: error.message });
+};
+
+/**
+ * GET /api/prompt-templates?brainId=
+ * List templates available in a brain (its own plus the user's global ones)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { brainId } = req.query;
+
+    if (brainId) {
+      if (!validateUUID(brainId)) {
+        return res.status(400).json({
+          error: 'Invalid brain ID',
+          message: 'Brain ID must be a valid UUID'
+        });
+      }
+      await validateBrainOwnership(brainId, req.session.userId);
+    }
+
+    const templates = await PromptTemplate.findAvailable(req.session.userId, brainId || null);
+
+    res.json({
+      templates: templates.map(template => template.toJSON()),
+      count: templates.length
+    });
+
+  } catch (error) {
+    console.error('❌ List prompt templates error:', error);
+    handleTemplateError(res, error, 'Failed to list prompt templates');
+  }
+});
+
+/**
+ * POST /api/prompt-templates
+ * Create a template; without brainId it is available in all of the user's brains
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { brainId = null, name, description, template } = req.body;
+
+    if (brainId) {
+      if (!validateUUID(brainId)) {
+        return res.status(400).json({
+          error: 'Invalid brain ID',
+          message: 'Brain ID must be a valid UUID'
+        });
+      }
+      await validateBrainOwnership(brainId, req.session.userId);
+    }
+
+    const created = await PromptTemplate.create(req.session.userId, { brainId, name, description, template });
+
+    res.status(201).json({
+      template: created.toJSON(),
+      message: 'Template created'
+    });
+
+  } catch (error) {
+    console.error('❌ Create prompt template error:', error);
+    handleTemplateError(res, error, 'Failed to create prompt template');
+  }
+});
+
+/**
+ * POST /api/prompt-templates/preview
+ * Resolve the variables in a prompt or template without generating
+ */
+router.post('/preview', async (req, res) => {
+  try {
+    const { brainId, streamId = null, templateId, prompt, contextCardIds = [] } = req.body;
+
+    if (!brainId || !validateUUID(brainId)) {
+      return res.status(400).json({
+        error: 'Invalid brain ID',
+        message: 'A valid brain ID is required'
+      });
+    }
+
+    if (!Array.isArray(contextCardIds) || !contextCardIds.every(validateUUID)) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'contextCardIds must be an array of card IDs'
+      });
+    }
+
+    await validateBrainOwnership(brainId, req.session.userId);
+
+    let text = prompt;
+    if (templateId) {
+      if (!validateUUID(templateId)) {
+        return res.status(400).json({
+          error: 'Invalid template ID',
+          message: 'Template ID must be a valid UUID'
+        });
+      }
+      text = (await validateTemplateOwnership(templateId, req.session.userId)).template;
+    }
+
+    if (!text || text.trim().length === 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'A prompt or template ID is required'
+      });
+    }
+
+    const result = await PromptVariables.resolve(text, {
+      brainId,
+      streamId: streamId && validateUUID(streamId) ? streamId : null,
+      selectionIds: contextCardIds
+    });
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('❌ Preview prompt template error:', error);
+    handleTemplateError(res, error, 'Failed to preview prompt');
+  }
+});
+
+/**
+ * GET /api/prompt-templates/:id
+ * Get a template
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!validateUUID(id)) {
+      return res.status(400).json({
+        error: 'Invalid template ID',
+        message: 'Template ID must be a valid UUID'
+      });
+    }
+
+    const template = await validateTemplateOwnership(id, req.session.userId);
+    res.json({ template: template.toJSON() });
+
+  } catch (error) {
+    console.error('❌ Get prompt template error:', error);
+    handleTemplateError(res, error, 'Failed to get prompt template');
+  }
+});
+
+/**
+ * PUT /api/prompt-templates/:id
+ * Update a template's name, description or text
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!validateUUID(id)) {
+      return res.status(400).json({
+        error: 'Invalid template ID',
+        message: 'Template ID must be a valid UUID'
+      });
+    }
+
+    const template = await validateTemplateOwnership(id, req.session.userId);
+
+    const updates = {};
+    for (const field of ['name', 'description', 'template']) {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    }
+
+    await template.update(updates);
+
+    res.json({
+      template: template.toJSON(),
+      message: 'Template updated'
+    });
+
+  } catch (error) {
+    console.error('❌ Update prompt template error:', error);
+    handleTemplateError(res, error, 'Failed to update prompt template');
+  }
+});
+
+/**
+ * DELETE /api/prompt-templates/:id
+ * Delete a template
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!validateUUID(id)) {
+      return res.status(400).json({
+        error: 'Invalid template ID',
+        message: 'Template ID must be a valid UUID'
+      });
+    }
+
+    const template = await validateTemplateOwnership(id, req.session.userId);
+    await template.delete();
+
+    res.json({ message: 'Template deleted' });
+
+  } catch (error) {
+    console.error('❌ Delete prompt template error:', error);
+    handleTemplateError(res, error, 'Failed to delete prompt template');
+  }
+});
+
+module.exports = router;
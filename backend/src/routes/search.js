@@ -0,0 +1,564 @@
+const express = require('express');
+const Brain = require('../models/Brain');
+const Stream = require('../models/Stream');
+const SavedSearch = require('../models/SavedSearch');
+const SearchQuery = require('../services/searchQuery');
+const StreamManager = require('../services/streamManager');
+const searchIndex = require('../services/searchIndex');
+const { requireAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All search routes require authentication
+router.use(requireAuth);
+
+// UUID validation helper
+const validateUUID = (id) => {
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+  return uuidRegex.test(id);
+};
+
+const SOURCE_TYPES = ['card', 'file'];
+const CARD_TYPES = ['saved', 'unsaved'];
+
+// Parse an ISO date query parameter; undefined when absent, null when invalid
+const parseDate = (value) => {
+  if (value === undefined || value === '') return undefined;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Page size and offset from query parameters
+const parsePage = ({ limit, offset }) => ({
+  limit: Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100),
+  offset: Math.max(parseInt(offset, 10) || 0, 0)
+});
+
+const validateSavedSearchOwnership = async (searchId, userId) => {
+  const savedSearch = await SavedSearch.findById(searchId);
+  if (!savedSearch) {
+    throw new Error('Saved search not found');
+  }
+  if (savedSearch.userId !== userId) {
+    throw new Error('Access denied to saved search');
+  }
+  return savedSearch;
+};
+
+// Map ownership and validation errors to HTTP responses
+const handleSearchError = (res, error, fallbackError) => {
+  if (error.message.includes('Access denied')) {
+    return res.status(403).json({ error: 'Access denied', message: error.message });
+  }
+  if (error.message.includes('not found')) {
+    return res.status(404).json({ error: 'Not found', message: error.message });
+  }
+  if (error.message.includes('already exists')) {
+    return res.status(409).json({ error: 'Already exists', message: error.message });
+  }
+  if (error.message.startsWith('Invalid search')) {
+    return res.status(400).json({ error: 'Invalid search', message: error.message });
+  }
+  if (error.message.includes('required') || error.message.includes('cannot exceed') || error.message.includes('No valid fields')) {
+    return res.status(400).json({ error: 'Validation failed', message: error.message });
+  }
+  res.status(500).json({ error: fallbackError, message: error.message });
+};
+
+/**
+ * GET /api/search?q=&brainId=&type=&cardType=&streamId=&from=&to=&prefix=&limit=&offset=
+ * Full-text search over card content and file text, best matches first.
+ * Searches every brain of the user unless brainId (or streamId) narrows it.
+ * q supports "phrases", prefix*, -exclusions, OR and field filters such as
+ * title:"project x" type:file links-to:[[Roadmap]] -tag:archive modified:>2026-01-01 brain:work;
+ * prefix=last treats the last word as a prefix for search-as-you-type.
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { q, brainId, type, cardType, streamId, prefix } = req.query;
+
+    if (!q || typeof q !== 'string' || q.trim().length === 0) {
+      return res.status(400).json({
+        error: 'Query required',
+        message: 'Search query (q) is required'
+      });
+    }
+
+    for (const [name, value] of [['brain', brainId], ['stream', streamId]]) {
+      if (value && !validateUUID(value)) {
+        return res.status(400).json({
+          error: `Invalid ${name} ID`,
+          message: `${name[0].toUpperCase()}${name.slice(1)} ID must be a valid UUID`
+        });
+      }
+    }
+
+    if (type && !SOURCE_TYPES.includes(type)) {
+      return res.status(400).json({
+        error: 'Invalid type',
+        message: `Type must be one of: ${SOURCE_TYPES.join(', ')}`
+      });
+    }
+
+    if (cardType && !CARD_TYPES.includes(cardType)) {
+      return res.status(400).json({
+        error: 'Invalid card type',
+        message: `Card type must be one of: ${CARD_TYPES.join(', ')}`
+      });
+    }
+
+    const updatedAfter = parseDate(req.query.from);
+    const updatedBefore = parseDate(req.query.to);
+    if (updatedAfter === null || updatedBefore === null) {
+      return res.status(400).json({
+        error: 'Invalid date',
+        message: 'from and to must be ISO dates, e.g. 2024-05-01'
+      });
+    }
+
+    const parsed = SearchQuery.parse(q);
+    if (parsed.errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid search',
+        message: parsed.errors.join('; ')
+      });
+    }
+
+    const brains = await Brain.findByUserId(req.session.userId);
+    let brainIds = brains.map(brain => brain.id);
+
+    // A brain: filter picks from all of the user's brains
+    if (brainId && !SearchQuery.hasBrainFilter(parsed.filters)) {
+      if (!brainIds.includes(brainId)) {
+        return res.status(404).json({
+          error: 'Brain not found',
+          message: 'The requested brain does not exist'
+        });
+      }
+      brainIds = [brainId];
+    }
+
+    if (streamId) {
+      const stream = await Stream.findById(streamId);
+      if (!stream || !brainIds.includes(stream.brainId)) {
+        return res.status(404).json({
+          error: 'Stream not found',
+          message: 'The requested stream does not exist'
+        });
+      }
+      brainIds = [stream.brainId];
+    }
+
+    const page = parsePage(req.query);
+    const { results, total } = await searchIndex.search(brainIds, parsed, {
+      sourceType: type || null,
+      cardType: cardType || null,
+      streamId: streamId || null,
+      updatedAfter: updatedAfter || null,
+      updatedBefore: updatedBefore || null,
+      prefixLast: prefix === 'last',
+      ...page
+    });
+
+    res.json({
+      query: q.trim(),
+      results,
+      total,
+      ...page,
+      hasMore: page.offset + results.length < total
+    });
+
+  } catch (error) {
+    console.error('❌ Search error:', error);
+    res.status(500).json({
+      error: 'Search failed',
+      message: 'An error occurred while searching'
+    });
+  }
+});
+
+/**
+ * POST /api/search/index
+ * Bring a brain's search index up to date (force re-reads every card and file)
+ */
+router.post('/index', async (req, res) => {
+  try {
+    const { brainId, force = false } = req.body;
+
+    if (!brainId || !validateUUID(brainId)) {
+      return res.status(400).json({
+        error: 'Invalid brain ID',
+        message: 'Brain ID must be a valid UUID'
+      });
+    }
+
+    const brain = await Brain.findById(brainId);
+    if (!brain || brain.userId !== req.session.userId) {
+      return res.status(404).json({
+        error: 'Brain not found',
+        message: 'The requested brain does not exist'
+      });
+    }
+
+    const stats = await searchIndex.indexBrain(brainId, { force: force === true });
+
+    res.json({
+      brainId,
+      ...stats
+    });
+
+  } catch (error) {
+    console.error('❌ Search index error:', error);
+    res.status(500).json({
+      error: 'Failed to index brain',
+      message: 'An error occurred while updating the search index'
+    });
+  }
+});
+
+/**
+ * GET /api/search/everywhere?q=&brainId=&perBrain=
+ * Search all of the user's brains for the "jump to anything" palette: brains and
+ * streams whose names match, and the best card and file matches grouped by brain
+ * (brainId's group first). Only brains the user owns are searched.
+ */
+router.get('/everywhere', async (req, res) => {
+  try {
+    const { q, brainId } = req.query;
+
+    if (!q || typeof q !== 'string' || q.trim().length === 0) {
+      return res.status(400).json({
+        error: 'Query required',
+        message: 'Search query (q) is required'
+      });
+    }
+
+    if (brainId && !validateUUID(brainId)) {
+      return res.status(400).json({
+        error: 'Invalid brain ID',
+        message: 'Brain ID must be a valid UUID'
+      });
+    }
+
+    const parsed = SearchQuery.parse(q);
+    if (parsed.errors.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid search',
+        message: parsed.errors.join('; ')
+      });
+    }
+
+    const perBrain = Math.min(Math.max(parseInt(req.query.perBrain, 10) || 5, 1), 20);
+    const brains = await Brain.findByUserId(req.session.userId);
+    const brainNames = new Map(brains.map(brain => [brain.id, brain.name]));
+
+    // Names only match plain text; a query with filters is about content
+    const nameText = parsed.filters.length === 0 ? parsed.text.trim().toLowerCase() : '';
+    const matchingBrains = nameText
+      ? brains.filter(brain => brain.name.toLowerCase().includes(nameText)).slice(0, 5)
+      : [];
+    const matchingStreams = nameText
+      ? await Stream.searchByName(req.session.userId, nameText, 10)
+      : [];
+
+    const { groups, total } = await searchIndex.searchGrouped(brains, parsed, {
+      perBrain,
+      firstBrainId: brainId || null,
+      prefixLast: true
+    });
+
+    res.json({
+      query: q.trim(),
+      brains: await Promise.all(matchingBrains.map(brain => brain.toJSON())),
+      streams: await Promise.all(matchingStreams.map(async stream => ({
+        ...(await stream.toJSON()),
+        brainName: brainNames.get(stream.brainId)
+      }))),
+      groups,
+      total
+    });
+
+  } catch (error) {
+    console.error('❌ Search everywhere error:', error);
+    handleSearchError(res, error, 'Search failed');
+  }
+});
+
+/**
+ * POST /api/search/open
+ * Open a search result: returns its brain and the stream to show it in,
+ * creating a stream named after the card or file when none holds it yet
+ */
+router.post('/open', async (req, res) => {
+  try {
+    const { sourceType, id } = req.body;
+
+    if (!SOURCE_TYPES.includes(sourceType)) {
+      return res.status(400).json({
+        error: 'Invalid type',
+        message: `sourceType must be one of: ${SOURCE_TYPES.join(', ')}`
+      });
+    }
+
+    if (!id || !validateUUID(id)) {
+      return res.status(400).json({
+        error: 'Invalid ID',
+        message: 'A valid card or file ID is required'
+      });
+    }
+
+    const { brain, stream, created } = await StreamManager.openItem(req.session.userId, sourceType, id);
+    await stream.updateLastAccessed();
+
+    res.status(created ? 201 : 200).json({
+      brain: await brain.toJSON(),
+      stream: await stream.toJSON(),
+      created
+    });
+
+  } catch (error) {
+    console.error('❌ Open search result error:', error);
+    handleSearchError(res, error, 'Failed to open search result');
+  }
+});
+
+/**
+ * GET /api/search/fields
+ * Field filters the search query language understands, for help text
+ */
+router.get('/fields', (req, res) => {
+  res.json({ fields: SearchQuery.fields() });
+});
+
+/**
+ * GET /api/search/saved?brainId=
+ * List saved searches (those of a brain plus the all-brain ones when brainId is given)
+ */
+router.get('/saved', async (req, res) => {
+  try {
+    const { brainId } = req.query;
+
+    if (brainId && !validateUUID(brainId)) {
+      return res.status(400).json({
+        error: 'Invalid brain ID',
+        message: 'Brain ID must be a valid UUID'
+      });
+    }
+
+    const searches = await SavedSearch.findAvailable(req.session.userId, brainId || null);
+
+    res.json({
+      searches: searches.map(search => search.toJSON()),
+      count: searches.length
+    });
+
+  } catch (error) {
+    console.error('❌ List saved searches error:', error);
+    handleSearchError(res, error, 'Failed to list saved searches');
+  }
+});
+
+/**
+ * POST /api/search/saved
+ * Save a search; without brainId it runs across all of the user's brains
+ */
+router.post('/saved', async (req, res) => {
+  try {
+    const { brainId = null, name, query: queryText } = req.body;
+
+    if (brainId) {
+      if (!validateUUID(brainId)) {
+        return res.status(400).json({
+          error: 'Invalid brain ID',
+          message: 'Brain ID must be a valid UUID'
+        });
+      }
+      const brain = await Brain.findById(brainId);
+      if (!brain || brain.userId !== req.session.userId) {
+        throw new Error('Brain not found');
+      }
+    }
+
+    if (typeof queryText === 'string') {
+      const { errors } = SearchQuery.parse(queryText);
+      if (errors.length > 0) {
+        throw new Error(`Invalid search: ${errors.join('; ')}`);
+      }
+    }
+
+    const savedSearch = await SavedSearch.create(req.session.userId, { brainId, name, query: queryText });
+
+    res.status(201).json({
+      search: savedSearch.toJSON(),
+      message: 'Search saved'
+    });
+
+  } catch (error) {
+    console.error('❌ Save search error:', error);
+    handleSearchError(res, error, 'Failed to save search');
+  }
+});
+
+/**
+ * PUT /api/search/saved/:id
+ * Rename a saved search or change its query
+ */
+router.put('/saved/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!validateUUID(id)) {
+      return res.status(400).json({
+        error: 'Invalid saved search ID',
+        message: 'Saved search ID must be a valid UUID'
+      });
+    }
+
+    const savedSearch = await validateSavedSearchOwnership(id, req.session.userId);
+
+    const updates = {};
+    for (const field of ['name', 'query']) {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    }
+
+    if (typeof updates.query === 'string') {
+      const { errors } = SearchQuery.parse(updates.query);
+      if (errors.length > 0) {
+        throw new Error(`Invalid search: ${errors.join('; ')}`);
+      }
+    }
+
+    await savedSearch.update(updates);
+
+    res.json({
+      search: savedSearch.toJSON(),
+      message: 'Saved search updated'
+    });
+
+  } catch (error) {
+    console.error('❌ Update saved search error:', error);
+    handleSearchError(res, error, 'Failed to update saved search');
+  }
+});
+
+/**
+ * DELETE /api/search/saved/:id
+ * Delete a saved search
+ */
+router.delete('/saved/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!validateUUID(id)) {
+      return res.status(400).json({
+        error: 'Invalid saved search ID',
+        message: 'Saved search ID must be a valid UUID'
+      });
+    }
+
+    const savedSearch = await validateSavedSearchOwnership(id, req.session.userId);
+    await savedSearch.delete();
+
+    res.json({ message: 'Saved search deleted', searchId: id });
+
+  } catch (error) {
+    console.error('❌ Delete saved search error:', error);
+    handleSearchError(res, error, 'Failed to delete saved search');
+  }
+});
+
+/**
+ * GET /api/search/saved/:id/results?limit=&offset=
+ * Re-run a saved search
+ */
+router.get('/saved/:id/results', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!validateUUID(id)) {
+      return res.status(400).json({
+        error: 'Invalid saved search ID',
+        message: 'Saved search ID must be a valid UUID'
+      });
+    }
+
+    const savedSearch = await validateSavedSearchOwnership(id, req.session.userId);
+    const brainIds = savedSearch.brainId
+      ? [savedSearch.brainId]
+      : (await Brain.findByUserId(req.session.userId)).map(brain => brain.id);
+
+    const page = parsePage(req.query);
+    const { results, total } = await searchIndex.search(brainIds, savedSearch.query, page);
+    await savedSearch.markRun();
+
+    res.json({
+      search: savedSearch.toJSON(),
+      results,
+      total,
+      ...page,
+      hasMore: page.offset + results.length < total
+    });
+
+  } catch (error) {
+    console.error('❌ Run saved search error:', error);
+    handleSearchError(res, error, 'Failed to run saved search');
+  }
+});
+
+/**
+ * POST /api/search/saved/:id/stream
+ * Turn a saved search into a stream of its results, best matches first.
+ * The stream goes in the search's brain (or brainId for all-brain searches)
+ * and only holds results from that brain.
+ */
+router.post('/saved/:id/stream', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, brainId } = req.body;
+
+    if (!validateUUID(id)) {
+      return res.status(400).json({
+        error: 'Invalid saved search ID',
+        message: 'Saved search ID must be a valid UUID'
+      });
+    }
+
+    const savedSearch = await validateSavedSearchOwnership(id, req.session.userId);
+    const targetBrainId = savedSearch.brainId || brainId;
+
+    if (!targetBrainId || !validateUUID(targetBrainId)) {
+      return res.status(400).json({
+        error: 'Invalid brain ID',
+        message: 'A brain ID is required for searches that run across all brains'
+      });
+    }
+
+    const brain = await Brain.findById(targetBrainId);
+    if (!brain || brain.userId !== req.session.userId) {
+      throw new Error('Brain not found');
+    }
+
+    const { results, total } = await searchIndex.search([targetBrainId], savedSearch.query, { limit: 100 });
+    await savedSearch.markRun();
+
+    const created = await StreamManager.createStreamFromItems(
+      targetBrainId,
+      (name || savedSearch.name).trim(),
+      results
+    );
+
+    res.status(201).json({
+      ...created,
+      truncated: total > results.length,
+      message: `Stream created with ${created.added} items`
+    });
+
+  } catch (error) {
+    console.error('❌ Saved search to stream error:', error);
+    handleSearchError(res, error, 'Failed to create stream from saved search');
+  }
+});
+
+module.exports = router;
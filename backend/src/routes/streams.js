@@ -56,6 +56,38 @@ const validateStreamOwnership = async (streamId, userId) => {
   return { stream, brain };
 };
 
+// Cards and files from any of the user's brains can be placed in a stream (as references)
+const validateCardOwnership = async (cardId, userId) => {
+  const card = await Card.findById(cardId);
+  if (!card) {
+    throw new Error('Card not found');
+  }
+  
+  const brain = await Brain.findById(card.brainId);
+  if (!brain || brain.userId !== userId) {
+    throw new Error('Access denied to card');
+  }
+  
+  return card;
+};
+
+const validateFileOwnership = async (fileId, userId) => {
+  const { query } = require('../models/database');
+  const result = await query(`
+    SELECT f.id, b.user_id
+    FROM files f
+    JOIN brains b ON f.brain_id = b.id
+    WHERE f.id = $1
+  `, [fileId]);
+  
+  if (result.rows.length === 0) {
+    throw new Error('File not found');
+  }
+  if (result.rows[0].user_id !== userId) {
+    throw new Error('Access denied to file');
+  }
+};
+
 /**
  * GET /api/streams
  * List all streams for user's brains
@@ -131,7 +163,7 @@ router.get('/', async (req, res) => {
  */
 router.post('/', async (req, res) => {
   try {
-    const { name, brainId } = req.body;
+    const { name, brainId, smartQuery, smartLimit } = req.body;
     
     // Validate input
     const validation = validateStreamInput(name);
@@ -150,11 +182,20 @@ router.post('/', async (req, res) => {
       });
     }
     
+    const smartValidation = Stream.validateSmartSettings({ smartQuery, smartLimit });
+    if (!smartValidation.isValid) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Please check your smart stream settings',
+        fields: smartValidation.errors
+      });
+    }
+    
     // Verify brain ownership
     await validateBrainOwnership(brainId, req.session.userId);
     
-    // Create stream
-    const stream = await Stream.create(brainId, name.trim(), false);
+    // Create stream (a smart stream when a query is given)
+    const stream = await Stream.create(brainId, name.trim(), false, smartValidation.values);
     const streamData = await stream.toJSON();
     
     res.status(201).json({
@@ -229,12 +270,12 @@ router.get('/:id', async (req, res) => {
 
 /**
  * PUT /api/streams/:id
- * Update stream (title, favorite status)
+ * Update stream (title, favorite status, AI settings)
  */
 router.put('/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, isFavorited } = req.body;
+    const { name, isFavorited, aiSettings, smartQuery, smartLimit } = req.body;
     
     if (!validateUUID(id)) {
       return res.status(400).json({
@@ -264,10 +305,48 @@ router.put('/:id', async (req, res) => {
       updates.is_favorited = Boolean(isFavorited);
     }
     
+    if (aiSettings !== undefined) {
+      if (!aiSettings || typeof aiSettings !== 'object' || Array.isArray(aiSettings)) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: 'aiSettings must be an object'
+        });
+      }
+      
+      const validation = Stream.validateAISettings(aiSettings);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: 'Please check your AI settings',
+          fields: validation.errors
+        });
+      }
+      
+      const { systemPrompt, temperature, maxTokens, stopSequences } = validation.values;
+      if (systemPrompt !== undefined) updates.system_prompt = systemPrompt;
+      if (temperature !== undefined) updates.ai_temperature = temperature;
+      if (maxTokens !== undefined) updates.ai_max_tokens = maxTokens;
+      if (stopSequences !== undefined) updates.ai_stop_sequences = stopSequences;
+    }
+    
+    if (smartQuery !== undefined || smartLimit !== undefined) {
+      const validation = Stream.validateSmartSettings({ smartQuery, smartLimit });
+      if (!validation.isValid) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: 'Please check your smart stream settings',
+          fields: validation.errors
+        });
+      }
+      
+      if (validation.values.smartQuery !== undefined) updates.smart_query = validation.values.smartQuery;
+      if (validation.values.smartLimit !== undefined) updates.smart_limit = validation.values.smartLimit;
+    }
+    
     if (Object.keys(updates).length === 0) {
       return res.status(400).json({
         error: 'No updates provided',
-        message: 'Provide name or isFavorited to update'
+        message: 'Provide name, isFavorited, aiSettings or smartQuery to update'
       });
     }
     
@@ -290,6 +369,13 @@ router.put('/:id', async (req, res) => {
       });
     }
     
+    if (error.message.includes('empty stream')) {
+      return res.status(409).json({
+        error: 'Stream has items',
+        message: error.message
+      });
+    }
+    
     if (error.message.includes('not found') || error.message.includes('Access denied')) {
       return res.status(error.message.includes('Access denied') ? 403 : 404).json({
         error: error.message.includes('Access denied') ? 'Access denied' : 'Not found',
@@ -404,7 +490,19 @@ router.get('/:id/cards', async (req, res) => {
     }
     
     // Verify ownership
-    await validateStreamOwnership(id, req.session.userId);
+    const { stream } = await validateStreamOwnership(id, req.session.userId);
+    
+    // Smart streams re-run their query each time they are opened
+    let smartError = null;
+    if (stream.isSmart()) {
+      try {
+        await StreamManager.refreshSmartStream(stream);
+      } catch (error) {
+        // Show the last evaluation rather than failing to open the stream
+        console.warn(`⚠️  Could not evaluate smart stream ${id}: ${error.message}`);
+        smartError = error.message;
+      }
+    }
     
     // Get mixed stream items (both cards and files)
     const StreamFile = require('../models/StreamFile');
@@ -422,7 +520,10 @@ router.get('/:id/cards', async (req, res) => {
       aiContextCards,
       count: cards.length,
       aiContextCount: aiContextCards.length,
-      streamId: id
+      streamId: id,
+      smart: stream.isSmart()
+        ? { query: stream.smartQuery, evaluatedAt: stream.smartEvaluatedAt, error: smartError }
+        : null
     });
 
   } catch (error) {
@@ -464,9 +565,11 @@ router.post('/:id/cards', async (req, res) => {
     }
     
     // Verify ownership
-    await validateStreamOwnership(id, req.session.userId);
+    const { stream } = await validateStreamOwnership(id, req.session.userId);
+    stream.assertEditable();
+    await validateCardOwnership(cardId, req.session.userId);
     
-    // Add card to stream
+    // Add card to stream (cards from the user's other brains are referenced, not copied)
     const result = await StreamManager.addCardToStream(id, cardId, position, depth, {
       isInAIContext,
       isCollapsed
@@ -480,6 +583,13 @@ router.post('/:id/cards', async (req, res) => {
   } catch (error) {
     console.error('❌ Add card to stream error:', error);
     
+    if (error.message.includes('Smart streams')) {
+      return res.status(409).json({
+        error: 'Smart stream',
+        message: error.message
+      });
+    }
+    
     if (error.message.includes('already exists')) {
       return res.status(409).json({
         error: 'Card already in stream',
@@ -518,10 +628,11 @@ router.put('/:id/cards/:cardId', async (req, res) => {
     }
     
     // Verify ownership
-    await validateStreamOwnership(id, req.session.userId);
+    const { stream } = await validateStreamOwnership(id, req.session.userId);
     
     // Handle position changes separately from state changes
     if (position !== undefined) {
+      stream.assertEditable();
       const result = await StreamManager.moveCard(id, cardId, position, depth);
       return res.json({
         ...result,
@@ -551,6 +662,13 @@ router.put('/:id/cards/:cardId', async (req, res) => {
 
   } catch (error) {
     console.error('❌ Update card in stream error:', error);
+    if (error.message.includes('Smart streams')) {
+      return res.status(409).json({
+        error: 'Smart stream',
+        message: error.message
+      });
+    }
+    
     if (error.message.includes('not found') || error.message.includes('Access denied')) {
       return res.status(error.message.includes('Access denied') ? 403 : 404).json({
         error: error.message.includes('Access denied') ? 'Access denied' : 'Not found',
@@ -580,7 +698,8 @@ router.delete('/:id/cards/:cardId', async (req, res) => {
     }
     
     // Verify ownership
-    await validateStreamOwnership(id, req.session.userId);
+    const { stream } = await validateStreamOwnership(id, req.session.userId);
+    stream.assertEditable();
     
     // Remove card from stream
     const result = await StreamManager.removeCardFromStream(id, cardId);
@@ -599,6 +718,13 @@ router.delete('/:id/cards/:cardId', async (req, res) => {
 
   } catch (error) {
     console.error('❌ Remove card from stream error:', error);
+    if (error.message.includes('Smart streams')) {
+      return res.status(409).json({
+        error: 'Smart stream',
+        message: error.message
+      });
+    }
+    
     if (error.message.includes('not found') || error.message.includes('Access denied')) {
       return res.status(error.message.includes('Access denied') ? 403 : 404).json({
         error: error.message.includes('Access denied') ? 'Access denied' : 'Not found',
@@ -672,9 +798,66 @@ router.post('/:id/duplicate', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/streams/:id/freeze
+ * Turn a smart stream into a normal stream holding its current matches
+ */
+router.post('/:id/freeze', async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    if (!validateUUID(id)) {
+      return res.status(400).json({
+        error: 'Invalid stream ID',
+        message: 'Stream ID must be a valid UUID'
+      });
+    }
+    
+    // Verify ownership
+    const { stream } = await validateStreamOwnership(id, req.session.userId);
+    
+    if (!stream.isSmart()) {
+      return res.status(400).json({
+        error: 'Not a smart stream',
+        message: 'Only smart streams can be frozen'
+      });
+    }
+    
+    const result = await StreamManager.freezeSmartStream(id);
+    
+    res.json({
+      ...result,
+      message: 'Smart stream frozen successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Freeze smart stream error:', error);
+    
+    if (error.message.includes('Invalid search')) {
+      return res.status(400).json({
+        error: 'Invalid search',
+        message: error.message
+      });
+    }
+    
+    if (error.message.includes('not found') || error.message.includes('Access denied')) {
+      return res.status(error.message.includes('Access denied') ? 403 : 404).json({
+        error: error.message.includes('Access denied') ? 'Access denied' : 'Not found',
+        message: error.message
+      });
+    }
+    
+    res.status(500).json({
+      error: 'Failed to freeze stream',
+      message: 'An error occurred while freezing the stream'
+    });
+  }
+});
+
 /**
  * GET /api/streams/search/cards
- * Search cards for adding to streams
+ * Search cards for adding to streams; q accepts the search query language
+ * (title:, type:, links-to:[[...]], tag:, modified:, brain:)
  */
 router.get('/search/cards', async (req, res) => {
   try {
@@ -710,6 +893,12 @@ router.get('/search/cards', async (req, res) => {
 
   } catch (error) {
     console.error('❌ Search cards error:', error);
+    if (error.message.startsWith('Invalid search')) {
+      return res.status(400).json({
+        error: 'Invalid search',
+        message: error.message
+      });
+    }
     if (error.message.includes('not found') || error.message.includes('Access denied')) {
       return res.status(error.message.includes('Access denied') ? 403 : 404).json({
         error: error.message.includes('Access denied') ? 'Access denied' : 'Not found',
@@ -780,7 +969,8 @@ router.delete('/:id/files/:fileId', async (req, res) => {
     }
     
     // Verify ownership
-    await validateStreamOwnership(id, req.session.userId);
+    const { stream } = await validateStreamOwnership(id, req.session.userId);
+    stream.assertEditable();
     
     // Remove file from stream
     const StreamFile = require('../models/StreamFile');
@@ -800,6 +990,13 @@ router.delete('/:id/files/:fileId', async (req, res) => {
 
   } catch (error) {
     console.error('❌ Remove file from stream error:', error);
+    if (error.message.includes('Smart streams')) {
+      return res.status(409).json({
+        error: 'Smart stream',
+        message: error.message
+      });
+    }
+    
     if (error.message.includes('not found') || error.message.includes('Access denied')) {
       return res.status(error.message.includes('Access denied') ? 403 : 404).json({
         error: error.message.includes('Access denied') ? 'Access denied' : 'Not found',
@@ -837,9 +1034,11 @@ router.post('/:id/files', async (req, res) => {
     }
     
     // Verify ownership
-    await validateStreamOwnership(id, req.session.userId);
+    const { stream } = await validateStreamOwnership(id, req.session.userId);
+    stream.assertEditable();
+    await validateFileOwnership(fileId, req.session.userId);
     
-    // Add file to stream
+    // Add file to stream (files from the user's other brains are referenced, not copied)
     const StreamFile = require('../models/StreamFile');
     const result = await StreamFile.addFileToStream(id, fileId, position, depth, {
       isCollapsed
@@ -853,6 +1052,13 @@ router.post('/:id/files', async (req, res) => {
   } catch (error) {
     console.error('❌ Add file to stream error:', error);
     
+    if (error.message.includes('Smart streams')) {
+      return res.status(409).json({
+        error: 'Smart stream',
+        message: error.message
+      });
+    }
+    
     if (error.message.includes('already exists')) {
       return res.status(409).json({
         error: 'File already in stream',
@@ -898,7 +1104,8 @@ router.put('/:id/files/:fileId', async (req, res) => {
     }
     
     // Verify ownership
-    await validateStreamOwnership(id, req.session.userId);
+    const { stream } = await validateStreamOwnership(id, req.session.userId);
+    stream.assertEditable();
     
     // Update file position
     const StreamFile = require('../models/StreamFile');
@@ -911,6 +1118,13 @@ router.put('/:id/files/:fileId', async (req, res) => {
 
   } catch (error) {
     console.error('❌ Update file position error:', error);
+    if (error.message.includes('Smart streams')) {
+      return res.status(409).json({
+        error: 'Smart stream',
+        message: error.message
+      });
+    }
+    
     if (error.message.includes('not found') || error.message.includes('Access denied')) {
       return res.status(error.message.includes('Access denied') ? 403 : 404).json({
         error: error.message.includes('Access denied') ? 'Access denied' : 'Not found',
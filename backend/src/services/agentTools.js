@@ -0,0 +1,291 @@
+const Card = require('../models/Card');
+const Stream = require('../models/Stream');
+const CardFactory = require('./CardFactory');
+const StreamManager = require('./streamManager');
+const linkParser = require('./linkParser');
+const searchIndex = require('./searchIndex');
+const tokenizer = require('./tokenizer');
+const { query } = require('../models/database');
+const { validateSchema } = require('../utils/jsonSchema');
+
+// Card text handed back to the model is cut to this many tokens
+const MAX_CARD_TOKENS = 4000;
+const MAX_SEARCH_RESULTS = 20;
+const SNIPPET_LENGTH = 200;
+
+const CARD_ID = { type: 'string', minLength: 1, description: 'Card ID as returned by another tool' };
+
+/**
+ * Tools the agent may call. Each has a JSON Schema for its arguments and runs
+ * with the scope of the job that called it: { userId, brainId, streamId, model }.
+ * Tools that change the brain set requiresConfirmation and only run once the
+ * user approves the call.
+ */
+const TOOLS = {
+  search_cards: {
+    description: 'Full-text search of the cards in the current brain. Supports "phrases", prefix*, -exclusions, OR and filters like title:"x", tag:x, links-to:[[Title]] and modified:>7d. Returns card IDs, titles and snippets.',
+    parameters: {
+      type: 'object',
+      required: ['query'],
+      properties: {
+        query: { type: 'string', minLength: 1, description: 'Words to look for' },
+        limit: { type: 'integer', description: `Maximum results (default 10, at most ${MAX_SEARCH_RESULTS})` }
+      }
+    },
+    requiresConfirmation: false,
+    run: async ({ query: searchTerm, limit = 10 }, scope) => {
+      const { results, total } = await searchIndex.search([scope.brainId], searchTerm, {
+        sourceType: 'card',
+        limit: Math.min(Math.max(1, limit), MAX_SEARCH_RESULTS)
+      });
+      return {
+        count: total,
+        cards: results.map(result => ({
+          id: result.id,
+          title: result.title || 'Untitled',
+          snippet: result.snippet.slice(0, SNIPPET_LENGTH)
+        }))
+      };
+    }
+  },
+
+  read_card: {
+    description: 'Read the full content of a card, by ID or by exact title in the current brain.',
+    parameters: {
+      type: 'object',
+      properties: {
+        cardId: CARD_ID,
+        title: { type: 'string', minLength: 1, description: 'Exact card title' }
+      }
+    },
+    requiresConfirmation: false,
+    run: async ({ cardId, title }, scope) => {
+      const card = await AgentTools.findCard(scope, { cardId, title });
+      const content = await card.getContent();
+      const truncated = tokenizer.truncate(content, MAX_CARD_TOKENS, scope.model);
+      return {
+        id: card.id,
+        title: card.getDisplayTitle(),
+        content: truncated,
+        truncated: truncated.length < content.length
+      };
+    }
+  },
+
+  get_backlinks: {
+    description: 'List the cards that link to a card with [[links]], i.e. follow its backlinks.',
+    parameters: {
+      type: 'object',
+      required: ['cardId'],
+      properties: { cardId: CARD_ID }
+    },
+    requiresConfirmation: false,
+    run: async ({ cardId }, scope) => {
+      const card = await AgentTools.findCard(scope, { cardId });
+      const brainIds = await AgentTools.getBrainIds(scope);
+      const backlinks = (await linkParser.getBacklinks(card.id))
+        .filter(link => brainIds.includes(link.card.brainId));
+
+      // A card linking several times is listed once
+      const seen = new Set();
+      return {
+        card: { id: card.id, title: card.getDisplayTitle() },
+        backlinks: backlinks
+          .filter(link => !seen.has(link.card.id) && seen.add(link.card.id))
+          .map(link => ({ id: link.card.id, title: link.card.getDisplayTitle(), linkText: link.linkText }))
+      };
+    }
+  },
+
+  create_card: {
+    description: 'Create a new titled card in the current brain. Content is markdown and may contain [[links]].',
+    parameters: {
+      type: 'object',
+      required: ['title', 'content'],
+      properties: {
+        title: { type: 'string', minLength: 1, maxLength: 200, description: 'Unique card title' },
+        content: { type: 'string', minLength: 1, description: 'Card content (markdown)' },
+        addToStream: { type: 'boolean', description: 'Also add the card to the current stream (default false)' }
+      }
+    },
+    requiresConfirmation: true,
+    run: async ({ title, content, addToStream = false }, scope) => {
+      const cleanTitle = title.replace(/\s+/g, ' ').trim();
+      if (await Card.findByBrainAndTitle(scope.brainId, cleanTitle)) {
+        throw new Error(`A card titled "${cleanTitle}" already exists`);
+      }
+
+      // Same check as add_to_stream, before anything is created
+      const targetStream = addToStream && scope.streamId ? await Stream.findById(scope.streamId) : null;
+      if (addToStream && scope.streamId && (!targetStream || targetStream.brainId !== scope.brainId)) {
+        throw new Error('Stream not found in this brain');
+      }
+
+      const card = await CardFactory.createTitledCard(scope.brainId, cleanTitle, content);
+      await linkParser.processCardLinks(card.id, content);
+
+      let stream = null;
+      if (targetStream) {
+        const { insertedAt } = await StreamManager.addCardToStream(targetStream.id, card.id);
+        stream = { id: targetStream.id, position: insertedAt };
+      }
+
+      return { id: card.id, title: card.title, stream };
+    }
+  },
+
+  add_to_stream: {
+    description: 'Add an existing card to a stream in the current brain (the current stream when streamId is omitted).',
+    parameters: {
+      type: 'object',
+      required: ['cardId'],
+      properties: {
+        cardId: CARD_ID,
+        streamId: { type: 'string', minLength: 1, description: 'Stream ID (default: the current stream)' },
+        afterPosition: { type: 'integer', description: 'Insert after this position (default: at the end)' }
+      }
+    },
+    requiresConfirmation: true,
+    run: async ({ cardId, streamId, afterPosition = null }, scope) => {
+      streamId = streamId || scope.streamId;
+      if (!streamId) {
+        throw new Error('No stream given and the generation is not in a stream');
+      }
+
+      const stream = await Stream.findById(streamId);
+      if (!stream || stream.brainId !== scope.brainId) {
+        throw new Error('Stream not found in this brain');
+      }
+
+      const card = await AgentTools.findCard(scope, { cardId });
+      if (card.brainId !== scope.brainId) {
+        throw new Error('Only cards from this brain can be added to its streams');
+      }
+
+      const { insertedAt, totalCards } = await StreamManager.addCardToStream(stream.id, card.id, afterPosition);
+      return { cardId: card.id, streamId: stream.id, streamName: stream.name, position: insertedAt, totalCards };
+    }
+  }
+};
+
+/**
+ * AgentTools - Server-side tools for tool-calling generations
+ * Every lookup is limited to the brains of the user who started the job.
+ */
+class AgentTools {
+  /**
+   * Tool definitions in the shape providers take: { name, description, parameters }
+   * @returns {Array<Object>} - Tool definitions
+   */
+  static definitions() {
+    return Object.entries(TOOLS).map(([name, tool]) => ({
+      name,
+      description: tool.description,
+      parameters: tool.parameters
+    }));
+  }
+
+  /**
+   * Available tools for the UI
+   * @returns {Array<Object>} - { name, description, requiresConfirmation }
+   */
+  static list() {
+    return Object.entries(TOOLS).map(([name, tool]) => ({
+      name,
+      description: tool.description,
+      requiresConfirmation: tool.requiresConfirmation
+    }));
+  }
+
+  /**
+   * Whether a tool exists
+   * @param {string} name - Tool name
+   * @returns {boolean}
+   */
+  static isTool(name) {
+    return Object.prototype.hasOwnProperty.call(TOOLS, name);
+  }
+
+  /**
+   * Whether a call needs the user's approval before it runs
+   * @param {string} name - Tool name
+   * @returns {boolean}
+   */
+  static requiresConfirmation(name) {
+    return this.isTool(name) && TOOLS[name].requiresConfirmation;
+  }
+
+  /**
+   * Instructions added to the system prompt of agent generations
+   * @param {string} systemPrompt - The stream's or request's system prompt (optional)
+   * @returns {string} - System prompt
+   */
+  static buildSystemPrompt(systemPrompt = null) {
+    const instructions = 'You can use tools to search, read and add to the user\'s knowledge base of cards. ' +
+      'Look things up before answering questions about the user\'s notes, and cite cards by title as [[Title]]. ' +
+      'Creating cards and adding them to streams needs the user\'s approval; if a call is rejected, do not repeat it.';
+    return systemPrompt ? `${systemPrompt}\n\n${instructions}` : instructions;
+  }
+
+  /**
+   * Validate and run a tool call
+   * @param {Object} call - { name, arguments }
+   * @param {Object} scope - { userId, brainId, streamId, model }
+   * @returns {Promise<Object>} - Tool result (JSON-serialisable)
+   */
+  static async run(call, scope) {
+    if (!this.isTool(call.name)) {
+      throw new Error(`Unknown tool: ${call.name}`);
+    }
+
+    const tool = TOOLS[call.name];
+    const errors = validateSchema(call.arguments, tool.parameters);
+    if (errors.length > 0) {
+      throw new Error(`Invalid arguments for ${call.name}: ${errors.slice(0, 5).join('; ')}`);
+    }
+
+    return await tool.run(call.arguments, scope);
+  }
+
+  /**
+   * Find a card the scope's user owns, by ID or by title in the scope's brain
+   * @param {Object} scope - { userId, brainId }
+   * @param {Object} lookup - { cardId, title }
+   * @returns {Promise<Card>} - Card
+   */
+  static async findCard(scope, { cardId = null, title = null }) {
+    let card = null;
+    if (cardId) {
+      const result = await query(`
+        SELECT c.* FROM cards c
+        JOIN brains b ON c.brain_id = b.id
+        WHERE c.id::text = $1 AND b.user_id = $2 AND c.is_active = true
+      `, [cardId, scope.userId]);
+      card = result.rows.length > 0 ? new Card(result.rows[0]) : null;
+    } else if (title) {
+      card = await Card.findByBrainAndTitle(scope.brainId, title.trim());
+    } else {
+      throw new Error('Give a cardId or a title');
+    }
+
+    if (!card) {
+      throw new Error(`Card ${cardId || `"${title}"`} not found`);
+    }
+    return card;
+  }
+
+  /**
+   * IDs of the brains the scope's user owns (cached on the scope)
+   * @param {Object} scope - { userId }
+   * @returns {Promise<Array<string>>} - Brain IDs
+   */
+  static async getBrainIds(scope) {
+    if (!scope.brainIds) {
+      const result = await query('SELECT id FROM brains WHERE user_id = $1', [scope.userId]);
+      scope.brainIds = result.rows.map(row => row.id);
+    }
+    return scope.brainIds;
+  }
+}
+
+module.exports = AgentTools;
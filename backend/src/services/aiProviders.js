@@ -1,10 +1,381 @@
 /**
  * AI Provider Service - Centralized AI integration
- * Supports OpenAI, Anthropic, and Google AI models
+ * Supports OpenAI, Anthropic, Google AI, local/self-hosted models and an
+ * offline mock provider for development and tests
  */
 
 // Use node-fetch v2 for compatibility
 const fetch = require('node-fetch');
+const fs = require('fs-extra');
+const tokenizer = require('./tokenizer');
+
+/**
+ * Build a messages array for a single-shot prompt with optional context cards
+ * @param {string} prompt - User prompt
+ * @param {Array<Object>} context - Context cards with contextText
+ * @param {string} systemPrompt - System prompt (optional)
+ * @param {Array<Object>} images - Images sent with the prompt: { label, mediaType, data } (optional)
+ * @returns {Array<Object>} - Messages with role, content and (on the prompt) images
+ */
+function buildPromptMessages(prompt, context, systemPrompt = null, images = []) {
+  const messages = [];
+
+  if (systemPrompt) {
+    messages.push({ role: 'system', content: systemPrompt });
+  }
+
+  // Add context cards first (if any)
+  if (context.length > 0) {
+    const contextContent = context.map(card => card.contextText).join('\n\n---\n\n');
+    messages.push({
+      role: 'user',
+      content: `Here is the context information from selected cards:\n\n${contextContent}\n\n---\n\nNow please respond to the following:`
+    });
+  }
+
+  // Add the actual prompt/instruction, with any images attached to it
+  if (images && images.length > 0) {
+    const labels = images.map((image, index) => `Image ${index + 1}: ${image.label}`).join('\n');
+    messages.push({ role: 'user', content: `${labels}\n\n${prompt}`, images });
+  } else {
+    messages.push({ role: 'user', content: prompt });
+  }
+
+  return messages;
+}
+
+/**
+ * Convert messages to the OpenAI chat format, where images are content parts
+ * and tool calls and their results have fields of their own
+ * @param {Array<Object>} messages - Messages with role, content and optional images,
+ *   toolCalls (assistant) or toolCallId (role 'tool')
+ * @returns {Array<Object>} - OpenAI messages
+ */
+function toOpenAIMessages(messages) {
+  return messages.map(({ role, content, images, toolCalls, toolCallId }) => {
+    if (role === 'tool') {
+      return { role, tool_call_id: toolCallId, content };
+    }
+    if (toolCalls && toolCalls.length > 0) {
+      return {
+        role,
+        content: content || null,
+        tool_calls: toolCalls.map(call => ({
+          id: call.id,
+          type: 'function',
+          function: { name: call.name, arguments: JSON.stringify(call.arguments || {}) }
+        }))
+      };
+    }
+    return images && images.length > 0
+      ? {
+        role,
+        content: [
+          { type: 'text', text: content },
+          ...images.map(image => ({
+            type: 'image_url',
+            image_url: { url: `data:${image.mediaType};base64,${image.data}`, detail: 'high' }
+          }))
+        ]
+      }
+      : { role, content };
+  });
+}
+
+/**
+ * Convert tool definitions to the OpenAI function format (also used by Ollama)
+ * @param {Array<Object>} tools - Tools as { name, description, parameters (JSON Schema) }
+ * @returns {Array<Object>} - OpenAI tools
+ */
+function toOpenAITools(tools) {
+  return tools.map(({ name, description, parameters }) => ({
+    type: 'function',
+    function: { name, description, parameters }
+  }));
+}
+
+/**
+ * Add streamed tool call pieces to the calls collected so far. Pieces are keyed
+ * by index; the ID and name arrive once, the JSON arguments in fragments.
+ * @param {Array<Object>} calls - Calls collected so far (modified)
+ * @param {Array<Object>} deltas - { index, id, function: { name, arguments } }
+ */
+function collectToolCallDeltas(calls, deltas = []) {
+  for (const delta of deltas) {
+    const index = delta.index ?? calls.length;
+    const call = calls[index] || (calls[index] = { id: null, name: '', arguments: '' });
+    if (delta.id) call.id = delta.id;
+    if (delta.function?.name) call.name += delta.function.name;
+    if (delta.function?.arguments) call.arguments += delta.function.arguments;
+  }
+}
+
+/**
+ * Turn collected tool calls into { id, name, arguments } with parsed arguments
+ * @param {Array<Object>} calls - Collected calls (arguments as JSON text or objects)
+ * @returns {Array<Object>} - Tool calls
+ */
+function finishToolCalls(calls) {
+  return calls.filter(Boolean).map((call, index) => {
+    let args = call.arguments;
+    if (typeof args === 'string') {
+      try {
+        args = args.trim() ? JSON.parse(args) : {};
+      } catch (error) {
+        console.error(`❌ Tool call ${call.name} has invalid JSON arguments:`, args.slice(0, 200));
+        args = {};
+      }
+    }
+    return {
+      id: call.id || `call_${index}`,
+      name: call.name,
+      arguments: args && typeof args === 'object' && !Array.isArray(args) ? args : {}
+    };
+  });
+}
+
+/**
+ * Normalise provider token counts to { promptTokens, completionTokens, totalTokens }
+ * @param {number} promptTokens - Input tokens reported by the provider
+ * @param {number} completionTokens - Output tokens reported by the provider
+ * @returns {Object|null} - Usage, or null if the provider reported nothing
+ */
+function makeUsage(promptTokens, completionTokens) {
+  if (promptTokens == null && completionTokens == null) {
+    return null;
+  }
+  return {
+    promptTokens: promptTokens ?? 0,
+    completionTokens: completionTokens ?? 0,
+    totalTokens: (promptTokens ?? 0) + (completionTokens ?? 0)
+  };
+}
+
+// Statuses worth retrying: timeouts, rate limits, overload and transient server errors
+const RETRYABLE_STATUSES = [408, 409, 425, 429, 500, 502, 503, 504, 529];
+// Network failures from node-fetch that are worth retrying
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'ENOTFOUND'];
+
+/**
+ * Error from a provider's HTTP API, carrying what the retry logic needs
+ */
+class ProviderError extends Error {
+  constructor(message, { provider, status = null, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.provider = provider;
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+    this.retryable = RETRYABLE_STATUSES.includes(status);
+  }
+
+  /**
+   * Build an error from a non-2xx response, including the provider's error message
+   * @param {string} provider - Provider display name
+   * @param {Object} response - node-fetch response
+   * @returns {Promise<ProviderError>}
+   */
+  static async fromResponse(provider, response) {
+    let detail = '';
+    try {
+      const body = await response.text();
+      try {
+        const parsed = JSON.parse(body);
+        detail = parsed.error?.message || parsed.error || parsed.message || body;
+      } catch (e) {
+        detail = body;
+      }
+    } catch (e) {
+      // Body unavailable; the status is enough
+    }
+
+    const suffix = detail ? ` - ${String(detail).slice(0, 300)}` : '';
+    return new ProviderError(`${provider} API error: ${response.status} ${response.statusText}${suffix}`, {
+      provider,
+      status: response.status,
+      retryAfterMs: parseRetryAfter(response.headers.get('retry-after'))
+    });
+  }
+}
+
+/**
+ * Parse a Retry-After header (seconds or an HTTP date)
+ * @param {string} value - Header value
+ * @returns {number|null} - Delay in milliseconds
+ */
+function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Whether an error is an aborted request (cancelled by the user)
+ * @param {Error} error - Error to check
+ * @returns {boolean}
+ */
+function isAbortError(error) {
+  return error?.name === 'AbortError' || error?.type === 'aborted';
+}
+
+/**
+ * Whether a failed call is worth retrying against the same model
+ * @param {Error} error - Error to check
+ * @returns {boolean}
+ */
+function isRetryable(error) {
+  if (error instanceof ProviderError) {
+    return error.retryable;
+  }
+  return error?.name === 'FetchError' && RETRYABLE_NETWORK_CODES.includes(error.code);
+}
+
+/**
+ * Parse a JSON object from an environment variable
+ * @param {string} name - Variable name
+ * @returns {Object|null} - Parsed object, or null if unset or invalid
+ */
+function readJsonEnv(name) {
+  if (!process.env[name]) {
+    return null;
+  }
+  try {
+    return JSON.parse(process.env[name]);
+  } catch (error) {
+    console.error(`❌ Invalid ${name}, ignoring it:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Retry settings from the environment
+ * @returns {Object} - { maxRetries, baseDelayMs, maxDelayMs }
+ */
+function getRetryConfig() {
+  const number = (name, fallback) => {
+    const value = parseInt(process.env[name], 10);
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+  };
+  return {
+    maxRetries: number('AI_MAX_RETRIES', 3),
+    baseDelayMs: number('AI_RETRY_BASE_DELAY_MS', 1000),
+    maxDelayMs: number('AI_RETRY_MAX_DELAY_MS', 30000)
+  };
+}
+
+/**
+ * Models to fall back to when a model keeps failing. AI_FALLBACK_MODELS is
+ * either a comma-separated list used for every model, or a JSON object
+ * mapping model IDs (or "*" for any other model) to lists.
+ * @param {string} modelId - Model that failed
+ * @returns {Array<string>} - Fallback model IDs, in order
+ */
+function getFallbackModels(modelId) {
+  const raw = (process.env.AI_FALLBACK_MODELS || '').trim();
+  if (!raw) {
+    return [];
+  }
+  if (!raw.startsWith('{')) {
+    return raw.split(',').map(id => id.trim()).filter(Boolean);
+  }
+  const chains = readJsonEnv('AI_FALLBACK_MODELS') || {};
+  return chains[modelId] || chains['*'] || [];
+}
+
+/**
+ * Wait, returning early if the signal aborts
+ * @param {number} ms - Delay
+ * @param {AbortSignal} signal - Optional abort signal
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(resolve, ms);
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        resolve();
+      }, { once: true });
+    }
+  });
+}
+
+/**
+ * FIFO limit on simultaneous requests to one provider
+ */
+class ConcurrencyLimiter {
+  constructor(limit) {
+    this.limit = limit;
+    this.active = 0;
+    this.queue = [];
+  }
+
+  /**
+   * Wait for a free slot
+   * @param {AbortSignal} signal - Stops waiting when aborted
+   * @returns {Promise<Function>} - Releases the slot
+   */
+  acquire(signal) {
+    if (this.active < this.limit) {
+      this.active++;
+      return Promise.resolve(this.createRelease());
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve };
+      this.queue.push(waiter);
+      if (signal) {
+        signal.addEventListener('abort', () => {
+          const index = this.queue.indexOf(waiter);
+          if (index !== -1) {
+            this.queue.splice(index, 1);
+            const error = new Error('Generation stopped while waiting for the provider');
+            error.name = 'AbortError';
+            reject(error);
+          }
+        }, { once: true });
+      }
+    });
+  }
+
+  createRelease() {
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      this.active--;
+      const next = this.queue.shift();
+      if (next) {
+        this.active++;
+        next.resolve(this.createRelease());
+      }
+    };
+  }
+}
+
+// Shared by every AIProviderService instance so limits hold process-wide
+const limiters = new Map();
+
+/**
+ * Concurrency limiter for a provider. AI_PROVIDER_CONCURRENCY is a JSON object
+ * of provider name -> limit, with "*" for the rest, e.g. {"local": 1, "*": 4}
+ * @param {string} providerName - Provider name
+ * @returns {ConcurrencyLimiter}
+ */
+function getLimiter(providerName) {
+  if (!limiters.has(providerName)) {
+    const limits = { '*': 4, local: 2, ...readJsonEnv('AI_PROVIDER_CONCURRENCY') };
+    const limit = parseInt(limits[providerName] ?? limits['*'], 10);
+    limiters.set(providerName, new ConcurrencyLimiter(Number.isFinite(limit) && limit > 0 ? limit : 4));
+  }
+  return limiters.get(providerName);
+}
 
 class AIProviderService {
   constructor() {
@@ -12,62 +383,305 @@ class AIProviderService {
       openai: process.env.OPENAI_API_KEY ? new OpenAIProvider(process.env.OPENAI_API_KEY) : null,
       anthropic: process.env.ANTHROPIC_API_KEY ? new AnthropicProvider(process.env.ANTHROPIC_API_KEY) : null,
       google: process.env.GOOGLE_AI_API_KEY ? new GoogleProvider(process.env.GOOGLE_AI_API_KEY) : null,
+      local: process.env.LOCAL_AI_BASE_URL ? new LocalProvider(process.env.LOCAL_AI_BASE_URL, {
+        apiType: process.env.LOCAL_AI_API_TYPE,
+        apiKey: process.env.LOCAL_AI_API_KEY,
+        contextLimit: process.env.LOCAL_AI_CONTEXT_LIMIT,
+        visionModels: process.env.LOCAL_AI_VISION_MODELS,
+        toolModels: process.env.LOCAL_AI_TOOL_MODELS
+      }) : null,
+      mock: process.env.AI_MOCK_PROVIDER === 'true' ? new MockProvider({
+        models: process.env.AI_MOCK_MODELS,
+        contextLimit: process.env.AI_MOCK_CONTEXT_LIMIT,
+        latencyMs: process.env.AI_MOCK_LATENCY_MS,
+        chunkDelayMs: process.env.AI_MOCK_CHUNK_DELAY_MS,
+        chunkWords: process.env.AI_MOCK_CHUNK_WORDS,
+        script: MockProvider.loadScript()
+      }) : null,
     };
   }
 
-  getAvailableModels() {
+  /**
+   * List models from every configured provider
+   * Local models are discovered from the server, so this is async
+   * @returns {Promise<Array<Object>>} - Models with id, name, provider, contextLimit, vision (accepts images)
+   *   and tools (can call tools)
+   */
+  async getAvailableModels() {
     const models = [];
     
     if (this.providers.openai) {
       models.push(
-        { id: 'gpt-4o', name: 'GPT-4o', provider: 'openai', contextLimit: 128000 },
-        { id: 'gpt-4o-mini', name: 'GPT-4o Mini', provider: 'openai', contextLimit: 128000 },
-        { id: 'gpt-4-turbo', name: 'GPT-4 Turbo', provider: 'openai', contextLimit: 128000 },
-        { id: 'gpt-3.5-turbo-0125', name: 'GPT-3.5 Turbo', provider: 'openai', contextLimit: 16385 }
+        { id: 'gpt-4o', name: 'GPT-4o', provider: 'openai', contextLimit: 128000, vision: true, tools: true },
+        { id: 'gpt-4o-mini', name: 'GPT-4o Mini', provider: 'openai', contextLimit: 128000, vision: true, tools: true },
+        { id: 'gpt-4-turbo', name: 'GPT-4 Turbo', provider: 'openai', contextLimit: 128000, vision: true, tools: true },
+        { id: 'gpt-3.5-turbo-0125', name: 'GPT-3.5 Turbo', provider: 'openai', contextLimit: 16385, vision: false, tools: true }
       );
     }
     
     if (this.providers.anthropic) {
       models.push(
-        { id: 'claude-3-opus-20240229', name: 'Claude 3 Opus', provider: 'anthropic', contextLimit: 200000 },
-        { id: 'claude-3-sonnet-20240229', name: 'Claude 3 Sonnet', provider: 'anthropic', contextLimit: 200000 },
-        { id: 'claude-3-haiku-20240307', name: 'Claude 3 Haiku', provider: 'anthropic', contextLimit: 200000 }
+        { id: 'claude-3-opus-20240229', name: 'Claude 3 Opus', provider: 'anthropic', contextLimit: 200000, vision: true, tools: true },
+        { id: 'claude-3-sonnet-20240229', name: 'Claude 3 Sonnet', provider: 'anthropic', contextLimit: 200000, vision: true, tools: true },
+        { id: 'claude-3-haiku-20240307', name: 'Claude 3 Haiku', provider: 'anthropic', contextLimit: 200000, vision: true, tools: true }
       );
     }
     
     if (this.providers.google) {
       models.push(
-        { id: 'gemini-pro', name: 'Gemini Pro', provider: 'google', contextLimit: 32000 }
+        { id: 'gemini-pro', name: 'Gemini Pro', provider: 'google', contextLimit: 32000, vision: false, tools: true }
       );
     }
+
+    if (this.providers.local) {
+      try {
+        models.push(...await this.providers.local.listModels());
+      } catch (error) {
+        // An unreachable local server should not hide the hosted providers
+        console.error('❌ Local AI model discovery failed:', error.message);
+      }
+    }
+
+    if (this.providers.mock) {
+      models.push(...this.providers.mock.listModels());
+    }
     
     return models;
   }
 
-  async generateStreaming(modelId, prompt, context, onChunk, onComplete, onError) {
-    try {
-      console.log(`🔍 AI Service: Looking for model ${modelId}`);
-      
-      const model = this.getAvailableModels().find(m => m.id === modelId);
-      if (!model) {
-        throw new Error(`Model ${modelId} not found or not available`);
-      }
+  /**
+   * Look up a model and the provider that serves it
+   * @param {string} modelId - Model ID
+   * @returns {Promise<Object>} - { model, provider }
+   */
+  async resolveProvider(modelId) {
+    console.log(`🔍 AI Service: Looking for model ${modelId}`);
 
-      console.log(`🔍 AI Service: Found model ${model.name}, provider: ${model.provider}`);
-      
-      const provider = this.providers[model.provider];
-      if (!provider) {
-        throw new Error(`Provider ${model.provider} not configured`);
+    const model = (await this.getAvailableModels()).find(m => m.id === modelId);
+    if (!model) {
+      throw new Error(`Model ${modelId} not found or not available`);
+    }
+
+    console.log(`🔍 AI Service: Found model ${model.name}, provider: ${model.provider}`);
+
+    const provider = this.providers[model.provider];
+    if (!provider) {
+      throw new Error(`Provider ${model.provider} not configured`);
+    }
+
+    return { model, provider };
+  }
+
+  /**
+   * Stream a single-shot generation
+   * @param {string} modelId - Model ID
+   * @param {string} prompt - User prompt
+   * @param {Array<Object>} context - Context cards with contextText
+   * @param {Function} onChunk - Called with each text chunk
+   * @param {Function} onComplete - Called once generation finishes with (usage, { model, provider })
+   * @param {Function} onError - Called on failure
+   * @param {Object} options - { signal, onEvent, parameters, images } abort signal, retry/fallback listener,
+   *   generation parameters { systemPrompt, temperature, maxTokens, stopSequences } and images for the prompt
+   * @returns {Promise<void>} - Resolves once the generation has finished
+   */
+  async generateStreaming(modelId, prompt, context, onChunk, onComplete, onError, options = {}) {
+    console.log(`🔍 AI Service: Starting generation with ${modelId}`);
+    return this.runResilient(
+      modelId,
+      (provider, model, callbacks, callOptions) => provider.generateStreaming(
+        model, prompt, context, callbacks.onChunk, callbacks.onComplete, callbacks.onError,
+        { ...callOptions, parameters: options.parameters, images: options.images }
+      ),
+      onChunk, onComplete, onError, options
+    );
+  }
+
+  /**
+   * Stream a reply to a multi-turn conversation
+   * @param {string} modelId - Model ID
+   * @param {Array<Object>} messages - Conversation as { role, content }, oldest first
+   * @param {Function} onChunk - Called with each text chunk
+   * @param {Function} onComplete - Called once generation finishes with (usage, { model, provider, toolCalls })
+   * @param {Function} onError - Called on failure
+   * @param {Object} options - { signal, onEvent, parameters, tools } abort signal, retry/fallback listener,
+   *   generation parameters { systemPrompt, temperature, maxTokens, stopSequences } and tools the model
+   *   may call ({ name, description, parameters }); requested calls come back as { id, name, arguments }
+   * @returns {Promise<void>} - Resolves once the generation has finished
+   */
+  async generateChatStreaming(modelId, messages, onChunk, onComplete, onError, options = {}) {
+    console.log(`🔍 AI Service: Starting chat generation with ${modelId} (${messages.length} messages)`);
+    const systemPrompt = options.parameters?.systemPrompt;
+    const conversation = systemPrompt ? [{ role: 'system', content: systemPrompt }, ...messages] : messages;
+    return this.runResilient(
+      modelId,
+      (provider, model, callbacks, callOptions) => provider.streamChat(
+        model, conversation, callbacks.onChunk, callbacks.onComplete, callbacks.onError,
+        { ...callOptions, parameters: options.parameters, tools: options.tools }
+      ),
+      // Images in the conversation limit fallbacks to vision models
+      onChunk, onComplete, onError, { ...options, images: messages.flatMap(message => message.images || []) }
+    );
+  }
+
+  /**
+   * Models to try in order: the requested one, then configured fallbacks that are available
+   * @param {string} modelId - Requested model ID
+   * @param {Object} options - { vision, tools } only fall back to models that accept images / call tools
+   * @returns {Promise<Array<Object>>} - [{ model, provider }]
+   */
+  async getFallbackChain(modelId, options = {}) {
+    const chain = [await this.resolveProvider(modelId)];
+    const models = await this.getAvailableModels();
+
+    for (const fallbackId of getFallbackModels(modelId)) {
+      const model = models.find(m => m.id === fallbackId);
+      if ((options.vision && !(model && model.vision)) || (options.tools && !(model && model.tools))) {
+        continue;
+      }
+      if (model && this.providers[model.provider] && !chain.some(entry => entry.model.id === model.id)) {
+        chain.push({ model, provider: this.providers[model.provider] });
       }
+    }
 
-      console.log(`🔍 AI Service: Starting generation with ${model.provider}`);
-      
-      return await provider.generateStreaming(modelId, prompt, context, onChunk, onComplete, onError);
+    return chain;
+  }
+
+  /**
+   * Run a streaming call with retries, fallback models and per-provider concurrency limits.
+   * A call is only retried or moved to another model before any output has arrived;
+   * once text has streamed to the client a failure is final.
+   * Decisions are reported through options.onEvent:
+   *   { type: 'queued', model, provider, position }
+   *   { type: 'retry', model, provider, attempt, maxRetries, delayMs, status, message }
+   *   { type: 'fallback', fromModel, toModel, provider, status, message }
+   * @param {string} modelId - Requested model ID
+   * @param {Function} call - (provider, modelId, callbacks, options) starts one provider request
+   * @param {Function} onChunk - Called with each text chunk
+   * @param {Function} onComplete - Called once with (usage, { model, provider, toolCalls })
+   * @param {Function} onError - Called once on final failure
+   * @param {Object} options - { signal, onEvent, images, tools }
+   * @returns {Promise<void>}
+   */
+  async runResilient(modelId, call, onChunk, onComplete, onError, options = {}) {
+    const { signal, onEvent = () => {} } = options;
+    const { maxRetries, baseDelayMs, maxDelayMs } = getRetryConfig();
+
+    let chain;
+    try {
+      chain = await this.getFallbackChain(modelId, {
+        vision: Boolean(options.images && options.images.length > 0),
+        tools: Boolean(options.tools && options.tools.length > 0)
+      });
     } catch (error) {
       console.error('❌ AI Service Error:', error);
       if (onError) onError(error);
-      throw error;
+      return;
+    }
+
+    for (let index = 0; index < chain.length; index++) {
+      const { model, provider } = chain[index];
+
+      for (let attempt = 1; ; attempt++) {
+        const result = await this.attempt(model, provider, call, onChunk, { signal, onEvent });
+
+        if (result.status === 'complete') {
+          onComplete(result.usage, { model: model.id, provider: model.provider, toolCalls: result.toolCalls });
+          return;
+        }
+
+        const { error, started } = result;
+        if (started || isAbortError(error) || signal?.aborted) {
+          onError(error);
+          return;
+        }
+
+        // Wait as long as the provider asks, unless that is longer than we are willing to
+        const backoff = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+        const delayMs = error.retryAfterMs ?? Math.round(backoff * (0.5 + Math.random() / 2));
+        if (isRetryable(error) && attempt <= maxRetries && delayMs <= maxDelayMs) {
+          console.warn(`⚠️  ${model.id} failed (${error.message}); retry ${attempt}/${maxRetries} in ${delayMs}ms`);
+          onEvent({
+            type: 'retry',
+            model: model.id,
+            provider: model.provider,
+            attempt,
+            maxRetries,
+            delayMs,
+            status: error.status ?? null,
+            message: error.message
+          });
+          await sleep(delayMs, signal);
+          continue;
+        }
+
+        if (index < chain.length - 1) {
+          const next = chain[index + 1].model;
+          console.warn(`⚠️  ${model.id} failed (${error.message}); falling back to ${next.id}`);
+          onEvent({
+            type: 'fallback',
+            fromModel: model.id,
+            toModel: next.id,
+            provider: next.provider,
+            status: error.status ?? null,
+            message: error.message
+          });
+          break;
+        }
+
+        console.error('❌ AI Service Error:', error);
+        onError(error);
+        return;
+      }
+    }
+  }
+
+  /**
+   * Make one provider request inside the provider's concurrency limit
+   * @param {Object} model - Model info
+   * @param {Object} provider - Provider instance
+   * @param {Function} call - Starts the request
+   * @param {Function} onChunk - Receives text chunks
+   * @param {Object} options - { signal, onEvent }
+   * @returns {Promise<Object>} - { status: 'complete', usage, toolCalls } or { status: 'error', error, started }
+   */
+  async attempt(model, provider, call, onChunk, { signal, onEvent }) {
+    const limiter = getLimiter(model.provider);
+    if (limiter.active >= limiter.limit) {
+      onEvent({ type: 'queued', model: model.id, provider: model.provider, position: limiter.queue.length + 1 });
+    }
+
+    let release;
+    try {
+      release = await limiter.acquire(signal);
+    } catch (error) {
+      return { status: 'error', error, started: false };
     }
+
+    return new Promise((resolve) => {
+      let started = false;
+      let done = false;
+      const finish = (result) => {
+        if (done) return;
+        done = true;
+        release();
+        resolve(result);
+      };
+
+      const callbacks = {
+        onChunk: (chunk) => {
+          if (done) return;
+          started = true;
+          onChunk(chunk);
+        },
+        // Providers report requested tool calls as onComplete(usage, { toolCalls })
+        onComplete: (usage = null, reply = null) => finish({ status: 'complete', usage, toolCalls: reply?.toolCalls || [] }),
+        onError: (error) => finish({ status: 'error', error, started })
+      };
+
+      Promise.resolve()
+        .then(() => call(provider, model.id, callbacks, { signal }))
+        .catch(callbacks.onError);
+    });
   }
 }
 
@@ -77,48 +691,47 @@ class OpenAIProvider {
     this.baseUrl = 'https://api.openai.com/v1';
   }
 
-  async generateStreaming(model, prompt, context, onChunk, onComplete, onError) {
-    try {
-      // Construct messages with proper context structure
-      const messages = [];
-      
-      // Add context cards first (if any)
-      if (context.length > 0) {
-        const contextContent = context.map(card => card.contextText).join('\n\n---\n\n');
-        messages.push({
-          role: 'user',
-          content: `Here is the context information from selected cards:\n\n${contextContent}\n\n---\n\nNow please respond to the following:`
-        });
-      }
-      
-      // Add the actual prompt/instruction
-      messages.push({
-        role: 'user', 
-        content: prompt
-      });
+  async generateStreaming(model, prompt, context, onChunk, onComplete, onError, options = {}) {
+    console.log(`🔍 OpenAI: Sending ${context.length} context cards + prompt to ${model}`);
+    const messages = buildPromptMessages(prompt, context, options.parameters?.systemPrompt, options.images);
+    return this.streamChat(model, messages, onChunk, onComplete, onError, options);
+  }
 
-      console.log(`🔍 OpenAI: Sending ${context.length} context cards + prompt to ${model}`);
+  async streamChat(model, messages, onChunk, onComplete, onError, options = {}) {
+    try {
+      const { temperature, maxTokens, stopSequences = [] } = options.parameters || {};
+      // Reasoning models (o1, o3, ...) reject sampling parameters
+      const isReasoningModel = /^o\d/.test(model);
 
       const response = await fetch(`${this.baseUrl}/chat/completions`, {
         method: 'POST',
+        signal: options.signal,
         headers: {
           'Authorization': `Bearer ${this.apiKey}`,
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({
           model: model,
-          messages: messages,
+          messages: toOpenAIMessages(messages),
           stream: true,
-          temperature: 0.7,
+          // Adds a final chunk carrying token usage
+          stream_options: { include_usage: true },
+          ...(isReasoningModel ? {} : { temperature: temperature ?? 0.7 }),
+          ...(maxTokens ? { max_completion_tokens: maxTokens } : {}),
+          ...(stopSequences.length > 0 && !isReasoningModel ? { stop: stopSequences } : {}),
+          ...(options.tools && options.tools.length > 0 ? { tools: toOpenAITools(options.tools) } : {}),
         }),
       });
 
       if (!response.ok) {
-        throw new Error(`OpenAI API error: ${response.statusText}`);
+        throw await ProviderError.fromResponse('OpenAI', response);
       }
 
       // Use Node.js body stream instead of getReader()
       let buffer = '';
+      let usage = null;
+      const toolCalls = [];
+      const complete = () => onComplete(usage, { toolCalls: finishToolCalls(toolCalls) });
       
       response.body.on('data', (chunk) => {
         buffer += chunk.toString();
@@ -130,7 +743,7 @@ class OpenAIProvider {
           if (line.startsWith('data: ')) {
             const data = line.slice(6);
             if (data === '[DONE]') {
-              onComplete();
+              complete();
               return;
             }
 
@@ -140,6 +753,10 @@ class OpenAIProvider {
               if (content) {
                 onChunk(content);
               }
+              collectToolCallDeltas(toolCalls, parsed.choices?.[0]?.delta?.tool_calls);
+              if (parsed.usage) {
+                usage = makeUsage(parsed.usage.prompt_tokens, parsed.usage.completion_tokens);
+              }
             } catch (e) {
               // Skip invalid JSON
             }
@@ -148,7 +765,7 @@ class OpenAIProvider {
       });
 
       response.body.on('end', () => {
-        onComplete();
+        complete();
       });
 
       response.body.on('error', (error) => {
@@ -166,23 +783,56 @@ class AnthropicProvider {
     this.baseUrl = 'https://api.anthropic.com/v1';
   }
 
-  async generateStreaming(model, prompt, context, onChunk, onComplete, onError) {
+  async generateStreaming(model, prompt, context, onChunk, onComplete, onError, options = {}) {
+    console.log(`🔍 Anthropic: Sending ${context.length} context cards + prompt to ${model}`);
+    const messages = buildPromptMessages(prompt, context, options.parameters?.systemPrompt, options.images);
+    return this.streamChat(model, messages, onChunk, onComplete, onError, options);
+  }
+
+  async streamChat(model, messages, onChunk, onComplete, onError, options = {}) {
     try {
-      let fullPrompt = '';
-      
-      // Add context cards first (if any)
-      if (context.length > 0) {
-        fullPrompt += 'Here is the context information from selected cards:\n\n';
-        fullPrompt += context.map(card => card.contextText).join('\n\n---\n\n');
-        fullPrompt += '\n\n---\n\nNow please respond to the following:\n\n';
-      }
-      
-      fullPrompt += prompt;
+      const { temperature, maxTokens, stopSequences = [] } = options.parameters || {};
 
-      console.log(`🔍 Anthropic: Sending ${context.length} context cards + prompt to ${model}`);
+      // Anthropic takes the system prompt separately and requires alternating
+      // roles, so consecutive turns from the same role are merged. Images become
+      // base64 image blocks ahead of the text they belong to; tool calls are
+      // tool_use blocks and their results tool_result blocks in a user turn.
+      const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+      const toBlocks = (content) => (typeof content === 'string' ? [{ type: 'text', text: content }] : content);
+      const turns = [];
+      for (const message of messages.filter(m => m.role !== 'system')) {
+        const role = message.role === 'tool' ? 'user' : message.role;
+        let content = message.content;
+        if (message.role === 'tool') {
+          content = [{ type: 'tool_result', tool_use_id: message.toolCallId, content: message.content }];
+        } else if (message.toolCalls && message.toolCalls.length > 0) {
+          content = [
+            ...(message.content ? [{ type: 'text', text: message.content }] : []),
+            ...message.toolCalls.map(call => ({ type: 'tool_use', id: call.id, name: call.name, input: call.arguments || {} }))
+          ];
+        } else if (message.images && message.images.length > 0) {
+          content = [
+            ...message.images.map(image => ({
+              type: 'image',
+              source: { type: 'base64', media_type: image.mediaType, data: image.data }
+            })),
+            { type: 'text', text: message.content }
+          ];
+        }
+
+        const last = turns[turns.length - 1];
+        if (last && last.role === role) {
+          last.content = typeof last.content === 'string' && typeof content === 'string'
+            ? `${last.content}\n\n${content}`
+            : [...toBlocks(last.content), ...toBlocks(content)];
+        } else {
+          turns.push({ role, content });
+        }
+      }
 
       const response = await fetch(`${this.baseUrl}/messages`, {
         method: 'POST',
+        signal: options.signal,
         headers: {
           'x-api-key': this.apiKey,
           'Content-Type': 'application/json',
@@ -190,18 +840,32 @@ class AnthropicProvider {
         },
         body: JSON.stringify({
           model: model,
-          max_tokens: 4096,
-          messages: [{ role: 'user', content: fullPrompt }],
+          // Required by Anthropic
+          max_tokens: maxTokens || 4096,
+          messages: turns,
+          ...(system ? { system } : {}),
+          // Anthropic's temperature range is 0-1
+          ...(temperature != null ? { temperature: Math.min(temperature, 1) } : {}),
+          ...(stopSequences.length > 0 ? { stop_sequences: stopSequences } : {}),
+          ...(options.tools && options.tools.length > 0
+            ? { tools: options.tools.map(({ name, description, parameters }) => ({ name, description, input_schema: parameters })) }
+            : {}),
           stream: true,
         }),
       });
 
       if (!response.ok) {
-        throw new Error(`Anthropic API error: ${response.statusText}`);
+        throw await ProviderError.fromResponse('Anthropic', response);
       }
 
       // Use Node.js body stream for Anthropic
       let buffer = '';
+      // Input tokens arrive in message_start, output tokens in message_delta
+      let inputTokens = null;
+      let outputTokens = null;
+      // tool_use blocks by content block index; their input arrives as JSON fragments
+      const toolCalls = [];
+      const complete = () => onComplete(makeUsage(inputTokens, outputTokens), { toolCalls: finishToolCalls(toolCalls) });
       
       response.body.on('data', (chunk) => {
         buffer += chunk.toString();
@@ -217,8 +881,18 @@ class AnthropicProvider {
               const parsed = JSON.parse(data);
               if (parsed.type === 'content_block_delta' && parsed.delta?.text) {
                 onChunk(parsed.delta.text);
+              } else if (parsed.type === 'content_block_start' && parsed.content_block?.type === 'tool_use') {
+                toolCalls[parsed.index] = { id: parsed.content_block.id, name: parsed.content_block.name, arguments: '' };
+              } else if (parsed.type === 'content_block_delta' && parsed.delta?.type === 'input_json_delta') {
+                if (toolCalls[parsed.index]) {
+                  toolCalls[parsed.index].arguments += parsed.delta.partial_json || '';
+                }
+              } else if (parsed.type === 'message_start') {
+                inputTokens = parsed.message?.usage?.input_tokens ?? inputTokens;
+              } else if (parsed.type === 'message_delta') {
+                outputTokens = parsed.usage?.output_tokens ?? outputTokens;
               } else if (parsed.type === 'message_stop') {
-                onComplete();
+                complete();
                 return;
               }
             } catch (e) {
@@ -229,7 +903,7 @@ class AnthropicProvider {
       });
 
       response.body.on('end', () => {
-        onComplete();
+        complete();
       });
 
       response.body.on('error', (error) => {
@@ -247,7 +921,7 @@ class GoogleProvider {
     this.baseUrl = 'https://generativelanguage.googleapis.com/v1beta';
   }
 
-  async generateStreaming(model, prompt, context, onChunk, onComplete, onError) {
+  async generateStreaming(model, prompt, context, onChunk, onComplete, onError, options = {}) {
     try {
       let fullPrompt = '';
       
@@ -261,22 +935,79 @@ class GoogleProvider {
       
       fullPrompt += prompt;
 
+      const systemPrompt = options.parameters?.systemPrompt;
+      const messages = [
+        ...(systemPrompt ? [{ role: 'system', content: systemPrompt }] : []),
+        ...buildPromptMessages(fullPrompt, [], null, options.images)
+      ];
+      return await this.streamChat(model, messages, onChunk, onComplete, onError, options);
+    } catch (error) {
+      onError(error);
+    }
+  }
+
+  async streamChat(model, messages, onChunk, onComplete, onError, options = {}) {
+    try {
+      // Google calls the assistant role "model", takes system text separately
+      // and sends images as inline data parts. Tool calls are functionCall parts;
+      // results are functionResponse parts matched by function name, not an ID.
+      const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+      const contents = messages
+        .filter(m => m.role !== 'system')
+        .map(m => {
+          if (m.role === 'tool') {
+            return { role: 'user', parts: [{ functionResponse: { name: m.name, response: { content: m.content } } }] };
+          }
+          if (m.toolCalls && m.toolCalls.length > 0) {
+            return {
+              role: 'model',
+              parts: [
+                ...(m.content ? [{ text: m.content }] : []),
+                ...m.toolCalls.map(call => ({ functionCall: { name: call.name, args: call.arguments || {} } }))
+              ]
+            };
+          }
+          return {
+            role: m.role === 'assistant' ? 'model' : 'user',
+            parts: [
+              { text: m.content },
+              ...(m.images || []).map(image => ({ inlineData: { mimeType: image.mediaType, data: image.data } }))
+            ]
+          };
+        });
+
+      const { temperature, maxTokens, stopSequences = [] } = options.parameters || {};
+      const generationConfig = {
+        ...(temperature != null ? { temperature } : {}),
+        ...(maxTokens ? { maxOutputTokens: maxTokens } : {}),
+        ...(stopSequences.length > 0 ? { stopSequences } : {})
+      };
+
       const response = await fetch(`${this.baseUrl}/models/${model}:streamGenerateContent?key=${this.apiKey}`, {
         method: 'POST',
+        signal: options.signal,
         headers: {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({
-          contents: [{ parts: [{ text: fullPrompt }] }],
+          contents: contents,
+          ...(system ? { systemInstruction: { parts: [{ text: system }] } } : {}),
+          ...(Object.keys(generationConfig).length > 0 ? { generationConfig } : {}),
+          ...(options.tools && options.tools.length > 0
+            ? { tools: [{ functionDeclarations: options.tools.map(({ name, description, parameters }) => ({ name, description, parameters })) }] }
+            : {}),
         }),
       });
 
       if (!response.ok) {
-        throw new Error(`Google AI API error: ${response.statusText}`);
+        throw await ProviderError.fromResponse('Google AI', response);
       }
 
       // Use Node.js body stream for Google
       let buffer = '';
+      // Each chunk repeats cumulative usageMetadata; keep the latest
+      let usage = null;
+      const toolCalls = [];
       
       response.body.on('data', (chunk) => {
         buffer += chunk.toString();
@@ -290,9 +1021,16 @@ class GoogleProvider {
             
             try {
               const parsed = JSON.parse(data);
-              const text = parsed.candidates?.[0]?.content?.parts?.[0]?.text;
-              if (text) {
-                onChunk(text);
+              for (const part of parsed.candidates?.[0]?.content?.parts || []) {
+                if (part.text) {
+                  onChunk(part.text);
+                }
+                if (part.functionCall) {
+                  toolCalls.push({ id: null, name: part.functionCall.name, arguments: part.functionCall.args || {} });
+                }
+              }
+              if (parsed.usageMetadata) {
+                usage = makeUsage(parsed.usageMetadata.promptTokenCount, parsed.usageMetadata.candidatesTokenCount);
               }
             } catch (e) {
               // Skip invalid JSON
@@ -302,10 +1040,214 @@ class GoogleProvider {
       });
 
       response.body.on('end', () => {
-        onComplete();
+        onComplete(usage, { toolCalls: finishToolCalls(toolCalls) });
+      });
+
+      response.body.on('error', (error) => {
+        onError(error);
+      });
+    } catch (error) {
+      onError(error);
+    }
+  }
+}
+
+/**
+ * Provider for self-hosted servers speaking either the OpenAI-compatible API
+ * (vLLM, llama.cpp server, LM Studio, LocalAI) or the native Ollama API.
+ * Model ids are prefixed with "local:" so they never collide with hosted models.
+ */
+class LocalProvider {
+  constructor(baseUrl, options = {}) {
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.apiType = options.apiType === 'ollama' ? 'ollama' : 'openai';
+    this.apiKey = options.apiKey || null;
+    this.contextLimit = parseInt(options.contextLimit, 10) || 8192;
+    // Model names (or "*") that accept images; a name also matches its Ollama tags (llava -> llava:13b)
+    this.visionModels = (options.visionModels || '').split(',').map(name => name.trim()).filter(Boolean);
+    // Model names (or "*") that support tool calling, matched the same way
+    this.toolModels = (options.toolModels || '').split(',').map(name => name.trim()).filter(Boolean);
+    this.modelCacheTtlMs = 60000;
+    this.modelCache = null;
+    this.modelCacheAt = 0;
+  }
+
+  /**
+   * Build request headers, adding the bearer token when one is configured
+   * @returns {Object} - Headers for fetch
+   */
+  getHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+    return headers;
+  }
+
+  /**
+   * Discover the models served by the local server (cached briefly)
+   * @returns {Promise<Array<Object>>} - Models in the same shape as hosted providers
+   */
+  async listModels() {
+    if (this.modelCache && Date.now() - this.modelCacheAt < this.modelCacheTtlMs) {
+      return this.modelCache;
+    }
+
+    const url = this.apiType === 'ollama' ? `${this.baseUrl}/api/tags` : `${this.baseUrl}/v1/models`;
+    const response = await fetch(url, { headers: this.getHeaders(), timeout: 5000 });
+
+    if (!response.ok) {
+      throw new Error(`Local AI API error: ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    const names = this.apiType === 'ollama'
+      ? (data.models || []).map(m => m.name)
+      : (data.data || []).map(m => m.id);
+
+    const matches = (list, name) => list.some(entry => entry === '*' || name === entry || name.startsWith(`${entry}:`));
+    this.modelCache = names.map(name => ({
+      id: `local:${name}`,
+      name: name,
+      provider: 'local',
+      contextLimit: this.contextLimit,
+      vision: matches(this.visionModels, name),
+      tools: matches(this.toolModels, name)
+    }));
+    this.modelCacheAt = Date.now();
+
+    return this.modelCache;
+  }
+
+  async generateStreaming(model, prompt, context, onChunk, onComplete, onError, options = {}) {
+    console.log(`🔍 Local (${this.apiType}): Sending ${context.length} context cards + prompt to ${model}`);
+    const messages = buildPromptMessages(prompt, context, options.parameters?.systemPrompt, options.images);
+    return this.streamChat(model, messages, onChunk, onComplete, onError, options);
+  }
+
+  async streamChat(model, messages, onChunk, onComplete, onError, options = {}) {
+    try {
+      const modelName = model.startsWith('local:') ? model.slice('local:'.length) : model;
+
+      const isOllama = this.apiType === 'ollama';
+      const { temperature, maxTokens, stopSequences = [] } = options.parameters || {};
+      const url = isOllama ? `${this.baseUrl}/api/chat` : `${this.baseUrl}/v1/chat/completions`;
+
+      const response = await fetch(url, {
+        method: 'POST',
+        signal: options.signal,
+        headers: this.getHeaders(),
+        body: JSON.stringify({
+          model: modelName,
+          // Ollama takes a message's images as a list of base64 strings and
+          // tool call arguments as objects
+          messages: isOllama
+            ? messages.map(({ role, content, images, toolCalls }) => {
+              if (toolCalls && toolCalls.length > 0) {
+                return {
+                  role,
+                  content: content || '',
+                  tool_calls: toolCalls.map(call => ({ function: { name: call.name, arguments: call.arguments || {} } }))
+                };
+              }
+              return images && images.length > 0
+                ? { role, content, images: images.map(image => image.data) }
+                : { role, content };
+            })
+            : toOpenAIMessages(messages),
+          ...(options.tools && options.tools.length > 0 ? { tools: toOpenAITools(options.tools) } : {}),
+          stream: true,
+          ...(isOllama
+            ? {
+              options: {
+                temperature: temperature ?? 0.7,
+                ...(maxTokens ? { num_predict: maxTokens } : {}),
+                ...(stopSequences.length > 0 ? { stop: stopSequences } : {})
+              }
+            }
+            : {
+              temperature: temperature ?? 0.7,
+              ...(maxTokens ? { max_tokens: maxTokens } : {}),
+              ...(stopSequences.length > 0 ? { stop: stopSequences } : {}),
+              stream_options: { include_usage: true }
+            }),
+        }),
+      });
+
+      if (!response.ok) {
+        throw await ProviderError.fromResponse('Local AI', response);
+      }
+
+      // Both APIs may signal the end in-band and then close the stream
+      let finished = false;
+      let usage = null;
+      const toolCalls = [];
+      const finish = () => {
+        if (finished) return;
+        finished = true;
+        onComplete(usage, { toolCalls: finishToolCalls(toolCalls) });
+      };
+
+      let buffer = '';
+
+      response.body.on('data', (chunk) => {
+        buffer += chunk.toString();
+        const lines = buffer.split('\n');
+        buffer = lines.pop() || '';
+
+        for (const line of lines) {
+          if (line.trim() === '' || finished) continue;
+
+          try {
+            if (isOllama) {
+              // Ollama streams newline-delimited JSON objects
+              const parsed = JSON.parse(line);
+              if (parsed.error) {
+                finished = true;
+                onError(new Error(`Local AI error: ${parsed.error}`));
+                return;
+              }
+              if (parsed.message?.content) {
+                onChunk(parsed.message.content);
+              }
+              // Ollama sends each tool call whole, with arguments already parsed
+              for (const call of parsed.message?.tool_calls || []) {
+                toolCalls.push({ id: null, name: call.function?.name, arguments: call.function?.arguments || {} });
+              }
+              if (parsed.done) {
+                usage = makeUsage(parsed.prompt_eval_count, parsed.eval_count);
+                finish();
+                return;
+              }
+            } else if (line.startsWith('data: ')) {
+              const data = line.slice(6);
+              if (data === '[DONE]') {
+                finish();
+                return;
+              }
+              const parsed = JSON.parse(data);
+              const content = parsed.choices?.[0]?.delta?.content;
+              if (content) {
+                onChunk(content);
+              }
+              collectToolCallDeltas(toolCalls, parsed.choices?.[0]?.delta?.tool_calls);
+              if (parsed.usage) {
+                usage = makeUsage(parsed.usage.prompt_tokens, parsed.usage.completion_tokens);
+              }
+            }
+          } catch (e) {
+            // Skip invalid JSON
+          }
+        }
+      });
+
+      response.body.on('end', () => {
+        finish();
       });
 
       response.body.on('error', (error) => {
+        if (finished) return;
+        finished = true;
         onError(error);
       });
     } catch (error) {
@@ -314,4 +1256,216 @@ class GoogleProvider {
   }
 }
 
-module.exports = { AIProviderService };
\ No newline at end of file
+/**
+ * Offline provider that streams scripted or echoed replies, so generation can
+ * be developed and tested without network access or API keys.
+ *
+ * Replies come from the first script entry that applies to the request, or
+ * echo the prompt when none does. An entry looks like:
+ *   {
+ *     "match": "summar",           regex tested against the last user message (optional)
+ *     "model": "mock:flaky",       only for this mock model (optional)
+ *     "text": "Reply text",        or "chunks": ["Reply ", "text"] to stream exact pieces
+ *     "error": { "status": 503, "message": "Overloaded", "afterChunks": 2, "retryAfterMs": 10 },
+ *     "usage": { "promptTokens": 10, "completionTokens": 5 },
+ *     "toolCalls": [{ "name": "search_cards", "arguments": { "query": "x" } }],
+ *     "latencyMs": 0, "chunkDelayMs": 20, "chunkWords": 3,
+ *     "once": true                 drop the entry after it has been used
+ *   }
+ * An error without afterChunks fails before any output, so it is retried like a
+ * real provider error with the same status; with afterChunks it fails mid-stream.
+ * toolCalls are only requested when the caller offers tools; script an agent run
+ * as a sequence of "once" entries, since the last user message stays the same.
+ * Token usage is counted with the tokenizer unless the entry gives it.
+ */
+class MockProvider {
+  constructor(options = {}) {
+    this.modelNames = (options.models || 'default').split(',').map(name => name.trim()).filter(Boolean);
+    this.contextLimit = parseInt(options.contextLimit, 10) || 8192;
+    const number = (value, fallback) => {
+      const parsed = parseInt(value, 10);
+      return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+    };
+    this.latencyMs = number(options.latencyMs, 0);
+    this.chunkDelayMs = number(options.chunkDelayMs, 20);
+    this.chunkWords = Math.max(1, number(options.chunkWords, 3));
+    this.script = Array.isArray(options.script) ? [...options.script] : [];
+  }
+
+  /**
+   * Read the reply script from AI_MOCK_SCRIPT (inline JSON) or AI_MOCK_SCRIPT_PATH (JSON file)
+   * @returns {Array<Object>} - Script entries (empty to always echo)
+   */
+  static loadScript() {
+    try {
+      const script = process.env.AI_MOCK_SCRIPT_PATH
+        ? fs.readJsonSync(process.env.AI_MOCK_SCRIPT_PATH)
+        : readJsonEnv('AI_MOCK_SCRIPT');
+      if (script && !Array.isArray(script)) {
+        throw new Error('the script must be a JSON array of entries');
+      }
+      return script || [];
+    } catch (error) {
+      console.error('❌ Invalid mock AI script, echoing every prompt:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Mock models, in the same shape as hosted providers
+   * @returns {Array<Object>} - Models
+   */
+  listModels() {
+    return this.modelNames.map(name => ({
+      id: `mock:${name}`,
+      name: `Mock (${name})`,
+      provider: 'mock',
+      contextLimit: this.contextLimit,
+      vision: true,
+      tools: true
+    }));
+  }
+
+  /**
+   * Find the script entry for a request, consuming it if it is single-use
+   * @param {string} model - Model ID
+   * @param {string} lastUserMessage - Text of the last user message
+   * @returns {Object|null} - Script entry or null to echo
+   */
+  takeEntry(model, lastUserMessage) {
+    const index = this.script.findIndex(entry => {
+      if (entry.model && entry.model !== model) {
+        return false;
+      }
+      try {
+        return !entry.match || new RegExp(entry.match, 'i').test(lastUserMessage);
+      } catch (error) {
+        return false;
+      }
+    });
+    if (index === -1) {
+      return null;
+    }
+
+    const entry = this.script[index];
+    if (entry.once) {
+      this.script.splice(index, 1);
+    }
+    return entry;
+  }
+
+  /**
+   * Split a reply into chunks of a few words, keeping the whitespace
+   * @param {string} text - Reply text
+   * @param {number} chunkWords - Words per chunk
+   * @returns {Array<string>} - Chunks
+   */
+  chunkText(text, chunkWords) {
+    const words = text.match(/\s*\S+\s*/g) || [];
+    const chunks = [];
+    for (let i = 0; i < words.length; i += chunkWords) {
+      chunks.push(words.slice(i, i + chunkWords).join(''));
+    }
+    return chunks;
+  }
+
+  /**
+   * Apply stop sequences and the max token limit the way a real model would
+   * @param {string} text - Full reply
+   * @param {string} model - Model ID
+   * @param {Object} parameters - { maxTokens, stopSequences }
+   * @returns {string} - Reply as the model would return it
+   */
+  applyParameters(text, model, { maxTokens, stopSequences = [] } = {}) {
+    let reply = text;
+    for (const stop of stopSequences) {
+      const index = reply.indexOf(stop);
+      if (index !== -1) {
+        reply = reply.slice(0, index);
+      }
+    }
+    return maxTokens ? tokenizer.truncate(reply, maxTokens, model) : reply;
+  }
+
+  async generateStreaming(model, prompt, context, onChunk, onComplete, onError, options = {}) {
+    console.log(`🔍 Mock: Sending ${context.length} context cards + prompt to ${model}`);
+    const messages = buildPromptMessages(prompt, context, options.parameters?.systemPrompt, options.images);
+    return this.streamChat(model, messages, onChunk, onComplete, onError, options);
+  }
+
+  async streamChat(model, messages, onChunk, onComplete, onError, options = {}) {
+    const { signal } = options;
+    const aborted = () => {
+      const error = new Error('The mock generation was aborted');
+      error.name = 'AbortError';
+      return error;
+    };
+
+    try {
+      const lastUser = [...messages].reverse().find(message => message.role === 'user');
+      const lastUserMessage = lastUser ? lastUser.content : '';
+      const entry = this.takeEntry(model, lastUserMessage) || {};
+
+      const chunkWords = Math.max(1, entry.chunkWords || this.chunkWords);
+      const chunkDelayMs = entry.chunkDelayMs ?? this.chunkDelayMs;
+      let chunks;
+      if (Array.isArray(entry.chunks)) {
+        chunks = entry.chunks.map(String);
+      } else {
+        let text = `This is a mock response from ${model}. You asked: ${lastUserMessage}`;
+        if (typeof entry.text === 'string') {
+          text = entry.text;
+        } else if (Array.isArray(entry.toolCalls)) {
+          text = '';
+        }
+        chunks = this.chunkText(this.applyParameters(text, model, options.parameters), chunkWords);
+      }
+
+      await sleep(entry.latencyMs ?? this.latencyMs, signal);
+      if (signal?.aborted) {
+        throw aborted();
+      }
+
+      const error = entry.error
+        ? new ProviderError(`Mock API error: ${entry.error.status || 500} ${entry.error.message || 'Scripted failure'}`, {
+          provider: 'Mock',
+          status: entry.error.status || 500,
+          retryAfterMs: entry.error.retryAfterMs ?? null
+        })
+        : null;
+      const failAfter = error ? Math.max(0, entry.error.afterChunks || 0) : Infinity;
+
+      let output = '';
+      for (let i = 0; i < chunks.length; i++) {
+        if (i >= failAfter) {
+          break;
+        }
+        if (i > 0) {
+          await sleep(chunkDelayMs, signal);
+        }
+        if (signal?.aborted) {
+          throw aborted();
+        }
+        output += chunks[i];
+        onChunk(chunks[i]);
+      }
+
+      if (error) {
+        onError(error);
+        return;
+      }
+
+      const toolCalls = options.tools && options.tools.length > 0 && Array.isArray(entry.toolCalls)
+        ? entry.toolCalls.map((call, index) => ({ id: call.id || `mock_call_${index}`, name: call.name, arguments: call.arguments || {} }))
+        : [];
+
+      onComplete(entry.usage
+        ? makeUsage(entry.usage.promptTokens, entry.usage.completionTokens)
+        : makeUsage(tokenizer.countMessages(messages, model), tokenizer.count(output, model)), { toolCalls });
+    } catch (error) {
+      onError(error);
+    }
+  }
+}
+
+module.exports = { AIProviderService, ProviderError, buildPromptMessages };
\ No newline at end of file
@@ -0,0 +1,348 @@
+const Card = require('../models/Card');
+const StreamCard = require('../models/StreamCard');
+const CardFactory = require('./CardFactory');
+const linkParser = require('./linkParser');
+const { query } = require('../models/database');
+const { validateSchema } = require('../utils/jsonSchema');
+
+// Deepest nesting an outline may produce below the generating card
+const MAX_OUTLINE_DEPTH = 4;
+const MAX_TITLE_LENGTH = 200;
+
+const STRING = { type: 'string', minLength: 1 };
+const TITLE = { type: 'string', minLength: 1, maxLength: MAX_TITLE_LENGTH };
+
+/**
+ * Transform modes. Each asks the model for JSON matching its schema and turns
+ * the parsed result into nodes: { key, title, content, depth, links, linksLabel }
+ * where links are the keys of other nodes in the same result.
+ */
+const TRANSFORMS = {
+  atomic_notes: {
+    name: 'Atomic notes',
+    description: 'Split the material into small, self-contained notes that link to each other',
+    instructions: 'Split the material into atomic notes: each note covers exactly one idea, has a short unique title, ' +
+      'and makes sense on its own. List the titles of closely related notes in "related".',
+    schema: {
+      type: 'object',
+      required: ['notes'],
+      properties: {
+        notes: {
+          type: 'array',
+          minItems: 1,
+          maxItems: 50,
+          items: {
+            type: 'object',
+            required: ['title', 'content'],
+            properties: {
+              title: TITLE,
+              content: STRING,
+              related: { type: 'array', items: { type: 'string' } }
+            }
+          }
+        }
+      }
+    },
+    toNodes: (data) => {
+      // The first note wins when the model repeats a title
+      const keyByTitle = new Map(data.notes.map((note, index) => [note.title.trim().toLowerCase(), `note/${index}`]).reverse());
+      return data.notes.map((note, index) => ({
+        key: `note/${index}`,
+        title: note.title,
+        content: note.content,
+        depth: 0,
+        links: [...new Set((note.related || []).map(title => keyByTitle.get(title.trim().toLowerCase())))]
+          .filter(key => key && key !== `note/${index}`),
+        linksLabel: 'Related'
+      }));
+    }
+  },
+
+  outline: {
+    name: 'Outline',
+    description: 'Organise the material as a titled outline of nested section cards',
+    instructions: 'Organise the material as an outline. Give it a title and a short summary, then sections with ' +
+      `a title and content; sections may contain child sections (at most ${MAX_OUTLINE_DEPTH} levels).`,
+    schema: {
+      type: 'object',
+      required: ['title', 'sections'],
+      properties: {
+        title: TITLE,
+        summary: { type: 'string' },
+        sections: { type: 'array', minItems: 1, items: { $ref: '#/definitions/section' } }
+      },
+      definitions: {
+        section: {
+          type: 'object',
+          required: ['title', 'content'],
+          properties: {
+            title: TITLE,
+            content: STRING,
+            children: { type: 'array', items: { $ref: '#/definitions/section' } }
+          }
+        }
+      }
+    },
+    toNodes: (data) => {
+      const nodes = [];
+      const addSections = (sections, depth, parentKey) => sections.map((section, index) => {
+        const key = `${parentKey}/${index}`;
+        const node = { key, title: section.title, content: section.content, depth, links: [], linksLabel: 'Sections' };
+        nodes.push(node);
+        if (section.children && section.children.length > 0) {
+          // Anything nested deeper than the limit is flattened onto the last level
+          node.links = addSections(section.children, Math.min(depth + 1, MAX_OUTLINE_DEPTH), key);
+        }
+        return key;
+      });
+
+      // Parents are pushed before their children, so nodes stay in document order
+      const root = { key: 'root', title: data.title, content: data.summary || '', depth: 0, links: [], linksLabel: 'Sections' };
+      nodes.push(root);
+      root.links = addSections(data.sections, 1, 'root');
+      return nodes;
+    }
+  },
+
+  flashcards: {
+    name: 'Flashcards',
+    description: 'Turn the material into question and answer cards under a deck card',
+    instructions: 'Turn the material into flashcards for spaced repetition. Name the deck, then write cards that ' +
+      'each test one fact with a specific question and a concise answer.',
+    schema: {
+      type: 'object',
+      required: ['deck', 'cards'],
+      properties: {
+        deck: TITLE,
+        cards: {
+          type: 'array',
+          minItems: 1,
+          maxItems: 100,
+          items: {
+            type: 'object',
+            required: ['question', 'answer'],
+            properties: {
+              question: STRING,
+              answer: STRING
+            }
+          }
+        }
+      }
+    },
+    toNodes: (data) => {
+      const cards = data.cards.map((card, index) => ({
+        key: `card/${index}`,
+        title: `Q: ${card.question}`,
+        content: `**Q:** ${card.question}\n\n**A:** ${card.answer}`,
+        depth: 1,
+        links: [],
+        linksLabel: 'Cards'
+      }));
+      return [
+        { key: 'deck', title: data.deck, content: '', depth: 0, links: cards.map(card => card.key), linksLabel: 'Cards' },
+        ...cards
+      ];
+    }
+  }
+};
+
+/**
+ * AITransforms - Structured generations that produce several linked cards
+ * The model is asked for JSON, the output is validated against the mode's
+ * schema and materialised as titled cards nested below the generating card.
+ */
+class AITransforms {
+  /**
+   * Available transform modes
+   * @returns {Array<Object>} - { id, name, description }
+   */
+  static list() {
+    return Object.entries(TRANSFORMS).map(([id, transform]) => ({
+      id,
+      name: transform.name,
+      description: transform.description
+    }));
+  }
+
+  /**
+   * Whether a mode is a known transform
+   * @param {string} mode - Mode ID
+   * @returns {boolean}
+   */
+  static isTransform(mode) {
+    return Object.prototype.hasOwnProperty.call(TRANSFORMS, mode);
+  }
+
+  /**
+   * Wrap a user prompt with the transform's output instructions
+   * @param {string} mode - Transform mode
+   * @param {string} prompt - User prompt
+   * @returns {string} - Prompt asking for schema-conforming JSON
+   */
+  static buildPrompt(mode, prompt) {
+    const transform = TRANSFORMS[mode];
+    return `${transform.instructions}
+
+Respond with a single JSON object and nothing else (no prose, no code fences). It must match this JSON Schema:
+${JSON.stringify(transform.schema)}
+
+Card content is markdown. Task: ${prompt}`;
+  }
+
+  /**
+   * Parse and validate model output
+   * @param {string} mode - Transform mode
+   * @param {string} output - Raw model output
+   * @returns {Array<Object>} - Nodes to materialise
+   */
+  static parseOutput(mode, output) {
+    const transform = TRANSFORMS[mode];
+
+    // Models often wrap JSON in code fences or a sentence; take the outermost object
+    const text = (output || '').replace(/```(?:json)?/gi, '');
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start === -1 || end <= start) {
+      throw new Error('The model did not return a JSON object');
+    }
+
+    let data;
+    try {
+      data = JSON.parse(text.slice(start, end + 1));
+    } catch (error) {
+      throw new Error(`The model returned invalid JSON: ${error.message}`);
+    }
+
+    const errors = validateSchema(data, transform.schema);
+    if (errors.length > 0) {
+      const shown = errors.slice(0, 5).join('; ');
+      throw new Error(`The model output does not match the ${transform.name.toLowerCase()} schema: ${shown}${errors.length > 5 ? '; ...' : ''}`);
+    }
+
+    return transform.toNodes(data);
+  }
+
+  /**
+   * Create the cards for a completed transform job in place of its placeholder card
+   * @param {GenerationJob} job - Completed job with mode, brainId, streamId and cardId
+   * @param {string} output - Raw model output
+   * @returns {Promise<Array<Card>>} - Created cards, in stream order
+   */
+  static async materialise(job, output) {
+    const nodes = this.parseOutput(job.mode, output);
+
+    // Insert where the placeholder card sits, nested under its depth
+    let position = null;
+    let baseDepth = 0;
+    if (job.streamId && job.cardId) {
+      const placement = await query(
+        'SELECT position, depth FROM stream_cards WHERE stream_id = $1 AND card_id = $2',
+        [job.streamId, job.cardId]
+      );
+      if (placement.rows.length > 0) {
+        position = placement.rows[0].position + 1;
+        baseDepth = placement.rows[0].depth || 0;
+      }
+    }
+
+    const titles = await this.assignTitles(job.brainId, nodes);
+    const created = [];
+
+    try {
+      for (const node of nodes) {
+        const card = await CardFactory.createTitledCard(job.brainId, titles.get(node.key), this.renderContent(node, nodes, titles));
+        created.push(card);
+
+        if (job.streamId) {
+          await StreamCard.addCardToStream(job.streamId, card.id, position, baseDepth + node.depth);
+          if (position !== null) {
+            position++;
+          }
+        }
+      }
+    } catch (error) {
+      // Don't leave half a transform behind
+      for (const card of created) {
+        await card.delete().catch(deleteError => console.error('❌ Failed to clean up transform card:', deleteError));
+      }
+      throw error;
+    }
+
+    // Links resolve once every card exists
+    for (const card of created) {
+      await linkParser.processCardLinks(card.id, await card.getContent());
+    }
+
+    // The placeholder only held the raw JSON while it streamed; a card with content is kept
+    if (job.cardId) {
+      const placeholder = await Card.findById(job.cardId);
+      if (placeholder && (await placeholder.getContent()).trim()) {
+        console.warn(`⚠️  Transform card ${placeholder.id} has content; keeping it`);
+      } else if (placeholder) {
+        if (job.streamId) {
+          await StreamCard.removeCardFromStream(job.streamId, placeholder.id);
+        }
+        await placeholder.delete();
+      }
+    }
+
+    console.log(`✅ ${TRANSFORMS[job.mode].name} transform created ${created.length} cards`);
+    return created;
+  }
+
+  /**
+   * Give every node a card title that is valid and unused in the brain
+   * @param {string} brainId - Brain ID
+   * @param {Array<Object>} nodes - Nodes to title
+   * @returns {Promise<Map<string, string>>} - node key -> card title
+   */
+  static async assignTitles(brainId, nodes) {
+    const titles = new Map();
+    const taken = new Set();
+
+    for (const node of nodes) {
+      // Brackets and pipes would break [[links]] to the card
+      let base = node.title.replace(/[[\]|]/g, '').replace(/\s+/g, ' ').trim() || 'Untitled note';
+      if (base.length > MAX_TITLE_LENGTH - 6) {
+        base = `${base.slice(0, MAX_TITLE_LENGTH - 7).trim()}…`;
+      }
+
+      let title = base;
+      for (let suffix = 2; taken.has(title.toLowerCase()) || await Card.findByBrainAndTitle(brainId, title); suffix++) {
+        title = `${base} (${suffix})`;
+      }
+
+      taken.add(title.toLowerCase());
+      titles.set(node.key, title);
+    }
+
+    return titles;
+  }
+
+  /**
+   * Card content for a node: its text with links to renamed notes fixed,
+   * followed by links to the nodes it points at
+   * @param {Object} node - Node to render
+   * @param {Array<Object>} nodes - All nodes in the result
+   * @param {Map<string, string>} titles - node key -> card title
+   * @returns {string} - Markdown content
+   */
+  static renderContent(node, nodes, titles) {
+    const titleByName = new Map(nodes.map(other => [other.title, titles.get(other.key)]).reverse());
+    let content = node.content.replace(/\[\[([^\]|]+)\]\]/g, (match, name) => (
+      titleByName.has(name.trim()) ? `[[${titleByName.get(name.trim())}]]` : match
+    ));
+
+    const linked = node.links
+      .map(key => titles.get(key))
+      .filter(Boolean);
+
+    if (linked.length > 0) {
+      content = `${content.trim()}\n\n**${node.linksLabel}:**\n${linked.map(title => `- [[${title}]]`).join('\n')}`;
+    }
+
+    return content.trim() || node.title;
+  }
+}
+
+module.exports = AITransforms;
@@ -0,0 +1,370 @@
+const crypto = require('crypto');
+const { AIProviderService } = require('./aiProviders');
+const ContextBuilder = require('./contextBuilder');
+const { createEmbedder } = require('./embedders');
+const { query, transaction } = require('../models/database');
+
+// Target chunk size and the overlap carried into the next chunk, in characters
+const CHUNK_CHARS = 1500;
+const CHUNK_OVERLAP_CHARS = 200;
+// Texts sent to the embedder per call
+const EMBED_BATCH_SIZE = 32;
+
+/**
+ * Brain Index Service
+ * Keeps an embedding index of every card and file in a brain and answers
+ * questions from it. Indexing is incremental: a source is only re-chunked
+ * and re-embedded when its version (card updated_at / file hash) changes.
+ */
+
+class BrainIndex {
+  constructor() {
+    this.aiService = new AIProviderService();
+    this.embedder = createEmbedder();
+    // brainId -> in-flight indexing promise, so concurrent asks share one run
+    this.indexing = new Map();
+  }
+
+  /**
+   * Split text into overlapping chunks along paragraph boundaries
+   * @param {string} text - Text to split
+   * @returns {Array<string>} - Chunks
+   */
+  chunkText(text) {
+    const paragraphs = (text || '')
+      .split(/\n\s*\n/)
+      .map(p => p.trim())
+      .filter(Boolean);
+
+    // Break paragraphs that are longer than a chunk on sentence boundaries
+    const pieces = [];
+    for (const paragraph of paragraphs) {
+      if (paragraph.length <= CHUNK_CHARS) {
+        pieces.push(paragraph);
+        continue;
+      }
+      let current = '';
+      for (const sentence of paragraph.match(/[^.!?]+[.!?]+["')\]]*\s*|[^.!?]+$/g) || [paragraph]) {
+        if (current && current.length + sentence.length > CHUNK_CHARS) {
+          pieces.push(current.trim());
+          current = '';
+        }
+        // A single run-on "sentence" still has to fit
+        for (let i = 0; i < sentence.length; i += CHUNK_CHARS) {
+          current += sentence.slice(i, i + CHUNK_CHARS);
+          if (current.length >= CHUNK_CHARS) {
+            pieces.push(current.trim());
+            current = '';
+          }
+        }
+      }
+      if (current.trim()) {
+        pieces.push(current.trim());
+      }
+    }
+
+    const chunks = [];
+    let current = '';
+    for (const piece of pieces) {
+      if (current && current.length + piece.length + 2 > CHUNK_CHARS) {
+        chunks.push(current);
+        // Carry the end of the previous chunk over when there is room for it
+        const overlap = current.slice(-CHUNK_OVERLAP_CHARS).replace(/^\S*\s/, '');
+        current = overlap.length + piece.length + 2 <= CHUNK_CHARS ? overlap : '';
+      }
+      current = current ? `${current}\n\n${piece}` : piece;
+    }
+    if (current) {
+      chunks.push(current);
+    }
+
+    return chunks;
+  }
+
+  /**
+   * List the cards and files in a brain with their current versions
+   * @param {string} brainId - Brain ID
+   * @returns {Promise<Array<Object>>} - { id, sourceType, version }
+   */
+  async listSources(brainId) {
+    // Legacy file cards are skipped; the file they point at is indexed directly
+    const result = await query(`
+      SELECT id, 'card' AS source_type, updated_at::text AS version
+      FROM cards WHERE brain_id = $1 AND is_active = true AND file_id IS NULL
+      UNION ALL
+      SELECT id, 'file' AS source_type, COALESCE(file_hash, file_modified_at::text, file_size::text) AS version
+      FROM files WHERE brain_id = $1
+    `, [brainId]);
+
+    return result.rows.map(row => ({
+      id: row.id,
+      sourceType: row.source_type,
+      version: crypto.createHash('sha256').update(String(row.version)).digest('hex').slice(0, 32)
+    }));
+  }
+
+  /**
+   * Bring a brain's index up to date (shared if already running)
+   * @param {string} brainId - Brain ID
+   * @param {Object} options - Indexing options
+   * @param {boolean} options.force - Re-embed every source
+   * @returns {Promise<Object>} - { indexed, unchanged, removed, chunks }
+   */
+  async indexBrain(brainId, options = {}) {
+    if (this.indexing.has(brainId)) {
+      return this.indexing.get(brainId);
+    }
+
+    const run = this.runIndex(brainId, options).finally(() => this.indexing.delete(brainId));
+    this.indexing.set(brainId, run);
+    return run;
+  }
+
+  /**
+   * Index new and changed sources and drop deleted ones
+   * @param {string} brainId - Brain ID
+   * @param {Object} options - Indexing options
+   * @returns {Promise<Object>} - Indexing stats
+   */
+  async runIndex(brainId, { force = false } = {}) {
+    const embedder = this.embedder.name;
+    const sources = await this.listSources(brainId);
+
+    const indexedResult = await query(
+      'SELECT DISTINCT source_id, source_version FROM embedding_chunks WHERE brain_id = $1 AND embedder = $2',
+      [brainId, embedder]
+    );
+    const indexedVersions = new Map(indexedResult.rows.map(row => [row.source_id, row.source_version]));
+
+    const stale = sources.filter(source => force || indexedVersions.get(source.id) !== source.version);
+    const liveIds = new Set(sources.map(source => source.id));
+    const removedIds = [...indexedVersions.keys()].filter(id => !liveIds.has(id));
+
+    if (removedIds.length > 0) {
+      await query(
+        'DELETE FROM embedding_chunks WHERE brain_id = $1 AND source_id = ANY($2)',
+        [brainId, removedIds]
+      );
+    }
+
+    let chunkCount = 0;
+    if (stale.length > 0) {
+      const loaded = await ContextBuilder.loadSources(brainId, stale.map(source => source.id));
+
+      for (const source of stale) {
+        const content = loaded.get(source.id);
+        const chunks = content ? this.chunkText(content.text) : [];
+        const embeddings = await this.embedBatched(chunks.map(chunk => `${content.title}\n\n${chunk}`));
+
+        await transaction(async (client) => {
+          await client.query(
+            'DELETE FROM embedding_chunks WHERE source_id = $1 AND embedder = $2',
+            [source.id, embedder]
+          );
+          for (let i = 0; i < chunks.length; i++) {
+            await client.query(`
+              INSERT INTO embedding_chunks
+                (brain_id, source_type, source_id, source_title, source_version, chunk_index, content, embedder, embedding)
+              VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+            `, [brainId, source.sourceType, source.id, content.title, source.version, i, chunks[i], embedder, embeddings[i]]);
+          }
+        });
+
+        chunkCount += chunks.length;
+      }
+    }
+
+    const stats = {
+      indexed: stale.length,
+      unchanged: sources.length - stale.length,
+      removed: removedIds.length,
+      chunks: chunkCount,
+      embedder
+    };
+
+    if (stats.indexed > 0 || stats.removed > 0) {
+      console.log(`✅ Indexed brain ${brainId}: ${stats.indexed} sources (${stats.chunks} chunks), ${stats.removed} removed`);
+    }
+
+    return stats;
+  }
+
+  /**
+   * Embed texts in batches
+   * @param {Array<string>} texts - Texts to embed
+   * @returns {Promise<Array<Array<number>>>} - One vector per text
+   */
+  async embedBatched(texts) {
+    const vectors = [];
+    for (let i = 0; i < texts.length; i += EMBED_BATCH_SIZE) {
+      vectors.push(...await this.embedder.embed(texts.slice(i, i + EMBED_BATCH_SIZE)));
+    }
+    return vectors;
+  }
+
+  /**
+   * Cosine similarity of two vectors
+   * @param {Array<number>} a - First vector
+   * @param {Array<number>} b - Second vector
+   * @returns {number} - Similarity in [-1, 1]
+   */
+  cosine(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+      dot += a[i] * b[i];
+      normA += a[i] * a[i];
+      normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+  }
+
+  /**
+   * Find the chunks most relevant to a question
+   * @param {string} brainId - Brain ID
+   * @param {string} question - Question text
+   * @param {Object} options - Search options
+   * @param {number} options.topK - Chunks to return (default: 6)
+   * @returns {Promise<Array<Object>>} - Chunks with score, best first
+   */
+  async search(brainId, question, { topK = 6 } = {}) {
+    await this.indexBrain(brainId);
+
+    const [questionVector] = await this.embedder.embed([question]);
+    const result = await query(
+      'SELECT source_type, source_id, source_title, chunk_index, content, embedding FROM embedding_chunks WHERE brain_id = $1 AND embedder = $2',
+      [brainId, this.embedder.name]
+    );
+
+    return result.rows
+      .map(row => ({
+        sourceType: row.source_type,
+        sourceId: row.source_id,
+        title: row.source_title,
+        chunkIndex: row.chunk_index,
+        content: row.content,
+        score: this.cosine(questionVector, row.embedding)
+      }))
+      .filter(chunk => chunk.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK);
+  }
+
+  /**
+   * Answer a question from the brain's own content, with citations
+   * @param {string} brainId - Brain ID
+   * @param {string} question - Question text
+   * @param {Object} options - Ask options
+   * @param {string} options.model - Model ID to answer with
+   * @param {number} options.topK - Chunks to retrieve
+   * @returns {Promise<Object>} - { answer, usage, servedBy, citations }
+   */
+  async ask(brainId, question, { model, topK = 6 } = {}) {
+    const chunks = await this.search(brainId, question, { topK });
+
+    // Number sources, not chunks, so each citation points at one card or file
+    const citations = [];
+    const bySource = new Map();
+    for (const chunk of chunks) {
+      let citation = bySource.get(chunk.sourceId);
+      if (!citation) {
+        citation = {
+          index: citations.length + 1,
+          sourceType: chunk.sourceType,
+          sourceId: chunk.sourceId,
+          cardId: chunk.sourceType === 'card' ? chunk.sourceId : null,
+          fileId: chunk.sourceType === 'file' ? chunk.sourceId : null,
+          title: chunk.title,
+          score: chunk.score,
+          excerpts: []
+        };
+        bySource.set(chunk.sourceId, citation);
+        citations.push(citation);
+      }
+      citation.excerpts.push(chunk.content);
+    }
+
+    if (citations.length === 0) {
+      return {
+        answer: 'I could not find anything in this brain related to that question.',
+        usage: null,
+        citations: []
+      };
+    }
+
+    const sourcesText = citations
+      .map(c => `[${c.index}] ${c.title}\n\n${c.excerpts.join('\n\n...\n\n')}`)
+      .join('\n\n---\n\n');
+
+    const messages = [
+      {
+        role: 'system',
+        content: 'Answer the question using only the numbered sources from the user\'s notes. ' +
+          'Cite sources inline as [1], [2] after the statements they support. ' +
+          'If the sources do not contain the answer, say so plainly.'
+      },
+      {
+        role: 'user',
+        content: `Sources:\n\n${sourcesText}\n\n---\n\nQuestion: ${question}`
+      }
+    ];
+
+    console.log(`🔍 Answering question in brain ${brainId} from ${citations.length} sources with ${model}`);
+
+    let usage = null;
+    let served = null;
+    const answer = await new Promise((resolve, reject) => {
+      let text = '';
+      this.aiService.generateChatStreaming(
+        model,
+        messages,
+        (chunk) => { text += chunk; },
+        (reportedUsage = null, servedBy = null) => {
+          usage = reportedUsage;
+          served = servedBy;
+          resolve(text);
+        },
+        reject
+      ).catch(reject);
+    });
+
+    const citedIndexes = new Set([...answer.matchAll(/\[(\d+)\]/g)].map(m => parseInt(m[1], 10)));
+
+    return {
+      answer,
+      usage,
+      servedBy: served || { model, provider: null },
+      citations: citations.map(({ excerpts, ...citation }) => ({
+        ...citation,
+        cited: citedIndexes.has(citation.index),
+        excerpt: excerpts[0].slice(0, 300)
+      }))
+    };
+  }
+
+  /**
+   * Format an answer as card content, linking cited cards with [[title]]
+   * @param {string} question - Question asked
+   * @param {Object} result - Result from ask()
+   * @returns {string} - Markdown content
+   */
+  formatAnswer(question, result) {
+    const sources = result.citations
+      .filter(c => c.cited)
+      .map(c => {
+        const label = c.sourceType === 'card' && c.title && c.title !== 'Untitled' ? `[[${c.title}]]` : c.title;
+        return `- [${c.index}] ${label}`;
+      });
+
+    return [
+      `**Q:** ${question}`,
+      '',
+      result.answer,
+      ...(sources.length > 0 ? ['', '**Sources**', ...sources] : [])
+    ].join('\n');
+  }
+}
+
+// Export singleton instance
+module.exports = new BrainIndex();
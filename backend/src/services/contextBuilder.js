@@ -0,0 +1,282 @@
+const fs = require('fs-extra');
+const path = require('path');
+const Card = require('../models/Card');
+const tokenizer = require('./tokenizer');
+const { query } = require('../models/database');
+const { extractPdfMetadata } = require('../utils/fileProcessors/pdfProcessor');
+const { extractEpubText } = require('../utils/fileProcessors/epubProcessor');
+
+// Tokens kept free for the model's reply when the caller doesn't say otherwise
+const DEFAULT_RESERVE_TOKENS = 4096;
+// Below this many tokens a truncated item is not worth including
+const MIN_TRUNCATED_TOKENS = 200;
+const TRUNCATION_MARKER = '\n\n[... truncated to fit the model context ...]';
+
+// Extracted file text keyed by path and mtime, so PDFs/EPUBs are parsed once
+const fileTextCache = new Map();
+const FILE_TEXT_CACHE_SIZE = 10;
+
+/**
+ * ContextBuilder - Assembles AI context from cards and files
+ * Uses full card bodies and extracted PDF/EPUB text, fits them into the
+ * model's context window and reports what was included or cut.
+ */
+class ContextBuilder {
+  /**
+   * Tokens kept free for the reply by default
+   * @param {number} contextLimit - Model context window in tokens
+   * @returns {number} - Reserved tokens
+   */
+  static getReserveTokens(contextLimit) {
+    return Math.min(DEFAULT_RESERVE_TOKENS, Math.floor(contextLimit / 4));
+  }
+
+  /**
+   * Build context for a generation
+   * @param {string} brainId - Brain the items must belong to
+   * @param {Array<string>} itemIds - Card or file IDs, in the order to include them
+   * @param {Object} options - Build options
+   * @param {number} options.contextLimit - Model context window in tokens
+   * @param {string} options.model - Model ID, selects the tokenizer
+   * @param {string} options.promptText - Prompt/conversation text that must also fit
+   * @param {number} options.reserveTokens - Tokens to leave for the reply
+   * @param {number} options.imageTokens - Tokens taken by images sent with the prompt
+   * @returns {Promise<Object>} - { context, report }
+   */
+  static async build(brainId, itemIds = [], options = {}) {
+    const { contextLimit = 8192, model, promptText = '', imageTokens = 0 } = options;
+    const reserveTokens = options.reserveTokens ?? this.getReserveTokens(contextLimit);
+    const promptTokens = tokenizer.count(promptText, model);
+    const budget = Math.max(0, contextLimit - reserveTokens - promptTokens - imageTokens);
+
+    const sources = await this.loadSources(brainId, itemIds);
+
+    const context = [];
+    const items = [];
+    let usedTokens = 0;
+
+    for (const id of itemIds) {
+      const source = sources.get(id);
+      if (!source) {
+        items.push({ id, status: 'missing', reason: 'Not found in this brain' });
+        continue;
+      }
+
+      const header = `# ${source.title}\n\n`;
+      const originalTokens = tokenizer.count(header + source.text, model);
+      const remaining = budget - usedTokens;
+      const entry = { id, type: source.type, title: source.title, originalTokens };
+
+      if (!source.text.trim()) {
+        items.push({ ...entry, status: 'omitted', includedTokens: 0, reason: 'No text content' });
+        continue;
+      }
+
+      let text = source.text;
+      let contextText = header + text;
+      let includedTokens = originalTokens;
+      if (originalTokens > remaining) {
+        if (remaining < MIN_TRUNCATED_TOKENS) {
+          items.push({ ...entry, status: 'omitted', includedTokens: 0, reason: 'Context limit reached' });
+          continue;
+        }
+        // Tokens can merge across the joins, so trim again until the result fits
+        let maxTokens = remaining - tokenizer.count(header + TRUNCATION_MARKER, model);
+        do {
+          text = tokenizer.truncate(source.text, maxTokens, model) + TRUNCATION_MARKER;
+          contextText = header + text;
+          includedTokens = tokenizer.count(contextText, model);
+          maxTokens -= includedTokens - remaining;
+        } while (includedTokens > remaining);
+      }
+
+      usedTokens += includedTokens;
+
+      context.push({
+        id,
+        type: source.type,
+        title: source.title,
+        content: text,
+        contextText
+      });
+      items.push({
+        ...entry,
+        status: text === source.text ? 'included' : 'truncated',
+        includedTokens
+      });
+    }
+
+    const report = {
+      contextLimit,
+      reserveTokens,
+      promptTokens,
+      imageTokens,
+      budgetTokens: budget,
+      usedTokens,
+      items,
+      includedCount: items.filter(i => i.status === 'included').length,
+      truncatedCount: items.filter(i => i.status === 'truncated').length,
+      omittedCount: items.filter(i => i.status === 'omitted' || i.status === 'missing').length
+    };
+
+    console.log(`📄 Context: ${report.includedCount} included, ${report.truncatedCount} truncated, ${report.omittedCount} omitted (${usedTokens}/${budget} tokens)`);
+
+    return { context, report };
+  }
+
+  /**
+   * Drop the oldest messages until a conversation fits the model's context window.
+   * The last message (the turn being answered) is always kept.
+   * @param {Array<Object>} messages - Messages with role and content, oldest first
+   * @param {Object} options - Fit options
+   * @param {number} options.contextLimit - Model context window in tokens
+   * @param {string} options.model - Model ID, selects the tokenizer
+   * @param {number} options.reserveTokens - Tokens to leave for the reply
+   * @returns {Object} - { messages, droppedCount, promptTokens, fits }
+   */
+  static fitMessages(messages, options = {}) {
+    const { contextLimit = 8192, model } = options;
+    const reserveTokens = options.reserveTokens ?? this.getReserveTokens(contextLimit);
+    const budget = contextLimit - reserveTokens;
+
+    const counts = messages.map(message => tokenizer.countMessage(message, model));
+    let promptTokens = tokenizer.countMessages(messages, model);
+    let start = 0;
+
+    // Drop whole turns from the front; never open with a dangling assistant turn
+    while (start < messages.length - 1 && (promptTokens > budget || (start > 0 && messages[start].role === 'assistant'))) {
+      promptTokens -= counts[start];
+      start++;
+    }
+    const kept = messages.slice(start);
+
+    return {
+      messages: kept,
+      droppedCount: messages.length - kept.length,
+      promptTokens,
+      fits: promptTokens <= budget
+    };
+  }
+
+  /**
+   * Load full text for each requested card or file
+   * @param {string} brainId - Brain ID
+   * @param {Array<string>} itemIds - Card or file IDs
+   * @returns {Promise<Map<string, Object>>} - id -> { type, title, text }
+   */
+  static async loadSources(brainId, itemIds) {
+    const sources = new Map();
+    if (itemIds.length === 0) {
+      return sources;
+    }
+
+    const cardResult = await query(
+      'SELECT * FROM cards WHERE id = ANY($1) AND brain_id = $2 AND is_active = true',
+      [itemIds, brainId]
+    );
+
+    for (const row of cardResult.rows) {
+      const card = new Card(row);
+
+      // Legacy file cards point at a file; use its extracted text
+      if (card.fileId) {
+        const file = await this.findFile(card.fileId, brainId);
+        if (file) {
+          sources.set(card.id, {
+            type: 'file',
+            title: card.title || this.getFileTitle(file),
+            text: await this.getFileText(file)
+          });
+          continue;
+        }
+      }
+
+      sources.set(card.id, {
+        type: 'card',
+        title: card.title || 'Untitled',
+        text: await card.getContent()
+      });
+    }
+
+    const remainingIds = itemIds.filter(id => !sources.has(id));
+    if (remainingIds.length > 0) {
+      const fileResult = await query(
+        'SELECT * FROM files WHERE id = ANY($1) AND brain_id = $2',
+        [remainingIds, brainId]
+      );
+
+      for (const file of fileResult.rows) {
+        sources.set(file.id, {
+          type: 'file',
+          title: this.getFileTitle(file),
+          text: await this.getFileText(file)
+        });
+      }
+    }
+
+    return sources;
+  }
+
+  /**
+   * Find a file row in a brain
+   * @param {string} fileId - File ID
+   * @param {string} brainId - Brain ID
+   * @returns {Promise<Object|null>} - File row
+   */
+  static async findFile(fileId, brainId) {
+    const result = await query('SELECT * FROM files WHERE id = $1 AND brain_id = $2', [fileId, brainId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Display title for a file row
+   * @param {Object} file - File row
+   * @returns {string} - Title
+   */
+  static getFileTitle(file) {
+    const title = file.file_type === 'epub' ? file.epub_title : file.pdf_title;
+    return title || file.file_name.replace(/\.[^.]+$/, '');
+  }
+
+  /**
+   * Extract the full text of a file, cached by path and modification time
+   * @param {Object} file - File row
+   * @returns {Promise<string>} - Extracted text (falls back to the stored preview)
+   */
+  static async getFileText(file) {
+    try {
+      if (!file.file_path || !await fs.pathExists(file.file_path)) {
+        console.warn(`⚠️  Context file not found: ${file.file_path}`);
+        return file.content_preview || '';
+      }
+
+      const stats = await fs.stat(file.file_path);
+      const cacheKey = `${file.file_path}:${stats.mtimeMs}`;
+      if (fileTextCache.has(cacheKey)) {
+        return fileTextCache.get(cacheKey);
+      }
+
+      let text;
+      const extension = path.extname(file.file_path).toLowerCase();
+      if (file.file_type === 'pdf' || extension === '.pdf') {
+        text = (await extractPdfMetadata(file.file_path)).fullText;
+      } else if (file.file_type === 'epub' || extension === '.epub') {
+        text = await extractEpubText(file.file_path);
+      } else {
+        text = await fs.readFile(file.file_path, 'utf8');
+      }
+
+      fileTextCache.set(cacheKey, text);
+      if (fileTextCache.size > FILE_TEXT_CACHE_SIZE) {
+        fileTextCache.delete(fileTextCache.keys().next().value);
+      }
+
+      return text;
+    } catch (error) {
+      console.error(`❌ Error extracting text from ${file.file_path}:`, error.message);
+      return file.content_preview || '';
+    }
+  }
+}
+
+module.exports = ContextBuilder;
@@ -0,0 +1,229 @@
+/**
+ * Embedders - Turn text into vectors for the brain index
+ * Every embedder exposes the same shape: { name, dimensions, embed(texts) }.
+ * The default runs locally with no network or model download; hosted and
+ * self-hosted embedding models can be selected with EMBEDDING_PROVIDER.
+ */
+
+// Use node-fetch v2 for compatibility
+const fetch = require('node-fetch');
+
+// Words too common to say anything about what a chunk is about
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has', 'have',
+  'he', 'her', 'his', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'of', 'on', 'or', 'our',
+  'she', 'so', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this',
+  'to', 'was', 'we', 'were', 'what', 'when', 'which', 'who', 'will', 'with', 'you', 'your'
+]);
+
+/**
+ * Crude suffix stripping so inflected forms share a feature
+ * @param {string} token - Lowercase word
+ * @returns {string} - Stem
+ */
+function stem(token) {
+  if (token.length <= 4) {
+    return token;
+  }
+  return token.replace(/(ations?|ings?|ions?|ments?|ness|ies|ed|ly|es|s)$/, '') || token;
+}
+
+/**
+ * 32-bit FNV-1a hash
+ * @param {string} str - String to hash
+ * @returns {number} - Unsigned 32-bit hash
+ */
+function fnv1a(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Scale a vector to unit length
+ * @param {Array<number>} vector - Vector to normalise
+ * @returns {Array<number>} - Unit vector (zero vector unchanged)
+ */
+function normalize(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+  return norm > 0 ? vector.map(v => v / norm) : vector;
+}
+
+/**
+ * Local, offline embedder using feature hashing.
+ * Stemmed words, word pairs and word prefixes are hashed into a fixed-size vector
+ * with sublinear term weights. Not as good as a neural model, but it needs
+ * nothing installed and works well for keyword-heavy personal notes.
+ */
+class HashEmbedder {
+  constructor(dimensions = 512) {
+    this.dimensions = dimensions;
+    this.name = `local-hash-${dimensions}`;
+  }
+
+  /**
+   * Split text into lowercase word tokens without stop words
+   * @param {string} text - Text to tokenize
+   * @returns {Array<string>} - Tokens
+   */
+  tokenize(text) {
+    return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+      .filter(token => token.length > 1 && !STOP_WORDS.has(token));
+  }
+
+  /**
+   * Embed one text
+   * @param {string} text - Text to embed
+   * @returns {Array<number>} - Unit vector
+   */
+  embedOne(text) {
+    const counts = new Map();
+    const add = (feature, weight) => counts.set(feature, (counts.get(feature) || 0) + weight);
+
+    const tokens = this.tokenize(text).map(stem);
+    tokens.forEach((token, i) => {
+      add(`w:${token}`, 1);
+      // Short prefixes let "decide", "deciding" and "decision" meet
+      if (token.length > 4) {
+        add(`p:${token.slice(0, 4)}`, 0.5);
+      }
+      if (i > 0) {
+        add(`b:${tokens[i - 1]} ${token}`, 0.75);
+      }
+    });
+
+    const vector = new Array(this.dimensions).fill(0);
+    for (const [feature, count] of counts) {
+      const hash = fnv1a(feature);
+      const sign = hash & 0x80000000 ? -1 : 1;
+      vector[hash % this.dimensions] += sign * (1 + Math.log(count));
+    }
+
+    return normalize(vector);
+  }
+
+  /**
+   * Embed a batch of texts
+   * @param {Array<string>} texts - Texts to embed
+   * @returns {Promise<Array<Array<number>>>} - One vector per text
+   */
+  async embed(texts) {
+    return texts.map(text => this.embedOne(text));
+  }
+}
+
+/**
+ * OpenAI embeddings API
+ */
+class OpenAIEmbedder {
+  constructor(apiKey, model = 'text-embedding-3-small') {
+    this.apiKey = apiKey;
+    this.model = model;
+    this.name = `openai:${model}`;
+    this.dimensions = null;
+  }
+
+  /**
+   * Embed a batch of texts
+   * @param {Array<string>} texts - Texts to embed
+   * @returns {Promise<Array<Array<number>>>} - One vector per text
+   */
+  async embed(texts) {
+    const response = await fetch('https://api.openai.com/v1/embeddings', {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${this.apiKey}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ model: this.model, input: texts })
+    });
+
+    if (!response.ok) {
+      throw new Error(`OpenAI embeddings error: ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    return data.data.sort((a, b) => a.index - b.index).map(item => item.embedding);
+  }
+}
+
+/**
+ * Self-hosted embedding model on the local AI server (Ollama or OpenAI-compatible)
+ */
+class LocalServerEmbedder {
+  constructor(baseUrl, model, options = {}) {
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.model = model;
+    this.apiType = options.apiType === 'ollama' ? 'ollama' : 'openai';
+    this.apiKey = options.apiKey || null;
+    this.name = `local:${model}`;
+    this.dimensions = null;
+  }
+
+  /**
+   * Embed a batch of texts
+   * @param {Array<string>} texts - Texts to embed
+   * @returns {Promise<Array<Array<number>>>} - One vector per text
+   */
+  async embed(texts) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+
+    const url = this.apiType === 'ollama' ? `${this.baseUrl}/api/embed` : `${this.baseUrl}/v1/embeddings`;
+    const response = await fetch(url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ model: this.model, input: texts })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Local embeddings error: ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    return this.apiType === 'ollama'
+      ? data.embeddings
+      : data.data.sort((a, b) => a.index - b.index).map(item => item.embedding);
+  }
+}
+
+/**
+ * Create the embedder selected by EMBEDDING_PROVIDER ("local" by default),
+ * falling back to the local embedder when the selected one isn't configured
+ * @returns {Object} - Embedder instance
+ */
+function createEmbedder() {
+  const provider = (process.env.EMBEDDING_PROVIDER || 'local').toLowerCase();
+
+  if (provider === 'openai') {
+    if (process.env.OPENAI_API_KEY) {
+      return new OpenAIEmbedder(process.env.OPENAI_API_KEY, process.env.EMBEDDING_MODEL || undefined);
+    }
+    console.warn('⚠️  EMBEDDING_PROVIDER=openai requires OPENAI_API_KEY, using the local embedder');
+  }
+
+  if (provider === 'server') {
+    if (!process.env.LOCAL_AI_BASE_URL || !process.env.EMBEDDING_MODEL) {
+      console.warn('⚠️  EMBEDDING_PROVIDER=server requires LOCAL_AI_BASE_URL and EMBEDDING_MODEL, using the local embedder');
+      return new HashEmbedder(parseInt(process.env.EMBEDDING_DIMENSIONS, 10) || 512);
+    }
+    return new LocalServerEmbedder(process.env.LOCAL_AI_BASE_URL, process.env.EMBEDDING_MODEL, {
+      apiType: process.env.LOCAL_AI_API_TYPE,
+      apiKey: process.env.LOCAL_AI_API_KEY
+    });
+  }
+
+  return new HashEmbedder(parseInt(process.env.EMBEDDING_DIMENSIONS, 10) || 512);
+}
+
+module.exports = {
+  HashEmbedder,
+  OpenAIEmbedder,
+  LocalServerEmbedder,
+  createEmbedder
+};
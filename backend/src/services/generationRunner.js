@@ -0,0 +1,477 @@
+const { AIProviderService, buildPromptMessages } = require('./aiProviders');
+const UsageTracker = require('./usageTracker');
+const AITransforms = require('./aiTransforms');
+const AgentTools = require('./agentTools');
+const tokenizer = require('./tokenizer');
+const { query } = require('../models/database');
+
+// Model turns an agent job may take before it has to answer
+const AGENT_MAX_STEPS = parseInt(process.env.AGENT_MAX_STEPS, 10) || 10;
+// How long a tool call waits for the user's approval before it counts as rejected
+const AGENT_CONFIRMATION_TIMEOUT_MS = parseInt(process.env.AGENT_CONFIRMATION_TIMEOUT_MS, 10) || 10 * 60 * 1000;
+
+/**
+ * Generation Runner Service
+ * Runs AI generation jobs independently of the HTTP request that started them.
+ * Output is buffered in memory while a job runs so any number of SSE clients
+ * can attach (or reattach after a refresh); the job row and the target card
+ * are written once when the job finishes or is cancelled.
+ * Agent jobs (mode 'agent') let the model call AgentTools between turns.
+ */
+
+class GenerationRunner {
+  constructor() {
+    this.aiService = new AIProviderService();
+    // jobId -> { job, output, toolCalls, confirmations, listeners: Set<Function>, controller, finished,
+    //           usage, promptTokens, turnStart }
+    this.running = new Map();
+  }
+
+  /**
+   * Start a queued job in the background
+   * @param {GenerationJob} job - Job to run
+   * @param {Array<Object>} context - Context cards with contextText
+   * @param {Array<Object>} images - Images sent with the prompt (see ImageInputs); not stored on the job
+   * @returns {Promise<void>} - Resolves once the job is running
+   */
+  async start(job, context = [], images = []) {
+    const entry = {
+      job,
+      output: '',
+      // Agent jobs: tool calls so far, and approvals being waited for (call ID -> resolve)
+      toolCalls: [],
+      confirmations: new Map(),
+      listeners: new Set(),
+      controller: new AbortController(),
+      finished: false,
+      // Usage reported by finished agent turns, and what the current call was sent and has produced
+      // so far, so a cancelled or failed job is still billed for the tokens it used
+      usage: null,
+      promptTokens: tokenizer.countMessages(
+        buildPromptMessages(job.prompt, context, job.parameters?.systemPrompt, images), job.model
+      ),
+      turnStart: 0
+    };
+    this.running.set(job.id, entry);
+
+    try {
+      await job.markRunning();
+    } catch (error) {
+      // Nothing will ever settle this entry
+      this.running.delete(job.id);
+      throw error;
+    }
+    console.log(`🤖 Generation job ${job.id} running with ${job.model}`);
+
+    const onChunk = (chunk) => {
+      if (entry.finished) return;
+      entry.output += chunk;
+      this.emit(entry, { type: 'chunk', content: chunk, totalContent: entry.output });
+    };
+
+    const onComplete = (usage = null, served = null) => {
+      if (entry.finished) return;
+      entry.finished = true;
+      this.settle(entry, 'complete', { output: entry.output, usage, served });
+    };
+
+    const onError = (error) => {
+      if (entry.finished) return;
+      entry.finished = true;
+      console.error(`❌ Generation job ${job.id} failed:`, error);
+      this.settle(entry, 'failed', { output: entry.output, errorMessage: error.message });
+    };
+
+    // Deliberately not awaited: the job keeps running after the request returns
+    if (job.mode === 'agent') {
+      this.runAgent(entry, context, images, onChunk).then(
+        (result) => (result ? onComplete(result.usage, result.served) : null),
+        onError
+      );
+      return;
+    }
+
+    this.aiService.generateStreaming(job.model, job.prompt, context, onChunk, onComplete, onError, {
+      signal: entry.controller.signal,
+      parameters: job.parameters,
+      images,
+      // Retry, fallback and queueing notices go to attached clients as they happen
+      onEvent: (event) => {
+        if (!entry.finished) this.emit(entry, event);
+      }
+    }).catch(onError);
+  }
+
+  /**
+   * Run an agent job: the model may call tools, gets their results back and
+   * continues until it answers without calling any. Calls that change the
+   * brain wait for confirmToolCall.
+   * @param {Object} entry - Running job entry
+   * @param {Array<Object>} context - Context cards with contextText
+   * @param {Array<Object>} images - Images sent with the prompt
+   * @param {Function} onChunk - Receives the model's text
+   * @returns {Promise<Object|null>} - { usage, served } once answered, or null if the job was stopped
+   */
+  async runAgent(entry, context, images, onChunk) {
+    const { job } = entry;
+    const scope = { userId: job.userId, brainId: job.brainId, streamId: job.streamId, model: job.model };
+    const parameters = { ...job.parameters, systemPrompt: AgentTools.buildSystemPrompt(job.parameters.systemPrompt) };
+    const tools = AgentTools.definitions();
+    // The system prompt goes in through parameters, as for every agent turn
+    const messages = buildPromptMessages(job.prompt, context, null, images);
+    let usage = null;
+
+    for (let step = 1; step <= AGENT_MAX_STEPS; step++) {
+      const turn = await this.runAgentTurn(entry, messages, { parameters, tools }, onChunk);
+      if (entry.finished) {
+        return null;
+      }
+
+      // Every turn is billed; the job reports the total
+      const turnUsage = turn.usage || this.estimateTurnUsage(entry);
+      usage = {
+        promptTokens: (usage?.promptTokens || 0) + turnUsage.promptTokens,
+        completionTokens: (usage?.completionTokens || 0) + turnUsage.completionTokens,
+        totalTokens: (usage?.totalTokens || 0) + turnUsage.totalTokens
+      };
+      entry.usage = usage;
+      // No call in flight until the next turn starts
+      entry.promptTokens = 0;
+      entry.turnStart = entry.output.length;
+
+      const calls = turn.served?.toolCalls || [];
+      if (calls.length === 0) {
+        return { usage, served: turn.served };
+      }
+
+      messages.push({ role: 'assistant', content: turn.text, toolCalls: calls });
+      for (const call of calls) {
+        const result = await this.runToolCall(entry, call, scope);
+        if (entry.finished) {
+          return null;
+        }
+        messages.push({ role: 'tool', toolCallId: call.id, name: call.name, content: JSON.stringify(result) });
+      }
+    }
+
+    throw new Error(`The agent did not finish within ${AGENT_MAX_STEPS} steps`);
+  }
+
+  /**
+   * One model turn of an agent job
+   * @param {Object} entry - Running job entry
+   * @param {Array<Object>} messages - Conversation so far
+   * @param {Object} options - { parameters, tools }
+   * @param {Function} onChunk - Receives the model's text
+   * @returns {Promise<Object>} - { text, usage, served } where served.toolCalls are the calls requested
+   */
+  runAgentTurn(entry, messages, { parameters, tools }, onChunk) {
+    const conversation = parameters.systemPrompt ? [{ role: 'system', content: parameters.systemPrompt }, ...messages] : messages;
+    entry.promptTokens = tokenizer.countMessages(conversation, entry.job.model);
+    entry.turnStart = entry.output.length;
+
+    return new Promise((resolve, reject) => {
+      let text = '';
+      const onTurnChunk = (chunk) => {
+        // Text from separate turns reads as separate paragraphs
+        if (!text && entry.output) {
+          onChunk('\n\n');
+        }
+        text += chunk;
+        onChunk(chunk);
+      };
+
+      this.aiService.generateChatStreaming(
+        entry.job.model, messages, onTurnChunk,
+        (usage, served) => resolve({ text, usage, served }),
+        reject,
+        {
+          signal: entry.controller.signal,
+          parameters,
+          tools,
+          onEvent: (event) => {
+            if (!entry.finished) this.emit(entry, event);
+          }
+        }
+      ).catch(reject);
+    });
+  }
+
+  /**
+   * Run one tool call for an agent job, asking for approval first if the tool
+   * changes the brain. Failures and rejections go back to the model as results.
+   * @param {Object} entry - Running job entry
+   * @param {Object} call - { id, name, arguments } as requested by the model
+   * @param {Object} scope - { userId, brainId, streamId, model }
+   * @returns {Promise<Object>} - Result for the model
+   */
+  async runToolCall(entry, call, scope) {
+    // Providers may reuse IDs across turns (Google has none); clients need unique ones
+    const id = entry.toolCalls.some(existing => existing.id === call.id)
+      ? `${call.id}_${entry.toolCalls.length}`
+      : call.id;
+    const record = {
+      id,
+      name: call.name,
+      arguments: call.arguments,
+      requiresConfirmation: AgentTools.requiresConfirmation(call.name),
+      status: 'running',
+      result: null,
+      error: null
+    };
+    entry.toolCalls.push(record);
+    const update = () => this.emit(entry, { type: 'tool_call', call: { ...record } });
+
+    if (record.requiresConfirmation) {
+      record.status = 'awaiting_confirmation';
+      update();
+      const approved = await this.waitForConfirmation(entry, record.id);
+      if (entry.finished) {
+        return null;
+      }
+      if (!approved) {
+        record.status = 'rejected';
+        record.error = 'The user rejected this call';
+        update();
+        return { error: record.error };
+      }
+      record.status = 'running';
+    }
+
+    update();
+    try {
+      record.result = await AgentTools.run(call, scope);
+      record.status = 'complete';
+    } catch (error) {
+      console.error(`❌ Tool ${call.name} failed for generation job ${entry.job.id}:`, error.message);
+      record.status = 'failed';
+      record.error = error.message;
+    }
+    if (!entry.finished) {
+      update();
+    }
+
+    return record.status === 'complete' ? record.result : { error: record.error };
+  }
+
+  /**
+   * Wait for the user to approve or reject a tool call
+   * @param {Object} entry - Running job entry
+   * @param {string} callId - Tool call ID
+   * @returns {Promise<boolean>} - True if approved; false if rejected, timed out or cancelled
+   */
+  waitForConfirmation(entry, callId) {
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => decide(false), AGENT_CONFIRMATION_TIMEOUT_MS);
+      const decide = (approved) => {
+        clearTimeout(timer);
+        entry.confirmations.delete(callId);
+        resolve(approved);
+      };
+      entry.confirmations.set(callId, decide);
+    });
+  }
+
+  /**
+   * Approve or reject a tool call that is waiting for confirmation
+   * @param {string} jobId - Job ID
+   * @param {string} callId - Tool call ID
+   * @param {boolean} approved - Whether the call may run
+   * @returns {boolean} - False if no such call is waiting in this process
+   */
+  confirmToolCall(jobId, callId, approved) {
+    const entry = this.running.get(jobId);
+    const decide = entry && !entry.finished ? entry.confirmations.get(callId) : null;
+    if (!decide) {
+      return false;
+    }
+
+    console.log(`${approved ? '✅' : '🚫'} Tool call ${callId} ${approved ? 'approved' : 'rejected'} for generation job ${jobId}`);
+    decide(Boolean(approved));
+    return true;
+  }
+
+  /**
+   * Cancel a running job, aborting the upstream provider request.
+   * Output received so far is kept on the job and the card.
+   * @param {string} jobId - Job ID
+   * @returns {Promise<boolean>} - False if the job is not running in this process
+   */
+  async cancel(jobId) {
+    const entry = this.running.get(jobId);
+    if (!entry || entry.finished) {
+      return false;
+    }
+
+    // Mark finished first so the abort error from the provider is ignored
+    entry.finished = true;
+    entry.controller.abort();
+    // An agent waiting for approval stops waiting
+    for (const decide of entry.confirmations.values()) {
+      decide(false);
+    }
+    console.log(`🛑 Cancelling generation job ${jobId}`);
+
+    await this.settle(entry, 'cancelled', { output: entry.output, errorMessage: 'Cancelled by user' });
+    return true;
+  }
+
+  /**
+   * Estimate the usage of the provider call in progress: its prompt, and the output since it started
+   * @param {Object} entry - Running job entry
+   * @returns {Object} - { promptTokens, completionTokens, totalTokens }
+   */
+  estimateTurnUsage(entry) {
+    const completionTokens = tokenizer.count(entry.output.slice(entry.turnStart), entry.job.model);
+    return {
+      promptTokens: entry.promptTokens,
+      completionTokens,
+      totalTokens: entry.promptTokens + completionTokens
+    };
+  }
+
+  /**
+   * Usage to bill when the provider reported none (cancelled, failed mid-stream or
+   * a provider without usage data): finished agent turns plus an estimate of the current call
+   * @param {Object} entry - Running job entry
+   * @returns {Object} - { promptTokens, completionTokens, totalTokens }
+   */
+  estimateUsage(entry) {
+    const current = this.estimateTurnUsage(entry);
+    if (!entry.usage) {
+      return current;
+    }
+    return {
+      promptTokens: entry.usage.promptTokens + current.promptTokens,
+      completionTokens: entry.usage.completionTokens + current.completionTokens,
+      totalTokens: entry.usage.totalTokens + current.totalTokens
+    };
+  }
+
+  /**
+   * Persist a terminal state and notify attached clients
+   * @param {Object} entry - Running job entry
+   * @param {string} status - Terminal status
+   * @param {Object} result - Output, error, usage and the model that served it
+   * @returns {Promise<void>}
+   */
+  async settle(entry, status, result) {
+    const { job } = entry;
+    let cards = null;
+
+    // A call that was sent is paid for even if it stopped early; a failure before any
+    // output is taken to have been refused by the provider
+    if (!result.usage && (status !== 'failed' || entry.output)) {
+      result = { ...result, usage: this.estimateUsage(entry) };
+    }
+
+    // Transform jobs become several cards; output that doesn't fit the schema fails the job
+    if (status === 'complete' && AITransforms.isTransform(job.mode)) {
+      try {
+        cards = await AITransforms.materialise(job, result.output);
+      } catch (error) {
+        console.error(`❌ Transform for generation job ${job.id} failed:`, error.message);
+        status = 'failed';
+        result = { ...result, errorMessage: error.message };
+      }
+    }
+
+    try {
+      await job.finish(status, result);
+      if (cards) {
+        await job.setResultCards(cards.map(card => card.id));
+      }
+      if (entry.toolCalls.length > 0) {
+        await job.setToolCalls(entry.toolCalls);
+      }
+
+      // Bill the model that actually answered, which may be a fallback
+      await UsageTracker.record({
+        userId: job.userId,
+        brainId: job.brainId,
+        model: result.served?.model || job.model,
+        provider: result.served?.provider || job.provider,
+        source: 'generation',
+        sourceId: job.id,
+        usage: result.usage
+      });
+
+      // Write the output to the card once, instead of on every chunk
+      // (a finished transform has replaced its card with the new ones)
+      if (job.cardId && result.output && !cards) {
+        await query(
+          'UPDATE cards SET content_preview = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+          [result.output, job.cardId]
+        );
+      }
+
+      console.log(`✅ Generation job ${job.id} ${status}`);
+    } catch (error) {
+      console.error(`❌ Failed to save generation job ${job.id}:`, error);
+    }
+
+    if (status === 'complete') {
+      this.emit(entry, {
+        type: 'complete',
+        totalContent: entry.output,
+        usage: job.toJSON().usage,
+        cards: job.resultCardIds,
+        toolCalls: entry.toolCalls,
+        servedBy: result.served?.model || job.model
+      });
+    } else if (status === 'cancelled') {
+      this.emit(entry, { type: 'cancelled', totalContent: entry.output });
+    } else {
+      this.emit(entry, { type: 'error', status, message: result.errorMessage, totalContent: entry.output });
+    }
+
+    this.running.delete(job.id);
+  }
+
+  /**
+   * Send an event to every attached client
+   * @param {Object} entry - Running job entry
+   * @param {Object} event - Event payload
+   */
+  emit(entry, event) {
+    for (const listener of entry.listeners) {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error('❌ Generation listener error:', error);
+      }
+    }
+  }
+
+  /**
+   * Attach to a running job
+   * @param {string} jobId - Job ID
+   * @param {Function} listener - Receives chunk/complete/error events
+   * @returns {Object|null} - { output, toolCalls, unsubscribe } or null if the job is not running here
+   */
+  subscribe(jobId, listener) {
+    const entry = this.running.get(jobId);
+    if (!entry) {
+      return null;
+    }
+
+    entry.listeners.add(listener);
+    return {
+      output: entry.output,
+      toolCalls: entry.toolCalls.map(call => ({ ...call })),
+      unsubscribe: () => entry.listeners.delete(listener)
+    };
+  }
+
+  /**
+   * Whether a job is running in this process
+   * @param {string} jobId - Job ID
+   * @returns {boolean}
+   */
+  isRunning(jobId) {
+    return this.running.has(jobId);
+  }
+}
+
+// Export singleton instance
+module.exports = new GenerationRunner();
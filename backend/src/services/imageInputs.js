@@ -0,0 +1,203 @@
+const fs = require('fs-extra');
+const path = require('path');
+const ContextBuilder = require('./contextBuilder');
+const { ValidationError } = require('../utils/apiError');
+
+// Formats every vision provider accepts
+const MEDIA_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp'
+};
+const SUPPORTED_MEDIA_TYPES = [...new Set(Object.values(MEDIA_TYPES))];
+
+const MAX_IMAGES = 10;
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024; // Anthropic's per-image limit, the strictest of the providers
+
+/**
+ * Read pixel dimensions from an image header
+ * @param {Buffer} buffer - Image bytes
+ * @param {string} mediaType - MIME type
+ * @returns {Object|null} - { width, height } or null if the header can't be read
+ */
+function getDimensions(buffer, mediaType) {
+  try {
+    if (mediaType === 'image/png' && buffer.toString('ascii', 12, 16) === 'IHDR') {
+      return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    }
+
+    if (mediaType === 'image/gif' && buffer.toString('ascii', 0, 3) === 'GIF') {
+      return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+    }
+
+    if (mediaType === 'image/webp' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+      const chunk = buffer.toString('ascii', 12, 16);
+      if (chunk === 'VP8 ') {
+        return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+      }
+      if (chunk === 'VP8L') {
+        const bits = buffer.readUInt32LE(21);
+        return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+      }
+      if (chunk === 'VP8X') {
+        return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+      }
+    }
+
+    if (mediaType === 'image/jpeg') {
+      // Walk the segments to the start-of-frame marker, which holds the size
+      let offset = 2;
+      while (offset + 9 < buffer.length) {
+        if (buffer[offset] !== 0xff) {
+          offset++;
+          continue;
+        }
+        const marker = buffer[offset + 1];
+        if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+          return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+        }
+        offset += 2 + buffer.readUInt16BE(offset + 2);
+      }
+    }
+  } catch (error) {
+    // Truncated header; handled below
+  }
+  return null;
+}
+
+/**
+ * Split a base64 data URL into its media type and payload
+ * @param {string} dataUrl - data:image/...;base64,...
+ * @returns {Object} - { mediaType, data }
+ */
+function parseDataUrl(dataUrl) {
+  const match = typeof dataUrl === 'string' && dataUrl.match(/^data:([\w/+.-]+);base64,([A-Za-z0-9+/=\s]+)$/);
+  if (!match) {
+    throw new ValidationError('Images must be sent as base64 data URLs');
+  }
+  return { mediaType: match[1].toLowerCase(), data: match[2].replace(/\s/g, '') };
+}
+
+/**
+ * ImageInputs - Images attached to AI requests
+ *
+ *   pdf_page    A PDF page the client rendered with pdf.js: { fileId, page, dataUrl }
+ *   epub_cover  The extracted cover of an EPUB in the brain: { fileId }
+ *   upload      An image file picked by the user: { dataUrl, name }
+ *
+ * Each resolves to { source, label, mediaType, data (base64), width, height },
+ * which the providers encode in their own image format.
+ */
+class ImageInputs {
+  /**
+   * Validate and load the images attached to a request
+   * @param {string} brainId - Brain the referenced files must belong to
+   * @param {Array<Object>} images - Image inputs from the request body
+   * @returns {Promise<Array<Object>>} - Resolved images, in request order
+   */
+  static async resolve(brainId, images = []) {
+    if (!Array.isArray(images)) {
+      throw new ValidationError('images must be an array');
+    }
+    if (images.length > MAX_IMAGES) {
+      throw new ValidationError(`At most ${MAX_IMAGES} images can be attached to a request`);
+    }
+
+    const resolved = [];
+    for (const image of images) {
+      resolved.push(await this.resolveOne(brainId, image || {}));
+    }
+    return resolved;
+  }
+
+  /**
+   * Load one image input
+   * @param {string} brainId - Brain ID
+   * @param {Object} image - Image input
+   * @returns {Promise<Object>} - Resolved image
+   */
+  static async resolveOne(brainId, image) {
+    let mediaType;
+    let buffer;
+    let label;
+
+    switch (image.source) {
+      case 'epub_cover': {
+        const file = image.fileId ? await ContextBuilder.findFile(image.fileId, brainId) : null;
+        if (!file || file.file_type !== 'epub') {
+          throw new ValidationError('EPUB not found for cover image');
+        }
+        if (!file.cover_image_path || !await fs.pathExists(file.cover_image_path)) {
+          throw new ValidationError(`"${ContextBuilder.getFileTitle(file)}" has no cover image`);
+        }
+        mediaType = MEDIA_TYPES[path.extname(file.cover_image_path).toLowerCase()] || 'image/jpeg';
+        buffer = await fs.readFile(file.cover_image_path);
+        label = `Cover of ${ContextBuilder.getFileTitle(file)}`;
+        break;
+      }
+
+      case 'pdf_page': {
+        const file = image.fileId ? await ContextBuilder.findFile(image.fileId, brainId) : null;
+        if (!file || file.file_type !== 'pdf') {
+          throw new ValidationError('PDF not found for page image');
+        }
+        const page = parseInt(image.page, 10);
+        if (!page || page < 1) {
+          throw new ValidationError('PDF page images need a page number');
+        }
+        ({ mediaType, data: buffer } = parseDataUrl(image.dataUrl));
+        buffer = Buffer.from(buffer, 'base64');
+        label = `${ContextBuilder.getFileTitle(file)}, page ${page}`;
+        break;
+      }
+
+      case 'upload': {
+        ({ mediaType, data: buffer } = parseDataUrl(image.dataUrl));
+        buffer = Buffer.from(buffer, 'base64');
+        label = typeof image.name === 'string' && image.name.trim() ? image.name.trim().slice(0, 200) : 'Uploaded image';
+        break;
+      }
+
+      default:
+        throw new ValidationError(`Unknown image source: ${image.source}`);
+    }
+
+    if (!SUPPORTED_MEDIA_TYPES.includes(mediaType)) {
+      throw new ValidationError(`${label}: unsupported image type ${mediaType} (use PNG, JPEG, GIF or WebP)`);
+    }
+    if (buffer.length > MAX_IMAGE_BYTES) {
+      throw new ValidationError(`${label} is ${(buffer.length / 1024 / 1024).toFixed(1)} MB; images are limited to ${MAX_IMAGE_BYTES / 1024 / 1024} MB`);
+    }
+
+    const dimensions = getDimensions(buffer, mediaType);
+    if (!dimensions || !dimensions.width || !dimensions.height) {
+      throw new ValidationError(`${label} is not a readable ${mediaType.replace('image/', '').toUpperCase()} image`);
+    }
+
+    return {
+      source: image.source,
+      label,
+      fileId: image.fileId || null,
+      page: image.source === 'pdf_page' ? parseInt(image.page, 10) : null,
+      mediaType,
+      data: buffer.toString('base64'),
+      width: dimensions.width,
+      height: dimensions.height
+    };
+  }
+
+  /**
+   * What a context report records about an image (no pixel data)
+   * @param {Object} image - Resolved image
+   * @param {number} tokens - Tokens the image costs
+   * @returns {Object} - { source, label, fileId, page, width, height, tokens }
+   */
+  static describe(image, tokens) {
+    const { source, label, fileId, page, width, height } = image;
+    return { source, label, fileId, page, width, height, tokens };
+  }
+}
+
+module.exports = ImageInputs;
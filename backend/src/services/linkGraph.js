@@ -0,0 +1,228 @@
+const { query } = require('../models/database');
+
+/**
+ * Link Graph Service
+ * Builds the node/edge graph of cards and their [[links]] from card_links,
+ * for a whole brain or the neighbourhood of one card
+ */
+
+const DEFAULT_NODE_LIMIT = 300;
+const MAX_NODE_LIMIT = 1000;
+const MAX_HOPS = 3;
+
+class LinkGraph {
+  /**
+   * Get the link graph of a brain
+   * @param {string} brainId - Brain ID
+   * @param {Object} options - Graph options
+   * @param {string} options.cardId - Only the neighbourhood of this card
+   * @param {number} options.hops - Links to follow from cardId (1-3, default 1)
+   * @param {Array<string>} options.cardTypes - Only cards of these types (saved, file, unsaved)
+   * @param {boolean} options.includeOrphans - Include cards without any links (default true)
+   * @param {boolean} options.includeBroken - Include links to cards that don't exist (default true)
+   * @param {boolean} options.crossBrain - Include linked cards from other brains (default false)
+   * @param {number} options.limit - Most nodes to return (default 300, max 1000)
+   * @returns {Promise<Object>} - { nodes, edges, stats, truncated, centerId }
+   */
+  async getGraph(brainId, options = {}) {
+    const cardsResult = await query(`
+      SELECT c.id, c.title, c.brain_id, c.card_type, c.updated_at, b.name AS brain_name
+      FROM cards c
+      JOIN brains b ON c.brain_id = b.id
+      WHERE c.brain_id = $1 AND c.is_active = true
+    `, [brainId]);
+
+    // Links out of this brain's cards, and links into them from other brains
+    const linksResult = await query(`
+      SELECT cl.id, cl.source_card_id, cl.target_card_id, cl.link_text, cl.is_valid, cl.target_version,
+             s.brain_id AS source_brain_id, t.brain_id AS target_brain_id
+      FROM card_links cl
+      JOIN cards s ON cl.source_card_id = s.id AND s.is_active = true
+      LEFT JOIN cards t ON cl.target_card_id = t.id
+      WHERE (s.brain_id = $1 OR t.brain_id = $1)
+        AND (cl.target_card_id IS NULL OR t.is_active = true)
+    `, [brainId]);
+
+    // Cards in other brains at the far end of a cross-brain link
+    const externalIds = new Set();
+    for (const link of linksResult.rows) {
+      if (link.source_brain_id !== brainId) externalIds.add(link.source_card_id);
+      if (link.target_card_id && link.target_brain_id !== brainId) externalIds.add(link.target_card_id);
+    }
+
+    let externalCards = [];
+    if (options.crossBrain && externalIds.size > 0) {
+      const externalResult = await query(`
+        SELECT c.id, c.title, c.brain_id, c.card_type, c.updated_at, b.name AS brain_name
+        FROM cards c
+        JOIN brains b ON c.brain_id = b.id
+        WHERE c.id = ANY($1) AND c.is_active = true
+      `, [[...externalIds]]);
+      externalCards = externalResult.rows;
+    }
+
+    return this.buildGraph(
+      [...cardsResult.rows, ...externalCards].map(row => ({
+        id: row.id,
+        title: row.title,
+        brainId: row.brain_id,
+        brainName: row.brain_name,
+        cardType: row.card_type,
+        updatedAt: row.updated_at,
+        isExternal: row.brain_id !== brainId
+      })),
+      linksResult.rows.map(row => ({
+        id: row.id,
+        sourceId: row.source_card_id,
+        targetId: row.target_card_id,
+        linkText: row.link_text,
+        isValid: row.is_valid,
+        targetVersion: row.target_version
+      })),
+      options
+    );
+  }
+
+  /**
+   * Build the graph from cards and links (no database access)
+   * @param {Array<Object>} cards - Cards: { id, title, brainId, brainName, cardType, updatedAt, isExternal }
+   * @param {Array<Object>} links - Links: { id, sourceId, targetId (null when broken), linkText, isValid, targetVersion }
+   * @param {Object} options - Same options as getGraph
+   * @returns {Object} - { nodes, edges, stats, truncated, centerId }
+   */
+  buildGraph(cards, links, options = {}) {
+    const {
+      cardId = null,
+      cardTypes = null,
+      includeOrphans = true,
+      includeBroken = true
+    } = options;
+    const hops = Math.min(Math.max(parseInt(options.hops) || 1, 1), MAX_HOPS);
+    const limit = Math.min(Math.max(parseInt(options.limit) || DEFAULT_NODE_LIMIT, 1), MAX_NODE_LIMIT);
+
+    const nodes = new Map();
+    for (const card of cards) {
+      if (cardTypes && cardTypes.length > 0 && !cardTypes.includes(card.cardType) && card.id !== cardId) {
+        continue;
+      }
+      nodes.set(card.id, {
+        ...card,
+        title: card.title || 'Untitled',
+        isMissing: false,
+        isOrphan: false,
+        linksIn: 0,
+        linksOut: 0,
+        brokenLinks: 0
+      });
+    }
+
+    // One edge per link between cards in the graph; broken links point at a placeholder node
+    const edges = [];
+    for (const link of links) {
+      if (!nodes.has(link.sourceId)) continue;
+
+      if (!link.targetId || !link.isValid) {
+        nodes.get(link.sourceId).brokenLinks++;
+        if (!includeBroken) continue;
+
+        const missingId = link.targetId || `missing:${link.linkText.toLowerCase()}`;
+        if (!nodes.has(missingId)) {
+          nodes.set(missingId, {
+            id: missingId,
+            title: link.linkText,
+            brainId: null,
+            brainName: null,
+            cardType: null,
+            updatedAt: null,
+            isExternal: false,
+            isMissing: true,
+            isOrphan: false,
+            linksIn: 0,
+            linksOut: 0,
+            brokenLinks: 0
+          });
+        }
+        edges.push({ id: link.id, source: link.sourceId, target: missingId, linkText: link.linkText, isValid: false, targetVersion: link.targetVersion || null });
+        continue;
+      }
+
+      if (!nodes.has(link.targetId)) continue;
+      nodes.get(link.sourceId).linksOut++;
+      nodes.get(link.targetId).linksIn++;
+      edges.push({ id: link.id, source: link.sourceId, target: link.targetId, linkText: link.linkText, isValid: true, targetVersion: link.targetVersion || null });
+    }
+
+    for (const node of nodes.values()) {
+      node.isOrphan = !node.isMissing && node.linksIn === 0 && node.linksOut === 0;
+    }
+
+    // Neighbourhood: cards within `hops` links of the center, in either direction
+    let keep = null;
+    if (cardId) {
+      if (!nodes.has(cardId)) {
+        throw new Error('Card not found in graph');
+      }
+
+      const neighbours = new Map();
+      for (const edge of edges) {
+        if (!neighbours.has(edge.source)) neighbours.set(edge.source, []);
+        if (!neighbours.has(edge.target)) neighbours.set(edge.target, []);
+        neighbours.get(edge.source).push(edge.target);
+        neighbours.get(edge.target).push(edge.source);
+      }
+
+      keep = new Map([[cardId, 0]]);
+      let frontier = [cardId];
+      for (let hop = 1; hop <= hops && frontier.length > 0; hop++) {
+        const next = [];
+        for (const id of frontier) {
+          for (const neighbour of neighbours.get(id) || []) {
+            // Missing cards are dead ends
+            if (!keep.has(neighbour)) {
+              keep.set(neighbour, hop);
+              if (!nodes.get(neighbour).isMissing) next.push(neighbour);
+            }
+          }
+        }
+        frontier = next;
+      }
+    }
+
+    let selected = [...nodes.values()].filter(node =>
+      (keep ? keep.has(node.id) : true) &&
+      (includeOrphans || !node.isOrphan || node.id === cardId)
+    );
+
+    // Over the limit: keep the center, then the best-connected cards
+    const truncated = selected.length > limit;
+    if (truncated) {
+      const degree = node => node.linksIn + node.linksOut + node.brokenLinks;
+      selected = selected
+        .sort((a, b) => (b.id === cardId) - (a.id === cardId) || degree(b) - degree(a))
+        .slice(0, limit);
+    }
+
+    const selectedIds = new Set(selected.map(node => node.id));
+    const selectedEdges = edges.filter(edge => selectedIds.has(edge.source) && selectedIds.has(edge.target));
+
+    const resultNodes = selected.map(node => ({
+      ...node,
+      ...(keep && { distance: keep.get(node.id) })
+    }));
+
+    return {
+      nodes: resultNodes,
+      edges: selectedEdges,
+      stats: {
+        nodes: resultNodes.filter(node => !node.isMissing).length,
+        edges: selectedEdges.filter(edge => edge.isValid).length,
+        orphans: resultNodes.filter(node => node.isOrphan).length,
+        brokenLinks: resultNodes.reduce((sum, node) => sum + node.brokenLinks, 0)
+      },
+      truncated,
+      centerId: cardId
+    };
+  }
+}
+
+module.exports = new LinkGraph();
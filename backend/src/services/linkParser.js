@@ -1,6 +1,11 @@
 const Card = require('../models/Card');
 const Brain = require('../models/Brain');
+const CardVersion = require('../models/CardVersion');
 const { query, transaction } = require('../models/database');
+const { extractAnchor } = require('../utils/markdownSections');
+
+// Most characters of linked content returned for one ![[embed]]
+const MAX_EMBED_LENGTH = 20000;
 
 /**
  * Link Parser Service
@@ -17,6 +22,8 @@ class LinkParser {
       crossBrain: /\[\[([^/\]]+)\/([^\]]+)\]\]/g,
       // Versioned link: [[card-title:v2]]
       versioned: /\[\[([^:\]]+):v(\d+)\]\]/g,
+      // Any link can add #Heading or ^block-id, then |display text: [[card-title#Heading|text]]
+      // and be embedded by starting it with !: ![[card-title#Heading]]
       // All link patterns combined
       all: /\[\[([^\]]+)\]\]/g
     };
@@ -38,7 +45,8 @@ class LinkParser {
         fullMatch: match[0],
         linkText: match[1],
         startPosition: match.index,
-        endPosition: match.index + match[0].length
+        endPosition: match.index + match[0].length,
+        isEmbed: match.index > 0 && content[match.index - 1] === '!'
       });
     }
 
@@ -51,6 +59,7 @@ class LinkParser {
       if (link) {
         links.push({
           ...link,
+          isEmbed: linkMatch.isEmbed,
           fullMatch: linkMatch.fullMatch,
           startPosition: linkMatch.startPosition,
           endPosition: linkMatch.endPosition
@@ -74,26 +83,52 @@ class LinkParser {
       return null;
     }
 
+    // Alias: card-title|display text
+    const aliasIndex = trimmedText.indexOf('|');
+    const alias = aliasIndex === -1 ? null : trimmedText.slice(aliasIndex + 1).trim() || null;
+    let target = (aliasIndex === -1 ? trimmedText : trimmedText.slice(0, aliasIndex)).trim();
+
+    // Section or block reference: card-title#Heading, card-title^block-id
+    let anchorType = null;
+    let anchor = null;
+    const anchorMatch = target.match(/^([^#^]*)([#^])(.*)$/);
+    if (anchorMatch) {
+      anchor = anchorMatch[3].trim() || null;
+      anchorType = anchor ? (anchorMatch[2] === '#' ? 'heading' : 'block') : null;
+      target = anchorMatch[1].trim();
+    }
+
+    if (target.length === 0) {
+      return null;
+    }
+
+    const extras = { alias, anchorType, anchor };
+
     // Check for cross-brain link: brain-name/card-title
-    const crossBrainMatch = trimmedText.match(/^([^/]+)\/(.+)$/);
+    const crossBrainMatch = target.match(/^([^/]+)\/(.+)$/);
     if (crossBrainMatch) {
+      // Cross-brain links can be versioned too: brain-name/card-title:v2
+      const versionedTitle = crossBrainMatch[2].trim().match(/^([^:]+):v(\d+)$/);
       return {
         type: 'cross-brain',
         linkText: trimmedText,
         brainName: crossBrainMatch[1].trim(),
-        cardTitle: crossBrainMatch[2].trim(),
+        cardTitle: versionedTitle ? versionedTitle[1].trim() : crossBrainMatch[2].trim(),
+        ...(versionedTitle && { version: parseInt(versionedTitle[2]) }),
+        ...extras,
         position
       };
     }
 
     // Check for versioned link: card-title:v2
-    const versionedMatch = trimmedText.match(/^([^:]+):v(\d+)$/);
+    const versionedMatch = target.match(/^([^:]+):v(\d+)$/);
     if (versionedMatch) {
       return {
         type: 'versioned',
         linkText: trimmedText,
         cardTitle: versionedMatch[1].trim(),
         version: parseInt(versionedMatch[2]),
+        ...extras,
         position
       };
     }
@@ -102,7 +137,8 @@ class LinkParser {
     return {
       type: 'simple',
       linkText: trimmedText,
-      cardTitle: trimmedText,
+      cardTitle: target,
+      ...extras,
       position
     };
   }
@@ -142,6 +178,28 @@ class LinkParser {
     };
 
     try {
+      // Titles may contain | # ^ themselves: a card titled exactly like the whole link wins
+      for (const candidate of this.literalCandidates(link)) {
+        const brain = candidate.brainName ? await Brain.findByUserAndName(sourceUserId, candidate.brainName) : null;
+        if (candidate.brainName && !brain) continue;
+
+        const brainId = brain ? brain.id : sourceBrainId;
+        const targetCard = await Card.findByBrainAndTitle(brainId, candidate.title);
+        if (targetCard) {
+          return {
+            ...resolved,
+            cardTitle: candidate.title,
+            alias: null,
+            anchorType: null,
+            anchor: null,
+            version: undefined,
+            targetCardId: targetCard.id,
+            targetBrainId: brainId,
+            isValid: true
+          };
+        }
+      }
+
       if (link.type === 'cross-brain') {
         // Find target brain
         const targetBrain = await Brain.findByUserAndName(sourceUserId, link.brainName);
@@ -174,6 +232,29 @@ class LinkParser {
         resolved.isValid = true;
       }
 
+      // Versioned links point at a recorded version of the target card
+      let version = null;
+      if (resolved.isValid && link.version) {
+        version = await CardVersion.findByCardAndNumber(resolved.targetCardId, link.version);
+        resolved.targetVersion = link.version;
+        if (!version) {
+          resolved.isValid = false;
+          resolved.error = `Version ${link.version} of '${link.cardTitle}' not found`;
+        }
+      }
+
+      // Section and block links need the heading or block to exist in the target
+      if (resolved.isValid && link.anchorType) {
+        const targetCard = await Card.findById(resolved.targetCardId);
+        const content = version ? version.content : await targetCard.getContent();
+        if (extractAnchor(content, link.anchorType, link.anchor) === null) {
+          resolved.isValid = false;
+          resolved.error = link.anchorType === 'heading'
+            ? `Heading '${link.anchor}' not found in '${link.cardTitle}'`
+            : `Block '^${link.anchor}' not found in '${link.cardTitle}'`;
+        }
+      }
+
     } catch (error) {
       console.error(`❌ Error resolving link ${link.linkText}:`, error.message);
       resolved.error = `Resolution error: ${error.message}`;
@@ -182,6 +263,24 @@ class LinkParser {
     return resolved;
   }
 
+  /**
+   * Titles a link could name literally, before | # and ^ are read as alias and anchor
+   * @param {Object} link - Parsed link object
+   * @returns {Array<Object>} - [{ brainName (null for the source brain), title }], none if nothing was split
+   */
+  literalCandidates(link) {
+    if (!/[|#^]/.test(link.linkText)) {
+      return [];
+    }
+
+    const candidates = [{ brainName: null, title: link.linkText }];
+    const slashIndex = link.linkText.indexOf('/');
+    if (link.type === 'cross-brain' && slashIndex > 0) {
+      candidates.push({ brainName: link.brainName, title: link.linkText.slice(slashIndex + 1).trim() });
+    }
+    return candidates;
+  }
+
   /**
    * Update card links in database
    * @param {string} sourceCardId - Source card ID
@@ -208,15 +307,20 @@ class LinkParser {
         await client.query(`
           INSERT INTO card_links (
             source_card_id, target_card_id, link_text, position_in_source, 
-            link_instance, is_valid, created_at
-          ) VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP)
+            link_instance, is_valid, target_version, alias, anchor_type, anchor, is_embed, created_at
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, CURRENT_TIMESTAMP)
         `, [
           sourceCardId,
           link.targetCardId, // Can be null for broken links
           link.linkText,
           link.position,
           linkInstance,
-          link.isValid
+          link.isValid,
+          link.targetVersion || null,
+          link.alias || null,
+          link.anchorType || null,
+          link.anchor || null,
+          !!link.isEmbed
         ]);
       }
 
@@ -288,7 +392,12 @@ class LinkParser {
           position: link.position,
           isValid: link.isValid,
           error: link.error,
-          targetCardId: link.targetCardId
+          targetCardId: link.targetCardId,
+          targetVersion: link.targetVersion || null,
+          alias: link.alias || null,
+          anchorType: link.anchorType || null,
+          anchor: link.anchor || null,
+          isEmbed: !!link.isEmbed
         }))
       };
 
@@ -451,7 +560,7 @@ class LinkParser {
    */
   async getForwardLinks(sourceCardId) {
     const result = await query(`
-      SELECT c.*, cl.link_text, cl.position_in_source, cl.link_instance
+      SELECT c.*, cl.link_text, cl.position_in_source, cl.link_instance, cl.target_version
       FROM cards c
       JOIN card_links cl ON c.id = cl.target_card_id
       WHERE cl.source_card_id = $1 AND cl.is_valid = true AND c.is_active = true
@@ -462,10 +571,59 @@ class LinkParser {
       card: new Card(row),
       linkText: row.link_text,
       position: row.position_in_source,
-      linkInstance: row.link_instance
+      linkInstance: row.link_instance,
+      targetVersion: row.target_version
     }));
   }
 
+  /**
+   * Links of a card as stored, with what each points at, and the linked content of ![[embeds]]
+   * (the heading's section, the block, or the whole card, at the linked version if any)
+   * @param {string} sourceCardId - Source card ID
+   * @returns {Promise<Array<Object>>} - Links in content order
+   */
+  async getResolvedLinks(sourceCardId) {
+    const result = await query(`
+      SELECT cl.*, c.title AS target_title, c.brain_id AS target_brain_id
+      FROM card_links cl
+      LEFT JOIN cards c ON cl.target_card_id = c.id AND c.is_active = true
+      WHERE cl.source_card_id = $1
+      ORDER BY cl.position_in_source
+    `, [sourceCardId]);
+
+    const links = [];
+    for (const row of result.rows) {
+      const isValid = row.is_valid && !!row.target_title;
+      const link = {
+        linkText: row.link_text,
+        position: row.position_in_source,
+        isValid,
+        isEmbed: !!row.is_embed,
+        alias: row.alias,
+        anchorType: row.anchor_type,
+        anchor: row.anchor,
+        targetVersion: row.target_version,
+        targetCardId: isValid ? row.target_card_id : null,
+        targetTitle: isValid ? row.target_title : null,
+        targetBrainId: isValid ? row.target_brain_id : null
+      };
+
+      if (isValid && link.isEmbed) {
+        const version = row.target_version
+          ? await CardVersion.findByCardAndNumber(row.target_card_id, row.target_version)
+          : null;
+        const targetCard = version ? null : await Card.findById(row.target_card_id);
+        const content = version ? version.content : await targetCard.getContent();
+        const embedded = extractAnchor(content, row.anchor_type, row.anchor);
+        link.embedContent = embedded === null ? null : embedded.substring(0, MAX_EMBED_LENGTH);
+      }
+
+      links.push(link);
+    }
+
+    return links;
+  }
+
   /**
    * Preview how content would be parsed (without updating database)
    * @param {string} content - Content to preview
@@ -0,0 +1,348 @@
+const fs = require('fs-extra');
+const Card = require('../models/Card');
+const Brain = require('../models/Brain');
+const linkParser = require('./linkParser');
+const { query, transaction } = require('../models/database');
+
+/**
+ * Link Renamer Service
+ * Propagates card title changes to the [[links]] written in every card that references it
+ */
+
+// Characters that would change how a link to the new title is parsed
+const UNSAFE_LINK_TITLE = /[[\]|#^/]/;
+
+class LinkRenamer {
+  constructor() {
+    this.linkPattern = /\[\[([^\]]+)\]\]/g;
+  }
+
+  /**
+   * Split the text inside [[...]] into the part naming the card and everything around it
+   * so the title can be swapped without touching brain prefixes, versions, headings or aliases
+   * @param {string} inner - Text between [[ and ]]
+   * @returns {Object} - { brainName, titleStart, titleEnd, title } with offsets into inner
+   */
+  splitLinkTarget(inner) {
+    // Alias comes last: [[Title|shown text]]
+    const aliasIndex = inner.indexOf('|');
+    let end = aliasIndex === -1 ? inner.length : aliasIndex;
+
+    // Heading or block reference: [[Title#Heading]], [[Title^block]]
+    const anchorMatch = inner.slice(0, end).match(/[#^]/);
+    if (anchorMatch) {
+      end = anchorMatch.index;
+    }
+
+    // Version: [[Title:v2]]
+    const versionMatch = inner.slice(0, end).match(/:v\d+\s*$/);
+    if (versionMatch) {
+      end = versionMatch.index;
+    }
+
+    // Cross-brain prefix: [[Brain/Title]]
+    let start = 0;
+    let brainName = null;
+    const slashIndex = inner.slice(0, end).indexOf('/');
+    if (slashIndex > 0 && slashIndex < end - 1) {
+      brainName = inner.slice(0, slashIndex).trim();
+      start = slashIndex + 1;
+    }
+
+    // Keep the whitespace around the title where the author put it
+    const raw = inner.slice(start, end);
+    const titleStart = start + (raw.length - raw.trimStart().length);
+    const titleEnd = end - (raw.length - raw.trimEnd().length);
+
+    return {
+      brainName,
+      titleStart,
+      titleEnd,
+      title: inner.slice(titleStart, titleEnd)
+    };
+  }
+
+  /**
+   * Read the text inside [[...]] as naming the title verbatim, optionally after a brain prefix
+   * @param {string} inner - Text between [[ and ]]
+   * @param {string} title - Title to look for
+   * @returns {Object|null} - Same shape as splitLinkTarget, or null if the text is not exactly the title
+   */
+  literalTarget(inner, title) {
+    const titleEnd = inner.trimEnd().length;
+    const titleStart = titleEnd - title.length;
+    if (titleStart < 0 || inner.slice(titleStart, titleEnd) !== title) {
+      return null;
+    }
+
+    const before = inner.slice(0, titleStart);
+    if (!before.trim()) {
+      return { brainName: null, titleStart, titleEnd, title };
+    }
+
+    const prefix = before.match(/^\s*([^/]+?)\s*\/\s*$/);
+    return prefix ? { brainName: prefix[1], titleStart, titleEnd, title } : null;
+  }
+
+  /**
+   * Rewrite links to a card in one card's content
+   * @param {string} content - Content of the linking card
+   * @param {string} oldTitle - Current title of the renamed card
+   * @param {string} newTitle - New title of the renamed card
+   * @param {Object} options - Which links refer to the renamed card
+   * @param {boolean} options.sameBrain - Linking card is in the renamed card's brain (unprefixed links count)
+   * @param {string} options.brainName - Name of the renamed card's brain (prefixed links must use it)
+   * @returns {Object} - { content, replacements: [{ position, newPosition, before, after }] }
+   */
+  rewriteLinks(content, oldTitle, newTitle, options = {}) {
+    const { sameBrain = true, brainName = null } = options;
+    const replacements = [];
+    let result = '';
+    let lastIndex = 0;
+    let delta = 0;
+
+    let match;
+    this.linkPattern.lastIndex = 0;
+    while ((match = this.linkPattern.exec(content)) !== null) {
+      const inner = match[1];
+      // A title containing | # or ^ is linked as the whole text, which the parser tries first
+      const target = this.literalTarget(inner, oldTitle) || this.splitLinkTarget(inner);
+
+      const refersToCard = target.title === oldTitle &&
+        (target.brainName ? target.brainName === brainName : sameBrain);
+      if (!refersToCard) {
+        continue;
+      }
+
+      const newInner = inner.slice(0, target.titleStart) + newTitle + inner.slice(target.titleEnd);
+      const after = `[[${newInner}]]`;
+
+      result += content.slice(lastIndex, match.index) + after;
+      lastIndex = match.index + match[0].length;
+
+      replacements.push({
+        position: match.index,
+        newPosition: match.index + delta,
+        before: match[0],
+        after
+      });
+      delta += after.length - match[0].length;
+    }
+    this.linkPattern.lastIndex = 0;
+
+    if (replacements.length === 0) {
+      return { content, replacements };
+    }
+
+    return { content: result + content.slice(lastIndex), replacements };
+  }
+
+  /**
+   * Where a position in the old content ends up after rewriting
+   * @param {number} position - Position in the content before rewriting
+   * @param {Array<Object>} replacements - Replacements returned by rewriteLinks
+   * @returns {number} - Position in the rewritten content
+   */
+  mapPosition(position, replacements) {
+    let shift = 0;
+    for (const replacement of replacements) {
+      if (replacement.position < position) {
+        shift += replacement.after.length - replacement.before.length;
+      }
+    }
+    return position + shift;
+  }
+
+  /**
+   * Rename a card and rewrite every [[link]] to it in the cards that reference it
+   * @param {string} cardId - Card to rename
+   * @param {string} newTitle - New title
+   * @param {Object} options - Rename options
+   * @param {boolean} options.dryRun - Report what would change without writing anything
+   * @returns {Promise<Object>} - Report of rewritten cards and links
+   */
+  async renameCard(cardId, newTitle, options = {}) {
+    const { dryRun = false } = options;
+
+    const card = await Card.findById(cardId);
+    if (!card) {
+      throw new Error('Card not found');
+    }
+
+    const title = typeof newTitle === 'string' ? newTitle.trim() : '';
+    if (!title) {
+      throw new Error('Title is required');
+    }
+    if (title.length > 200) {
+      throw new Error('Card title cannot exceed 200 characters');
+    }
+
+    const report = {
+      cardId: card.id,
+      brainId: card.brainId,
+      oldTitle: card.title,
+      newTitle: title,
+      dryRun,
+      cardsUpdated: 0,
+      linksRewritten: 0,
+      changes: [],
+      skipped: []
+    };
+
+    if (card.title === title) {
+      return report;
+    }
+
+    const existing = await Card.findByBrainAndTitle(card.brainId, title);
+    if (existing && existing.id !== card.id) {
+      throw new Error(`Card '${title}' already exists in this brain`);
+    }
+
+    // Untitled cards cannot have been linked to by title
+    if (!card.hasTitle()) {
+      if (!dryRun) {
+        await card.addTitle(title);
+        await linkParser.repairBrokenLinks(card.brainId);
+      }
+      return report;
+    }
+
+    const brain = await Brain.findById(card.brainId);
+    const pending = await this.planRewrites(card, title, brain ? brain.name : null, report);
+
+    if (pending.length > 0 && UNSAFE_LINK_TITLE.test(title)) {
+      throw new Error('Title cannot contain [ ] | # ^ or / while other cards link to this card');
+    }
+
+    report.cardsUpdated = pending.length;
+    report.linksRewritten = pending.reduce((sum, item) => sum + item.replacements.length, 0);
+    report.changes = pending.map(item => ({
+      cardId: item.card.id,
+      title: item.card.title,
+      brainId: item.card.brainId,
+      filePath: item.card.filePath,
+      replacements: item.replacements.map(({ position, before, after }) => ({ position, before, after }))
+    }));
+
+    if (dryRun) {
+      return report;
+    }
+
+    await this.applyRewrites(card, title, pending);
+
+    // Links already written as [[New Title]] were broken until now
+    await linkParser.repairBrokenLinks(card.brainId);
+
+    console.log(`✅ Renamed card '${report.oldTitle}' to '${title}': ${report.linksRewritten} links rewritten in ${report.cardsUpdated} cards`);
+    return report;
+  }
+
+  /**
+   * Work out the new content of every card linking to the renamed card
+   * @param {Card} card - Card being renamed
+   * @param {string} newTitle - New title
+   * @param {string|null} brainName - Name of the card's brain
+   * @param {Object} report - Rename report; cards that cannot be rewritten are added to report.skipped
+   * @returns {Promise<Array<Object>>} - [{ card, content, newContent, replacements }]
+   */
+  async planRewrites(card, newTitle, brainName, report) {
+    const sources = await query(`
+      SELECT DISTINCT c.*
+      FROM card_links cl
+      JOIN cards c ON cl.source_card_id = c.id
+      WHERE cl.target_card_id = $1 AND c.is_active = true
+    `, [card.id]);
+
+    const pending = [];
+
+    for (const row of sources.rows) {
+      const source = new Card(row);
+
+      if (source.filePath && !(await fs.pathExists(source.filePath))) {
+        report.skipped.push({ cardId: source.id, title: source.title, reason: 'Card file not found' });
+        continue;
+      }
+
+      const content = await source.getContent();
+      const rewritten = this.rewriteLinks(content, card.title, newTitle, {
+        sameBrain: source.brainId === card.brainId,
+        brainName
+      });
+
+      if (rewritten.replacements.length === 0) {
+        report.skipped.push({ cardId: source.id, title: source.title, reason: 'No matching link text' });
+        continue;
+      }
+
+      pending.push({
+        card: source,
+        content,
+        newContent: rewritten.content,
+        replacements: rewritten.replacements
+      });
+    }
+
+    return pending;
+  }
+
+  /**
+   * Rename the card and write the rewritten cards in one transaction,
+   * putting the files back the way they were if anything fails
+   * @param {Card} card - Card being renamed
+   * @param {string} newTitle - New title
+   * @param {Array<Object>} pending - Rewrites from planRewrites
+   * @returns {Promise<void>}
+   */
+  async applyRewrites(card, newTitle, pending) {
+    const written = [];
+
+    try {
+      await transaction(async (client) => {
+        await client.query(
+          'UPDATE cards SET title = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+          [newTitle, card.id]
+        );
+
+        for (const item of pending) {
+          await item.card.updateContent(item.newContent, { client });
+          written.push(item);
+
+          // Shift every link in the source card that sits after a rewritten one
+          const links = await client.query(
+            'SELECT id, target_card_id, position_in_source FROM card_links WHERE source_card_id = $1',
+            [item.card.id]
+          );
+
+          for (const link of links.rows) {
+            const replacement = item.replacements.find(r => r.position === link.position_in_source);
+            const linkText = replacement && link.target_card_id === card.id
+              ? replacement.after.slice(2, -2).trim()
+              : null;
+
+            await client.query(`
+              UPDATE card_links
+              SET position_in_source = $1, link_text = COALESCE($2, link_text)
+              WHERE id = $3
+            `, [this.mapPosition(link.position_in_source, item.replacements), linkText, link.id]);
+          }
+        }
+      });
+    } catch (error) {
+      for (const item of written) {
+        if (!item.card.filePath) continue;
+        try {
+          await fs.writeFile(item.card.filePath, item.content, 'utf8');
+        } catch (restoreError) {
+          console.error(`❌ Failed to restore card file ${item.card.filePath}:`, restoreError.message);
+        }
+      }
+      console.error(`❌ Error renaming card ${card.id}:`, error.message);
+      throw error;
+    }
+
+    card.title = newTitle;
+    card.updatedAt = new Date();
+  }
+}
+
+module.exports = new LinkRenamer();
@@ -0,0 +1,274 @@
+const Card = require('../models/Card');
+const LinkSuggestion = require('../models/LinkSuggestion');
+const ContextBuilder = require('./contextBuilder');
+const brainIndex = require('./brainIndex');
+const linkParser = require('./linkParser');
+const { query } = require('../models/database');
+const { ValidationError } = require('../utils/apiError');
+
+// Lowest score worth showing, and how many suggestions a card gets at most
+const MIN_SCORE = 0.3;
+const MAX_SUGGESTIONS_PER_CARD = 5;
+// Added to the similarity when the source text already names the target card
+const MENTION_BONUS = 0.2;
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} str - Literal text
+ * @returns {string} - Escaped pattern
+ */
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Link Suggester Service
+ * Proposes [[links]] between cards that cover related ground but don't link
+ * to each other yet. Cards are compared with the brain's embedding index (one
+ * vector per card, the mean of its chunks); a card whose text already names
+ * another card's title gets a boost and the mention becomes the link.
+ */
+
+class LinkSuggester {
+  constructor() {
+    // brainId -> in-flight brain analysis, so repeated requests share one run
+    this.analyzing = new Map();
+  }
+
+  /**
+   * Whether a title can be written as a plain [[Title]] link
+   * @param {string} title - Card title
+   * @returns {boolean}
+   */
+  isLinkable(title) {
+    // Slashes, :vN suffixes, # and ^ would parse as cross-brain, versioned or anchored links
+    return Boolean(title) && !/[[\]|/#^]/.test(title) && !/:v\d+$/.test(title);
+  }
+
+  /**
+   * Find the first place a text names a title outside existing [[links]]
+   * @param {string} text - Text to search
+   * @param {string} title - Title to look for (exact case, as links resolve)
+   * @returns {Object|null} - { index, text } or null
+   */
+  findMention(text, title) {
+    const linkSpans = linkParser.extractLinks(text);
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(title)}(?![\\p{L}\\p{N}])`, 'gu');
+
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      const index = match.index;
+      if (!linkSpans.some(link => index >= link.startPosition && index < link.endPosition)) {
+        return { index, text: match[0] };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * One unit vector per active card in the brain's index
+   * @param {string} brainId - Brain ID
+   * @returns {Promise<Map<string, Object>>} - card ID -> { id, title, vector }
+   */
+  async loadCardVectors(brainId) {
+    const result = await query(`
+      SELECT ec.source_id, ec.embedding, c.title
+      FROM embedding_chunks ec
+      JOIN cards c ON c.id = ec.source_id
+      WHERE ec.brain_id = $1 AND ec.embedder = $2 AND ec.source_type = 'card' AND c.is_active = true
+    `, [brainId, brainIndex.embedder.name]);
+
+    const sums = new Map();
+    for (const row of result.rows) {
+      const entry = sums.get(row.source_id);
+      if (entry) {
+        row.embedding.forEach((value, i) => { entry.vector[i] += value; });
+      } else {
+        sums.set(row.source_id, { id: row.source_id, title: row.title, vector: [...row.embedding] });
+      }
+    }
+
+    // The mean direction of a card's chunks stands in for the whole card
+    for (const entry of sums.values()) {
+      const norm = Math.sqrt(entry.vector.reduce((sum, v) => sum + v * v, 0));
+      if (norm > 0) {
+        entry.vector = entry.vector.map(v => v / norm);
+      }
+    }
+
+    return sums;
+  }
+
+  /**
+   * Cards each source already links to
+   * @param {Array<string>} sourceCardIds - Source card IDs
+   * @returns {Promise<Map<string, Set<string>>>} - source card ID -> target card IDs
+   */
+  async loadLinkedTargets(sourceCardIds) {
+    const result = await query(
+      'SELECT source_card_id, target_card_id FROM card_links WHERE source_card_id = ANY($1) AND target_card_id IS NOT NULL',
+      [sourceCardIds]
+    );
+
+    const linked = new Map();
+    for (const row of result.rows) {
+      if (!linked.has(row.source_card_id)) {
+        linked.set(row.source_card_id, new Set());
+      }
+      linked.get(row.source_card_id).add(row.target_card_id);
+    }
+    return linked;
+  }
+
+  /**
+   * Rank the cards a source card could link to
+   * @param {Object} source - { id, vector }
+   * @param {string} text - Source card text
+   * @param {Map<string, Object>} cards - All card vectors in the brain
+   * @param {Set<string>} excluded - Target IDs that are linked or decided already
+   * @returns {Array<Object>} - { targetCardId, score, reason, anchorText }, best first
+   */
+  rankCandidates(source, text, cards, excluded) {
+    const candidates = [];
+
+    for (const target of cards.values()) {
+      if (target.id === source.id || excluded.has(target.id) || !this.isLinkable(target.title)) {
+        continue;
+      }
+
+      const similarity = brainIndex.cosine(source.vector, target.vector);
+      const mention = this.findMention(text, target.title);
+      const score = similarity + (mention ? MENTION_BONUS : 0);
+      if (score < MIN_SCORE) {
+        continue;
+      }
+
+      candidates.push({
+        targetCardId: target.id,
+        score: Math.round(score * 1000) / 1000,
+        reason: mention
+          ? `Mentions "${target.title}" (${Math.round(similarity * 100)}% similar)`
+          : `Covers similar ground (${Math.round(similarity * 100)}% similar)`,
+        anchorText: mention ? mention.text : null
+      });
+    }
+
+    return candidates
+      .sort((a, b) => b.score - a.score)
+      .slice(0, MAX_SUGGESTIONS_PER_CARD);
+  }
+
+  /**
+   * Analyse some of a brain's cards and store fresh pending suggestions for them
+   * @param {string} brainId - Brain ID
+   * @param {Array<string>|null} sourceCardIds - Cards to analyse (null for every titled card)
+   * @returns {Promise<Object>} - { cards, suggestions }
+   */
+  async analyze(brainId, sourceCardIds = null) {
+    await brainIndex.indexBrain(brainId);
+    const cards = await this.loadCardVectors(brainId);
+
+    const sources = (sourceCardIds || [...cards.values()].filter(card => card.title).map(card => card.id))
+      .filter(id => cards.has(id));
+    if (sources.length === 0) {
+      return { cards: 0, suggestions: 0 };
+    }
+
+    const [texts, linked, decided] = await Promise.all([
+      ContextBuilder.loadSources(brainId, sources),
+      this.loadLinkedTargets(sources),
+      LinkSuggestion.findDecidedTargets(sources)
+    ]);
+
+    let suggestionCount = 0;
+    for (const sourceId of sources) {
+      const excluded = new Set([...(linked.get(sourceId) || []), ...(decided.get(sourceId) || [])]);
+      const text = texts.has(sourceId) ? texts.get(sourceId).text : '';
+      const candidates = this.rankCandidates(cards.get(sourceId), text, cards, excluded);
+
+      await LinkSuggestion.replacePending(brainId, sourceId, candidates);
+      suggestionCount += candidates.length;
+    }
+
+    console.log(`✅ Link analysis for brain ${brainId}: ${suggestionCount} suggestions across ${sources.length} cards`);
+    return { cards: sources.length, suggestions: suggestionCount };
+  }
+
+  /**
+   * Suggest links for one card
+   * @param {Card} card - Card to analyse
+   * @returns {Promise<Array<LinkSuggestion>>} - Pending suggestions for the card
+   */
+  async analyzeCard(card) {
+    await this.analyze(card.brainId, [card.id]);
+    return LinkSuggestion.findPendingBySource(card.id);
+  }
+
+  /**
+   * Suggest links for every titled card in a brain (shared if already running)
+   * @param {string} brainId - Brain ID
+   * @returns {Promise<Object>} - { cards, suggestions }
+   */
+  async analyzeBrain(brainId) {
+    if (this.analyzing.has(brainId)) {
+      return this.analyzing.get(brainId);
+    }
+
+    const run = this.analyze(brainId).finally(() => this.analyzing.delete(brainId));
+    this.analyzing.set(brainId, run);
+    return run;
+  }
+
+  /**
+   * Write a link into card content: the first plain mention of the title is
+   * wrapped in [[ ]], otherwise the link is added to a trailing Related list
+   * @param {string} content - Card content
+   * @param {string} title - Target card title
+   * @returns {string} - Updated content
+   */
+  insertLink(content, title) {
+    const mention = this.findMention(content, title);
+    if (mention) {
+      return `${content.slice(0, mention.index)}[[${title}]]${content.slice(mention.index + mention.text.length)}`;
+    }
+
+    const trimmed = content.trimEnd();
+    if (/(^|\n)\*\*Related:\*\*(\n- .*)*$/.test(trimmed)) {
+      return `${trimmed}\n- [[${title}]]\n`;
+    }
+    return `${trimmed}${trimmed ? '\n\n' : ''}**Related:**\n- [[${title}]]\n`;
+  }
+
+  /**
+   * Accept a suggestion: write the link into the source card and refresh its links
+   * @param {LinkSuggestion} suggestion - Pending suggestion
+   * @param {Object} options - Accept options
+   * @param {string} options.userId - User accepting it (recorded on the version)
+   * @returns {Promise<Object>} - { card, content }
+   */
+  async accept(suggestion, options = {}) {
+    const [source, target] = await Promise.all([
+      Card.findById(suggestion.sourceCardId),
+      Card.findById(suggestion.targetCardId)
+    ]);
+
+    if (!source || !source.isActive) {
+      throw new ValidationError('The card this suggestion belongs to no longer exists');
+    }
+    if (!target || !target.isActive || !target.title) {
+      throw new ValidationError('The suggested card no longer exists');
+    }
+    if (!this.isLinkable(target.title)) {
+      throw new ValidationError(`"${target.title}" can't be written as a [[link]]`);
+    }
+
+    const content = this.insertLink(await source.getContent(), target.title);
+    await source.updateContent(content, { userId: options.userId });
+    await linkParser.processCardLinks(source.id, content);
+    await suggestion.decide('accepted');
+
+    return { card: source, content };
+  }
+}
+
+module.exports = new LinkSuggester();
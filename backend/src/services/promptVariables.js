@@ -0,0 +1,128 @@
+const Card = require('../models/Card');
+const Brain = require('../models/Brain');
+const Stream = require('../models/Stream');
+const ContextBuilder = require('./contextBuilder');
+
+const VARIABLE_PATTERN = /\{\{\s*([^}]+?)\s*\}\}/g;
+
+/**
+ * PromptVariables - Resolves {{variables}} in prompts and templates
+ *
+ * Supported variables:
+ *   {{selection}}    full text of the cards/files selected as AI context
+ *   {{stream_name}}  name of the stream the generation runs in
+ *   {{brain_name}}   name of the brain
+ *   {{card:Title}}   full content of the card with that title
+ *   {{date}}         today's date (YYYY-MM-DD)
+ * Unknown variables and missing cards are left as written and reported.
+ */
+class PromptVariables {
+  /**
+   * Whether a prompt contains any {{variables}}
+   * @param {string} prompt - Prompt text
+   * @returns {boolean}
+   */
+  static hasVariables(prompt) {
+    return /\{\{\s*[^}]+?\s*\}\}/.test(prompt || '');
+  }
+
+  /**
+   * Resolve the variables in a prompt
+   * @param {string} prompt - Prompt text with {{variables}}
+   * @param {Object} options - Resolution context
+   * @param {string} options.brainId - Brain ID
+   * @param {string} options.streamId - Stream ID (optional)
+   * @param {Array<string>} options.selectionIds - Selected card/file IDs for {{selection}}
+   * @param {number} options.contextLimit - Model context window for fitting the selection
+   * @param {string} options.model - Model ID, selects the tokenizer
+   * @returns {Promise<Object>} - { prompt, usedSelection, unresolved, contextReport }
+   */
+  static async resolve(prompt, options = {}) {
+    const { brainId, streamId = null, selectionIds = [], contextLimit, model } = options;
+    const unresolved = [];
+    const values = new Map();
+
+    const names = [...new Set([...prompt.matchAll(VARIABLE_PATTERN)].map(match => match[1]))];
+
+    for (const name of names) {
+      if (name === 'selection') {
+        continue;
+      }
+
+      const value = await this.resolveVariable(name, { brainId, streamId });
+      if (value === null) {
+        unresolved.push(name);
+      } else {
+        values.set(name, value);
+      }
+    }
+
+    let resolved = this.substitute(prompt, values);
+
+    // Selection goes last so it is fitted around everything else in the prompt
+    let contextReport = null;
+    const usedSelection = names.includes('selection');
+    if (usedSelection) {
+      const { context, report } = await ContextBuilder.build(brainId, selectionIds, {
+        contextLimit,
+        model,
+        promptText: resolved.replace(VARIABLE_PATTERN, '')
+      });
+      contextReport = report;
+      resolved = this.substitute(resolved, new Map([
+        ['selection', context.map(item => item.contextText).join('\n\n---\n\n')]
+      ]));
+    }
+
+    if (unresolved.length > 0) {
+      console.warn(`⚠️  Unresolved prompt variables: ${unresolved.join(', ')}`);
+    }
+
+    return { prompt: resolved, usedSelection, unresolved, contextReport };
+  }
+
+  /**
+   * Resolve a single variable (other than selection)
+   * @param {string} name - Variable name
+   * @param {Object} scope - { brainId, streamId }
+   * @returns {Promise<string|null>} - Value, or null if it can't be resolved
+   */
+  static async resolveVariable(name, { brainId, streamId }) {
+    if (name === 'date') {
+      return new Date().toISOString().slice(0, 10);
+    }
+
+    if (name === 'brain_name') {
+      const brain = await Brain.findById(brainId);
+      return brain ? brain.name : null;
+    }
+
+    if (name === 'stream_name') {
+      if (!streamId) {
+        return null;
+      }
+      const stream = await Stream.findById(streamId);
+      return stream && stream.brainId === brainId ? stream.name : null;
+    }
+
+    if (name.startsWith('card:')) {
+      const title = name.slice('card:'.length).trim();
+      const card = title ? await Card.findByBrainAndTitle(brainId, title) : null;
+      return card ? await card.getContent() : null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Replace variables that have values, leaving the rest untouched
+   * @param {string} text - Text with {{variables}}
+   * @param {Map<string, string>} values - Variable values
+   * @returns {string} - Substituted text
+   */
+  static substitute(text, values) {
+    return text.replace(VARIABLE_PATTERN, (match, name) => (values.has(name) ? values.get(name) : match));
+  }
+}
+
+module.exports = PromptVariables;
@@ -0,0 +1,376 @@
+const ContextBuilder = require('./contextBuilder');
+const SearchQuery = require('./searchQuery');
+const { query } = require('../models/database');
+
+const MAX_BODY_CHARS = parseInt(process.env.SEARCH_MAX_BODY_CHARS, 10) || 500000;
+const MAX_LIMIT = 100;
+// Snippet length for filter-only queries, which have no words to highlight
+const PLAIN_SNIPPET_CHARS = 200;
+
+// Highlight markers passed to ts_headline; control characters never occur in card text
+const HIGHLIGHT_START = '\u0002';
+const HIGHLIGHT_STOP = '\u0003';
+const HEADLINE_OPTIONS = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_STOP}, ` +
+  'MaxWords=30, MinWords=10, MaxFragments=2, FragmentDelimiter=" … "';
+
+/**
+ * Search Index Service
+ * Full-text search over the complete content of cards and the extracted text
+ * of files, using a weighted Postgres tsvector (title over body). Like the
+ * embedding index, indexing is incremental: a source is only re-read when its
+ * version (card updated_at / file hash) changes, and brains are brought up to
+ * date just before they are searched.
+ */
+
+class SearchIndex {
+  constructor() {
+    // brainId -> in-flight indexing promise, so searches typed in quick succession share one run
+    this.indexing = new Map();
+  }
+
+  /**
+   * Turn a search box query into to_tsquery syntax.
+   * Words are ANDed; "quoted words" match as a phrase, word* as a prefix,
+   * -word excludes and OR between terms matches either.
+   * @param {string} text - Query text
+   * @param {Object} options - Parse options
+   * @param {boolean} options.prefixLast - Treat the last plain word as a prefix (search as you type)
+   * @returns {string|null} - tsquery text, or null when the query has no searchable words
+   */
+  parseQuery(text, { prefixLast = false } = {}) {
+    const terms = [];
+    let nextOperator = '&';
+
+    for (const match of (text || '').matchAll(/(-?)"([^"]*)"?|(\S+)/g)) {
+      const [, quotedNegation, phrase, bare] = match;
+
+      if (bare === 'OR') {
+        if (terms.length > 0) nextOperator = '|';
+        continue;
+      }
+
+      const negated = phrase !== undefined ? quotedNegation === '-' : bare.length > 1 && bare.startsWith('-');
+      const raw = phrase !== undefined ? phrase : bare.replace(/^-/, '');
+      const prefix = phrase === undefined && raw.endsWith('*');
+      const words = raw.split(/[^\p{L}\p{N}_]+/u).filter(Boolean);
+      if (words.length === 0) continue;
+
+      terms.push({ words, negated, prefix, quoted: phrase !== undefined, operator: nextOperator });
+      nextOperator = '&';
+    }
+
+    if (terms.length === 0) {
+      return null;
+    }
+
+    const last = terms[terms.length - 1];
+    if (prefixLast && !last.quoted && !last.negated) {
+      last.prefix = true;
+    }
+
+    return terms.map((term, i) => {
+      const words = term.prefix
+        ? [...term.words.slice(0, -1), `${term.words[term.words.length - 1]}:*`]
+        : term.words;
+      let node = words.length > 1 ? `(${words.join(' <-> ')})` : words[0];
+      if (term.negated) node = `!${node}`;
+      return i === 0 ? node : `${term.operator} ${node}`;
+    }).join(' ');
+  }
+
+  /**
+   * List the cards and files in a brain with their current versions
+   * @param {string} brainId - Brain ID
+   * @returns {Promise<Array<Object>>} - { id, sourceType, version, updatedAt }
+   */
+  async listSources(brainId) {
+    // Legacy file cards are skipped; the file they point at is indexed directly
+    const result = await query(`
+      SELECT id, 'card' AS source_type, updated_at::text AS version, updated_at
+      FROM cards WHERE brain_id = $1 AND is_active = true AND file_id IS NULL
+      UNION ALL
+      SELECT id, 'file' AS source_type,
+        COALESCE(file_hash, file_modified_at::text, file_size::text) AS version,
+        COALESCE(file_modified_at, uploaded_at) AS updated_at
+      FROM files WHERE brain_id = $1
+    `, [brainId]);
+
+    return result.rows.map(row => ({
+      id: row.id,
+      sourceType: row.source_type,
+      version: String(row.version).slice(0, 100),
+      updatedAt: row.updated_at
+    }));
+  }
+
+  /**
+   * Bring a brain's search documents up to date (shared if already running)
+   * @param {string} brainId - Brain ID
+   * @param {Object} options - Indexing options
+   * @param {boolean} options.force - Re-read every source
+   * @returns {Promise<Object>} - { indexed, unchanged, removed }
+   */
+  async indexBrain(brainId, options = {}) {
+    if (this.indexing.has(brainId)) {
+      return this.indexing.get(brainId);
+    }
+
+    const run = this.runIndex(brainId, options).finally(() => this.indexing.delete(brainId));
+    this.indexing.set(brainId, run);
+    return run;
+  }
+
+  /**
+   * Index new and changed sources and drop deleted ones
+   * @param {string} brainId - Brain ID
+   * @param {Object} options - Indexing options
+   * @returns {Promise<Object>} - Indexing stats
+   */
+  async runIndex(brainId, { force = false } = {}) {
+    const sources = await this.listSources(brainId);
+
+    const indexedResult = await query(
+      'SELECT source_id, source_version FROM search_documents WHERE brain_id = $1',
+      [brainId]
+    );
+    const indexedVersions = new Map(indexedResult.rows.map(row => [row.source_id, row.source_version]));
+
+    const stale = sources.filter(source => force || indexedVersions.get(source.id) !== source.version);
+    const liveIds = new Set(sources.map(source => source.id));
+    const removedIds = [...indexedVersions.keys()].filter(id => !liveIds.has(id));
+
+    if (removedIds.length > 0) {
+      await query(
+        'DELETE FROM search_documents WHERE brain_id = $1 AND source_id = ANY($2)',
+        [brainId, removedIds]
+      );
+    }
+
+    let failed = 0;
+    if (stale.length > 0) {
+      const loaded = await ContextBuilder.loadSources(brainId, stale.map(source => source.id));
+
+      for (const source of stale) {
+        const content = loaded.get(source.id);
+        if (!content) continue;
+
+        // Postgres text cannot hold NUL bytes, which PDF extraction sometimes produces
+        const body = (content.text || '').replace(/\u0000/g, '').slice(0, MAX_BODY_CHARS);
+
+        try {
+          await query(`
+            INSERT INTO search_documents
+              (brain_id, source_type, source_id, source_version, source_updated_at, title, body)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+            ON CONFLICT (source_id) DO UPDATE SET
+              brain_id = EXCLUDED.brain_id,
+              source_version = EXCLUDED.source_version,
+              source_updated_at = EXCLUDED.source_updated_at,
+              title = EXCLUDED.title,
+              body = EXCLUDED.body,
+              indexed_at = CURRENT_TIMESTAMP
+          `, [brainId, source.sourceType, source.id, source.version, source.updatedAt, (content.title || '').slice(0, 500), body]);
+        } catch (error) {
+          failed++;
+          console.error(`❌ Failed to index ${source.sourceType} ${source.id} for search:`, error.message);
+        }
+      }
+    }
+
+    const stats = {
+      indexed: stale.length - failed,
+      unchanged: sources.length - stale.length,
+      removed: removedIds.length,
+      failed
+    };
+
+    if (stats.indexed > 0 || stats.removed > 0) {
+      console.log(`✅ Search index for brain ${brainId}: ${stats.indexed} sources indexed, ${stats.removed} removed`);
+    }
+
+    return stats;
+  }
+
+  /**
+   * Split a ts_headline result into plain and highlighted parts
+   * @param {string} headline - Headline with highlight markers
+   * @returns {Array<Object>} - { text, highlight }
+   */
+  splitHighlights(headline) {
+    const parts = [];
+    const pattern = new RegExp(`${HIGHLIGHT_START}([\\s\\S]*?)${HIGHLIGHT_STOP}`, 'g');
+    let last = 0;
+    for (const match of (headline || '').matchAll(pattern)) {
+      if (match.index > last) {
+        parts.push({ text: headline.slice(last, match.index), highlight: false });
+      }
+      parts.push({ text: match[1], highlight: true });
+      last = match.index + match[0].length;
+    }
+    if (last < (headline || '').length) {
+      parts.push({ text: headline.slice(last), highlight: false });
+    }
+    return parts;
+  }
+
+  /**
+   * Full-text search across one or more brains
+   * @param {Array<string>} brainIds - Brains to search (already checked for ownership)
+   * @param {string|Object} search - Query text in the search language, or SearchQuery.parse() output
+   * @param {Object} options - Search options
+   * @param {string} options.sourceType - Only 'card' or 'file' results
+   * @param {string} options.cardType - Only cards of this type (saved, unsaved)
+   * @param {string} options.streamId - Only cards and files in this stream
+   * @param {Date} options.updatedAfter - Only sources changed at or after this time
+   * @param {Date} options.updatedBefore - Only sources changed at or before this time
+   * @param {boolean} options.prefixLast - Treat the last word as a prefix
+   * @param {number} options.limit - Results per page (default: 20)
+   * @param {number} options.offset - Results to skip
+   * @returns {Promise<Object>} - { results, total }
+   */
+  async search(brainIds, search, options = {}) {
+    const {
+      sourceType = null,
+      cardType = null,
+      streamId = null,
+      updatedAfter = null,
+      updatedBefore = null,
+      prefixLast = false,
+      limit = 20,
+      offset = 0
+    } = options;
+
+    const parsed = typeof search === 'string' ? SearchQuery.parse(search) : search;
+    if (parsed.errors.length > 0) {
+      throw new Error(`Invalid search: ${parsed.errors.join('; ')}`);
+    }
+
+    // A query of only filters lists every match, most recently changed first
+    const tsQuery = this.parseQuery(parsed.text, { prefixLast });
+    if ((!tsQuery && parsed.filters.length === 0) || brainIds.length === 0) {
+      return { results: [], total: 0 };
+    }
+
+    for (const brainId of brainIds) {
+      await this.indexBrain(brainId);
+    }
+
+    const params = [brainIds];
+    const conditions = [];
+    const addParam = (value) => {
+      params.push(value);
+      return `$${params.length}`;
+    };
+
+    const queryParam = tsQuery ? addParam(tsQuery) : null;
+    if (queryParam) {
+      conditions.push(`d.search_vector @@ to_tsquery('english', ${queryParam})`);
+    }
+    if (sourceType) {
+      conditions.push(`d.source_type = ${addParam(sourceType)}`);
+    }
+    if (cardType) {
+      conditions.push(`c.card_type = ${addParam(cardType)}`);
+    }
+    if (streamId) {
+      const streamParam = addParam(streamId);
+      conditions.push(`(
+        d.source_id IN (SELECT card_id FROM stream_cards WHERE stream_id = ${streamParam})
+        OR d.source_id IN (SELECT file_id FROM stream_files WHERE stream_id = ${streamParam})
+      )`);
+    }
+    if (updatedAfter) {
+      conditions.push(`d.source_updated_at >= ${addParam(updatedAfter)}`);
+    }
+    if (updatedBefore) {
+      conditions.push(`d.source_updated_at <= ${addParam(updatedBefore)}`);
+    }
+    conditions.push(...SearchQuery.buildConditions(parsed.filters, addParam));
+
+    const limitParam = addParam(Math.min(Math.max(1, limit), MAX_LIMIT));
+    const offsetParam = addParam(Math.max(0, offset));
+    const rank = queryParam ? `ts_rank(d.search_vector, to_tsquery('english', ${queryParam}), 1)` : '0';
+    // Headlines are costly on long texts, so only build them for the page being returned
+    const headline = queryParam
+      ? `ts_headline('english', m.body, to_tsquery('english', ${queryParam}), ${addParam(HEADLINE_OPTIONS)})`
+      : `LEFT(m.body, ${PLAIN_SNIPPET_CHARS})`;
+
+    const result = await query(`
+      WITH matches AS (
+        SELECT d.source_type, d.source_id, d.brain_id, d.title, d.body, d.source_updated_at,
+          c.card_type, f.file_type,
+          ${rank} AS rank,
+          COUNT(*) OVER () AS total
+        FROM search_documents d
+        LEFT JOIN cards c ON d.source_type = 'card' AND c.id = d.source_id
+        LEFT JOIN files f ON d.source_type = 'file' AND f.id = d.source_id
+        WHERE d.brain_id = ANY($1)
+          AND (c.id IS NOT NULL AND c.is_active = true OR f.id IS NOT NULL)
+          ${conditions.map(condition => `AND ${condition}`).join('\n          ')}
+        ORDER BY rank DESC, d.source_updated_at DESC NULLS LAST
+        LIMIT ${limitParam} OFFSET ${offsetParam}
+      )
+      SELECT m.*, b.name AS brain_name, ${headline} AS headline
+      FROM matches m
+      JOIN brains b ON b.id = m.brain_id
+      ORDER BY m.rank DESC, m.source_updated_at DESC NULLS LAST
+    `, params);
+
+    return {
+      total: result.rows.length > 0 ? parseInt(result.rows[0].total, 10) : 0,
+      results: result.rows.map(row => {
+        const highlights = this.splitHighlights(row.headline);
+        return {
+          sourceType: row.source_type,
+          id: row.source_id,
+          brainId: row.brain_id,
+          brainName: row.brain_name,
+          title: row.title,
+          cardType: row.card_type || null,
+          fileType: row.file_type || null,
+          updatedAt: row.source_updated_at,
+          rank: parseFloat(row.rank),
+          snippet: highlights.map(part => part.text).join(''),
+          highlights
+        };
+      })
+    };
+  }
+
+  /**
+   * Search several brains at once, returning the best matches of each brain separately
+   * @param {Array<Object>} brains - { id, name } of brains to search (already checked for ownership)
+   * @param {string|Object} search - Query text in the search language, or SearchQuery.parse() output
+   * @param {Object} options - search() options, plus:
+   * @param {number} options.perBrain - Results per brain (default: 5)
+   * @param {string} options.firstBrainId - Brain listed first when it has matches (e.g. the open one)
+   * @returns {Promise<Object>} - { groups: [{ brainId, brainName, results, total }], total }
+   */
+  async searchGrouped(brains, search, options = {}) {
+    const { perBrain = 5, firstBrainId = null, ...searchOptions } = options;
+    const parsed = typeof search === 'string' ? SearchQuery.parse(search) : search;
+
+    const groups = [];
+    for (const brain of brains) {
+      const { results, total } = await this.search([brain.id], parsed, { ...searchOptions, limit: perBrain, offset: 0 });
+      if (results.length > 0) {
+        groups.push({ brainId: brain.id, brainName: brain.name, results, total });
+      }
+    }
+
+    // The open brain first, then the brains with the strongest matches
+    groups.sort((a, b) => {
+      if (a.brainId === firstBrainId) return -1;
+      if (b.brainId === firstBrainId) return 1;
+      return b.results[0].rank - a.results[0].rank;
+    });
+
+    return {
+      groups,
+      total: groups.reduce((sum, group) => sum + group.total, 0)
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new SearchIndex();
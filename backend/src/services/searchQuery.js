@@ -0,0 +1,228 @@
+/**
+ * Search Query Language
+ * Parses search box queries such as
+ *   title:"project x" type:file links-to:[[Roadmap]] -tag:archive modified:>2026-01-01 brain:work
+ * into free text (for the full-text index) and field filters, and turns the
+ * filters into SQL conditions over search_documents (d), cards (c) and files (f).
+ * Any filter can be negated with a leading "-"; type: and brain: take
+ * comma-separated alternatives.
+ */
+
+const TYPE_VALUES = ['card', 'file', 'saved', 'unsaved', 'pdf', 'epub', 'txt', 'md', 'other'];
+const FILE_TYPES = ['pdf', 'epub', 'txt', 'md', 'other'];
+const RELATIVE_UNITS = { d: 1, w: 7, m: 30, y: 365 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// field:value, where value is "quoted", [[a link]] or a bare word
+const TOKEN_PATTERN = /(-?)([a-z][a-z-]*):("([^"]*)"?|\[\[([^\]]*)\]\]|\S+)|-?"[^"]*"?|\S+/gi;
+
+const FIELDS = {
+  title: {
+    description: 'Title contains the text',
+    parse: (value) => ({ value })
+  },
+  type: {
+    description: `Source or card type: ${TYPE_VALUES.join(', ')}`,
+    parse: (value) => {
+      const values = value.toLowerCase().split(',').filter(Boolean);
+      const invalid = values.filter(v => !TYPE_VALUES.includes(v));
+      if (values.length === 0 || invalid.length > 0) {
+        throw new Error(`type must be one of: ${TYPE_VALUES.join(', ')}`);
+      }
+      return { values };
+    }
+  },
+  'links-to': {
+    description: 'Card links to the card with this title, e.g. links-to:[[Roadmap]]',
+    parse: (value) => ({ value: value.replace(/^\[\[|\]\]$/g, '').trim() })
+  },
+  tag: {
+    description: 'Card has the #tag, inline or in frontmatter tags',
+    parse: (value) => {
+      const tag = value.replace(/^#/, '');
+      if (!/^[\p{L}\p{N}_/-]+$/u.test(tag)) {
+        throw new Error('tag may only contain letters, numbers, _, - and /');
+      }
+      return { value: tag };
+    }
+  },
+  modified: {
+    description: 'Last changed: >2026-01-01, <=2026-03, 2026-02-14 (that day) or >7d (relative: d, w, m, y)',
+    parse: (value) => SearchQuery.parseDateFilter(value)
+  },
+  brain: {
+    description: 'In the brain with this name',
+    parse: (value) => ({ values: value.split(',').map(v => v.trim()).filter(Boolean) })
+  }
+};
+
+class SearchQuery {
+  /**
+   * Supported fields for help text
+   * @returns {Array<Object>} - { field, description }
+   */
+  static fields() {
+    return Object.entries(FIELDS).map(([field, { description }]) => ({ field, description }));
+  }
+
+  /**
+   * Split a query into free text and field filters
+   * @param {string} text - Query text
+   * @returns {Object} - { text, filters: [{ field, negated, ... }], errors }
+   */
+  static parse(text) {
+    const words = [];
+    const filters = [];
+    const errors = [];
+
+    for (const match of (text || '').matchAll(TOKEN_PATTERN)) {
+      const [token, negation, name, rawValue, quoted, linked] = match;
+      const field = name && name.toLowerCase();
+
+      if (!field || !FIELDS[field]) {
+        words.push(token);
+        continue;
+      }
+
+      const value = quoted !== undefined ? quoted : linked !== undefined ? linked : rawValue;
+      if (!value.trim()) {
+        errors.push(`${field}: needs a value`);
+        continue;
+      }
+
+      try {
+        filters.push({ field, negated: negation === '-', ...FIELDS[field].parse(value.trim()) });
+      } catch (error) {
+        errors.push(`${field}: ${error.message}`);
+      }
+    }
+
+    return { text: words.join(' '), filters, errors };
+  }
+
+  /**
+   * Parse a modified: value into a date range
+   * @param {string} value - e.g. ">2026-01-01", "2026-02", "<=30d"
+   * @returns {Object} - { from, to } (either may be null; to is exclusive)
+   */
+  static parseDateFilter(value) {
+    const [, operator = '', dateText] = value.match(/^(>=|<=|>|<|=)?(.*)$/);
+
+    let start;
+    let end;
+    const relative = dateText.match(/^(\d+)([dwmy])$/i);
+    if (relative) {
+      // "7d" is a moment, so a bare relative date means "within the last 7 days"
+      start = new Date(Date.now() - parseInt(relative[1], 10) * RELATIVE_UNITS[relative[2].toLowerCase()] * DAY_MS);
+      end = start;
+      if (!operator) {
+        return { from: start, to: null };
+      }
+    } else {
+      const parts = dateText.match(/^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/);
+      if (!parts) {
+        throw new Error('use a date like 2026-01-31, 2026-01 or 2026, or a relative age like 7d');
+      }
+      const [, year, month, day] = parts;
+      start = new Date(Date.UTC(+year, month ? +month - 1 : 0, day ? +day : 1));
+      end = day ? new Date(start.getTime() + DAY_MS)
+        : month ? new Date(Date.UTC(+year, +month, 1))
+          : new Date(Date.UTC(+year + 1, 0, 1));
+      if (isNaN(start.getTime())) {
+        throw new Error(`invalid date: ${dateText}`);
+      }
+    }
+
+    switch (operator) {
+      case '>': return { from: end, to: null };
+      case '>=': return { from: start, to: null };
+      case '<': return { from: null, to: start };
+      case '<=': return { from: null, to: end };
+      default: return { from: start, to: end };
+    }
+  }
+
+  /**
+   * Whether any filter narrows results to a source type (so callers should not)
+   * @param {Array<Object>} filters - Parsed filters
+   * @returns {boolean}
+   */
+  static hasTypeFilter(filters) {
+    return filters.some(filter => filter.field === 'type' && !filter.negated);
+  }
+
+  /**
+   * Whether any filter picks brains by name
+   * @param {Array<Object>} filters - Parsed filters
+   * @returns {boolean}
+   */
+  static hasBrainFilter(filters) {
+    return filters.some(filter => filter.field === 'brain' && !filter.negated);
+  }
+
+  /**
+   * Build SQL conditions for parsed filters
+   * @param {Array<Object>} filters - Parsed filters
+   * @param {Function} addParam - Adds a query parameter and returns its placeholder
+   * @returns {Array<string>} - Conditions to AND together
+   */
+  static buildConditions(filters, addParam) {
+    return filters.map(filter => {
+      const condition = this.buildCondition(filter, addParam);
+      // Card-only columns are NULL for files, so treat unknown as "does not match"
+      return filter.negated ? `NOT COALESCE(${condition}, false)` : `(${condition})`;
+    });
+  }
+
+  /**
+   * Build the SQL condition for one filter
+   * @param {Object} filter - Parsed filter
+   * @param {Function} addParam - Adds a query parameter and returns its placeholder
+   * @returns {string} - SQL condition
+   */
+  static buildCondition(filter, addParam) {
+    switch (filter.field) {
+      case 'title':
+        return `d.title ILIKE ${addParam(`%${filter.value.replace(/[\\%_]/g, '\\$&')}%`)}`;
+
+      case 'type':
+        return filter.values.map(value => {
+          if (value === 'card' || value === 'file') return `d.source_type = '${value}'`;
+          if (FILE_TYPES.includes(value)) return `f.file_type = '${value}'`;
+          return `c.card_type = '${value}'`;
+        }).join(' OR ');
+
+      case 'links-to': {
+        const title = addParam(filter.value);
+        return `EXISTS (
+          SELECT 1 FROM card_links l
+          LEFT JOIN cards t ON t.id = l.target_card_id
+          WHERE l.source_card_id = d.source_id
+            AND (LOWER(t.title) = LOWER(${title}) OR LOWER(l.link_text) = LOWER(${title}))
+        )`;
+      }
+
+      case 'tag': {
+        // #tag in the text, or the tag in a frontmatter "tags:" line
+        const tag = filter.value;
+        const pattern = `(^|[^[:alnum:]_#&/])#${tag}($|[^[:alnum:]_/-])|(^|\\n)tags:[^\\n]*(^|[^[:alnum:]_-])${tag}($|[^[:alnum:]_-])`;
+        return `d.body ~* ${addParam(pattern)}`;
+      }
+
+      case 'modified': {
+        const conditions = [];
+        if (filter.from) conditions.push(`d.source_updated_at >= ${addParam(filter.from)}`);
+        if (filter.to) conditions.push(`d.source_updated_at < ${addParam(filter.to)}`);
+        return conditions.join(' AND ');
+      }
+
+      case 'brain':
+        return `d.brain_id IN (SELECT id FROM brains WHERE LOWER(name) = ANY(${addParam(filter.values.map(v => v.toLowerCase()))}))`;
+
+      default:
+        throw new Error(`Unknown search field: ${filter.field}`);
+    }
+  }
+}
+
+module.exports = SearchQuery;
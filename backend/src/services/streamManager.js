@@ -1,7 +1,10 @@
 const Stream = require('../models/Stream');
 const StreamCard = require('../models/StreamCard');
+const StreamFile = require('../models/StreamFile');
 const Card = require('../models/Card');
 const Brain = require('../models/Brain');
+const SearchQuery = require('./searchQuery');
+const searchIndex = require('./searchIndex');
 const { query } = require('../models/database');
 
 /**
@@ -176,7 +179,9 @@ class StreamManager {
   }
 
   /**
-   * Search cards for adding to streams (current brain first, then others)
+   * Search cards for adding to streams (current brain first, then others).
+   * The query may use the search language, e.g. title:"project x" -tag:archive;
+   * a brain: filter searches the named brains even without includeOtherBrains.
    * @param {string} brainId - Current brain ID
    * @param {string} query - Search query
    * @param {boolean} includeOtherBrains - Include cards from other brains (default: true)
@@ -192,59 +197,194 @@ class StreamManager {
       };
     }
 
+    const parsed = SearchQuery.parse(searchQuery);
+    if (parsed.errors.length > 0) {
+      throw new Error(`Invalid search: ${parsed.errors.join('; ')}`);
+    }
+
+    // Cards only, unless the query asks for a type (type:file finds files too)
+    const options = { sourceType: SearchQuery.hasTypeFilter(parsed.filters) ? null : 'card' };
+
+    const otherBrainIds = [];
+    if (userId && (includeOtherBrains || SearchQuery.hasBrainFilter(parsed.filters))) {
+      const brains = await Brain.findByUserId(userId);
+      otherBrainIds.push(...brains.map(brain => brain.id).filter(id => id !== brainId));
+    }
+
+    const current = await searchIndex.search([brainId], parsed, { ...options, limit: 25 });
+    const others = otherBrainIds.length > 0
+      ? await searchIndex.search(otherBrainIds, parsed, { ...options, limit: 50 })
+      : { results: [] };
+
+    // Fewer results per other brain
+    const perBrain = new Map();
+    const otherResults = others.results.filter(result => {
+      const count = perBrain.get(result.brainId) || 0;
+      perBrain.set(result.brainId, count + 1);
+      return count < 10;
+    });
+
+    const toItem = async (result) => {
+      const match = { sourceType: result.sourceType, brainName: result.brainName, snippet: result.snippet, highlights: result.highlights };
+      if (result.sourceType === 'card') {
+        const card = await Card.findById(result.id);
+        if (card) {
+          return { ...(await card.toJSON()), ...match };
+        }
+      }
+      return { id: result.id, brainId: result.brainId, title: result.title, fileType: result.fileType, ...match };
+    };
+
     const results = {
-      currentBrain: [],
-      otherBrains: [],
+      currentBrain: await Promise.all(current.results.map(toItem)),
+      otherBrains: await Promise.all(otherResults.map(toItem)),
       totalResults: 0
     };
+    results.totalResults = results.currentBrain.length + results.otherBrains.length;
 
-    // Search current brain first
-    const currentBrainCards = await Card.search(brainId, searchQuery, { 
-      activeOnly: true, 
-      limit: 25 
-    });
-    
-    results.currentBrain = await Promise.all(
-      currentBrainCards.map(async card => ({
-        ...(await card.toJSON()),
-        brainName: null // Will be filled below
-      }))
-    );
-
-    // Get brain name for current brain
-    if (results.currentBrain.length > 0) {
-      const brain = await Brain.findById(brainId);
-      results.currentBrain.forEach(card => {
-        card.brainName = brain ? brain.name : 'Unknown Brain';
-      });
-    }
+    return results;
+  }
+
+  /**
+   * Create a stream holding the given cards and files, in order
+   * @param {string} brainId - Brain ID
+   * @param {string} name - Stream name
+   * @param {Array<Object>} items - { sourceType: 'card' | 'file', id }
+   * @returns {Promise<Object>} - { stream, added, skipped }
+   */
+  static async createStreamFromItems(brainId, name, items) {
+    const stream = await Stream.create(brainId, name);
 
-    // Search other brains if requested and user ID provided
-    if (includeOtherBrains && userId) {
-      const otherBrains = await Brain.findByUserId(userId);
-      
-      for (const brain of otherBrains) {
-        if (brain.id === brainId) continue; // Skip current brain
-        
-        const brainCards = await Card.search(brain.id, searchQuery, { 
-          activeOnly: true, 
-          limit: 10 // Fewer results per other brain
-        });
-        
-        const cardsWithBrainName = await Promise.all(
-          brainCards.map(async card => ({
-            ...(await card.toJSON()),
-            brainName: brain.name
-          }))
-        );
-        
-        results.otherBrains.push(...cardsWithBrainName);
+    let position = 0;
+    let skipped = 0;
+    for (const item of items) {
+      try {
+        if (item.sourceType === 'file') {
+          await StreamFile.addFileToStream(stream.id, item.id, position);
+        } else {
+          await StreamCard.addCardToStream(stream.id, item.id, position);
+        }
+        position++;
+      } catch (error) {
+        // A card deleted since the search ran is left out rather than failing the stream
+        console.warn(`⚠️  Skipped ${item.sourceType} ${item.id} in new stream: ${error.message}`);
+        skipped++;
       }
     }
 
-    results.totalResults = results.currentBrain.length + results.otherBrains.length;
-    
-    return results;
+    return {
+      stream: await stream.toJSON(),
+      added: position,
+      skipped
+    };
+  }
+
+  /**
+   * Find a stream to show a card or file in: the most recently opened stream of
+   * its brain that already holds it, or a new stream named after it
+   * @param {string} userId - User opening the item (must own its brain)
+   * @param {string} sourceType - 'card' or 'file'
+   * @param {string} sourceId - Card or file ID
+   * @returns {Promise<Object>} - { brain, stream, created }
+   */
+  static async openItem(userId, sourceType, sourceId) {
+    const itemResult = sourceType === 'file'
+      ? await query('SELECT id, brain_id, file_name AS title FROM files WHERE id = $1', [sourceId])
+      : await query('SELECT id, brain_id, title FROM cards WHERE id = $1 AND is_active = true', [sourceId]);
+
+    const label = sourceType === 'file' ? 'File' : 'Card';
+    if (itemResult.rows.length === 0) {
+      throw new Error(`${label} not found`);
+    }
+
+    const item = itemResult.rows[0];
+    const brain = await Brain.findById(item.brain_id);
+    if (!brain || brain.userId !== userId) {
+      throw new Error(`Access denied to ${label.toLowerCase()}`);
+    }
+
+    const column = sourceType === 'file' ? 'file_id' : 'card_id';
+    const existing = await query(`
+      SELECT s.* FROM streams s
+      JOIN stream_items_view si ON si.stream_id = s.id
+      WHERE s.brain_id = $1 AND si.${column} = $2
+      ORDER BY s.last_accessed_at DESC
+      LIMIT 1
+    `, [brain.id, sourceId]);
+
+    if (existing.rows.length > 0) {
+      const stream = new Stream(existing.rows[0]);
+      return { brain, stream, created: false };
+    }
+
+    // Stream names are unique per brain, so number the name if it is taken
+    const baseName = (item.title || 'Untitled card').slice(0, 90);
+    let name = baseName;
+    for (let attempt = 2; await Stream.findByBrainAndName(brain.id, name); attempt++) {
+      name = `${baseName} (${attempt})`;
+    }
+
+    const stream = await Stream.create(brain.id, name);
+    if (sourceType === 'file') {
+      await StreamFile.addFileToStream(stream.id, sourceId, 0);
+    } else {
+      await StreamCard.addCardToStream(stream.id, sourceId, 0);
+    }
+
+    console.log(`✅ Opened ${sourceType} ${sourceId} in new stream '${name}'`);
+    return { brain, stream, created: true };
+  }
+
+  /**
+   * Re-run a smart stream's query and replace its items with the matches.
+   * Cards only, unless the query asks for a type; always within the stream's brain.
+   * @param {Stream} stream - Smart stream
+   * @returns {Promise<Object>} - { matched, total, evaluatedAt }
+   */
+  static async refreshSmartStream(stream) {
+    if (!stream.isSmart()) {
+      throw new Error('Stream is not a smart stream');
+    }
+
+    const parsed = SearchQuery.parse(stream.smartQuery);
+    if (parsed.errors.length > 0) {
+      throw new Error(`Invalid search: ${parsed.errors.join('; ')}`);
+    }
+
+    const { results, total } = await searchIndex.search([stream.brainId], parsed, {
+      sourceType: SearchQuery.hasTypeFilter(parsed.filters) ? null : 'card',
+      limit: stream.smartLimit
+    });
+
+    await stream.replaceSmartItems(results);
+    console.log(`✅ Evaluated smart stream '${stream.name}': ${results.length} of ${total} matches`);
+
+    return {
+      matched: results.length,
+      total,
+      evaluatedAt: stream.smartEvaluatedAt
+    };
+  }
+
+  /**
+   * Freeze a smart stream into a normal stream, evaluating its query one last time
+   * @param {string} streamId - Stream ID
+   * @returns {Promise<Object>} - { stream, kept }
+   */
+  static async freezeSmartStream(streamId) {
+    const stream = await Stream.findById(streamId);
+
+    if (!stream) {
+      throw new Error('Stream not found');
+    }
+
+    await StreamManager.refreshSmartStream(stream);
+    const kept = await stream.freeze();
+
+    return {
+      stream: await stream.toJSON(),
+      kept
+    };
   }
 
   /**
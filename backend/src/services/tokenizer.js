@@ -0,0 +1,175 @@
+const { Tiktoken } = require('js-tiktoken/lite');
+
+/**
+ * BPE vocabularies bundled with the backend's dependencies (no network access).
+ * Each is loaded on first use: a vocabulary costs ~50-100MB of memory.
+ */
+const ENCODINGS = {
+  o200k_base: () => require('js-tiktoken/ranks/o200k_base'),
+  cl100k_base: () => require('js-tiktoken/ranks/cl100k_base'),
+  claude: () => require('@anthropic-ai/tokenizer/claude.json')
+};
+
+// Chat formats wrap every message in a few tokens (role, separators)
+const TOKENS_PER_MESSAGE = 4;
+const TOKENS_PER_REPLY = 3;
+
+/**
+ * Image token cost as each provider documents it
+ *   OpenAI     fit in 2048x2048, shortest side to 768, then a base cost plus a cost per 512px tile
+ *   Anthropic  fit the long edge in 1568px and ~1.15 megapixels, then width * height / 750
+ *   Google     258 per image up to 384x384, otherwise 258 per 768x768 tile
+ * Local and unknown models use OpenAI's formula as an estimate.
+ */
+function countOpenAIImage(width, height, { base, perTile }) {
+  let scale = Math.min(1, 2048 / Math.max(width, height));
+  scale = Math.min(scale, 768 / Math.min(width * scale, height * scale));
+  const tiles = Math.ceil((width * scale) / 512) * Math.ceil((height * scale) / 512);
+  return base + perTile * tiles;
+}
+
+function countAnthropicImage(width, height) {
+  const scale = Math.min(1, 1568 / Math.max(width, height), Math.sqrt(1150000 / (width * height)));
+  return Math.ceil((Math.round(width * scale) * Math.round(height * scale)) / 750);
+}
+
+function countGoogleImage(width, height) {
+  if (width <= 384 && height <= 384) {
+    return 258;
+  }
+  return 258 * Math.ceil(width / 768) * Math.ceil(height / 768);
+}
+
+/**
+ * Tokenizer - Exact token counts per model family
+ *
+ *   gpt-4o*, gpt-4.1*, o1*, o3*  o200k_base (exact)
+ *   other gpt-*                 cl100k_base (exact)
+ *   claude-*                    Anthropic's published tokenizer (close; Claude 3 differs slightly)
+ *   gemini, local models        cl100k_base (approximation)
+ * Images are counted from their pixel size with each provider's published formula.
+ */
+class Tokenizer {
+  constructor() {
+    this.encoders = new Map();
+  }
+
+  /**
+   * Pick the vocabulary for a model
+   * @param {string} model - Model ID
+   * @returns {Object} - { encoding, exact }
+   */
+  getEncodingInfo(model = '') {
+    const id = String(model).toLowerCase();
+
+    if (/^(gpt-4o|gpt-4\.1|chatgpt-4o|o1|o3|o4)/.test(id)) {
+      return { encoding: 'o200k_base', exact: true };
+    }
+    if (id.startsWith('gpt-')) {
+      return { encoding: 'cl100k_base', exact: true };
+    }
+    if (id.startsWith('claude')) {
+      return { encoding: 'claude', exact: false };
+    }
+    return { encoding: 'cl100k_base', exact: false };
+  }
+
+  /**
+   * Get (and cache) the encoder for a model
+   * @param {string} model - Model ID
+   * @returns {Tiktoken} - Encoder
+   */
+  getEncoder(model) {
+    const { encoding } = this.getEncodingInfo(model);
+    if (!this.encoders.has(encoding)) {
+      const started = Date.now();
+      this.encoders.set(encoding, new Tiktoken(ENCODINGS[encoding]()));
+      console.log(`🔤 Loaded ${encoding} tokenizer in ${Date.now() - started}ms`);
+    }
+    return this.encoders.get(encoding);
+  }
+
+  /**
+   * Encode text, treating special-token strings in it as ordinary text
+   * @param {string} text - Text to encode
+   * @param {string} model - Model ID
+   * @returns {Array<number>} - Token IDs
+   */
+  encode(text, model) {
+    if (!text) {
+      return [];
+    }
+    const normalized = this.getEncodingInfo(model).encoding === 'claude' ? text.normalize('NFKC') : text;
+    return this.getEncoder(model).encode(normalized, [], []);
+  }
+
+  /**
+   * Count the tokens in a text
+   * @param {string} text - Text to measure
+   * @param {string} model - Model ID
+   * @returns {number} - Token count
+   */
+  count(text, model) {
+    return this.encode(text, model).length;
+  }
+
+  /**
+   * Count the tokens an image costs
+   * @param {Object} image - Image with width and height in pixels
+   * @param {string} model - Model ID
+   * @returns {number} - Token count
+   */
+  countImage(image, model = '') {
+    const { width, height } = image;
+    const id = String(model).toLowerCase();
+
+    if (id.startsWith('claude')) {
+      return countAnthropicImage(width, height);
+    }
+    if (id.startsWith('gemini')) {
+      return countGoogleImage(width, height);
+    }
+    if (id.startsWith('gpt-4o-mini')) {
+      return countOpenAIImage(width, height, { base: 2833, perTile: 5667 });
+    }
+    return countOpenAIImage(width, height, { base: 85, perTile: 170 });
+  }
+
+  /**
+   * Count the tokens one chat message takes up, including its framing and images
+   * @param {Object} message - Message with role, content and optional images
+   * @param {string} model - Model ID
+   * @returns {number} - Token count
+   */
+  countMessage(message, model) {
+    const imageTokens = (message.images || []).reduce((total, image) => total + this.countImage(image, model), 0);
+    return TOKENS_PER_MESSAGE + this.count(message.content, model) + imageTokens;
+  }
+
+  /**
+   * Count the tokens a list of chat messages takes up, including the reply primer
+   * @param {Array<Object>} messages - Messages with role and content
+   * @param {string} model - Model ID
+   * @returns {number} - Token count
+   */
+  countMessages(messages, model) {
+    return messages.reduce((total, message) => total + this.countMessage(message, model), TOKENS_PER_REPLY);
+  }
+
+  /**
+   * Cut a text down to at most maxTokens tokens
+   * @param {string} text - Text to truncate
+   * @param {number} maxTokens - Token limit
+   * @param {string} model - Model ID
+   * @returns {string} - Text unchanged if it fits, otherwise its first maxTokens tokens
+   */
+  truncate(text, maxTokens, model) {
+    const tokens = this.encode(text, model);
+    if (tokens.length <= maxTokens) {
+      return text;
+    }
+    return this.getEncoder(model).decode(tokens.slice(0, Math.max(0, maxTokens)));
+  }
+}
+
+module.exports = new Tokenizer();
@@ -0,0 +1,244 @@
+const Card = require('../models/Card');
+const searchIndex = require('./searchIndex');
+const linkParser = require('./linkParser');
+const linkSuggester = require('./linkSuggester');
+const { query } = require('../models/database');
+const { ValidationError } = require('../utils/apiError');
+
+// Most sources returned, and mentions shown per source
+const MAX_SOURCES = 50;
+const MAX_MENTIONS_PER_SOURCE = 5;
+// Characters of context on each side of a mention
+const SNIPPET_CONTEXT = 60;
+// Shorter terms match too much ordinary text
+const MIN_TERM_LENGTH = 3;
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} str - Literal text
+ * @returns {string} - Escaped pattern
+ */
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Escape a string for use in an ILIKE pattern
+ * @param {string} str - Literal text
+ * @returns {string} - Escaped pattern
+ */
+function escapeLike(str) {
+  return str.replace(/[\\%_]/g, '\\$&');
+}
+
+/**
+ * Unlinked Mentions Service
+ * Finds cards and files in a brain that name a card (its title, or the alias
+ * text of [[Title|alias]] links to it) in plain text without linking it, and
+ * turns a mention into a [[link]]. The search index narrows the candidates;
+ * mentions are then matched case-insensitively on whole words, outside
+ * existing [[links]].
+ */
+
+class UnlinkedMentions {
+  /**
+   * Words that name a card: its title and the aliases other cards link to it with
+   * @param {Card} card - Target card
+   * @returns {Promise<Array<string>>} - Terms, longest first
+   */
+  async getTerms(card) {
+    const result = await query(`
+      SELECT DISTINCT alias FROM card_links
+      WHERE target_card_id = $1 AND is_valid = true AND alias IS NOT NULL
+    `, [card.id]);
+
+    const terms = new Map();
+    for (const term of [card.title, ...result.rows.map(row => row.alias)]) {
+      const trimmed = (term || '').trim();
+      if (trimmed.length >= MIN_TERM_LENGTH && !terms.has(trimmed.toLowerCase())) {
+        terms.set(trimmed.toLowerCase(), trimmed);
+      }
+    }
+
+    return [...terms.values()].sort((a, b) => b.length - a.length);
+  }
+
+  /**
+   * Find plain-text mentions of any term, skipping text inside [[links]]
+   * @param {string} text - Text to search
+   * @param {Array<string>} terms - Terms, longest first (the longest match wins at a position)
+   * @returns {Array<Object>} - [{ index, text }] in text order
+   */
+  findMentions(text, terms) {
+    if (!text || terms.length === 0) {
+      return [];
+    }
+
+    const linkSpans = linkParser.extractLinks(text);
+    const alternatives = terms.map(escapeRegExp).join('|');
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives})(?![\\p{L}\\p{N}])`, 'giu');
+
+    const mentions = [];
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      const index = match.index;
+      // [[ ]] spans include a leading ! for embeds
+      if (!linkSpans.some(link => index >= link.startPosition - 1 && index < link.endPosition)) {
+        mentions.push({ index, text: match[0] });
+      }
+    }
+    return mentions;
+  }
+
+  /**
+   * The text around a mention, split into plain and highlighted parts
+   * @param {string} text - Source text
+   * @param {Object} mention - { index, text }
+   * @returns {Array<Object>} - [{ text, highlight }]
+   */
+  snippet(text, mention) {
+    const start = Math.max(0, mention.index - SNIPPET_CONTEXT);
+    const end = Math.min(text.length, mention.index + mention.text.length + SNIPPET_CONTEXT);
+    const clean = part => part.replace(/\s+/g, ' ');
+
+    return [
+      { text: (start > 0 ? '…' : '') + clean(text.slice(start, mention.index)), highlight: false },
+      { text: mention.text, highlight: true },
+      { text: clean(text.slice(mention.index + mention.text.length, end)) + (end < text.length ? '…' : ''), highlight: false }
+    ];
+  }
+
+  /**
+   * Cards and files in the card's brain that mention it without linking to it
+   * @param {Card} card - Target card
+   * @returns {Promise<Object>} - { terms, sources, total, truncated }
+   */
+  async find(card) {
+    if (!card.title) {
+      throw new ValidationError('Only cards with a title can be mentioned');
+    }
+
+    const terms = await this.getTerms(card);
+    if (terms.length === 0) {
+      return { terms, sources: [], total: 0, truncated: false };
+    }
+
+    await searchIndex.indexBrain(card.brainId);
+
+    // Cards that already link here show up as backlinks instead
+    const candidates = await query(`
+      SELECT sd.source_type, sd.source_id, sd.title, sd.body
+      FROM search_documents sd
+      WHERE sd.brain_id = $1
+        AND sd.source_id <> $2
+        AND sd.body ILIKE ANY($3)
+        AND NOT EXISTS (
+          SELECT 1 FROM card_links cl
+          WHERE cl.source_card_id = sd.source_id AND cl.target_card_id = $2
+        )
+      ORDER BY sd.source_updated_at DESC NULLS LAST
+    `, [card.brainId, card.id, terms.map(term => `%${escapeLike(term)}%`)]);
+
+    const sources = [];
+    for (const row of candidates.rows) {
+      // Card positions must match the card file, which the index may have cut short
+      let text = row.body;
+      if (row.source_type === 'card') {
+        const source = await Card.findById(row.source_id);
+        if (!source || !source.isActive) continue;
+        text = await source.getContent();
+      }
+
+      const mentions = this.findMentions(text, terms);
+      if (mentions.length === 0) continue;
+
+      sources.push({
+        sourceType: row.source_type,
+        sourceId: row.source_id,
+        title: row.title || 'Untitled',
+        canLink: row.source_type === 'card',
+        count: mentions.length,
+        mentions: mentions.slice(0, MAX_MENTIONS_PER_SOURCE).map(mention => ({
+          position: mention.index,
+          text: mention.text,
+          highlights: this.snippet(text, mention)
+        }))
+      });
+    }
+
+    return {
+      terms,
+      sources: sources.slice(0, MAX_SOURCES),
+      total: sources.reduce((sum, source) => sum + source.count, 0),
+      truncated: sources.length > MAX_SOURCES
+    };
+  }
+
+  /**
+   * Wrap one mention in a link to the title, keeping the mention's wording as the alias
+   * @param {string} content - Source content
+   * @param {Object} mention - { index, text }
+   * @param {string} title - Target card title
+   * @returns {string} - Updated content
+   */
+  linkText(content, mention, title) {
+    const link = mention.text === title ? `[[${title}]]` : `[[${title}|${mention.text}]]`;
+    return `${content.slice(0, mention.index)}${link}${content.slice(mention.index + mention.text.length)}`;
+  }
+
+  /**
+   * Link a mention: rewrite the source card and refresh its card_links
+   * @param {Card} target - Card being mentioned
+   * @param {string} sourceCardId - Card that mentions it
+   * @param {Object} options - Link options
+   * @param {number} options.position - Position of the mention (default: the first one)
+   * @param {boolean} options.all - Link every plain mention in the card
+   * @param {string} options.userId - User making the change (recorded on the version)
+   * @returns {Promise<Object>} - { card, content, linked }
+   */
+  async link(target, sourceCardId, options = {}) {
+    if (!target.title) {
+      throw new ValidationError('Only cards with a title can be linked');
+    }
+    if (!linkSuggester.isLinkable(target.title)) {
+      throw new ValidationError(`"${target.title}" can't be written as a [[link]]`);
+    }
+
+    const source = await Card.findById(sourceCardId);
+    if (!source || !source.isActive || source.brainId !== target.brainId) {
+      throw new ValidationError('The mentioning card was not found in this brain');
+    }
+    if (source.id === target.id || source.fileId) {
+      throw new ValidationError('Only other text cards can be linked');
+    }
+
+    let content = await source.getContent();
+    const mentions = this.findMentions(content, await this.getTerms(target));
+
+    let selected;
+    if (options.all) {
+      selected = mentions;
+    } else if (options.position !== undefined && options.position !== null) {
+      selected = mentions.filter(mention => mention.index === Number(options.position));
+    } else {
+      selected = mentions.slice(0, 1);
+    }
+
+    if (selected.length === 0) {
+      throw new ValidationError('Mention not found; the card may have changed');
+    }
+
+    // Last first, so earlier positions stay valid
+    for (const mention of [...selected].reverse()) {
+      content = this.linkText(content, mention, target.title);
+    }
+
+    await source.updateContent(content, { userId: options.userId });
+    await linkParser.processCardLinks(source.id, content);
+
+    console.log(`✅ Linked ${selected.length} mention(s) of "${target.title}" in card ${source.id}`);
+    return { card: source, content, linked: selected.length };
+  }
+}
+
+module.exports = new UnlinkedMentions();
@@ -0,0 +1,276 @@
+const fs = require('fs-extra');
+const { query } = require('../models/database');
+const { BudgetExceededError } = require('../utils/apiError');
+
+/**
+ * Default prices in USD per million tokens. Override or extend them with
+ * AI_PRICE_TABLE (inline JSON) or AI_PRICE_TABLE_PATH (JSON file), e.g.
+ *   {"gpt-4o": {"input": 2.5, "output": 10}, "local:*": {"input": 0, "output": 0}}
+ * A key ending in "*" matches every model id with that prefix.
+ */
+const DEFAULT_PRICES = {
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-3.5-turbo-0125': { input: 0.5, output: 1.5 },
+  'claude-3-opus-20240229': { input: 15, output: 75 },
+  'claude-3-sonnet-20240229': { input: 3, output: 15 },
+  'claude-3-haiku-20240307': { input: 0.25, output: 1.25 },
+  'gemini-pro': { input: 0.5, output: 1.5 },
+  // Self-hosted models cost nothing per token
+  'local:*': { input: 0, output: 0 },
+  // Offline mock provider
+  'mock:*': { input: 0, output: 0 }
+};
+
+const GROUP_COLUMNS = {
+  model: 'u.model',
+  provider: "COALESCE(u.provider, 'unknown')",
+  brain: "COALESCE(b.name, 'Deleted brain')",
+  source: 'u.source',
+  day: "to_char(date_trunc('day', u.created_at), 'YYYY-MM-DD')"
+};
+
+let priceTable = null;
+
+/**
+ * UsageTracker - Records token usage and cost, reports on it and enforces budgets
+ */
+class UsageTracker {
+  /**
+   * Price table with environment overrides applied (loaded once)
+   * @returns {Object} - model -> { input, output } in USD per million tokens
+   */
+  static getPriceTable() {
+    if (priceTable) {
+      return priceTable;
+    }
+
+    priceTable = { ...DEFAULT_PRICES };
+    try {
+      if (process.env.AI_PRICE_TABLE_PATH) {
+        Object.assign(priceTable, fs.readJsonSync(process.env.AI_PRICE_TABLE_PATH));
+      }
+      if (process.env.AI_PRICE_TABLE) {
+        Object.assign(priceTable, JSON.parse(process.env.AI_PRICE_TABLE));
+      }
+    } catch (error) {
+      console.error('❌ Invalid AI price table, using defaults:', error.message);
+      priceTable = { ...DEFAULT_PRICES };
+    }
+
+    return priceTable;
+  }
+
+  /**
+   * Find the price entry for a model (exact id first, then the longest prefix wildcard)
+   * @param {string} model - Model ID
+   * @returns {Object|null} - { input, output } or null if unpriced
+   */
+  static getPrice(model) {
+    const table = this.getPriceTable();
+    if (table[model]) {
+      return table[model];
+    }
+
+    const wildcard = Object.keys(table)
+      .filter(key => key.endsWith('*') && model.startsWith(key.slice(0, -1)))
+      .sort((a, b) => b.length - a.length)[0];
+
+    return wildcard ? table[wildcard] : null;
+  }
+
+  /**
+   * Cost of a call in USD
+   * @param {string} model - Model ID
+   * @param {Object} usage - { promptTokens, completionTokens }
+   * @returns {number|null} - Cost, or null if the model has no price
+   */
+  static calculateCost(model, usage) {
+    const price = this.getPrice(model);
+    if (!price) {
+      return null;
+    }
+    return ((usage.promptTokens || 0) * (price.input || 0) + (usage.completionTokens || 0) * (price.output || 0)) / 1e6;
+  }
+
+  /**
+   * Record the usage of one AI call. Never throws: accounting must not break generation.
+   * @param {Object} data - Usage record
+   * @param {string} data.userId - User who made the call
+   * @param {string} data.brainId - Brain the call ran in
+   * @param {string} data.model - Model ID
+   * @param {string} data.provider - Provider name
+   * @param {string} data.source - 'generation', 'chat' or 'ask'
+   * @param {string} data.sourceId - Job, message or null
+   * @param {Object} data.usage - { promptTokens, completionTokens, totalTokens }
+   * @returns {Promise<void>}
+   */
+  static async record({ userId, brainId = null, model, provider = null, source, sourceId = null, usage }) {
+    if (!usage) {
+      return;
+    }
+
+    try {
+      const cost = this.calculateCost(model, usage);
+      await query(`
+        INSERT INTO ai_usage (user_id, brain_id, model, provider, source, source_id,
+                              prompt_tokens, completion_tokens, total_tokens, cost_usd)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      `, [
+        userId, brainId, model, provider, source, sourceId,
+        usage.promptTokens || 0,
+        usage.completionTokens || 0,
+        usage.totalTokens || (usage.promptTokens || 0) + (usage.completionTokens || 0),
+        cost
+      ]);
+    } catch (error) {
+      console.error('❌ Failed to record AI usage:', error);
+    }
+  }
+
+  /**
+   * Start of the current calendar month (UTC)
+   * @returns {Date}
+   */
+  static getPeriodStart() {
+    const now = new Date();
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  }
+
+  /**
+   * Aggregate a user's usage
+   * @param {string} userId - User ID
+   * @param {Object} options - Report options
+   * @param {Date} options.from - Start (default: start of this month)
+   * @param {Date} options.to - End (default: now)
+   * @param {string} options.brainId - Only this brain
+   * @param {string} options.groupBy - 'model', 'provider', 'brain', 'source' or 'day'
+   * @returns {Promise<Object>} - { from, to, groupBy, totals, rows }
+   */
+  static async getSummary(userId, options = {}) {
+    const { from = this.getPeriodStart(), to = new Date(), brainId = null, groupBy = 'model' } = options;
+    const groupColumn = GROUP_COLUMNS[groupBy];
+    if (!groupColumn) {
+      throw new Error(`Invalid groupBy: ${groupBy}. Use one of ${Object.keys(GROUP_COLUMNS).join(', ')}`);
+    }
+
+    const conditions = ['u.user_id = $1', 'u.created_at >= $2', 'u.created_at <= $3'];
+    const params = [userId, from, to];
+    if (brainId) {
+      params.push(brainId);
+      conditions.push(`u.brain_id = $${params.length}`);
+    }
+
+    const result = await query(`
+      SELECT ${groupColumn} AS key,
+             COUNT(*) AS calls,
+             COALESCE(SUM(u.prompt_tokens), 0) AS prompt_tokens,
+             COALESCE(SUM(u.completion_tokens), 0) AS completion_tokens,
+             COALESCE(SUM(u.total_tokens), 0) AS total_tokens,
+             COALESCE(SUM(u.cost_usd), 0) AS cost_usd,
+             COUNT(*) FILTER (WHERE u.cost_usd IS NULL) AS unpriced_calls
+      FROM ai_usage u
+      LEFT JOIN brains b ON u.brain_id = b.id
+      WHERE ${conditions.join(' AND ')}
+      GROUP BY 1
+      ORDER BY ${groupBy === 'day' ? 'key ASC' : 'cost_usd DESC, total_tokens DESC'}
+    `, params);
+
+    const rows = result.rows.map(row => ({
+      key: row.key,
+      calls: parseInt(row.calls, 10),
+      promptTokens: parseInt(row.prompt_tokens, 10),
+      completionTokens: parseInt(row.completion_tokens, 10),
+      totalTokens: parseInt(row.total_tokens, 10),
+      costUsd: parseFloat(row.cost_usd),
+      unpricedCalls: parseInt(row.unpriced_calls, 10)
+    }));
+
+    const totals = rows.reduce((sum, row) => ({
+      calls: sum.calls + row.calls,
+      promptTokens: sum.promptTokens + row.promptTokens,
+      completionTokens: sum.completionTokens + row.completionTokens,
+      totalTokens: sum.totalTokens + row.totalTokens,
+      costUsd: sum.costUsd + row.costUsd,
+      unpricedCalls: sum.unpricedCalls + row.unpricedCalls
+    }), { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, costUsd: 0, unpricedCalls: 0 });
+
+    return { from, to, groupBy, brainId, totals, rows };
+  }
+
+  /**
+   * The budget that applies: the operator's AI_MONTHLY_BUDGET_USD is a ceiling
+   * that a user's own budget can only tighten
+   * @param {number|null} userBudgetUsd - The user's own budget (null for none)
+   * @param {number|null} operatorBudgetUsd - The operator's budget (null for unlimited)
+   * @returns {number|null} - Effective budget (null for unlimited)
+   */
+  static effectiveBudget(userBudgetUsd, operatorBudgetUsd) {
+    if (userBudgetUsd === null) return operatorBudgetUsd;
+    if (operatorBudgetUsd === null) return userBudgetUsd;
+    return Math.min(userBudgetUsd, operatorBudgetUsd);
+  }
+
+  /**
+   * A user's monthly budget and spend so far
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - { budgetUsd, userBudgetUsd, operatorBudgetUsd, spentUsd, remainingUsd, periodStart, exceeded }
+   */
+  static async getBudgetStatus(userId) {
+    const periodStart = this.getPeriodStart();
+    const result = await query(`
+      SELECT u.ai_monthly_budget_usd AS budget,
+             (SELECT COALESCE(SUM(cost_usd), 0) FROM ai_usage
+              WHERE user_id = u.id AND created_at >= $2) AS spent
+      FROM users u WHERE u.id = $1
+    `, [userId, periodStart]);
+
+    const row = result.rows[0] || {};
+    const operatorBudget = parseFloat(process.env.AI_MONTHLY_BUDGET_USD);
+    const operatorBudgetUsd = Number.isFinite(operatorBudget) ? operatorBudget : null;
+    const userBudgetUsd = row.budget != null ? parseFloat(row.budget) : null;
+    const budgetUsd = this.effectiveBudget(userBudgetUsd, operatorBudgetUsd);
+    const spentUsd = parseFloat(row.spent || 0);
+
+    return {
+      budgetUsd,
+      userBudgetUsd,
+      operatorBudgetUsd,
+      spentUsd,
+      remainingUsd: budgetUsd === null ? null : Math.max(0, budgetUsd - spentUsd),
+      periodStart,
+      exceeded: budgetUsd !== null && spentUsd >= budgetUsd
+    };
+  }
+
+  /**
+   * Throw if the user has used up this month's budget
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - Budget status when within budget
+   */
+  static async assertWithinBudget(userId) {
+    const status = await this.getBudgetStatus(userId);
+    if (status.exceeded) {
+      throw new BudgetExceededError(status.budgetUsd, status.spentUsd);
+    }
+    return status;
+  }
+
+  /**
+   * Set or clear a user's monthly budget
+   * @param {string} userId - User ID
+   * @param {number|null} budgetUsd - Limit in USD (null to remove)
+   * @returns {Promise<Object>} - Updated budget status
+   */
+  static async setBudget(userId, budgetUsd) {
+    if (budgetUsd !== null && (!Number.isFinite(budgetUsd) || budgetUsd < 0)) {
+      throw new Error('Invalid budget: must be a non-negative number or null');
+    }
+
+    await query('UPDATE users SET ai_monthly_budget_usd = $1 WHERE id = $2', [budgetUsd, userId]);
+    return this.getBudgetStatus(userId);
+  }
+}
+
+module.exports = UsageTracker;
@@ -91,6 +91,13 @@ class StorageQuotaExceededError extends ApiError {
   }
 }
 
+class BudgetExceededError extends ApiError {
+  constructor(budgetUsd, spentUsd) {
+    const message = `Monthly AI budget of $${budgetUsd.toFixed(2)} exceeded. Spent this month: $${spentUsd.toFixed(2)}`;
+    super(message, 402, 'BUDGET_EXCEEDED', { budgetUsd, spentUsd });
+  }
+}
+
 class ProcessingError extends ApiError {
   constructor(message = 'File processing failed', processingDetails = null) {
     super(message, 422, 'PROCESSING_ERROR', processingDetails);
@@ -121,6 +128,7 @@ module.exports = {
   FileTooLargeError,
   UnsupportedFileTypeError,
   StorageQuotaExceededError,
+  BudgetExceededError,
   ProcessingError,
   isOperationalError,
   createValidationError
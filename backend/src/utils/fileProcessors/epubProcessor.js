@@ -418,6 +418,73 @@ function getSupportedExtensions() {
   return ['.epub'];
 }
 
+/**
+ * Convert chapter XHTML to plain text
+ * @param {string} html - Chapter markup
+ * @returns {string} - Plain text with paragraph breaks
+ */
+function htmlToText(html) {
+  return html
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|h[1-6]|li|blockquote|tr)>/gi, '\n\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(parseInt(code, 10)))
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\n[ \t]+/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Extract the full text of an EPUB, chapter by chapter in reading order
+ * @param {string} filePath - Path to EPUB file
+ * @returns {Promise<string>} - Book text (empty string if parsing fails)
+ */
+async function extractEpubText(filePath) {
+  return new Promise((resolve) => {
+    try {
+      const epub = new EPub(filePath);
+
+      epub.on('error', (error) => {
+        console.error(`Error parsing EPUB ${filePath}:`, error.message);
+        resolve('');
+      });
+
+      epub.on('end', async () => {
+        const sections = [];
+
+        for (const chapter of epub.flow || []) {
+          try {
+            const html = await new Promise((resolveChapter, rejectChapter) => {
+              epub.getChapter(chapter.id, (error, text) => error ? rejectChapter(error) : resolveChapter(text));
+            });
+            const text = htmlToText(html || '');
+            if (text) {
+              sections.push(chapter.title ? `## ${chapter.title}\n\n${text}` : text);
+            }
+          } catch (error) {
+            // Skip chapters that fail to load (e.g. non-XHTML items in the spine)
+          }
+        }
+
+        resolve(sections.join('\n\n'));
+      });
+
+      epub.parse();
+    } catch (error) {
+      console.error(`Error initializing EPUB parser ${filePath}:`, error.message);
+      resolve('');
+    }
+  });
+}
+
 /**
  * Check if full EPUB content extraction is available
  * @returns {boolean} - True if content extraction is implemented
@@ -452,6 +519,7 @@ module.exports = {
   validateEpubFile,
   getSupportedExtensions,
   extractEpubMetadata,
+  extractEpubText,
   generateTitle,
   isContentExtractionAvailable,
   extractDescriptionPreview
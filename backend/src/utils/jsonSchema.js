@@ -0,0 +1,107 @@
+/**
+ * JSON Schema Validation
+ * A small subset of JSON Schema, enough for validating structured AI output:
+ * type, properties, required, items, minItems, maxItems, minLength, maxLength,
+ * enum and local references ("#/definitions/name").
+ */
+
+/**
+ * JSON Schema type name of a value
+ * @param {*} value - Value to inspect
+ * @returns {string} - 'null', 'array', 'integer', 'number', 'string', 'boolean' or 'object'
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Resolve a local $ref against the root schema
+ * @param {string} ref - Reference such as '#/definitions/section'
+ * @param {Object} root - Root schema
+ * @returns {Object} - Referenced schema
+ */
+function resolveRef(ref, root) {
+  if (!ref.startsWith('#/')) {
+    throw new Error(`Unsupported schema reference: ${ref}`);
+  }
+
+  const target = ref.slice(2).split('/').reduce((node, key) => (node ? node[key] : undefined), root);
+  if (!target) {
+    throw new Error(`Unresolved schema reference: ${ref}`);
+  }
+  return target;
+}
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Value to validate
+ * @param {Object} schema - JSON Schema
+ * @param {string} path - Location of the value, for error messages
+ * @param {Object} root - Root schema for $ref lookups
+ * @returns {Array<string>} - Validation errors (empty when valid)
+ */
+function validateSchema(value, schema, path = '$', root = schema) {
+  if (schema.$ref) {
+    return validateSchema(value, resolveRef(schema.$ref, root), path, root);
+  }
+
+  const errors = [];
+  const actualType = typeOf(value);
+
+  if (schema.type) {
+    const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const matches = allowed.some(type => type === actualType || (type === 'number' && actualType === 'integer'));
+    if (!matches) {
+      return [`${path} should be ${allowed.join(' or ')}, got ${actualType}`];
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} should be one of ${schema.enum.join(', ')}`);
+  }
+
+  if (actualType === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      errors.push(`${path} should not be empty`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path} should be at most ${schema.maxLength} characters`);
+    }
+  }
+
+  if (actualType === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path} should have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path} should have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(item, schema.items, `${path}[${index}]`, root));
+      });
+    }
+  }
+
+  if (actualType === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key} is required`);
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        errors.push(...validateSchema(value[key], propertySchema, `${path}.${key}`, root));
+      }
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  validateSchema
+};
@@ -0,0 +1,105 @@
+/**
+ * Line Diff
+ * Line-by-line diff of two texts (longest common subsequence), used to compare card versions.
+ */
+
+// Above this many cells the LCS table is skipped and the changed block is shown as replaced
+const MAX_TABLE_CELLS = 4000000;
+
+/**
+ * Split text into lines
+ * @param {string} text - Text to split
+ * @returns {Array<string>} - Lines (empty text has no lines)
+ */
+function splitLines(text) {
+  return text ? text.split(/\r?\n/) : [];
+}
+
+/**
+ * Diff the lines between the common prefix and suffix
+ * @param {Array<string>} a - Old lines
+ * @param {Array<string>} b - New lines
+ * @returns {Array<Object>} - Changes in order
+ */
+function diffMiddle(a, b) {
+  const n = a.length;
+  const m = b.length;
+
+  if (n === 0 || m === 0 || (n + 1) * (m + 1) > MAX_TABLE_CELLS) {
+    return [
+      ...a.map(text => ({ type: 'removed', text })),
+      ...b.map(text => ({ type: 'added', text }))
+    ];
+  }
+
+  // lengths[i * (m + 1) + j] = LCS length of a[i..] and b[j..]
+  const width = m + 1;
+  const lengths = new Uint32Array((n + 1) * width);
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lengths[i * width + j] = a[i] === b[j]
+        ? lengths[(i + 1) * width + j + 1] + 1
+        : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  const changes = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j]) {
+      changes.push({ type: 'equal', text: a[i] });
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      changes.push({ type: 'removed', text: a[i] });
+      i++;
+    } else {
+      changes.push({ type: 'added', text: b[j] });
+      j++;
+    }
+  }
+  while (i < n) changes.push({ type: 'removed', text: a[i++] });
+  while (j < m) changes.push({ type: 'added', text: b[j++] });
+
+  return changes;
+}
+
+/**
+ * Diff two texts line by line
+ * @param {string} oldText - Text before
+ * @param {string} newText - Text after
+ * @returns {Object} - { changes: [{ type: 'equal'|'added'|'removed', text }], added, removed }
+ */
+function diffLines(oldText, newText) {
+  const a = splitLines(oldText || '');
+  const b = splitLines(newText || '');
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const changes = [
+    ...a.slice(0, start).map(text => ({ type: 'equal', text })),
+    ...diffMiddle(a.slice(start, endA), b.slice(start, endB)),
+    ...a.slice(endA).map(text => ({ type: 'equal', text }))
+  ];
+
+  return {
+    changes,
+    added: changes.filter(change => change.type === 'added').length,
+    removed: changes.filter(change => change.type === 'removed').length
+  };
+}
+
+module.exports = {
+  diffLines
+};
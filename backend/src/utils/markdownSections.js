@@ -0,0 +1,113 @@
+/**
+ * Markdown Sections
+ * Find headings and ^block-id markers in card content, for [[Title#Heading]] and
+ * [[Title^block-id]] links and ![[...]] transclusion.
+ */
+
+const HEADING_PATTERN = /^(#{1,6})\s+(.+?)\s*#*\s*$/;
+const BLOCK_ID_PATTERN = /\s\^([A-Za-z0-9-]+)\s*$/;
+
+/**
+ * Slug of a heading, as used in element ids ("Next Steps!" -> "next-steps")
+ * @param {string} text - Heading text
+ * @returns {string} - Slug
+ */
+function slugify(text) {
+  return text
+    .toLowerCase()
+    .trim()
+    .replace(/[^\w\s-]/g, '')
+    .replace(/\s+/g, '-');
+}
+
+/**
+ * List the headings in content (outside fenced code blocks)
+ * @param {string} content - Markdown content
+ * @returns {Array<Object>} - [{ level, text, slug, line }]
+ */
+function findHeadings(content) {
+  const headings = [];
+  let inCode = false;
+
+  (content || '').split('\n').forEach((line, index) => {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inCode = !inCode;
+      return;
+    }
+    if (inCode) return;
+
+    const match = line.match(HEADING_PATTERN);
+    if (match) {
+      headings.push({ level: match[1].length, text: match[2], slug: slugify(match[2]), line: index });
+    }
+  });
+
+  return headings;
+}
+
+/**
+ * Extract a heading's section: the heading line up to the next heading of the same or a higher level
+ * @param {string} content - Markdown content
+ * @param {string} heading - Heading text or slug
+ * @returns {string|null} - Section markdown, or null if there is no such heading
+ */
+function extractSection(content, heading) {
+  const wanted = slugify(heading);
+  const headings = findHeadings(content);
+  const index = headings.findIndex(item => item.slug === wanted);
+  if (index === -1) return null;
+
+  const start = headings[index];
+  const end = headings.slice(index + 1).find(item => item.level <= start.level);
+  const lines = content.split('\n');
+
+  return lines.slice(start.line, end ? end.line : lines.length).join('\n').trim();
+}
+
+/**
+ * Extract the paragraph or list item marked with ^block-id, without the marker
+ * @param {string} content - Markdown content
+ * @param {string} blockId - Block id (without ^)
+ * @returns {string|null} - Block markdown, or null if no block has this id
+ */
+function extractBlock(content, blockId) {
+  const lines = (content || '').split('\n');
+  const index = lines.findIndex(line => {
+    const match = line.match(BLOCK_ID_PATTERN);
+    return match && match[1] === blockId;
+  });
+  if (index === -1) return null;
+
+  // A list item stands alone; a paragraph runs back to the previous blank line
+  let start = index;
+  if (!/^\s*([-*+]|\d+\.)\s/.test(lines[index])) {
+    while (start > 0 && lines[start - 1].trim() !== '' && !HEADING_PATTERN.test(lines[start - 1])) {
+      start--;
+    }
+  }
+
+  const block = lines.slice(start, index + 1);
+  block[block.length - 1] = block[block.length - 1].replace(BLOCK_ID_PATTERN, '');
+  return block.join('\n').trim();
+}
+
+/**
+ * Content a link anchor points at
+ * @param {string} content - Markdown content of the linked card
+ * @param {string|null} anchorType - 'heading', 'block' or null for the whole card
+ * @param {string|null} anchor - Heading text or block id
+ * @returns {string|null} - Referenced content, or null if the anchor doesn't exist
+ */
+function extractAnchor(content, anchorType, anchor) {
+  if (anchorType === 'heading') return extractSection(content, anchor);
+  if (anchorType === 'block') return extractBlock(content, anchor);
+  return content;
+}
+
+module.exports = {
+  slugify,
+  findHeadings,
+  extractSection,
+  extractBlock,
+  extractAnchor
+};
@@ -0,0 +1,23 @@
+-- Stream AI Settings Migration
+-- Each stream carries a system prompt and generation parameters used for its AI generations
+
+ALTER TABLE streams ADD COLUMN IF NOT EXISTS system_prompt TEXT;
+ALTER TABLE streams ADD COLUMN IF NOT EXISTS ai_temperature NUMERIC(3,2);
+ALTER TABLE streams ADD COLUMN IF NOT EXISTS ai_max_tokens INTEGER;
+ALTER TABLE streams ADD COLUMN IF NOT EXISTS ai_stop_sequences TEXT[] DEFAULT '{}';
+
+ALTER TABLE streams DROP CONSTRAINT IF EXISTS streams_ai_temperature_range;
+ALTER TABLE streams ADD CONSTRAINT streams_ai_temperature_range CHECK (ai_temperature IS NULL OR (ai_temperature >= 0 AND ai_temperature <= 2));
+ALTER TABLE streams DROP CONSTRAINT IF EXISTS streams_ai_max_tokens_positive;
+ALTER TABLE streams ADD CONSTRAINT streams_ai_max_tokens_positive CHECK (ai_max_tokens IS NULL OR ai_max_tokens > 0);
+
+-- The parameters a job actually ran with, so resumed and retried jobs match the original request
+ALTER TABLE generation_jobs ADD COLUMN IF NOT EXISTS parameters JSONB DEFAULT '{}';
+
+COMMENT ON COLUMN streams.system_prompt IS 'System prompt sent with every AI generation in the stream';
+COMMENT ON COLUMN streams.ai_temperature IS 'Sampling temperature (0-2); NULL uses the provider default';
+COMMENT ON COLUMN streams.ai_max_tokens IS 'Maximum output tokens; NULL uses the provider default';
+COMMENT ON COLUMN streams.ai_stop_sequences IS 'Up to 4 sequences that end generation';
+COMMENT ON COLUMN generation_jobs.parameters IS 'Generation parameters: systemPrompt, temperature, maxTokens, stopSequences';
+
+SELECT 'Stream AI settings migration completed successfully!' AS status;
@@ -41,6 +41,12 @@ class ProductionAPITester {
       // File upload tests
       await this.testFileUpload();
       
+      // AI generation tests (mock provider)
+      await this.testAIGeneration();
+      
+      // Link suggestion tests
+      await this.testLinkSuggestions();
+      
       // Error handling tests
       await this.testErrorHandling();
       
@@ -306,6 +312,306 @@ class ProductionAPITester {
     });
   }
 
+  /**
+   * Test the generate-into-card flow against the offline mock provider.
+   * Start the server with AI_MOCK_PROVIDER=true to run these.
+   */
+  async testAIGeneration() {
+    console.log('🤖 Testing AI Generation...');
+
+    if (!this.authCookie || !this.testBrainId) {
+      console.log('⚠️  Skipping AI generation tests - not authenticated or no test brain');
+      return;
+    }
+
+    let mockModel = null;
+    await this.test('List AI models', async () => {
+      const response = await this.fetch('/ai/models');
+      this.assertEqual(response.status, 200);
+
+      const data = await response.json();
+      this.assertTrue(Array.isArray(data.models));
+      mockModel = data.models.find(model => model.provider === 'mock') || null;
+    });
+
+    if (!mockModel) {
+      console.log('⚠️  Skipping AI generation tests - start the server with AI_MOCK_PROVIDER=true');
+      return;
+    }
+
+    let cardId = null;
+    await this.test('Create card for generation', async () => {
+      const response = await this.fetch('/cards', 'POST', {
+        brainId: this.testBrainId,
+        title: `Mock Generation ${Date.now()}`,
+        content: ''
+      });
+      this.assertEqual(response.status, 201);
+
+      const data = await response.json();
+      this.assertTrue(data.card && data.card.id);
+      cardId = data.card.id;
+    });
+
+    if (!cardId) {
+      return;
+    }
+
+    const prompt = 'Describe the mock provider';
+    let jobId = null;
+    await this.test('Start generation with mock model', async () => {
+      const response = await this.fetch('/ai/generate-streaming', 'POST', {
+        cardId,
+        prompt,
+        model: mockModel.id
+      });
+      this.assertEqual(response.status, 200);
+
+      const data = await response.json();
+      this.assertTrue(data.jobId);
+      jobId = data.jobId;
+    });
+
+    if (!jobId) {
+      return;
+    }
+
+    await this.test('Generation completes with output and usage', async () => {
+      let job = null;
+      for (let i = 0; i < 50; i++) {
+        const response = await this.fetch(`/ai/jobs/${jobId}`);
+        this.assertEqual(response.status, 200);
+        job = (await response.json()).job;
+        if (!['queued', 'running'].includes(job.status)) {
+          break;
+        }
+        await new Promise(resolve => setTimeout(resolve, 200));
+      }
+
+      this.assertEqual(job.status, 'complete');
+      this.assertTrue(job.output.includes(prompt), 'Mock output should echo the prompt');
+      this.assertTrue(job.usage.totalTokens > 0, 'Usage should be recorded');
+    });
+
+    await this.test('Generated output saved to card', async () => {
+      const response = await this.fetch(`/cards/${cardId}`);
+      this.assertEqual(response.status, 200);
+
+      const data = await response.json();
+      this.assertTrue(data.card.contentPreview.includes(prompt));
+    });
+
+    await this.test('Unknown model rejected', async () => {
+      const response = await this.fetch('/ai/generate-streaming', 'POST', {
+        cardId,
+        prompt,
+        model: 'mock:does-not-exist'
+      });
+      this.assertEqual(response.status, 400);
+    });
+
+    // The mock streams a few words every 20ms, so a long echo is still running when we act on it
+    const longPrompt = `Keep going ${'and going '.repeat(150)}`;
+    const startJob = async () => {
+      const response = await this.fetch('/ai/generate-streaming', 'POST', { cardId, prompt: longPrompt, model: mockModel.id });
+      this.assertEqual(response.status, 200);
+      return (await response.json()).jobId;
+    };
+
+    await this.test('Reconnect with Last-Event-ID gets only the missed output', async () => {
+      const id = await startJob();
+      await new Promise(resolve => setTimeout(resolve, 200));
+
+      const response = await this.fetch(`/ai/jobs/${id}/stream`, 'GET', null, { 'Last-Event-ID': '10' });
+      this.assertEqual(response.status, 200);
+      const events = await this.readEvents(response, event => event.data.type !== 'start');
+      this.assertTrue(events[0].data.type === 'start' && events[0].data.resumed, 'Stream should report a resume');
+
+      const first = events[events.length - 1];
+      if (first.data.type === 'chunk') {
+        this.assertEqual(first.data.content, first.data.totalContent.slice(10));
+        this.assertEqual(first.id, String(first.data.totalContent.length));
+      }
+      await this.fetch(`/ai/jobs/${id}/cancel`, 'POST');
+    });
+
+    await this.test('Cancel stops a running generation', async () => {
+      const id = await startJob();
+      const response = await this.fetch(`/ai/jobs/${id}/cancel`, 'POST');
+      this.assertEqual(response.status, 200);
+
+      const data = await response.json();
+      this.assertEqual(data.job.status, 'cancelled');
+      this.assertTrue(!data.job.output.includes(longPrompt.trim()), 'Cancelled output should be partial');
+
+      const again = await this.fetch(`/ai/jobs/${id}/cancel`, 'POST');
+      this.assertEqual(again.status, 409);
+    });
+
+    await this.test('Count tokens for a prompt', async () => {
+      const response = await this.fetch('/ai/tokens/count', 'POST', { model: 'gpt-4o', text: 'hello world' });
+      this.assertEqual(response.status, 200);
+
+      const data = await response.json();
+      this.assertEqual(data.encoding, 'o200k_base');
+      this.assertEqual(data.textTokens, 2);
+      this.assertEqual(data.totalTokens, 2);
+    });
+
+    await this.test('Token count requires a model', async () => {
+      const response = await this.fetch('/ai/tokens/count', 'POST', { text: 'hello world' });
+      this.assertEqual(response.status, 400);
+    });
+
+    await this.test('Prompt over the context limit rejected', async () => {
+      const response = await this.fetch('/ai/generate-streaming', 'POST', {
+        cardId,
+        prompt: 'too long '.repeat(mockModel.contextLimit),
+        model: mockModel.id
+      });
+      this.assertEqual(response.status, 413);
+
+      const data = await response.json();
+      this.assertTrue(data.promptTokens > data.maxPromptTokens, 'Response should report the overflow');
+    });
+
+    await this.test('Transform refused on a card with content', async () => {
+      const response = await this.fetch('/ai/generate-streaming', 'POST', {
+        cardId,
+        prompt: 'Split this into notes',
+        model: mockModel.id,
+        mode: 'atomic_notes'
+      });
+      this.assertEqual(response.status, 400);
+      this.assertEqual((await response.json()).error, 'Card not empty');
+    });
+
+    await this.test('Unknown transform mode rejected', async () => {
+      const response = await this.fetch('/ai/generate-streaming', 'POST', { cardId, prompt, model: mockModel.id, mode: 'haiku' });
+      this.assertEqual(response.status, 400);
+    });
+
+    await this.test('Generation in an unknown stream rejected', async () => {
+      const response = await this.fetch('/ai/generate-streaming', 'POST', {
+        cardId,
+        prompt,
+        model: mockModel.id,
+        streamId: '00000000-0000-4000-8000-000000000000'
+      });
+      this.assertEqual(response.status, 404);
+    });
+
+    await this.test('Stopped chat reply is billed for the tokens it used', async () => {
+      const chatUsage = async () => {
+        const response = await this.fetch(`/ai/usage?groupBy=source&brainId=${this.testBrainId}`);
+        this.assertEqual(response.status, 200);
+        const row = (await response.json()).rows.find(r => r.key === 'chat');
+        return row || { calls: 0, completionTokens: 0 };
+      };
+      const before = await chatUsage();
+
+      const threadResponse = await this.fetch('/chat/threads', 'POST', { brainId: this.testBrainId, model: mockModel.id });
+      this.assertEqual(threadResponse.status, 201);
+      const threadId = (await threadResponse.json()).thread.id;
+
+      const messageResponse = await this.fetch(`/chat/threads/${threadId}/messages`, 'POST', { content: longPrompt, model: mockModel.id });
+      this.assertEqual(messageResponse.status, 201);
+      const { streamUrl } = await messageResponse.json();
+
+      // Leave after the first chunk, as the Stop button does
+      const stream = await this.fetch(streamUrl.replace(/^\/api/, ''));
+      await this.readEvents(stream, event => event.data.type === 'chunk');
+      await new Promise(resolve => setTimeout(resolve, 200));
+
+      const after = await chatUsage();
+      this.assertEqual(after.calls, before.calls + 1);
+      this.assertTrue(after.completionTokens > before.completionTokens, 'Partial reply should be counted');
+    });
+  }
+
+  /**
+   * Test link suggestions: analysis, accepting and rejecting
+   */
+  async testLinkSuggestions() {
+    console.log('🔗 Testing Link Suggestions...');
+
+    if (!this.authCookie || !this.testBrainId) {
+      console.log('⚠️  Skipping link suggestion tests - not authenticated or no test brain');
+      return;
+    }
+
+    const suffix = Date.now();
+    const targetTitle = `Recall Practice ${suffix}`;
+    const cardIds = {};
+    await this.test('Create cards for link suggestions', async () => {
+      const cards = {
+        source: { title: `Spaced Repetition ${suffix}`, content: `Spaced repetition schedules reviews of memory cards. It pairs well with ${targetTitle}.` },
+        target: { title: targetTitle, content: 'Recall practice strengthens memory by reviewing cards on a schedule.' },
+        other: { title: `Review Schedules ${suffix}`, content: 'Reviews of memory cards spaced out on a schedule help recall.' }
+      };
+      for (const [key, card] of Object.entries(cards)) {
+        const response = await this.fetch('/cards', 'POST', { brainId: this.testBrainId, ...card });
+        this.assertEqual(response.status, 201);
+        cardIds[key] = (await response.json()).card.id;
+      }
+    });
+
+    if (!cardIds.source) {
+      return;
+    }
+
+    let suggestions = [];
+    await this.test('Analyze card for link suggestions', async () => {
+      const response = await this.fetch(`/cards/${cardIds.source}/link-suggestions/analyze`, 'POST');
+      this.assertEqual(response.status, 200);
+
+      suggestions = (await response.json()).suggestions;
+      const mention = suggestions.find(suggestion => suggestion.targetCardId === cardIds.target);
+      this.assertTrue(mention, 'The mentioned card should be suggested');
+      this.assertEqual(mention.anchorText, targetTitle);
+    });
+
+    const accepted = suggestions.find(suggestion => suggestion.targetCardId === cardIds.target);
+    if (accepted) {
+      await this.test('Accept writes the link into the card', async () => {
+        const response = await this.fetch(`/cards/${cardIds.source}/link-suggestions/${accepted.id}/accept`, 'POST');
+        this.assertEqual(response.status, 200);
+
+        const data = await response.json();
+        this.assertEqual(data.suggestion.status, 'accepted');
+        this.assertTrue(data.card.content.includes(`[[${targetTitle}]]`), 'Card content should contain the link');
+      });
+
+      await this.test('Decided suggestion cannot be decided again', async () => {
+        const response = await this.fetch(`/cards/${cardIds.source}/link-suggestions/${accepted.id}/reject`, 'POST');
+        this.assertEqual(response.status, 409);
+      });
+    }
+
+    const other = suggestions.find(suggestion => suggestion.targetCardId !== cardIds.target);
+    if (other) {
+      await this.test('Reject leaves the card unchanged and is remembered', async () => {
+        const response = await this.fetch(`/cards/${cardIds.source}/link-suggestions/${other.id}/reject`, 'POST');
+        this.assertEqual(response.status, 200);
+        this.assertEqual((await response.json()).suggestion.status, 'rejected');
+
+        const reanalyzed = await this.fetch(`/cards/${cardIds.source}/link-suggestions/analyze`, 'POST');
+        const data = await reanalyzed.json();
+        this.assertTrue(!data.suggestions.some(suggestion => suggestion.targetCardId === other.targetCardId), 'Rejected target should not be suggested again');
+      });
+    }
+
+    await this.test('Unknown decision rejected', async () => {
+      const response = await this.fetch(`/cards/${cardIds.source}/link-suggestions/00000000-0000-4000-8000-000000000000/maybe`, 'POST');
+      this.assertEqual(response.status, 400);
+    });
+
+    await this.test('Unknown suggestion returns 404', async () => {
+      const response = await this.fetch(`/cards/${cardIds.source}/link-suggestions/00000000-0000-4000-8000-000000000000/accept`, 'POST');
+      this.assertEqual(response.status, 404);
+    });
+  }
+
   /**
    * Test error handling
    */
@@ -480,11 +786,11 @@ class ProductionAPITester {
   /**
    * Helper method to make API requests
    */
-  async fetch(endpoint, method = 'GET', body = null) {
+  async fetch(endpoint, method = 'GET', body = null, headers = {}) {
     const url = `${this.baseUrl}${endpoint}`;
     const options = {
       method,
-      headers: {}
+      headers: { ...headers }
     };
 
     if (this.authCookie) {
@@ -503,6 +809,41 @@ class ProductionAPITester {
     return fetch(url, options);
   }
 
+  /**
+   * Helper method to read Server-Sent Events until one matches (or the stream ends)
+   */
+  async readEvents(response, until) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    const events = [];
+    let buffer = '';
+
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) {
+        return events;
+      }
+
+      buffer += decoder.decode(value, { stream: true });
+      const blocks = buffer.split('\n\n');
+      buffer = blocks.pop();
+
+      for (const block of blocks) {
+        const lines = block.split('\n');
+        const data = lines.find(line => line.startsWith('data: '));
+        if (!data) continue;
+
+        const idLine = lines.find(line => line.startsWith('id: '));
+        const event = { id: idLine ? idLine.slice(4) : null, data: JSON.parse(data.slice(6)) };
+        events.push(event);
+        if (until(event)) {
+          await reader.cancel();
+          return events;
+        }
+      }
+    }
+  }
+
   /**
    * Run a single test
    */
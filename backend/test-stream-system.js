@@ -215,6 +215,13 @@ async function testStreamSystem() {
         logTest(`Index ${indexName} exists`, indexNames.includes(indexName));
       }
       
+      // Full-text search documents
+      const searchTable = await query(`
+        SELECT column_name FROM information_schema.columns
+        WHERE table_name = 'search_documents' AND column_name = 'search_vector'
+      `);
+      logTest('search_documents table exists', searchTable.rows.length > 0, 'Run search-index-migration.sql');
+      
     } catch (error) {
       logTest('Database schema validation', false, error.message);
     }
@@ -334,6 +341,1334 @@ async function testStreamSystem() {
       logTest('API coverage check', false, error.message);
     }
     
+    // Test 10: Mock AI Provider
+    console.log('\n🤖 Testing Mock AI Provider...');
+    
+    try {
+      // Configure the offline provider before the service reads the environment
+      Object.assign(process.env, {
+        AI_MOCK_PROVIDER: 'true',
+        AI_MOCK_MODELS: 'default,flaky',
+        AI_MOCK_CHUNK_DELAY_MS: '0',
+        AI_MOCK_CHUNK_WORDS: '2',
+        AI_RETRY_BASE_DELAY_MS: '1',
+        AI_MOCK_SCRIPT: JSON.stringify([
+          { model: 'mock:flaky', error: { status: 503, message: 'Overloaded' }, once: true },
+          { match: 'outline', text: 'Scripted outline reply', usage: { promptTokens: 12, completionTokens: 3 } },
+          { match: 'interrupt', text: 'one two three four', error: { status: 500, afterChunks: 1 } }
+        ])
+      });
+      delete process.env.AI_MOCK_SCRIPT_PATH;
+      
+      const { AIProviderService } = require('./src/services/aiProviders');
+      const aiService = new AIProviderService();
+      
+      const generate = (model, prompt, options = {}) => new Promise((resolve) => {
+        const result = { chunks: [], events: [] };
+        aiService.generateStreaming(
+          model, prompt, [],
+          (chunk) => result.chunks.push(chunk),
+          (usage, served) => resolve({ ...result, usage, served }),
+          (error) => resolve({ ...result, error }),
+          { ...options, onEvent: (event) => result.events.push(event) }
+        );
+      });
+      
+      const models = await aiService.getAvailableModels();
+      logTest('Mock models listed', ['mock:default', 'mock:flaky'].every(id => models.some(model => model.id === id)));
+      
+      const echo = await generate('mock:default', 'Tell me about streams');
+      logTest('Mock echoes the prompt', !echo.error && echo.chunks.join('').includes('Tell me about streams'));
+      logTest('Mock streams in chunks', echo.chunks.length > 1);
+      logTest('Mock reports token usage', echo.usage && echo.usage.totalTokens === echo.usage.promptTokens + echo.usage.completionTokens && echo.usage.completionTokens > 0);
+      logTest('Mock reports the serving model', echo.served && echo.served.provider === 'mock');
+      
+      const scripted = await generate('mock:default', 'Write an outline');
+      logTest('Mock follows the script', scripted.chunks.join('') === 'Scripted outline reply');
+      logTest('Mock uses scripted usage', scripted.usage && scripted.usage.promptTokens === 12 && scripted.usage.completionTokens === 3);
+      
+      const retried = await generate('mock:flaky', 'Hello');
+      logTest('Scripted 503 is retried', !retried.error && retried.events.some(event => event.type === 'retry' && event.status === 503));
+      
+      const interrupted = await generate('mock:default', 'interrupt me');
+      logTest('Mid-stream error ends the generation', interrupted.error && interrupted.chunks.join('') === 'one two ');
+      
+      const stopped = await generate('mock:default', 'Stop at the marker', { parameters: { stopSequences: ['marker'] } });
+      logTest('Mock applies stop sequences', !stopped.chunks.join('').includes('marker'));
+      
+      const controller = new AbortController();
+      controller.abort();
+      const aborted = await generate('mock:default', 'Never mind', { signal: controller.signal });
+      logTest('Mock honours abort', aborted.error && aborted.error.name === 'AbortError' && aborted.chunks.length === 0);
+    } catch (error) {
+      logTest('Mock AI provider', false, error.message);
+    }
+    
+    // Test 11: Agent Tool Calls
+    console.log('\n🛠️  Testing Agent Tool Calls...');
+    
+    try {
+      process.env.AI_MOCK_SCRIPT = JSON.stringify([
+        { match: 'agent', toolCalls: [{ name: 'search_cards', arguments: { query: 'streams' } }], once: true },
+        { match: 'agent', text: 'Found them' }
+      ]);
+      
+      const { AIProviderService } = require('./src/services/aiProviders');
+      const AgentTools = require('./src/services/agentTools');
+      const aiService = new AIProviderService();
+      
+      const chat = (messages, options = {}) => new Promise((resolve) => {
+        const result = { chunks: [] };
+        aiService.generateChatStreaming(
+          'mock:default', messages,
+          (chunk) => result.chunks.push(chunk),
+          (usage, served) => resolve({ ...result, usage, served }),
+          (error) => resolve({ ...result, error }),
+          options
+        );
+      });
+      
+      const tools = AgentTools.definitions();
+      logTest('Agent tools defined', ['search_cards', 'read_card', 'get_backlinks', 'create_card', 'add_to_stream'].every(name => tools.some(tool => tool.name === name)));
+      logTest('Writes need confirmation', AgentTools.requiresConfirmation('create_card') && AgentTools.requiresConfirmation('add_to_stream') && !AgentTools.requiresConfirmation('search_cards'));
+      
+      const question = [{ role: 'user', content: 'agent: find my stream notes' }];
+      const first = await chat(question, { tools });
+      const call = first.served && first.served.toolCalls[0];
+      logTest('Mock requests a tool call', !first.error && call && call.name === 'search_cards' && call.arguments.query === 'streams');
+      
+      const second = await chat([
+        ...question,
+        { role: 'assistant', content: '', toolCalls: [call] },
+        { role: 'tool', toolCallId: call.id, name: call.name, content: JSON.stringify({ count: 0, cards: [] }) }
+      ], { tools });
+      logTest('Mock answers after the tool result', !second.error && second.chunks.join('') === 'Found them' && second.served.toolCalls.length === 0);
+      
+      let invalidRejected = false;
+      try {
+        await AgentTools.run({ name: 'search_cards', arguments: {} }, {});
+      } catch (error) {
+        invalidRejected = error.message.includes('Invalid arguments');
+      }
+      logTest('Tool arguments are validated', invalidRejected);
+    } catch (error) {
+      logTest('Agent tool calls', false, error.message);
+    }
+
+    // Test 12: Full-Text Search
+    console.log('\n🔎 Testing Full-Text Search...');
+
+    try {
+      const searchIndex = require('./src/services/searchIndex');
+
+      logTest('Words are ANDed', searchIndex.parseQuery('stream cards') === 'stream & cards');
+      logTest('Quoted words match as a phrase', searchIndex.parseQuery('"free will" OR fate') === '(free <-> will) | fate');
+      logTest('Prefix and exclusion operators', searchIndex.parseQuery('-draft note*') === '!draft & note:*');
+      logTest('Last word as prefix when typing', searchIndex.parseQuery('stream ca', { prefixLast: true }) === 'stream & ca:*');
+      logTest('Query without words is ignored', searchIndex.parseQuery('"" OR -') === null);
+
+      const parts = searchIndex.splitHighlights('a \u0002match\u0003 here');
+      logTest('Headline split into highlighted parts', parts.length === 3 && parts[1].highlight && parts[1].text === 'match');
+
+      const searchRoutes = require('./src/routes/search');
+      logTest('Search routes is Express router', typeof searchRoutes === 'function' && searchRoutes.stack);
+    } catch (error) {
+      logTest('Full-text search', false, error.message);
+    }
+
+    // Test 13: Search Query Language
+    console.log('\n🔤 Testing Search Query Language...');
+
+    try {
+      const SearchQuery = require('./src/services/searchQuery');
+
+      const parsed = SearchQuery.parse('title:"project x" type:file links-to:[[Road Map]] -tag:archive modified:>2026-01-01 brain:work notes');
+      const byField = Object.fromEntries(parsed.filters.map(filter => [filter.field, filter]));
+      logTest('Free text kept apart from filters', parsed.text === 'notes' && parsed.errors.length === 0);
+      logTest('Quoted title value', byField.title && byField.title.value === 'project x');
+      logTest('Link target in [[brackets]]', byField['links-to'] && byField['links-to'].value === 'Road Map');
+      logTest('Negated tag filter', byField.tag && byField.tag.negated && byField.tag.value === 'archive');
+      logTest('Date after a day starts the next day', byField.modified && byField.modified.from.toISOString() === '2026-01-02T00:00:00.000Z');
+      logTest('Unknown fields are plain text', SearchQuery.parse('http://example.com').text === 'http://example.com');
+      logTest('Invalid values are reported', SearchQuery.parse('type:video modified:soon').errors.length === 2);
+
+      const params = [];
+      const conditions = SearchQuery.buildConditions(parsed.filters, (value) => {
+        params.push(value);
+        return `$${params.length}`;
+      });
+      logTest('Filters become parameterised SQL', conditions.length === 6 && !conditions.join(' ').includes('project x'));
+
+      const SavedSearch = require('./src/models/SavedSearch');
+      logTest('SavedSearch model methods exist', ['create', 'findById', 'findAvailable'].every(method => typeof SavedSearch[method] === 'function'));
+    } catch (error) {
+      logTest('Search query language', false, error.message);
+    }
+
+    // Test 14: Smart Streams
+    console.log('\n⚡ Testing Smart Streams...');
+
+    try {
+      const Stream = require('./src/models/Stream');
+      const StreamManager = require('./src/services/streamManager');
+
+      const smart = new Stream({ id: 'test', brain_id: 'brain', name: 'Smart', smart_query: 'tag:project modified:>7d' });
+      const plain = new Stream({ id: 'test', brain_id: 'brain', name: 'Plain' });
+      logTest('Stream with a query is smart', smart.isSmart() && !plain.isSmart());
+      logTest('Smart limit defaults to 50', smart.smartLimit === 50);
+
+      let blocked = false;
+      try {
+        smart.assertEditable();
+      } catch (error) {
+        blocked = error.message.includes('Smart streams');
+      }
+      logTest('Smart stream items cannot be edited by hand', blocked);
+
+      const valid = Stream.validateSmartSettings({ smartQuery: '  links-to:[[Roadmap]] ', smartLimit: '20' });
+      logTest('Smart settings are normalised', valid.isValid && valid.values.smartQuery === 'links-to:[[Roadmap]]' && valid.values.smartLimit === 20);
+      logTest('Invalid smart query is rejected', !Stream.validateSmartSettings({ smartQuery: 'modified:soon' }).isValid);
+      logTest('Smart limit is bounded', !Stream.validateSmartSettings({ smartLimit: 1000 }).isValid);
+      logTest('Empty smart query clears it', Stream.validateSmartSettings({ smartQuery: '' }).values.smartQuery === null);
+
+      logTest('Smart stream methods exist',
+        typeof StreamManager.refreshSmartStream === 'function' &&
+        typeof StreamManager.freezeSmartStream === 'function' &&
+        typeof smart.freeze === 'function' &&
+        typeof smart.replaceSmartItems === 'function');
+    } catch (error) {
+      logTest('Smart streams', false, error.message);
+    }
+
+    // Test 15: Cross-Brain Search
+    console.log('\n🧭 Testing Cross-Brain Search...');
+
+    try {
+      const searchIndex = require('./src/services/searchIndex');
+      const StreamManager = require('./src/services/streamManager');
+      const Stream = require('./src/models/Stream');
+
+      // Stub out the per-brain search so grouping can be checked without a database
+      const ranks = { a: 0.2, b: 0.9, c: null };
+      const stub = {
+        search: async ([brainId], parsed, options) => ranks[brainId] === null
+          ? { results: [], total: 0 }
+          : { results: [{ id: `${brainId}-1`, rank: ranks[brainId], limit: options.limit }], total: 7 }
+      };
+      const brains = [{ id: 'a', name: 'Alpha' }, { id: 'b', name: 'Beta' }, { id: 'c', name: 'Gamma' }];
+
+      const grouped = await searchIndex.searchGrouped.call(stub, brains, 'notes', { perBrain: 3 });
+      logTest('Brains without matches are left out', grouped.groups.length === 2);
+      logTest('Groups ordered by best match', grouped.groups[0].brainName === 'Beta');
+      logTest('Per-brain limit applied', grouped.groups[0].results[0].limit === 3);
+      logTest('Total counts every brain', grouped.total === 14);
+
+      const current = await searchIndex.searchGrouped.call(stub, brains, 'notes', { firstBrainId: 'a' });
+      logTest('Open brain listed first', current.groups[0].brainId === 'a');
+
+      logTest('Cross-brain helpers exist',
+        typeof Stream.searchByName === 'function' &&
+        typeof StreamManager.openItem === 'function');
+    } catch (error) {
+      logTest('Cross-brain search', false, error.message);
+    }
+
+    // Test 16: Rename Propagation
+    console.log('\n✏️ Testing Rename Propagation...');
+
+    try {
+      const linkRenamer = require('./src/services/linkRenamer');
+
+      const content = 'See [[Old]] and ![[ Old |the old one]], not [[Older]].\nAlso [[Old:v2]], [[Old#Plan]] and [[Work/Old]].';
+      const sameBrain = linkRenamer.rewriteLinks(content, 'Old', 'New Name', { sameBrain: true, brainName: 'Work' });
+      logTest('Links rewritten in place',
+        sameBrain.content === 'See [[New Name]] and ![[ New Name |the old one]], not [[Older]].\nAlso [[New Name:v2]], [[New Name#Plan]] and [[Work/New Name]].');
+      logTest('Each matching link reported', sameBrain.replacements.length === 5);
+
+      const otherBrain = linkRenamer.rewriteLinks(content, 'Old', 'New Name', { sameBrain: false, brainName: 'Work' });
+      logTest('Other brains only rewrite prefixed links',
+        otherBrain.replacements.length === 1 && otherBrain.replacements[0].before === '[[Work/Old]]');
+
+      const olderPosition = content.indexOf('[[Older]]');
+      logTest('Later link positions shifted',
+        sameBrain.content.indexOf('[[Older]]') === linkRenamer.mapPosition(olderPosition, sameBrain.replacements));
+
+      const untouched = linkRenamer.rewriteLinks('No links here', 'Old', 'New');
+      logTest('Content without links unchanged', untouched.content === 'No links here' && untouched.replacements.length === 0);
+
+      logTest('Rename helper exists', typeof linkRenamer.renameCard === 'function');
+    } catch (error) {
+      logTest('Rename propagation', false, error.message);
+    }
+
+    // Test 17: Card Versions
+    console.log('\n🕘 Testing Card Versions...');
+
+    try {
+      const { diffLines } = require('./src/utils/lineDiff');
+      const linkParser = require('./src/services/linkParser');
+      const CardVersion = require('./src/models/CardVersion');
+
+      const diff = diffLines('# Plan\nShip in May\nDone', '# Plan\nShip in June\nDone\nRetro');
+      logTest('Diff keeps unchanged lines', diff.changes.filter(change => change.type === 'equal').length === 2);
+      logTest('Diff counts changed lines', diff.added === 2 && diff.removed === 1);
+      logTest('Diff of identical text is all equal', diffLines('a\nb', 'a\nb').added === 0);
+      logTest('Diff from empty text adds every line', diffLines('', 'a\nb').added === 2);
+
+      const versioned = linkParser.parseLink('Plan:v3', 0);
+      logTest('Versioned link parsed', versioned.type === 'versioned' && versioned.version === 3 && versioned.cardTitle === 'Plan');
+
+      const crossBrain = linkParser.parseLink('Work/Plan:v2', 0);
+      logTest('Cross-brain versioned link parsed', crossBrain.cardTitle === 'Plan' && crossBrain.version === 2);
+
+      // Stub client: no versions yet, so the content from before this save becomes version 1
+      const inserted = [];
+      const client = {
+        query: async (sql, params) => {
+          if (sql.includes('INSERT INTO card_versions')) {
+            inserted.push({ version: params[1], content: params[3], active: params[6] });
+            return { rows: [{ card_id: params[0], version_number: params[1], content: params[3] }] };
+          }
+          return { rows: [] };
+        }
+      };
+      const recorded = await CardVersion.record(client, { id: 'card', title: 'Plan' }, 'new text', {
+        loadPrevious: async () => 'old text'
+      });
+      logTest('Earlier content kept as version 1',
+        inserted.length === 2 && inserted[0].content === 'old text' && !inserted[0].active);
+      logTest('Saved content recorded as active version 2',
+        recorded.versionNumber === 2 && inserted[1].active === true);
+    } catch (error) {
+      logTest('Card versions', false, error.message);
+    }
+
+    // Test 18: Link Graph
+    console.log('\n🕸️ Testing Link Graph...');
+
+    try {
+      const linkGraph = require('./src/services/linkGraph');
+
+      const cards = ['a', 'b', 'c', 'd', 'lonely'].map(id => ({ id, title: id.toUpperCase(), cardType: 'saved' }));
+      const links = [
+        { id: '1', sourceId: 'a', targetId: 'b', linkText: 'B', isValid: true },
+        { id: '2', sourceId: 'b', targetId: 'c', linkText: 'C', isValid: true },
+        { id: '3', sourceId: 'c', targetId: 'd', linkText: 'D', isValid: true },
+        { id: '4', sourceId: 'a', targetId: null, linkText: 'Gone', isValid: false }
+      ];
+
+      const whole = linkGraph.buildGraph(cards, links);
+      logTest('Whole brain graph', whole.stats.nodes === 5 && whole.stats.edges === 3);
+      logTest('Orphans marked', whole.nodes.find(node => node.id === 'lonely').isOrphan);
+      logTest('Broken links point at a missing node',
+        whole.nodes.some(node => node.isMissing && node.title === 'Gone') && whole.stats.brokenLinks === 1);
+
+      const around = linkGraph.buildGraph(cards, links, { cardId: 'b', hops: 1 });
+      const aroundIds = around.nodes.map(node => node.id).sort().join(',');
+      logTest('Neighbourhood follows links both ways', aroundIds === 'a,b,c');
+
+      const twoHops = linkGraph.buildGraph(cards, links, { cardId: 'b', hops: 2, includeBroken: false });
+      logTest('Hops widen the neighbourhood', twoHops.nodes.length === 4 && !twoHops.nodes.some(node => node.isMissing));
+
+      const filtered = linkGraph.buildGraph(cards, links, { includeOrphans: false, includeBroken: false, limit: 2 });
+      logTest('Filters and limit applied',
+        filtered.truncated && filtered.nodes.length === 2 && !filtered.nodes.some(node => node.isOrphan));
+    } catch (error) {
+      logTest('Link graph', false, error.message);
+    }
+
+    // Test 19: Link Aliases, Anchors and Embeds
+    console.log('\n⚓ Testing Link Aliases and Anchors...');
+
+    try {
+      const linkParser = require('./src/services/linkParser');
+      const { extractSection, extractBlock } = require('./src/utils/markdownSections');
+
+      const aliased = linkParser.parseLink('Project Plan#Next Steps|what comes next', 0);
+      logTest('Alias and heading parsed',
+        aliased.cardTitle === 'Project Plan' && aliased.alias === 'what comes next' &&
+        aliased.anchorType === 'heading' && aliased.anchor === 'Next Steps' &&
+        aliased.linkText === 'Project Plan#Next Steps|what comes next');
+
+      const block = linkParser.parseLink('Work/Plan:v2^goal-1', 0);
+      logTest('Block reference keeps brain and version',
+        block.type === 'cross-brain' && block.brainName === 'Work' && block.version === 2 &&
+        block.anchorType === 'block' && block.anchor === 'goal-1');
+
+      const links = linkParser.extractLinks('See ![[Plan#Goals]] and [[Plan]]');
+      logTest('Embeds detected', links.length === 2 && links[0].isEmbed && !links[1].isEmbed);
+
+      const content = '# Plan\nIntro\n## Next Steps!\n- one\n- two ^step-two\n### Detail\nmore\n## Later\nFirst line\nsecond line ^para';
+      logTest('Section runs to the next heading at the same level',
+        extractSection(content, 'Next Steps') === '## Next Steps!\n- one\n- two ^step-two\n### Detail\nmore');
+      logTest('Blocks found without their marker',
+        extractBlock(content, 'step-two') === '- two' && extractBlock(content, 'para') === 'First line\nsecond line');
+      logTest('Missing anchors return null', extractSection(content, 'Nope') === null && extractBlock(content, 'nope') === null);
+
+      // Titles such as "C# notes" or "A|B" are tried whole before | # ^ are split off
+      const sharp = linkParser.parseLink('C# notes', 0);
+      const sharpCandidates = linkParser.literalCandidates(sharp);
+      logTest('Title with # tried whole first',
+        sharpCandidates.length === 1 && sharpCandidates[0].title === 'C# notes' && sharpCandidates[0].brainName === null);
+      const piped = linkParser.literalCandidates(linkParser.parseLink('Work/A|B', 0));
+      logTest('Cross-brain title with | tried whole in its brain',
+        piped.some(candidate => candidate.brainName === 'Work' && candidate.title === 'A|B'));
+      logTest('Plain titles have no literal candidates', linkParser.literalCandidates(linkParser.parseLink('Plan', 0)).length === 0);
+
+      const linkRenamer = require('./src/services/linkRenamer');
+      const renamed = linkRenamer.rewriteLinks('[[C# notes]] and [[Work/C# notes]]', 'C# notes', 'C Sharp', { sameBrain: true, brainName: 'Work' });
+      logTest('Rename rewrites links to a title containing #',
+        renamed.content === '[[C Sharp]] and [[Work/C Sharp]]' && renamed.replacements.length === 2);
+    } catch (error) {
+      logTest('Link aliases and anchors', false, error.message);
+    }
+
+    // Test 20: Unlinked Mentions
+    console.log('\n💬 Testing Unlinked Mentions...');
+
+    try {
+      const unlinkedMentions = require('./src/services/unlinkedMentions');
+
+      const text = 'The project plan slipped. See [[Project Plan]] and ![[Project Plan#Goals]]. Planning aside, the PLAN holds.';
+      const mentions = unlinkedMentions.findMentions(text, ['Project Plan', 'plan']);
+      logTest('Plain mentions found, links skipped',
+        mentions.length === 2 && mentions[0].text === 'project plan' && mentions[1].text === 'PLAN');
+
+      const snippet = unlinkedMentions.snippet(text, mentions[0]);
+      logTest('Snippet highlights the mention', snippet[1].highlight && snippet[1].text === 'project plan');
+
+      const linked = unlinkedMentions.linkText(text, mentions[0], 'Project Plan');
+      logTest('Differently written mention linked with an alias', linked.startsWith('The [[Project Plan|project plan]] slipped.'));
+      logTest('Exact mention linked plainly',
+        unlinkedMentions.linkText('Read Project Plan', { index: 5, text: 'Project Plan' }, 'Project Plan') === 'Read [[Project Plan]]');
+    } catch (error) {
+      logTest('Unlinked mentions', false, error.message);
+    }
+
+    // Test 21: Local AI Provider
+    console.log('\n🏠 Testing Local AI Provider...');
+
+    try {
+      const http = require('http');
+      const requests = [];
+
+      // A stand-in for an OpenAI-compatible server and an Ollama server
+      const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          requests.push({ url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null });
+          if (req.url === '/v1/models') {
+            res.end(JSON.stringify({ data: [{ id: 'llama3' }, { id: 'llava' }] }));
+          } else if (req.url === '/api/tags') {
+            res.end(JSON.stringify({ models: [{ name: 'llava:13b' }, { name: 'mistral' }] }));
+          } else if (req.url === '/v1/chat/completions') {
+            res.write('data: {"choices":[{"delta":{"content":"Hello"}}]}\n\n');
+            res.write('data: not json\n\n');
+            res.write('data: {"choices":[{"delta":{"content":" there"}}]}\n\n');
+            res.write('data: {"choices":[],"usage":{"prompt_tokens":7,"completion_tokens":2}}\n\n');
+            res.end('data: [DONE]\n\n');
+          } else if (req.url === '/api/chat') {
+            res.write('{"message":{"content":"Hi"},"done":false}\n');
+            res.write('{"message":{"content":" from Ollama"},"done":false}\n');
+            res.end('{"done":true,"prompt_eval_count":5,"eval_count":3}\n');
+          } else {
+            res.statusCode = 404;
+            res.end();
+          }
+        });
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      const baseUrl = `http://127.0.0.1:${server.address().port}/`;
+
+      const { AIProviderService } = require('./src/services/aiProviders');
+      const withLocalEnv = (env) => {
+        Object.assign(process.env, { LOCAL_AI_BASE_URL: baseUrl, LOCAL_AI_API_KEY: '', ...env });
+        const service = new AIProviderService();
+        for (const name of ['LOCAL_AI_BASE_URL', 'LOCAL_AI_API_TYPE', 'LOCAL_AI_API_KEY', 'LOCAL_AI_VISION_MODELS', 'LOCAL_AI_CONTEXT_LIMIT']) {
+          delete process.env[name];
+        }
+        return service;
+      };
+      const generate = (service, model) => new Promise((resolve) => {
+        const chunks = [];
+        service.generateStreaming(
+          model, 'Say hello', [],
+          (chunk) => chunks.push(chunk),
+          (usage, served) => resolve({ chunks, usage, served }),
+          (error) => resolve({ chunks, error }),
+          { parameters: { maxTokens: 50, stopSequences: ['END'] } }
+        );
+      });
+
+      try {
+        const openai = withLocalEnv({ LOCAL_AI_API_TYPE: 'openai', LOCAL_AI_API_KEY: 'secret', LOCAL_AI_CONTEXT_LIMIT: '4096' });
+        const openaiModels = (await openai.getAvailableModels()).filter(model => model.provider === 'local');
+        logTest('OpenAI-compatible models discovered',
+          openaiModels.map(model => model.id).join(',') === 'local:llama3,local:llava' && openaiModels[0].contextLimit === 4096);
+        logTest('Bearer token sent when configured', requests[0].headers.authorization === 'Bearer secret');
+
+        const reply = await generate(openai, 'local:llama3');
+        const sent = requests.find(request => request.url === '/v1/chat/completions').body;
+        logTest('OpenAI-compatible stream parsed', !reply.error && reply.chunks.join('') === 'Hello there');
+        logTest('OpenAI-compatible usage reported', reply.usage && reply.usage.promptTokens === 7 && reply.usage.totalTokens === 9);
+        logTest('Model prefix stripped and parameters sent',
+          sent.model === 'llama3' && sent.max_tokens === 50 && sent.stop[0] === 'END' && sent.stream === true);
+
+        const ollama = withLocalEnv({ LOCAL_AI_API_TYPE: 'ollama', LOCAL_AI_VISION_MODELS: 'llava' });
+        const ollamaModels = (await ollama.getAvailableModels()).filter(model => model.provider === 'local');
+        logTest('Ollama models discovered with vision tags',
+          ollamaModels.length === 2 && ollamaModels[0].id === 'local:llava:13b' && ollamaModels[0].vision && !ollamaModels[1].vision);
+
+        const ollamaReply = await generate(ollama, 'local:mistral');
+        const ollamaSent = requests.find(request => request.url === '/api/chat').body;
+        logTest('Ollama stream parsed', !ollamaReply.error && ollamaReply.chunks.join('') === 'Hi from Ollama');
+        logTest('Ollama usage reported', ollamaReply.usage && ollamaReply.usage.promptTokens === 5 && ollamaReply.usage.completionTokens === 3);
+        logTest('Ollama options sent', ollamaSent.options.num_predict === 50 && ollamaSent.options.stop[0] === 'END');
+      } finally {
+        server.close();
+      }
+
+      const unreachable = withLocalEnv({ LOCAL_AI_BASE_URL: 'http://127.0.0.1:9' });
+      const fallbackModels = await unreachable.getAvailableModels();
+      logTest('Unreachable local server hides only local models',
+        !fallbackModels.some(model => model.provider === 'local') && fallbackModels.some(model => model.provider === 'mock'));
+    } catch (error) {
+      logTest('Local AI provider', false, error.message);
+    }
+
+    // Test 22: Chat Threads
+    console.log('\n💭 Testing Chat Threads...');
+
+    try {
+      const ChatThread = require('./src/models/ChatThread');
+      const ChatMessage = require('./src/models/ChatMessage');
+      const { AIProviderService } = require('./src/services/aiProviders');
+
+      // u1 -> a1 -> u2 -> a2, with a second branch u1 -> a1 -> u2b -> a2b
+      const message = (id, parentId, role, content) =>
+        new ChatMessage({ id, thread_id: 't1', parent_message_id: parentId, role, content, status: 'complete' });
+      const messages = [
+        message('u1', null, 'user', 'What is a stream?'),
+        message('a1', 'u1', 'assistant', 'A list of cards.'),
+        message('u2', 'a1', 'user', 'How do I add one?'),
+        message('a2', 'u2', 'assistant', 'Use the plus button.'),
+        message('u2b', 'a1', 'user', 'Can streams hold files?'),
+        message('a2b', 'u2b', 'assistant', 'Yes.')
+      ];
+
+      const thread = new ChatThread({ id: 't1', brain_id: 'b1', model: 'mock:default', active_message_id: 'a2b' });
+      logTest('Active branch follows the selected leaf',
+        (await thread.getActiveBranch(messages)).join(',') === 'u1,a1,u2b,a2b');
+      thread.activeMessageId = 'a2';
+      logTest('Switching leaf switches branch',
+        (await thread.getActiveBranch(messages)).join(',') === 'u1,a1,u2,a2');
+      thread.activeMessageId = null;
+      logTest('Empty thread has no branch', (await thread.getActiveBranch(messages)).length === 0);
+      logTest('Message JSON keeps the parent link', messages[4].toJSON().parentMessageId === 'a1');
+
+      const aiService = new AIProviderService();
+      const chat = (turns) => new Promise((resolve) => {
+        const chunks = [];
+        aiService.generateChatStreaming(
+          'mock:default', turns,
+          (chunk) => chunks.push(chunk),
+          (usage) => resolve({ text: chunks.join(''), usage }),
+          (error) => resolve({ error })
+        );
+      });
+
+      const branch = ['u1', 'a1', 'u2b'].map(id => messages.find(m => m.id === id))
+        .map(turn => ({ role: turn.role, content: turn.content }));
+      const single = await chat(branch.slice(-1));
+      const multi = await chat(branch);
+      logTest('Reply answers the latest turn', !multi.error && multi.text.includes('Can streams hold files?'));
+      logTest('Earlier turns are sent with the reply', multi.usage.promptTokens > single.usage.promptTokens);
+    } catch (error) {
+      logTest('Chat threads', false, error.message);
+    }
+
+    // Generation jobs kept in memory, so the runner can be tested without a database
+    const memoryJob = (data) => {
+      const GenerationJob = require('./src/models/GenerationJob');
+      const job = new GenerationJob({ status: 'queued', user_id: 'u1', brain_id: 'b1', model: 'mock:default', ...data });
+      job.markRunning = async () => { job.status = 'running'; };
+      job.finish = async (status, { output = '', errorMessage = null, usage = null } = {}) => {
+        Object.assign(job, {
+          status, output, errorMessage,
+          promptTokens: usage?.promptTokens ?? null,
+          completionTokens: usage?.completionTokens ?? null,
+          totalTokens: usage?.totalTokens ?? null
+        });
+        return true;
+      };
+      job.setResultCards = async (cardIds) => { job.resultCardIds = cardIds; };
+      job.setToolCalls = async (toolCalls) => { job.toolCalls = toolCalls; };
+      return job;
+    };
+
+    // Start a job and collect its events until it ends
+    const runJob = async (runner, job, context = [], onEvent = () => {}) => {
+      await runner.start(job, context);
+      return new Promise((resolve) => {
+        const events = [];
+        runner.subscribe(job.id, (event) => {
+          events.push(event);
+          onEvent(event);
+          if (['complete', 'cancelled', 'error'].includes(event.type)) {
+            resolve(events);
+          }
+        });
+      });
+    };
+
+    // Test 23: Generation Jobs
+    console.log('\n📋 Testing Generation Jobs...');
+
+    try {
+      const GenerationJob = require('./src/models/GenerationJob');
+      const UsageTracker = require('./src/services/usageTracker');
+      const generationRunner = require('./src/services/generationRunner');
+      const { AIProviderService } = require('./src/services/aiProviders');
+
+      const row = new GenerationJob({ id: 'j1', status: 'queued', prompt_tokens: 4, completion_tokens: 2, total_tokens: 6 });
+      logTest('Job defaults to text mode', row.mode === 'text' && row.parameters && row.resultCardIds.length === 0);
+      logTest('Queued job is active', row.isActive() && !new GenerationJob({ status: 'cancelled' }).isActive());
+      logTest('Job JSON groups usage', row.toJSON().usage.totalTokens === 6);
+
+      process.env.AI_MOCK_SCRIPT = JSON.stringify([
+        { match: 'refuse', error: { status: 400, message: 'Bad request' } }
+      ]);
+      // Pick up this test's mock script
+      generationRunner.aiService = new AIProviderService();
+
+      const recorded = [];
+      const originalRecord = UsageTracker.record;
+      UsageTracker.record = async (entry) => { recorded.push(entry); };
+
+      try {
+        const job = memoryJob({ id: 'job-complete', prompt: 'Summarise my cards' });
+        const events = await runJob(generationRunner, job, [{ contextText: '# Streams\n\nCards in order' }]);
+        const complete = events[events.length - 1];
+        logTest('Job completes with the full output',
+          complete.type === 'complete' && job.status === 'complete' && job.output.includes('Summarise my cards'));
+        logTest('Chunks arrive before completion', events.filter(event => event.type === 'chunk').length > 0);
+        logTest('Job stores reported usage', job.totalTokens > 0 && complete.usage.totalTokens === job.totalTokens);
+        logTest('Usage recorded once for the job',
+          recorded.length === 1 && recorded[0].source === 'generation' && recorded[0].sourceId === 'job-complete');
+        logTest('Finished job leaves the runner', !generationRunner.isRunning('job-complete') && !generationRunner.subscribe('job-complete', () => {}));
+
+        const failing = memoryJob({ id: 'job-failed', prompt: 'refuse this' });
+        const failedEvents = await runJob(generationRunner, failing);
+        logTest('Provider error fails the job',
+          failing.status === 'failed' && failing.errorMessage.includes('Bad request') && failedEvents[failedEvents.length - 1].type === 'error');
+
+        let startError = null;
+        const unstartable = memoryJob({ id: 'job-unstartable', prompt: 'Hello' });
+        unstartable.markRunning = async () => { throw new Error('Database unavailable'); };
+        try {
+          await generationRunner.start(unstartable);
+        } catch (error) {
+          startError = error;
+        }
+        logTest('Job that fails to start is not left running', startError && !generationRunner.isRunning('job-unstartable'));
+      } finally {
+        UsageTracker.record = originalRecord;
+      }
+    } catch (error) {
+      logTest('Generation jobs', false, error.message);
+    }
+
+    // Test 24: Generation Cancel and Resume
+    console.log('\n⏹️  Testing Generation Cancel and Resume...');
+
+    try {
+      const UsageTracker = require('./src/services/usageTracker');
+      const generationRunner = require('./src/services/generationRunner');
+      const { AIProviderService } = require('./src/services/aiProviders');
+
+      process.env.AI_MOCK_SCRIPT = JSON.stringify([
+        { match: 'slowly', text: 'one two three four five six seven eight nine ten eleven twelve', chunkWords: 1, chunkDelayMs: 25 }
+      ]);
+      generationRunner.aiService = new AIProviderService();
+
+      const originalRecord = UsageTracker.record;
+      UsageTracker.record = async () => {};
+
+      try {
+        const job = memoryJob({ id: 'job-cancel', prompt: 'Answer slowly' });
+        let reattached = null;
+        const events = await runJob(generationRunner, job, [], (event) => {
+          // After three chunks a second client attaches, then the user cancels
+          if (event.type === 'chunk' && event.totalContent === 'one two three ' && !reattached) {
+            reattached = generationRunner.subscribe(job.id, () => {});
+            generationRunner.cancel(job.id);
+          }
+        });
+        const last = events[events.length - 1];
+
+        logTest('Reattaching client gets the output so far', reattached && reattached.output === 'one two three ');
+        logTest('Cancel ends the stream with a cancelled event', last.type === 'cancelled' && last.totalContent === 'one two three ');
+        logTest('Cancelled job keeps its partial output', job.status === 'cancelled' && job.output === 'one two three ');
+        logTest('No chunks after the cancel', !events.some(event => event.type === 'chunk' && event.totalContent.length > 'one two three '.length));
+        logTest('Event offsets let a reconnect resume', events.filter(event => event.type === 'chunk')
+          .every(event => event.totalContent.endsWith(event.content)));
+        logTest('Cancelling a finished job does nothing', !await generationRunner.cancel(job.id));
+      } finally {
+        UsageTracker.record = originalRecord;
+      }
+    } catch (error) {
+      logTest('Generation cancel and resume', false, error.message);
+    }
+
+    // Test 25: Full-Content AI Context
+    console.log('\n📄 Testing Full-Content AI Context...');
+
+    try {
+      const ContextBuilder = require('./src/services/contextBuilder');
+      const tokenizer = require('./src/services/tokenizer');
+
+      const mediumText = 'Streams keep related cards together. '.repeat(40);
+      const longText = 'Every word of this card counts toward the limit. '.repeat(600);
+      const originalLoadSources = ContextBuilder.loadSources;
+      ContextBuilder.loadSources = async () => new Map([
+        ['medium', { type: 'card', title: 'Medium', text: mediumText }],
+        ['long', { type: 'file', title: 'Long', text: longText }],
+        ['empty', { type: 'card', title: 'Empty', text: '   ' }],
+        ['after', { type: 'card', title: 'After', text: mediumText }]
+      ]);
+
+      try {
+        const { context, report } = await ContextBuilder.build('b1', ['medium', 'missing', 'empty', 'long', 'after'], {
+          contextLimit: 3000,
+          reserveTokens: 500,
+          model: 'mock:default',
+          promptText: 'Summarise these'
+        });
+        const status = id => report.items.find(item => item.id === id).status;
+
+        logTest('Cards are sent in full, not as previews',
+          status('medium') === 'included' && context[0].content === mediumText && mediumText.length > 500);
+        logTest('Missing and empty items are reported', status('missing') === 'missing' && status('empty') === 'omitted');
+        logTest('Oversized item is truncated to fit',
+          status('long') === 'truncated' && context[1].content.endsWith('[... truncated to fit the model context ...]'));
+        logTest('Items after the limit are omitted', status('after') === 'omitted' && report.omittedCount === 3);
+        logTest('Context stays within the budget',
+          report.usedTokens <= report.budgetTokens && report.budgetTokens === 3000 - 500 - report.promptTokens);
+        logTest('Report counts match the tokenizer',
+          report.items.find(item => item.id === 'medium').includedTokens === tokenizer.count(`# Medium\n\n${mediumText}`, 'mock:default'));
+      } finally {
+        ContextBuilder.loadSources = originalLoadSources;
+      }
+
+      const turns = [
+        { role: 'user', content: 'First question '.repeat(200) },
+        { role: 'assistant', content: 'First answer '.repeat(200) },
+        { role: 'user', content: 'Second question' },
+        { role: 'assistant', content: 'Second answer' },
+        { role: 'user', content: 'Latest question' }
+      ];
+      const fitted = ContextBuilder.fitMessages(turns, { contextLimit: 600, reserveTokens: 100, model: 'mock:default' });
+      logTest('Oldest turns dropped to fit', fitted.fits && fitted.droppedCount === 2 && fitted.messages[0].content === 'Second question');
+      logTest('Everything kept when it fits', ContextBuilder.fitMessages(turns, { contextLimit: 8192, model: 'mock:default' }).droppedCount === 0);
+
+      const tooLong = ContextBuilder.fitMessages([{ role: 'user', content: 'word '.repeat(1000) }], { contextLimit: 600, reserveTokens: 100, model: 'mock:default' });
+      logTest('Latest turn kept even when it cannot fit', !tooLong.fits && tooLong.messages.length === 1);
+    } catch (error) {
+      logTest('Full-content AI context', false, error.message);
+    }
+
+    // Test 26: Ask My Brain
+    console.log('\n🧠 Testing Ask My Brain...');
+
+    try {
+      const brainIndex = require('./src/services/brainIndex');
+      const { HashEmbedder } = require('./src/services/embedders');
+      const { AIProviderService } = require('./src/services/aiProviders');
+
+      const paragraph = 'Tomatoes need full sun and steady watering through the summer months. '.repeat(12).trim();
+      const chunks = brainIndex.chunkText(Array(6).fill(paragraph).join('\n\n'));
+      logTest('Long text split into bounded chunks', chunks.length > 1 && chunks.every(chunk => chunk.length <= 1500));
+      logTest('Short text is one chunk', brainIndex.chunkText('One short note.').length === 1 && brainIndex.chunkText('').length === 0);
+
+      const embedder = new HashEmbedder();
+      const [question, related, unrelated] = await embedder.embed([
+        'How often should I water tomatoes?',
+        'Water the tomatoes every other day in summer.',
+        'Quarterly revenue grew in the sales region.'
+      ]);
+      logTest('Related text embeds closer than unrelated text',
+        brainIndex.cosine(question, related) > brainIndex.cosine(question, unrelated));
+
+      process.env.AI_MOCK_SCRIPT = JSON.stringify([
+        { match: 'Question: How often', text: 'Every other day in summer [2].' }
+      ]);
+      brainIndex.aiService = new AIProviderService();
+
+      const originalSearch = brainIndex.search;
+      brainIndex.search = async () => [
+        { sourceType: 'card', sourceId: 'c1', title: 'Garden Plan', chunkIndex: 0, content: 'Beds go by the fence.', score: 0.6 },
+        { sourceType: 'file', sourceId: 'f1', title: 'Tomato Guide.pdf', chunkIndex: 3, content: 'Water every other day.', score: 0.5 },
+        { sourceType: 'card', sourceId: 'c1', title: 'Garden Plan', chunkIndex: 1, content: 'Tomatoes at the back.', score: 0.4 }
+      ];
+
+      try {
+        const result = await brainIndex.ask('b1', 'How often should I water tomatoes?', { model: 'mock:default' });
+        logTest('Answer comes from the model with usage', result.answer === 'Every other day in summer [2].' && result.usage.totalTokens > 0);
+        logTest('Citations are numbered per source',
+          result.citations.length === 2 && result.citations[0].cardId === 'c1' && result.citations[1].fileId === 'f1');
+        logTest('Only cited sources are marked cited', !result.citations[0].cited && result.citations[1].cited);
+
+        const content = brainIndex.formatAnswer('How often?', {
+          ...result,
+          citations: result.citations.map(citation => ({ ...citation, cited: true }))
+        });
+        logTest('Saved answer links cited cards', content.includes('- [1] [[Garden Plan]]') && content.includes('- [2] Tomato Guide.pdf'));
+
+        brainIndex.search = async () => [];
+        const empty = await brainIndex.ask('b1', 'Anything about chess?', { model: 'mock:default' });
+        logTest('No matches answers without calling the model', empty.usage === null && empty.citations.length === 0);
+      } finally {
+        brainIndex.search = originalSearch;
+      }
+    } catch (error) {
+      logTest('Ask my brain', false, error.message);
+    }
+
+    // Test 27: Prompt Templates
+    console.log('\n📝 Testing Prompt Templates...');
+
+    try {
+      const PromptTemplate = require('./src/models/PromptTemplate');
+      const PromptVariables = require('./src/services/promptVariables');
+      const ContextBuilder = require('./src/services/contextBuilder');
+      const Brain = require('./src/models/Brain');
+      const Stream = require('./src/models/Stream');
+      const Card = require('./src/models/Card');
+
+      const template = new PromptTemplate({ name: 'Weekly review', template: 'Review {{selection}} for {{ stream_name }} and {{selection}}' });
+      logTest('Template lists its variables once', template.getVariables().join(',') === 'selection,stream_name');
+
+      const rejects = (data) => {
+        try {
+          PromptTemplate.validate(data);
+          return false;
+        } catch (error) {
+          return true;
+        }
+      };
+      logTest('Template validation', rejects({ name: ' ', template: 'x' }) && rejects({ name: 'n', template: '' }) &&
+        rejects({ name: 'x'.repeat(101) }) && !rejects({ name: 'Review', template: 'Hi {{date}}' }));
+
+      const originals = {
+        brain: Brain.findById,
+        stream: Stream.findById,
+        card: Card.findByBrainAndTitle,
+        sources: ContextBuilder.loadSources
+      };
+      Brain.findById = async (id) => ({ id, name: 'Garden' });
+      Stream.findById = async (id) => ({ id, brainId: id === 'other-stream' ? 'b2' : 'b1', name: 'Spring' });
+      Card.findByBrainAndTitle = async (brainId, title) => (title === 'Plan' ? { getContent: async () => 'Plant tomatoes' } : null);
+      ContextBuilder.loadSources = async () => new Map([['c1', { type: 'card', title: 'Notes', text: 'Seeds arrived' }]]);
+
+      try {
+        const resolved = await PromptVariables.resolve(
+          'In {{brain_name}}/{{stream_name}} on {{date}}: {{card:Plan}} {{card:Missing}} {{mystery}}\n\n{{selection}}',
+          { brainId: 'b1', streamId: 's1', selectionIds: ['c1'], contextLimit: 8192, model: 'mock:default' }
+        );
+        logTest('Brain and stream names substituted', resolved.prompt.startsWith('In Garden/Spring on '));
+        logTest('Date substituted', /on \d{4}-\d{2}-\d{2}:/.test(resolved.prompt));
+        logTest('Card content substituted by title', resolved.prompt.includes(': Plant tomatoes '));
+        logTest('Unknown variables left as written and reported',
+          resolved.prompt.includes('{{card:Missing}} {{mystery}}') && resolved.unresolved.join(',') === 'card:Missing,mystery');
+        logTest('Selection filled with full context',
+          resolved.usedSelection && resolved.prompt.endsWith('# Notes\n\nSeeds arrived') && resolved.contextReport.includedCount === 1);
+
+        const otherBrain = await PromptVariables.resolve('{{stream_name}}', { brainId: 'b1', streamId: 'other-stream' });
+        logTest('Streams from another brain are not named', otherBrain.prompt === '{{stream_name}}' && !otherBrain.usedSelection);
+      } finally {
+        Brain.findById = originals.brain;
+        Stream.findById = originals.stream;
+        Card.findByBrainAndTitle = originals.card;
+        ContextBuilder.loadSources = originals.sources;
+      }
+    } catch (error) {
+      logTest('Prompt templates', false, error.message);
+    }
+
+    // Test 28: Token Usage and Cost
+    console.log('\n💰 Testing Token Usage and Cost...');
+
+    try {
+      const UsageTracker = require('./src/services/usageTracker');
+      const tokenizer = require('./src/services/tokenizer');
+      const generationRunner = require('./src/services/generationRunner');
+      const { AIProviderService } = require('./src/services/aiProviders');
+      const { BudgetExceededError } = require('./src/utils/apiError');
+
+      logTest('Exact model price', UsageTracker.calculateCost('gpt-4o', { promptTokens: 1e6, completionTokens: 1e6 }) === 12.5);
+      logTest('Wildcard price for local models', UsageTracker.calculateCost('local:llama3', { promptTokens: 500, completionTokens: 500 }) === 0);
+      logTest('Unknown models are unpriced', UsageTracker.calculateCost('someone-elses-model', { promptTokens: 10 }) === null);
+
+      logTest('User budget can only lower the server budget',
+        UsageTracker.effectiveBudget(5, 20) === 5 && UsageTracker.effectiveBudget(50, 20) === 20);
+      logTest('Either budget applies alone',
+        UsageTracker.effectiveBudget(null, 20) === 20 && UsageTracker.effectiveBudget(5, null) === 5 && UsageTracker.effectiveBudget(null, null) === null);
+
+      const originalStatus = UsageTracker.getBudgetStatus;
+      UsageTracker.getBudgetStatus = async () => ({ budgetUsd: 10, spentUsd: 10.5, exceeded: true });
+      let budgetError = null;
+      try {
+        await UsageTracker.assertWithinBudget('u1');
+      } catch (error) {
+        budgetError = error;
+      } finally {
+        UsageTracker.getBudgetStatus = originalStatus;
+      }
+      logTest('Spent budget refuses AI calls', budgetError instanceof BudgetExceededError && budgetError.statusCode === 402);
+
+      process.env.AI_MOCK_SCRIPT = JSON.stringify([
+        { match: 'bill me', text: 'alpha beta gamma delta epsilon zeta eta theta', chunkWords: 1, chunkDelayMs: 25 }
+      ]);
+      generationRunner.aiService = new AIProviderService();
+
+      const recorded = [];
+      const originalRecord = UsageTracker.record;
+      UsageTracker.record = async (entry) => { recorded.push(entry); };
+
+      try {
+        const job = memoryJob({ id: 'job-billed', prompt: 'Please bill me' });
+        await runJob(generationRunner, job, [], (event) => {
+          if (event.type === 'chunk' && event.totalContent === 'alpha beta ') {
+            generationRunner.cancel(job.id);
+          }
+        });
+        const usage = recorded[0] && recorded[0].usage;
+        logTest('Cancelled generation is billed',
+          usage && usage.promptTokens === tokenizer.countMessages([{ role: 'user', content: 'Please bill me' }], 'mock:default'));
+        logTest('Cancelled generation billed for its partial output',
+          usage && usage.completionTokens === tokenizer.count('alpha beta ', 'mock:default') && job.totalTokens === usage.totalTokens);
+      } finally {
+        UsageTracker.record = originalRecord;
+      }
+    } catch (error) {
+      logTest('Token usage and cost', false, error.message);
+    }
+
+    // Test 29: Tokenizer
+    console.log('\n🔤 Testing Tokenizer...');
+
+    try {
+      const tokenizer = require('./src/services/tokenizer');
+
+      logTest('Vocabulary picked per model family',
+        tokenizer.getEncodingInfo('gpt-4o').encoding === 'o200k_base' &&
+        tokenizer.getEncodingInfo('gpt-3.5-turbo-0125').encoding === 'cl100k_base' &&
+        tokenizer.getEncodingInfo('claude-3-haiku-20240307').encoding === 'claude' &&
+        !tokenizer.getEncodingInfo('local:llama3').exact);
+      logTest('Exact counts for OpenAI models',
+        tokenizer.count('hello world', 'gpt-4o') === 2 && tokenizer.count('hello world', 'gpt-3.5-turbo-0125') === 2);
+      logTest('Empty text has no tokens', tokenizer.count('', 'gpt-4o') === 0);
+      logTest('Special-token text counted as plain text', tokenizer.count('<|endoftext|>', 'gpt-4o') > 1);
+
+      const message = { role: 'user', content: 'hello world' };
+      logTest('Message framing counted', tokenizer.countMessages([message], 'gpt-4o') === 3 + 4 + 2);
+
+      const long = 'The quick brown fox jumps over the lazy dog. '.repeat(20);
+      const cut = tokenizer.truncate(long, 10, 'gpt-4o');
+      logTest('Truncate keeps the first tokens', tokenizer.count(cut, 'gpt-4o') === 10 && long.startsWith(cut));
+      logTest('Truncate leaves short text alone', tokenizer.truncate('short', 10, 'gpt-4o') === 'short');
+
+      logTest('OpenAI image tiles', tokenizer.countImage({ width: 1024, height: 1024 }, 'gpt-4o') === 765);
+      logTest('Anthropic image pixels', tokenizer.countImage({ width: 1000, height: 1000 }, 'claude-3-haiku-20240307') === 1334);
+      logTest('Google small image', tokenizer.countImage({ width: 300, height: 300 }, 'gemini-pro') === 258);
+      logTest('Images count toward the message',
+        tokenizer.countMessage({ ...message, images: [{ width: 512, height: 512 }] }, 'gpt-4o') === 4 + 2 + 255);
+    } catch (error) {
+      logTest('Tokenizer', false, error.message);
+    }
+
+    // Test 30: AI Transforms
+    console.log('\n🧩 Testing AI Transforms...');
+
+    try {
+      const AITransforms = require('./src/services/aiTransforms');
+      const Card = require('./src/models/Card');
+      const UsageTracker = require('./src/services/usageTracker');
+      const generationRunner = require('./src/services/generationRunner');
+      const { AIProviderService } = require('./src/services/aiProviders');
+
+      logTest('Transform modes listed', AITransforms.list().map(mode => mode.id).join(',') === 'atomic_notes,outline,flashcards');
+      logTest('Only known modes are transforms', AITransforms.isTransform('outline') && !AITransforms.isTransform('text') && !AITransforms.isTransform('toString'));
+      logTest('Prompt carries the schema', AITransforms.buildPrompt('flashcards', 'Biology').includes('"required":["deck","cards"]'));
+
+      const notes = AITransforms.parseOutput('atomic_notes', 'Here you go:\n```json\n' + JSON.stringify({
+        notes: [
+          { title: 'Photosynthesis', content: 'Light to sugar.', related: ['chlorophyll', 'Nowhere'] },
+          { title: 'Chlorophyll', content: 'Green pigment.', related: ['Photosynthesis', 'Chlorophyll'] }
+        ]
+      }) + '\n```');
+      logTest('Fenced JSON parsed into notes', notes.length === 2 && notes[0].title === 'Photosynthesis');
+      logTest('Related titles become links', notes[0].links.join(',') === 'note/1' && notes[1].links.join(',') === 'note/0');
+
+      const rejection = (mode, output) => {
+        try {
+          AITransforms.parseOutput(mode, output);
+          return null;
+        } catch (error) {
+          return error.message;
+        }
+      };
+      logTest('Prose without JSON rejected', rejection('atomic_notes', 'Sorry, I cannot do that.') === 'The model did not return a JSON object');
+      logTest('Broken JSON rejected', rejection('atomic_notes', '{"notes": [}').startsWith('The model returned invalid JSON'));
+      logTest('Output off the schema rejected',
+        (rejection('atomic_notes', '{"notes": [{"title": "No content"}]}') || '').startsWith('The model output does not match the atomic notes schema'));
+      logTest('Empty results rejected', rejection('flashcards', '{"deck": "Empty", "cards": []}') !== null);
+
+      const deep = (level) => ({ title: `Level ${level}`, content: 'x', children: level < 6 ? [deep(level + 1)] : [] });
+      const outline = AITransforms.parseOutput('outline', JSON.stringify({ title: 'Plan', sections: [deep(1)] }));
+      logTest('Outline nested below its title', outline[0].key === 'root' && outline[0].links.join(',') === 'root/0' && outline[1].depth === 1);
+      logTest('Outline depth capped', Math.max(...outline.map(node => node.depth)) === 4);
+
+      const deck = AITransforms.parseOutput('flashcards', '{"deck": "Cells", "cards": [{"question": "Powerhouse?", "answer": "Mitochondria"}]}');
+      logTest('Flashcards under a deck card', deck[0].title === 'Cells' && deck[1].content === '**Q:** Powerhouse?\n\n**A:** Mitochondria');
+
+      const originalFind = Card.findByBrainAndTitle;
+      Card.findByBrainAndTitle = async (brainId, title) => (title === 'Existing' ? { id: 'c1' } : null);
+      try {
+        const titles = await AITransforms.assignTitles('b1', [
+          { key: 'a', title: 'Existing' },
+          { key: 'b', title: '[[Odd|Title]]' },
+          { key: 'c', title: 'odd title' }
+        ]);
+        logTest('Titles made unique and link-safe',
+          titles.get('a') === 'Existing (2)' && titles.get('b') === 'OddTitle' && titles.get('c') === 'odd title');
+      } finally {
+        Card.findByBrainAndTitle = originalFind;
+      }
+
+      process.env.AI_MOCK_SCRIPT = JSON.stringify([{ match: 'Task: Split this', text: 'I would rather write prose.' }]);
+      generationRunner.aiService = new AIProviderService();
+      const originalRecord = UsageTracker.record;
+      UsageTracker.record = async () => {};
+      try {
+        const job = memoryJob({ id: 'job-transform', mode: 'atomic_notes', prompt: AITransforms.buildPrompt('atomic_notes', 'Split this') });
+        const events = await runJob(generationRunner, job);
+        logTest('Transform job with unusable output fails',
+          job.status === 'failed' && job.errorMessage === 'The model did not return a JSON object' && events[events.length - 1].type === 'error');
+      } finally {
+        UsageTracker.record = originalRecord;
+      }
+    } catch (error) {
+      logTest('AI transforms', false, error.message);
+    }
+
+    // Test 31: Retries and Fallback
+    console.log('\n🔁 Testing Retries and Fallback...');
+
+    try {
+      const { AIProviderService, ProviderError } = require('./src/services/aiProviders');
+
+      Object.assign(process.env, {
+        AI_MOCK_MODELS: 'default,flaky,down,backup',
+        AI_MAX_RETRIES: '1',
+        AI_RETRY_MAX_DELAY_MS: '50',
+        AI_FALLBACK_MODELS: JSON.stringify({ 'mock:down': ['mock:missing', 'mock:backup', 'mock:default', 'mock:backup'] }),
+        AI_MOCK_SCRIPT: JSON.stringify([
+          { model: 'mock:down', match: 'refused', error: { status: 400, message: 'Bad request' } },
+          { model: 'mock:down', match: 'later', error: { status: 429, message: 'Slow down', retryAfterMs: 60000 } },
+          { model: 'mock:down', match: 'midway', text: 'half of it', chunkWords: 1, error: { status: 503, afterChunks: 1 } },
+          { model: 'mock:down', error: { status: 503, message: 'Overloaded' } },
+          { model: 'mock:backup', text: 'Backup answered' },
+          { match: 'queue', text: 'a b c d e f', chunkWords: 1, chunkDelayMs: 10 }
+        ])
+      });
+      const aiService = new AIProviderService();
+
+      const generate = (model, prompt) => new Promise((resolve) => {
+        const result = { chunks: [], events: [] };
+        aiService.generateStreaming(
+          model, prompt, [],
+          (chunk) => result.chunks.push(chunk),
+          (usage, served) => resolve({ ...result, served }),
+          (error) => resolve({ ...result, error }),
+          { onEvent: (event) => result.events.push(event) }
+        );
+      });
+      const types = result => result.events.map(event => event.type).join(',');
+
+      try {
+        const chain = await aiService.getFallbackChain('mock:down');
+        logTest('Fallback chain in configured order, unavailable and repeated models skipped',
+          chain.map(entry => entry.model.id).join(',') === 'mock:down,mock:backup,mock:default');
+        logTest('Models without fallbacks have a chain of one', (await aiService.getFallbackChain('mock:default')).length === 1);
+
+        const overloaded = await generate('mock:down', 'Hello');
+        logTest('Retryable error retried, then falls back', types(overloaded) === 'retry,fallback' && overloaded.events[0].status === 503);
+        logTest('Fallback model answers and is reported', !overloaded.error && overloaded.chunks.join('') === 'Backup answered' &&
+          overloaded.served.model === 'mock:backup' && overloaded.events[1].toModel === 'mock:backup');
+
+        const refused = await generate('mock:down', 'This will be refused');
+        logTest('Client error not retried', types(refused) === 'fallback' && refused.served.model === 'mock:backup');
+
+        const later = await generate('mock:down', 'Try later');
+        logTest('Retry-After longer than the limit moves on', types(later) === 'fallback' && !later.error);
+
+        const midway = await generate('mock:down', 'Fail midway');
+        logTest('No retry or fallback once output has streamed', midway.error && midway.events.length === 0 && midway.chunks.join('') === 'half ');
+
+        logTest('Rate limits and overload are retryable, bad requests are not',
+          new ProviderError('x', { status: 429 }).retryable && new ProviderError('x', { status: 529 }).retryable &&
+          !new ProviderError('x', { status: 400 }).retryable);
+
+        const queued = await Promise.all(Array.from({ length: 5 }, () => generate('mock:default', 'queue me')));
+        logTest('Requests over the provider limit wait in a queue',
+          queued.every(result => !result.error) && queued.filter(result => result.events.some(event => event.type === 'queued')).length === 1);
+      } finally {
+        process.env.AI_MOCK_MODELS = 'default,flaky';
+        for (const name of ['AI_MAX_RETRIES', 'AI_RETRY_MAX_DELAY_MS', 'AI_FALLBACK_MODELS']) {
+          delete process.env[name];
+        }
+      }
+    } catch (error) {
+      logTest('Retries and fallback', false, error.message);
+    }
+
+    // Test 32: Stream AI Settings
+    console.log('\n🎛️  Testing Stream AI Settings...');
+
+    try {
+      const Stream = require('./src/models/Stream');
+      const tokenizer = require('./src/services/tokenizer');
+      const { AIProviderService } = require('./src/services/aiProviders');
+
+      const valid = Stream.validateAISettings({
+        systemPrompt: '  You are terse.  ',
+        temperature: '0.756',
+        maxTokens: '',
+        stopSequences: ['END', '', 'END', '\n\n']
+      });
+      logTest('Settings normalised', valid.isValid && valid.values.systemPrompt === 'You are terse.' &&
+        valid.values.temperature === 0.76 && valid.values.maxTokens === null && valid.values.stopSequences.join('|') === 'END|\n\n');
+      logTest('Only given settings are returned', Object.keys(Stream.validateAISettings({ temperature: 1 }).values).join(',') === 'temperature');
+
+      const invalid = Stream.validateAISettings({
+        systemPrompt: 42,
+        temperature: 3,
+        maxTokens: 1.5,
+        stopSequences: ['a', 'b', 'c', 'd', 'e']
+      });
+      logTest('Out-of-range settings rejected',
+        !invalid.isValid && ['systemPrompt', 'temperature', 'maxTokens', 'stopSequences'].every(field => invalid.errors[field]));
+
+      const stream = new Stream({ id: 's1', brain_id: 'b1', name: 'Terse', system_prompt: 'Be terse.', ai_temperature: '0.30', ai_max_tokens: 5, ai_stop_sequences: ['END'] });
+      const settings = stream.getAISettings();
+      logTest('Stream row mapped to settings',
+        settings.systemPrompt === 'Be terse.' && settings.temperature === 0.3 && settings.maxTokens === 5 && settings.stopSequences[0] === 'END');
+      logTest('Streams without settings use provider defaults',
+        JSON.stringify(new Stream({ id: 's2', name: 'Plain' }).getAISettings()) === JSON.stringify({ systemPrompt: null, temperature: null, maxTokens: null, stopSequences: [] }));
+
+      const aiService = new AIProviderService();
+      const chat = (parameters) => new Promise((resolve) => {
+        const chunks = [];
+        aiService.generateChatStreaming(
+          'mock:default', [{ role: 'user', content: 'Tell me everything about streams and cards' }],
+          (chunk) => chunks.push(chunk),
+          (usage) => resolve({ text: chunks.join(''), usage }),
+          (error) => resolve({ error }),
+          { parameters }
+        );
+      });
+      const plain = await chat({});
+      const configured = await chat(settings);
+      logTest('Stream system prompt sent with the request',
+        configured.usage.promptTokens === plain.usage.promptTokens + tokenizer.countMessage({ role: 'system', content: 'Be terse.' }, 'mock:default'));
+      logTest('Stream max tokens limit the reply', tokenizer.count(configured.text, 'mock:default') <= 5 && plain.text.length > configured.text.length);
+    } catch (error) {
+      logTest('Stream AI settings', false, error.message);
+    }
+
+    // Test 33: Image Inputs
+    console.log('\n🖼️  Testing Image Inputs...');
+
+    try {
+      const ImageInputs = require('./src/services/imageInputs');
+      const ContextBuilder = require('./src/services/contextBuilder');
+      const tokenizer = require('./src/services/tokenizer');
+      const { AIProviderService, buildPromptMessages } = require('./src/services/aiProviders');
+      const { ValidationError } = require('./src/utils/apiError');
+
+      // Just enough of a PNG (signature + IHDR) and a GIF header to read the size from
+      const png = Buffer.alloc(33);
+      Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(png, 0);
+      png.write('IHDR', 12, 'ascii');
+      png.writeUInt32BE(640, 16);
+      png.writeUInt32BE(480, 20);
+      const gif = Buffer.alloc(13);
+      gif.write('GIF89a', 0, 'ascii');
+      gif.writeUInt16LE(32, 6);
+      gif.writeUInt16LE(16, 8);
+      const dataUrl = (mediaType, buffer) => `data:${mediaType};base64,${buffer.toString('base64')}`;
+
+      const [upload, small] = await ImageInputs.resolve('b1', [
+        { source: 'upload', dataUrl: dataUrl('image/png', png), name: ' chart.png ' },
+        { source: 'upload', dataUrl: dataUrl('image/gif', gif) }
+      ]);
+      logTest('PNG size read from its header', upload.width === 640 && upload.height === 480 && upload.label === 'chart.png');
+      logTest('GIF size read from its header', small.width === 32 && small.height === 16 && small.label === 'Uploaded image');
+      logTest('Report entry carries no pixel data', ImageInputs.describe(upload, 255).data === undefined && ImageInputs.describe(upload, 255).tokens === 255);
+
+      const rejected = async (images) => {
+        try {
+          await ImageInputs.resolve('b1', images);
+          return null;
+        } catch (error) {
+          return error instanceof ValidationError ? error.message : `unexpected: ${error.message}`;
+        }
+      };
+      logTest('Unsupported image type rejected', (await rejected([{ source: 'upload', dataUrl: dataUrl('image/bmp', png) }]) || '').includes('unsupported image type'));
+      logTest('Non-data URL rejected', await rejected([{ source: 'upload', dataUrl: 'https://example.com/a.png' }]) === 'Images must be sent as base64 data URLs');
+      logTest('Unreadable image rejected', (await rejected([{ source: 'upload', dataUrl: dataUrl('image/png', Buffer.from('not a png')) }]) || '').includes('not a readable PNG'));
+      logTest('Too many images rejected', (await rejected(Array(11).fill({ source: 'upload', dataUrl: dataUrl('image/gif', gif) })) || '').startsWith('At most 10'));
+      logTest('Unknown source rejected', await rejected([{ source: 'camera' }]) === 'Unknown image source: camera');
+
+      const originalFindFile = ContextBuilder.findFile;
+      ContextBuilder.findFile = async (fileId) => ({
+        'pdf-1': { file_type: 'pdf', pdf_title: 'Field Guide', file_name: 'guide.pdf' },
+        'epub-1': { file_type: 'epub', epub_title: '12 Rules for Life', file_name: 'rules.epub', cover_image_path: path.join(__dirname, '12-rules-for-life_cover.jpg') }
+      })[fileId] || null;
+      try {
+        const [page, cover] = await ImageInputs.resolve('b1', [
+          { source: 'pdf_page', fileId: 'pdf-1', page: '3', dataUrl: dataUrl('image/png', png) },
+          { source: 'epub_cover', fileId: 'epub-1' }
+        ]);
+        logTest('PDF page labelled with file and page', page.label === 'Field Guide, page 3' && page.page === 3);
+        logTest('EPUB cover loaded from the brain', cover.mediaType === 'image/jpeg' && cover.width === 770 && cover.height === 1186);
+        logTest('PDF page needs a page number', await rejected([{ source: 'pdf_page', fileId: 'pdf-1', dataUrl: dataUrl('image/png', png) }]) === 'PDF page images need a page number');
+        logTest('Files outside the brain rejected', await rejected([{ source: 'epub_cover', fileId: 'other' }]) === 'EPUB not found for cover image');
+      } finally {
+        ContextBuilder.findFile = originalFindFile;
+      }
+
+      const messages = buildPromptMessages('What does the chart show?', [], null, [upload]);
+      logTest('Images attached to the prompt with labels',
+        messages[0].images.length === 1 && messages[0].content === 'Image 1: chart.png\n\nWhat does the chart show?');
+
+      const aiService = new AIProviderService();
+      const usage = await new Promise((resolve) => aiService.generateStreaming(
+        'mock:default', 'What does the chart show?', [], () => {}, resolve, () => resolve(null), { images: [upload] }
+      ));
+      logTest('Image tokens counted in the prompt',
+        usage && usage.promptTokens === tokenizer.countMessages(messages, 'mock:default') && usage.promptTokens > tokenizer.countImage(upload, 'mock:default'));
+    } catch (error) {
+      logTest('Image inputs', false, error.message);
+    }
+
+    // Test 34: AI Link Suggestions
+    console.log('\n🔗 Testing AI Link Suggestions...');
+
+    try {
+      const linkSuggester = require('./src/services/linkSuggester');
+      const linkParser = require('./src/services/linkParser');
+      const Card = require('./src/models/Card');
+      const LinkSuggestion = require('./src/models/LinkSuggestion');
+      const { ValidationError } = require('./src/utils/apiError');
+
+      logTest('Plain titles are linkable', linkSuggester.isLinkable('Spaced Repetition') && linkSuggester.isLinkable('C++ Notes'));
+      logTest('Titles that parse as anchors, brains or versions are not linkable',
+        ['a|b', 'a#b', 'a^b', 'brain/card', 'Card:v2', ''].every(title => !linkSuggester.isLinkable(title)));
+
+      const mention = linkSuggester.findMention('See [[Memory]] and Memory palaces, not Memoryless.', 'Memory');
+      logTest('Mention found outside existing links', mention && mention.index === 19 && mention.text === 'Memory');
+      logTest('Partial words are not mentions', linkSuggester.findMention('Memoryless chains', 'Memory') === null);
+
+      logTest('Link wraps the first plain mention',
+        linkSuggester.insertLink('Uses Memory palaces.', 'Memory') === 'Uses [[Memory]] palaces.');
+      const related = linkSuggester.insertLink('Notes.\n', 'Memory');
+      logTest('Link without a mention starts a Related list', related === 'Notes.\n\n**Related:**\n- [[Memory]]\n');
+      logTest('Further links join the Related list',
+        linkSuggester.insertLink(related, 'Recall') === 'Notes.\n\n**Related:**\n- [[Memory]]\n- [[Recall]]\n');
+
+      // Unit vectors: b is close to the source, c is orthogonal, d is weak but mentioned
+      const cards = new Map([
+        ['a', { id: 'a', title: 'Source', vector: [1, 0, 0] }],
+        ['b', { id: 'b', title: 'Close', vector: [0.9, Math.sqrt(1 - 0.81), 0] }],
+        ['c', { id: 'c', title: 'Unrelated', vector: [0, 0, 1] }],
+        ['d', { id: 'd', title: 'Named', vector: [0.15, 0, Math.sqrt(1 - 0.0225)] }],
+        ['e', { id: 'e', title: 'Linked', vector: [1, 0, 0] }],
+        ['f', { id: 'f', title: 'Bad|Title', vector: [1, 0, 0] }]
+      ]);
+      const ranked = linkSuggester.rankCandidates(cards.get('a'), 'This card names Named once.', cards, new Set(['e']));
+      logTest('Candidates ranked by similarity, best first', ranked.map(c => c.targetCardId).join(',') === 'b,d',
+        `Got ${ranked.map(c => `${c.targetCardId}:${c.score}`).join(',')}`);
+      logTest('Mention adds a bonus and an anchor', ranked[1].score === 0.35 && ranked[1].anchorText === 'Named' && ranked[1].reason.startsWith('Mentions "Named"'));
+      logTest('Plain similarity has no anchor', ranked[0].anchorText === null && ranked[0].reason === 'Covers similar ground (90% similar)');
+
+      const many = new Map([['s', { id: 's', title: 'S', vector: [1, 0] }]]);
+      for (let i = 0; i < 8; i++) {
+        many.set(`t${i}`, { id: `t${i}`, title: `T${i}`, vector: [1, 0] });
+      }
+      logTest('At most five suggestions per card', linkSuggester.rankCandidates(many.get('s'), '', many, new Set()).length === 5);
+
+      // Accepting writes the link, refreshes card_links and records the decision
+      const originalFindById = Card.findById;
+      const originalProcessLinks = linkParser.processCardLinks;
+      const originalDecide = LinkSuggestion.prototype.decide;
+      const calls = [];
+      const fakeCards = {
+        src: {
+          id: 'src', isActive: true, title: 'Source', content: 'Uses Memory palaces.',
+          async getContent() { return this.content; },
+          async updateContent(content, options) { this.content = content; this.updatedBy = options?.userId; }
+        },
+        mem: { id: 'mem', isActive: true, title: 'Memory' },
+        gone: { id: 'gone', isActive: false, title: 'Gone' },
+        bad: { id: 'bad', isActive: true, title: 'Bad#Title' }
+      };
+      Card.findById = async (id) => fakeCards[id] || null;
+      linkParser.processCardLinks = async (cardId, content) => { calls.push(['links', cardId, content]); };
+      LinkSuggestion.prototype.decide = async function (status) { calls.push(['decide', status]); this.status = status; };
+
+      const suggestionFor = (targetId) => new LinkSuggestion({ id: 'sg', source_card_id: 'src', target_card_id: targetId, status: 'pending' });
+      const acceptError = async (targetId) => {
+        try {
+          await linkSuggester.accept(suggestionFor(targetId));
+          return null;
+        } catch (error) {
+          return error instanceof ValidationError ? error.message : `unexpected: ${error.message}`;
+        }
+      };
+
+      try {
+        const suggestion = suggestionFor('mem');
+        const result = await linkSuggester.accept(suggestion, { userId: 'u1' });
+        logTest('Accept writes the link into the source card',
+          result.content === 'Uses [[Memory]] palaces.' && fakeCards.src.content === result.content);
+        logTest('Accepted link is recorded as the user\'s edit', fakeCards.src.updatedBy === 'u1');
+        logTest('Accept refreshes links and marks the suggestion accepted',
+          calls[0][0] === 'links' && calls[0][2] === result.content && calls[1][1] === 'accepted' && suggestion.status === 'accepted');
+
+        calls.length = 0;
+        logTest('Accept refused for a deleted target', await acceptError('gone') === 'The suggested card no longer exists');
+        logTest('Accept refused for an unlinkable title', (await acceptError('bad') || '').includes("can't be written as a [[link]]"));
+        logTest('Refused accept leaves the suggestion pending', calls.length === 0);
+      } finally {
+        Card.findById = originalFindById;
+        linkParser.processCardLinks = originalProcessLinks;
+        LinkSuggestion.prototype.decide = originalDecide;
+      }
+
+      let invalidStatus = false;
+      try {
+        await suggestionFor('mem').decide('maybe');
+      } catch (error) {
+        invalidStatus = error.message === 'Invalid suggestion status: maybe';
+      }
+      logTest('Only accepted or rejected decisions recorded', invalidStatus);
+    } catch (error) {
+      logTest('Link suggestions', false, error.message);
+    }
+
   } catch (error) {
     console.error('❌ Fatal error during testing:', error);
     testResults.failed++;
@@ -7,6 +7,7 @@ import Header from './components/Header';
 import StreamView from './components/StreamView';
 import CommandBar from './components/CommandBar';
 import BrainInterface from './components/BrainInterface';
+import JumpPalette from './components/JumpPalette';
 import { Brain, Stream } from './types';
 import api from './services/api';
 
@@ -129,6 +130,8 @@ const AppContent: React.FC = () => {
       <CommandBar
         streamId={currentStream?.id}
       />
+
+      <JumpPalette />
     </div>
   );
 };
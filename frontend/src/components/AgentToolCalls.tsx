@@ -0,0 +1,105 @@
+import React, { useState } from 'react';
+import api from '../services/api';
+import { AgentToolCall } from '../types';
+
+interface AgentToolCallsProps {
+  jobId: string | null;
+  calls: AgentToolCall[];
+}
+
+const STATUS_ICONS: Record<AgentToolCall['status'], string> = {
+  awaiting_confirmation: '❓',
+  running: '⏳',
+  complete: '✅',
+  rejected: '🚫',
+  failed: '❌'
+};
+
+// One-line summary of a call's arguments, e.g. query: "streams"
+const describeArguments = (args: Record<string, any>): string => Object.entries(args || {})
+  .map(([key, value]) => {
+    const text = typeof value === 'string' ? `"${value}"` : JSON.stringify(value);
+    return `${key}: ${text.length > 60 ? `${text.slice(0, 57)}...` : text}`;
+  })
+  .join(', ');
+
+const AgentToolCalls: React.FC<AgentToolCallsProps> = ({ jobId, calls }) => {
+  const [busyId, setBusyId] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  const handleDecision = async (call: AgentToolCall, approved: boolean) => {
+    if (!jobId) return;
+    setBusyId(call.id);
+    setError(null);
+
+    try {
+      // The outcome arrives as a tool_call event on the generation stream
+      await api.post(`/ai/jobs/${jobId}/tool-calls/${encodeURIComponent(call.id)}`, { approved });
+    } catch (err: any) {
+      console.error('Failed to confirm tool call:', err);
+      setError(err.response?.data?.message || 'Failed to confirm tool call');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div
+      className="agent-tool-calls"
+      style={{
+        padding: '8px 12px',
+        borderTop: '1px solid #f3f4f6',
+        backgroundColor: '#fafbfc'
+      }}
+    >
+      <div style={{ fontSize: '12px', fontWeight: 600, color: '#374151', marginBottom: '4px' }}>Agent actions</div>
+
+      {calls.map(call => (
+        <div
+          key={call.id}
+          style={{ display: 'flex', alignItems: 'center', gap: '8px', padding: '4px 0' }}
+        >
+          <span title={call.status.replace('_', ' ')}>{STATUS_ICONS[call.status]}</span>
+          <div style={{ flex: 1, minWidth: 0 }}>
+            <div style={{ fontSize: '13px', color: '#1f2937', fontFamily: 'monospace' }}>{call.name}</div>
+            <div
+              style={{ fontSize: '11px', color: '#6b7280', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}
+              title={JSON.stringify(call.arguments, null, 2)}
+            >
+              {describeArguments(call.arguments)}
+              {call.error && <span style={{ color: '#ef4444' }}> • {call.error}</span>}
+            </div>
+          </div>
+          {call.status === 'awaiting_confirmation' && (
+            <>
+              <button
+                type="button"
+                className="btn btn-primary btn-small"
+                onClick={() => handleDecision(call, true)}
+                disabled={busyId !== null || !jobId}
+                title="Let the agent make this change"
+              >
+                ✓ Allow
+              </button>
+              <button
+                type="button"
+                className="btn btn-small"
+                onClick={() => handleDecision(call, false)}
+                disabled={busyId !== null || !jobId}
+                title="Refuse; the agent is told the call was rejected"
+              >
+                ✕
+              </button>
+            </>
+          )}
+        </div>
+      ))}
+
+      {error && (
+        <div style={{ fontSize: '11px', color: '#ef4444', marginTop: '4px' }}>{error}</div>
+      )}
+    </div>
+  );
+};
+
+export default AgentToolCalls;
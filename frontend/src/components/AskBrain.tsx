@@ -0,0 +1,148 @@
+import React, { useState, useEffect } from 'react';
+import ReactMarkdown from 'react-markdown';
+import { AskCitation } from '../types';
+import { useApp } from '../contexts/AppContext';
+import api from '../services/api';
+
+interface AskBrainProps {
+  brainId: string;
+  streamId: string;
+  onClose: () => void;
+  onCardCreated?: () => void;
+}
+
+const AskBrain: React.FC<AskBrainProps> = ({
+  brainId,
+  streamId,
+  onClose,
+  onCardCreated
+}) => {
+  const [question, setQuestion] = useState('');
+  const [availableModels, setAvailableModels] = useState<any[]>([]);
+  const [selectedModel, setSelectedModel] = useState('');
+  const [addToStream, setAddToStream] = useState(true);
+  const [isAsking, setIsAsking] = useState(false);
+  const [answer, setAnswer] = useState<string | null>(null);
+  const [citations, setCitations] = useState<AskCitation[]>([]);
+  const { setError } = useApp();
+
+  useEffect(() => {
+    const loadModels = async () => {
+      try {
+        const response = await api.get('/ai/models');
+        const models = response.data.models || [];
+        setAvailableModels(models);
+        if (models.length > 0) {
+          setSelectedModel(models[0].id);
+        }
+      } catch (error) {
+        console.error('Failed to load AI models:', error);
+      }
+    };
+    loadModels();
+  }, []);
+
+  const handleAsk = async () => {
+    if (!question.trim() || !selectedModel || isAsking) return;
+
+    setIsAsking(true);
+    setAnswer(null);
+    setCitations([]);
+    try {
+      const response = await api.post('/ai/ask', {
+        brainId,
+        question: question.trim(),
+        model: selectedModel,
+        streamId: addToStream ? streamId : undefined
+      });
+      setAnswer(response.data.answer);
+      setCitations(response.data.citations || []);
+      if (response.data.card) {
+        onCardCreated?.();
+      }
+    } catch (err: any) {
+      setError(err.response?.data?.message || 'Failed to answer question');
+    } finally {
+      setIsAsking(false);
+    }
+  };
+
+  return (
+    <div style={{
+      border: '1px solid var(--ai-context-border)',
+      borderRadius: '6px',
+      padding: '0.75rem',
+      marginBottom: '1rem'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '0.5rem' }}>
+        <strong style={{ fontSize: '14px' }}>🔎 Ask this brain</strong>
+        <button onClick={onClose} className="btn btn-small" title="Close">✕</button>
+      </div>
+
+      <textarea
+        value={question}
+        onChange={(e) => setQuestion(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+            e.preventDefault();
+            handleAsk();
+          }
+        }}
+        placeholder="Ask a question about your cards and files... (Ctrl+Enter to ask)"
+        rows={2}
+        disabled={isAsking}
+        style={{ width: '100%', resize: 'vertical', boxSizing: 'border-box' }}
+      />
+
+      <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', marginTop: '0.5rem' }}>
+        <select
+          value={selectedModel}
+          onChange={(e) => setSelectedModel(e.target.value)}
+          disabled={isAsking}
+        >
+          {availableModels.map(model => (
+            <option key={model.id} value={model.id}>{model.name}</option>
+          ))}
+        </select>
+        <label style={{ fontSize: '12px', color: '#6b7280', display: 'flex', alignItems: 'center', gap: '0.25rem' }}>
+          <input
+            type="checkbox"
+            checked={addToStream}
+            onChange={(e) => setAddToStream(e.target.checked)}
+            disabled={isAsking}
+          />
+          Add answer to stream
+        </label>
+        <button
+          onClick={handleAsk}
+          className="btn btn-primary btn-small"
+          disabled={isAsking || !question.trim() || !selectedModel}
+          style={{ marginLeft: 'auto' }}
+        >
+          {isAsking ? 'Searching...' : 'Ask'}
+        </button>
+      </div>
+
+      {answer !== null && (
+        <div style={{ marginTop: '0.75rem', fontSize: '14px' }}>
+          <ReactMarkdown>{answer}</ReactMarkdown>
+          {citations.length > 0 && (
+            <div style={{ marginTop: '0.5rem', fontSize: '12px', color: '#6b7280' }}>
+              {citations.map(citation => (
+                <div
+                  key={citation.sourceId}
+                  title={citation.excerpt}
+                  style={{ fontWeight: citation.cited ? 'bold' : 'normal' }}
+                >
+                  [{citation.index}] {citation.sourceType === 'file' ? '📄' : '📝'} {citation.title}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AskBrain;
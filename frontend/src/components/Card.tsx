@@ -1,14 +1,20 @@
-import React, { useState, useEffect } from 'react';
-import ReactMarkdown from 'react-markdown';
-import { Card as CardType, StreamCard } from '../types';
+import React, { useState, useEffect, useCallback } from 'react';
+import { Card as CardType, StreamCard, ContextReport, AgentToolCall } from '../types';
 import { useApp } from '../contexts/AppContext';
 import api from '../services/api';
+import { hasPendingReveal, takePendingReveal, scrollToTarget, onRevealRequested } from '../services/linkNavigation';
 import CardSearchInterface from './CardSearchInterface';
 import GenerateInterface from './GenerateInterface';
 import FileUploadInterface from './FileUploadInterface';
 import FileSearchInterface from './FileSearchInterface';
 import PDFCard from './PDFCard';
 import EPUBCard from './EPUBCard';
+import LinkSuggestions from './LinkSuggestions';
+import UnlinkedMentions from './UnlinkedMentions';
+import CardVersions from './CardVersions';
+import VersionedLinks, { hasVersionedLinks } from './VersionedLinks';
+import LinkedMarkdown from './LinkedMarkdown';
+import AgentToolCalls from './AgentToolCalls';
 
 interface CardProps {
   card: CardType;
@@ -22,9 +28,13 @@ interface CardProps {
   onToggleCollapse?: (streamCardId: string) => void; // Made optional since we handle display locally now
   onAddCardBelow?: (afterPosition: number) => void;
   onCreateCardBelow?: (afterPosition: number) => void;
-  onGenerateCardBelow?: (afterPosition: number, prompt: string, model: string) => void;
+  onGenerateCardBelow?: (afterPosition: number, prompt: string, model: string, mode?: string) => void;
   onUploadFileBelow?: (afterPosition: number) => void;
   isGenerating?: boolean;
+  generationContext?: ContextReport | null;
+  generationNotice?: string | null;
+  generationJobId?: string | null;
+  generationToolCalls?: AgentToolCall[];
   onStopGeneration?: () => void;
   onMoveUp?: (cardId: string) => void;
   onMoveDown?: (cardId: string) => void;
@@ -57,6 +67,10 @@ const Card: React.FC<CardProps> = ({
   onGenerateCardBelow,
   onUploadFileBelow,
   isGenerating = false,
+  generationContext = null,
+  generationNotice = null,
+  generationJobId = null,
+  generationToolCalls = [],
   onStopGeneration,
   onMoveUp,
   onMoveDown,
@@ -82,6 +96,9 @@ const Card: React.FC<CardProps> = ({
   const [saveIndicatorPulse, setSaveIndicatorPulse] = useState(false);
   const [showGenerateInterface, setShowGenerateInterface] = useState(false);
   const [titleError, setTitleError] = useState<string | null>(null);
+  const [showLinkSuggestions, setShowLinkSuggestions] = useState(false);
+  const [showVersions, setShowVersions] = useState(false);
+  const [showMentions, setShowMentions] = useState(false);
   const { aiContextCards, toggleAIContext } = useApp();
 
   const cardId = (card as any).cardId || card.id; // Use cardId if available, fallback to id
@@ -101,7 +118,7 @@ const Card: React.FC<CardProps> = ({
   }, [card.title, card.content, card.contentPreview]);
 
   // Load full content when editing starts
-  const loadFullContent = async () => {
+  const loadFullContent = useCallback(async () => {
     if (fullContent !== null || isLoadingContent) return fullContent;
     
     try {
@@ -119,7 +136,29 @@ const Card: React.FC<CardProps> = ({
     } finally {
       setIsLoadingContent(false);
     }
-  };
+  }, [cardId, fullContent, isLoadingContent, card.content, card.contentPreview]);
+
+  // A [[link]] elsewhere asked for this card: expand it, load the full content, then scroll to the anchor
+  useEffect(() => {
+    const reveal = () => {
+      if (!hasPendingReveal(cardId)) return;
+      if (displayState !== 2) {
+        setDisplayState(2);
+        return;
+      }
+      if (fullContent === null) {
+        loadFullContent();
+        return;
+      }
+      const target = takePendingReveal(cardId);
+      if (target) requestAnimationFrame(() => scrollToTarget(target));
+    };
+
+    reveal();
+    return onRevealRequested(requestedId => {
+      if (requestedId === cardId) reveal();
+    });
+  }, [cardId, displayState, fullContent, loadFullContent]);
 
   const handleTitleSubmit = async () => {
     const newTitle = editTitle.trim();
@@ -411,6 +450,30 @@ const Card: React.FC<CardProps> = ({
         )}
 
         <div className="card-controls">
+          {/* Context notice - only when some context didn't fit the model */}
+          {isGenerating && generationContext && (generationContext.truncatedCount > 0 || generationContext.omittedCount > 0) && (
+            <span
+              title={generationContext.items
+                .filter(item => item.status !== 'included')
+                .map(item => `${item.title || item.id}: ${item.status}${item.reason ? ` (${item.reason})` : ''}`)
+                .join('\n')}
+              style={{
+                fontSize: '11px',
+                color: '#6b7280',
+                whiteSpace: 'nowrap'
+              }}
+            >
+              📄 {generationContext.truncatedCount} truncated, {generationContext.omittedCount} omitted
+            </span>
+          )}
+
+          {/* Retry/fallback notice while the provider is busy */}
+          {isGenerating && generationNotice && (
+            <span style={{ fontSize: '11px', color: '#b45309', whiteSpace: 'nowrap' }}>
+              {generationNotice}
+            </span>
+          )}
+
           {/* Generation stop button - only show when generating */}
           {isGenerating && onStopGeneration && (
             <button
@@ -460,6 +523,54 @@ const Card: React.FC<CardProps> = ({
             AI
           </button>
           
+          {/* Suggested [[links]] to related cards (saved cards only) */}
+          {card.title && (
+            <button
+              type="button"
+              className="btn btn-small"
+              onClick={(e) => {
+                e.stopPropagation();
+                setShowLinkSuggestions(prev => !prev);
+              }}
+              title={showLinkSuggestions ? 'Hide link suggestions' : 'Suggest links to related cards'}
+              style={{ opacity: showLinkSuggestions ? 1 : 0.7 }}
+            >
+              🔗
+            </button>
+          )}
+          
+          {/* Plain-text mentions of this card elsewhere (saved cards only) */}
+          {card.title && (
+            <button
+              type="button"
+              className="btn btn-small"
+              onClick={(e) => {
+                e.stopPropagation();
+                setShowMentions(prev => !prev);
+              }}
+              title={showMentions ? 'Hide unlinked mentions' : 'Show cards that mention this card without linking it'}
+              style={{ opacity: showMentions ? 1 : 0.7 }}
+            >
+              💬
+            </button>
+          )}
+          
+          {/* Version history (saved cards only) */}
+          {card.title && (
+            <button
+              type="button"
+              className="btn btn-small"
+              onClick={(e) => {
+                e.stopPropagation();
+                setShowVersions(prev => !prev);
+              }}
+              title={showVersions ? 'Hide version history' : 'Show version history'}
+              style={{ opacity: showVersions ? 1 : 0.7 }}
+            >
+              🕘
+            </button>
+          )}
+          
           <button
             type="button"
             className="btn btn-small"
@@ -636,10 +747,14 @@ const Card: React.FC<CardProps> = ({
                   {displayState === 2 ? (
                     // Fully expanded - show complete content or load it if needed
                     fullContent ? (
-                      <ReactMarkdown>{fullContent}</ReactMarkdown>
+                      <>
+                        <LinkedMarkdown content={fullContent} cardId={cardId} />
+                        {hasVersionedLinks(fullContent) && <VersionedLinks cardId={cardId} content={fullContent} />}
+                      </>
                     ) : (
                       <>
-                        <ReactMarkdown>{card.content || card.contentPreview}</ReactMarkdown>
+                        <LinkedMarkdown content={card.content || card.contentPreview || ''} cardId={cardId} />
+                        {card.content && hasVersionedLinks(card.content) && <VersionedLinks cardId={cardId} content={card.content} />}
                         {(!card.content && card.contentPreview && card.contentPreview.length >= 500) && (
                           <div 
                             className="read-more-indicator"
@@ -663,7 +778,7 @@ const Card: React.FC<CardProps> = ({
                     // Preview mode - show limited content with read more
                     <>
                       <div className="card-preview-content">
-                        <ReactMarkdown>{card.content || card.contentPreview}</ReactMarkdown>
+                        <LinkedMarkdown content={card.content || card.contentPreview || ''} cardId={cardId} />
                       </div>
                       {(card.content || card.contentPreview) && (card.content || card.contentPreview).length > 200 && (
                         <div 
@@ -703,6 +818,45 @@ const Card: React.FC<CardProps> = ({
         </div>
       )}
       
+      {/* Tool calls of an agent generation, with approval for changes to the brain */}
+      {isGenerating && generationToolCalls.length > 0 && (
+        <AgentToolCalls jobId={generationJobId} calls={generationToolCalls} />
+      )}
+      
+      {showLinkSuggestions && card.title && (
+        <LinkSuggestions
+          cardId={cardId}
+          onLinked={(content) => {
+            // The server rewrote the card; show the new content with its link
+            setFullContent(content);
+            setEditContent(content);
+            setDisplayState(2);
+          }}
+          onClose={() => setShowLinkSuggestions(false)}
+        />
+      )}
+      
+      {showMentions && card.title && (
+        <UnlinkedMentions
+          cardId={cardId}
+          streamId={streamId}
+          onClose={() => setShowMentions(false)}
+        />
+      )}
+      
+      {showVersions && card.title && (
+        <CardVersions
+          cardId={cardId}
+          onRestored={(content) => {
+            // Show the restored content
+            setFullContent(content);
+            setEditContent(content);
+            setDisplayState(2);
+          }}
+          onClose={() => setShowVersions(false)}
+        />
+      )}
+      
       {/* Card Action Buttons - Add/Create below this card */}
       {(onAddCardBelow || onCreateCardBelow || onUploadFileBelow) && displayState > 0 && (
         <div className="card-actions" style={{
@@ -817,8 +971,8 @@ const Card: React.FC<CardProps> = ({
           brainId={brainId}
           position={streamCard.position}
           contextCards={aiContextCards}
-          onGenerate={(prompt, model, position) => {
-            onGenerateCardBelow(position, prompt, model);
+          onGenerate={(prompt, model, position, mode) => {
+            onGenerateCardBelow(position, prompt, model, mode);
             setShowGenerateInterface(false);
           }}
           onCancel={() => setShowGenerateInterface(false)}
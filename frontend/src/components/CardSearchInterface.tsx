@@ -1,6 +1,11 @@
-import React, { useState, useEffect } from 'react';
-import { Card as CardType, StreamCard } from '../types';
+import React, { useState, useEffect, useRef } from 'react';
+import { Card as CardType, StreamCard, SearchResult } from '../types';
 import api from '../services/api';
+import SearchSnippet from './SearchSnippet';
+import SavedSearches from './SavedSearches';
+
+// Wait this long after the last keystroke before searching
+const SEARCH_DELAY_MS = 250;
 
 interface CardSearchInterfaceProps {
   brainId: string;
@@ -21,6 +26,10 @@ const CardSearchInterface: React.FC<CardSearchInterfaceProps> = ({
   const [searchResults, setSearchResults] = useState<CardType[]>([]);
   const [isSearching, setIsSearching] = useState(false);
   const [allCards, setAllCards] = useState<CardType[]>([]);
+  const [matches, setMatches] = useState<Record<string, SearchResult>>({});
+  const [searchError, setSearchError] = useState<string | null>(null);
+  // Only the newest search may set results; slower earlier ones are dropped
+  const searchRequestRef = useRef(0);
 
   // Get IDs of cards already in this stream
   const cardsInStreamIds = streamCards.map(sc => sc.cardId || sc.id).filter(Boolean);
@@ -32,8 +41,13 @@ const CardSearchInterface: React.FC<CardSearchInterfaceProps> = ({
 
   useEffect(() => {
     if (searchQuery.trim()) {
-      performSearch();
+      const timer = setTimeout(performSearch, SEARCH_DELAY_MS);
+      return () => clearTimeout(timer);
     } else {
+      searchRequestRef.current++;
+      setIsSearching(false);
+      setSearchError(null);
+      setMatches({});
       // Show all cards when no search query (excluding unsaved cards)
       setSearchResults(allCards.filter((card: CardType) => 
         !cardsInStream.has(card.id) && (card.cardType || 'saved') !== 'unsaved'
@@ -58,26 +72,34 @@ const CardSearchInterface: React.FC<CardSearchInterfaceProps> = ({
   const performSearch = async () => {
     if (!searchQuery.trim()) return;
     
+    const requestId = ++searchRequestRef.current;
     setIsSearching(true);
+    setSearchError(null);
     try {
-      // Filter cards by title and content
-      const filtered = allCards.filter((card: CardType) => {
-        if (cardsInStream.has(card.id)) return false;
-        
-        // Exclude unsaved cards from search results
-        if ((card.cardType || 'saved') === 'unsaved') return false;
-        
-        const titleMatch = card.title?.toLowerCase().includes(searchQuery.toLowerCase()) || false;
-        const displayTitleMatch = card.displayTitle?.toLowerCase().includes(searchQuery.toLowerCase()) || false;
-        const contentMatch = card.content?.toLowerCase().includes(searchQuery.toLowerCase()) || false;
-        return titleMatch || displayTitleMatch || contentMatch;
+      // Full-text search over card content; the last word matches as a prefix while typing
+      const response = await api.get('/search', {
+        params: { q: searchQuery.trim(), brainId, type: 'card', prefix: 'last', limit: 50 }
       });
-      
-      setSearchResults(filtered);
-    } catch (err) {
+      if (requestId !== searchRequestRef.current) return;
+
+      const results: SearchResult[] = response.data.results || [];
+      const cardsById = new Map(allCards.map(card => [card.id, card]));
+      const found = results
+        .filter(result => !cardsInStream.has(result.id) && (result.cardType || 'saved') !== 'unsaved')
+        .map(result => cardsById.get(result.id))
+        .filter((card): card is CardType => Boolean(card));
+
+      setMatches(Object.fromEntries(results.map(result => [result.id, result])));
+      setSearchResults(found);
+    } catch (err: any) {
+      if (requestId !== searchRequestRef.current) return;
       console.error('Search failed:', err);
+      setSearchError(err.response?.data?.message || 'Search failed');
+      setSearchResults([]);
     } finally {
-      setIsSearching(false);
+      if (requestId === searchRequestRef.current) {
+        setIsSearching(false);
+      }
     }
   };
 
@@ -98,11 +120,23 @@ const CardSearchInterface: React.FC<CardSearchInterfaceProps> = ({
             value={searchQuery}
             onChange={(e) => setSearchQuery(e.target.value)}
             className="form-input"
-            placeholder="Search cards by title or content..."
+            placeholder='Search cards, e.g. "free will" title:draft -tag:archive modified:>30d'
             autoFocus
           />
+          <div
+            style={{ fontSize: '12px', color: '#9ca3af', marginTop: '0.25rem' }}
+            title={'"phrase"  word*  -word  a OR b\ntitle:"..."  type:saved|unsaved  links-to:[[Title]]\ntag:name  modified:>2026-01-01 | <=2026-03 | >7d  brain:name\nPut - before a filter to exclude its matches'}
+          >
+            Filters: title: type: links-to:[[…]] tag: modified: brain: (hover for help)
+          </div>
         </div>
 
+        <SavedSearches brainId={brainId} query={searchQuery} onRun={setSearchQuery} />
+
+        {searchError && (
+          <div style={{ marginBottom: '0.5rem', fontSize: '14px', color: '#ef4444' }}>{searchError}</div>
+        )}
+
         {/* Search Results */}
         <div style={{ maxHeight: '400px', overflowY: 'auto', marginBottom: '1rem' }}>
           {isSearching ? (
@@ -144,7 +178,9 @@ const CardSearchInterface: React.FC<CardSearchInterfaceProps> = ({
                   <div style={{ fontWeight: '500', marginBottom: '0.25rem' }}>
                     {card.displayTitle || card.title || 'Untitled'}
                   </div>
-                  {card.content && (
+                  {matches[card.id] ? (
+                    <SearchSnippet result={matches[card.id]} />
+                  ) : card.content && (
                     <div style={{ 
                       fontSize: '14px', 
                       color: '#6b7280',
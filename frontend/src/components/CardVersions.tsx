@@ -0,0 +1,188 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import ReactMarkdown from 'react-markdown';
+import api from '../services/api';
+import { CardVersion, VersionDiffLine } from '../types';
+
+interface CardVersionsProps {
+  cardId: string;
+  onRestored: (content: string) => void;
+  onClose: () => void;
+}
+
+const diffLineStyles: Record<VersionDiffLine['type'], React.CSSProperties> = {
+  equal: { color: '#6b7280' },
+  added: { color: '#166534', backgroundColor: '#dcfce7' },
+  removed: { color: '#991b1b', backgroundColor: '#fee2e2', textDecoration: 'line-through' }
+};
+
+const diffLinePrefix: Record<VersionDiffLine['type'], string> = {
+  equal: '  ',
+  added: '+ ',
+  removed: '- '
+};
+
+// Version history of a card: view any saved version, diff it against the one before, or restore it
+const CardVersions: React.FC<CardVersionsProps> = ({ cardId, onRestored, onClose }) => {
+  const [versions, setVersions] = useState<CardVersion[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [selected, setSelected] = useState<CardVersion | null>(null);
+  const [diff, setDiff] = useState<VersionDiffLine[] | null>(null);
+  const [showDiff, setShowDiff] = useState(false);
+  const [isRestoring, setIsRestoring] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const loadVersions = useCallback(async () => {
+    try {
+      const response = await api.get(`/cards/${cardId}/versions`);
+      setVersions(response.data.versions);
+    } catch (err: any) {
+      console.error('Failed to load card versions:', err);
+      setError(err.response?.data?.message || 'Failed to load versions');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [cardId]);
+
+  useEffect(() => {
+    loadVersions();
+  }, [loadVersions]);
+
+  const handleSelect = async (version: CardVersion) => {
+    if (selected?.versionNumber === version.versionNumber) {
+      setSelected(null);
+      return;
+    }
+    setError(null);
+    setDiff(null);
+
+    try {
+      const [versionResponse, diffResponse] = await Promise.all([
+        api.get(`/cards/${cardId}/versions/${version.versionNumber}`),
+        api.get(`/cards/${cardId}/versions/${version.versionNumber}/diff`)
+      ]);
+      setSelected(versionResponse.data.version);
+      setDiff(diffResponse.data.changes);
+    } catch (err: any) {
+      console.error('Failed to load card version:', err);
+      setError(err.response?.data?.message || 'Failed to load version');
+    }
+  };
+
+  const handleRestore = async (version: CardVersion) => {
+    if (!window.confirm(`Restore version ${version.versionNumber}? The current content is kept in the history.`)) return;
+    setIsRestoring(true);
+    setError(null);
+
+    try {
+      const response = await api.post(`/cards/${cardId}/versions/${version.versionNumber}/restore`);
+      onRestored(response.data.card.content || '');
+      setSelected(null);
+      await loadVersions();
+    } catch (err: any) {
+      console.error('Failed to restore card version:', err);
+      setError(err.response?.data?.message || 'Failed to restore version');
+    } finally {
+      setIsRestoring(false);
+    }
+  };
+
+  return (
+    <div
+      className="card-versions"
+      style={{
+        padding: '8px 12px',
+        borderTop: '1px solid #f3f4f6',
+        backgroundColor: '#fafbfc'
+      }}
+    >
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '6px' }}>
+        <span style={{ fontSize: '12px', fontWeight: 600, color: '#374151' }}>
+          Version history{versions.length > 0 ? ` (${versions.length})` : ''}
+        </span>
+        <button type="button" className="btn btn-small" onClick={onClose} title="Hide history">
+          ✕
+        </button>
+      </div>
+
+      {isLoading ? (
+        <div style={{ fontSize: '12px', color: '#6b7280' }}>Loading versions...</div>
+      ) : versions.length === 0 ? (
+        <div style={{ fontSize: '12px', color: '#6b7280', fontStyle: 'italic' }}>
+          No versions yet. A version is saved each time the card's content changes.
+        </div>
+      ) : (
+        versions.map(version => (
+          <div key={version.id}>
+            <div
+              onClick={() => handleSelect(version)}
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: '8px',
+                padding: '4px 0',
+                cursor: 'pointer',
+                fontSize: '13px',
+                color: selected?.versionNumber === version.versionNumber ? '#1d4ed8' : '#1f2937'
+              }}
+            >
+              <span style={{ fontWeight: 600, minWidth: '32px' }}>v{version.versionNumber}</span>
+              <span style={{ flex: 1, fontSize: '12px', color: '#6b7280' }}>
+                {new Date(version.createdAt).toLocaleString()} • {version.fileSize} bytes
+                {version.title ? ` • ${version.title}` : ''}
+              </span>
+              {version.isActive && (
+                <span style={{ fontSize: '11px', color: '#059669' }}>current</span>
+              )}
+            </div>
+
+            {selected?.versionNumber === version.versionNumber && (
+              <div style={{ margin: '4px 0 8px 40px' }}>
+                <div style={{ display: 'flex', gap: '6px', marginBottom: '6px' }}>
+                  <button
+                    type="button"
+                    className="btn btn-small"
+                    onClick={() => setShowDiff(prev => !prev)}
+                    title={showDiff ? 'Show the content of this version' : 'Show what changed from the version before'}
+                  >
+                    {showDiff ? '📄 Content' : '± Changes'}
+                  </button>
+                  {!version.isActive && (
+                    <button
+                      type="button"
+                      className="btn btn-primary btn-small"
+                      onClick={() => handleRestore(version)}
+                      disabled={isRestoring}
+                      title="Make this version the card's content"
+                    >
+                      {isRestoring ? 'Restoring...' : '↩ Restore'}
+                    </button>
+                  )}
+                </div>
+
+                {showDiff && diff ? (
+                  <pre style={{ margin: 0, fontSize: '12px', whiteSpace: 'pre-wrap', maxHeight: '300px', overflowY: 'auto' }}>
+                    {diff.map((line, index) => (
+                      <div key={index} style={diffLineStyles[line.type]}>
+                        {diffLinePrefix[line.type]}{line.text}
+                      </div>
+                    ))}
+                  </pre>
+                ) : (
+                  <div style={{ fontSize: '13px', maxHeight: '300px', overflowY: 'auto' }}>
+                    <ReactMarkdown>{selected.content || ''}</ReactMarkdown>
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+        ))
+      )}
+
+      {error && (
+        <div style={{ fontSize: '11px', color: '#ef4444', marginTop: '4px' }}>{error}</div>
+      )}
+    </div>
+  );
+};
+
+export default CardVersions;
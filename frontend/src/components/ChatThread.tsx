@@ -0,0 +1,325 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import ReactMarkdown from 'react-markdown';
+import { ChatThread as ChatThreadType, ChatMessage } from '../types';
+import { useApp } from '../contexts/AppContext';
+import api from '../services/api';
+import { describeProviderEvent } from '../services/providerEvents';
+import config from '../config.js';
+
+interface ChatThreadProps {
+  thread: ChatThreadType;
+  streamId: string;
+  onDelete: (threadId: string) => void;
+  onCardCreated?: () => void;
+}
+
+const ChatThread: React.FC<ChatThreadProps> = ({
+  thread,
+  streamId,
+  onDelete,
+  onCardCreated
+}) => {
+  const [messages, setMessages] = useState<ChatMessage[]>([]);
+  const [activeBranch, setActiveBranch] = useState<string[]>([]);
+  const [availableModels, setAvailableModels] = useState<any[]>([]);
+  const [selectedModel, setSelectedModel] = useState(thread.model || '');
+  const [draft, setDraft] = useState('');
+  // When set, the next message branches from this turn instead of the active leaf
+  const [branchParentId, setBranchParentId] = useState<string | null | undefined>(undefined);
+  const [streamingMessageId, setStreamingMessageId] = useState<string | null>(null);
+  const [replyNotice, setReplyNotice] = useState<string | null>(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const eventSourceRef = useRef<EventSource | null>(null);
+  const { setError, aiContextCards } = useApp();
+
+  const loadThread = useCallback(async () => {
+    try {
+      const response = await api.get(`/chat/threads/${thread.id}`);
+      setMessages(response.data.thread.messages || []);
+      setActiveBranch(response.data.thread.activeBranch || []);
+    } catch (err: any) {
+      setError(err.response?.data?.message || 'Failed to load chat thread');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [thread.id, setError]);
+
+  const loadModels = useCallback(async () => {
+    try {
+      const response = await api.get('/ai/models');
+      const models = response.data.models || [];
+      setAvailableModels(models);
+      if (!thread.model && models.length > 0) {
+        setSelectedModel(models[0].id);
+      }
+    } catch (error) {
+      console.error('Failed to load AI models:', error);
+    }
+  }, [thread.model]);
+
+  useEffect(() => {
+    loadThread();
+    loadModels();
+    return () => eventSourceRef.current?.close();
+  }, [loadThread, loadModels]);
+
+  const streamReply = (messageId: string, streamUrl: string) => {
+    setStreamingMessageId(messageId);
+    const eventSource = new EventSource(`${config.apiUrl}${streamUrl.replace(/^\/api/, '')}`, {
+      withCredentials: true
+    });
+    eventSourceRef.current = eventSource;
+
+    const finish = () => {
+      eventSource.close();
+      eventSourceRef.current = null;
+      setStreamingMessageId(null);
+      setReplyNotice(null);
+      loadThread();
+    };
+
+    eventSource.onmessage = (event) => {
+      try {
+        const data = JSON.parse(event.data);
+        switch (data.type) {
+          case 'queued':
+          case 'retry':
+          case 'fallback':
+            setReplyNotice(describeProviderEvent(data));
+            break;
+          case 'chunk':
+            setReplyNotice(null);
+            setMessages(prev => prev.map(m =>
+              m.id === messageId ? { ...m, content: data.totalContent, status: 'streaming' } : m
+            ));
+            break;
+          case 'complete':
+            finish();
+            break;
+          case 'error':
+            setError(`AI reply failed: ${data.message}`);
+            finish();
+            break;
+        }
+      } catch (error) {
+        console.error('Error parsing chat stream data:', error);
+      }
+    };
+
+    eventSource.onerror = () => {
+      setError('AI reply connection failed');
+      finish();
+    };
+  };
+
+  const handleSend = async () => {
+    if (!draft.trim() || streamingMessageId) return;
+
+    try {
+      const body: any = {
+        content: draft.trim(),
+        model: selectedModel,
+        contextCardIds: aiContextCards,
+        streamId
+      };
+      if (branchParentId !== undefined) {
+        body.parentMessageId = branchParentId;
+      }
+
+      const response = await api.post(`/chat/threads/${thread.id}/messages`, body);
+      const { userMessage, assistantMessage, streamUrl } = response.data;
+
+      setMessages(prev => [...prev, userMessage, assistantMessage]);
+      setActiveBranch(prev => {
+        const parentIndex = userMessage.parentMessageId ? prev.indexOf(userMessage.parentMessageId) : -1;
+        return [...prev.slice(0, parentIndex + 1), userMessage.id, assistantMessage.id];
+      });
+      setDraft('');
+      setBranchParentId(undefined);
+
+      streamReply(assistantMessage.id, streamUrl);
+    } catch (err: any) {
+      setError(err.response?.data?.message || 'Failed to send message');
+    }
+  };
+
+  const handleKeyDown = (e: React.KeyboardEvent) => {
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      handleSend();
+    }
+    if (e.key === 'Escape' && branchParentId !== undefined) {
+      setBranchParentId(undefined);
+      setDraft('');
+    }
+  };
+
+  const handleEditTurn = (message: ChatMessage) => {
+    // Editing a user turn sends a new sibling, branching the conversation
+    setBranchParentId(message.parentMessageId);
+    setDraft(message.content);
+  };
+
+  const handleSwitchBranch = async (messageId: string) => {
+    try {
+      const response = await api.put(`/chat/threads/${thread.id}/active`, { messageId });
+      setMessages(response.data.thread.messages || []);
+      setActiveBranch(response.data.thread.activeBranch || []);
+    } catch (err: any) {
+      setError(err.response?.data?.message || 'Failed to switch branch');
+    }
+  };
+
+  const handlePromote = async (messageId: string) => {
+    try {
+      await api.post(`/chat/messages/${messageId}/promote`, { streamId });
+      onCardCreated?.();
+    } catch (err: any) {
+      setError(err.response?.data?.message || 'Failed to save reply as card');
+    }
+  };
+
+  const branchMessages = activeBranch
+    .map(id => messages.find(m => m.id === id))
+    .filter((m): m is ChatMessage => !!m);
+
+  const renderBranchSwitcher = (message: ChatMessage) => {
+    const siblings = messages.filter(m => m.parentMessageId === message.parentMessageId && m.role === message.role);
+    if (siblings.length < 2) return null;
+    const index = siblings.findIndex(m => m.id === message.id);
+
+    return (
+      <span style={{ display: 'inline-flex', alignItems: 'center', gap: '4px', fontSize: '12px', color: '#6b7280' }}>
+        <button
+          className="btn btn-small"
+          disabled={index === 0 || !!streamingMessageId}
+          onClick={() => handleSwitchBranch(siblings[index - 1].id)}
+          title="Previous branch"
+        >
+          ‹
+        </button>
+        {index + 1}/{siblings.length}
+        <button
+          className="btn btn-small"
+          disabled={index === siblings.length - 1 || !!streamingMessageId}
+          onClick={() => handleSwitchBranch(siblings[index + 1].id)}
+          title="Next branch"
+        >
+          ›
+        </button>
+      </span>
+    );
+  };
+
+  return (
+    <div className="card chat-thread" data-thread-id={thread.id}>
+      <div className="card-header">
+        <h3 className="card-title">💬 {thread.title || 'Chat'}</h3>
+        <div className="card-controls">
+          <button
+            type="button"
+            className="btn btn-small"
+            onClick={() => onDelete(thread.id)}
+            title="Delete chat thread"
+          >
+            🗑️
+          </button>
+        </div>
+      </div>
+
+      <div className="card-content">
+        {isLoading ? (
+          <div style={{ color: '#6b7280', fontSize: '14px' }}>Loading conversation...</div>
+        ) : (
+          branchMessages.map(message => (
+            <div
+              key={message.id}
+              className={`chat-message chat-message-${message.role}`}
+              style={{
+                padding: '8px 12px',
+                margin: '8px 0',
+                borderRadius: '6px',
+                backgroundColor: message.role === 'user' ? '#eff6ff' : '#f9fafb',
+                border: `1px solid ${message.status === 'error' ? '#fca5a5' : '#e5e7eb'}`
+              }}
+            >
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', fontSize: '12px', color: '#6b7280' }}>
+                <span>{message.role === 'user' ? 'You' : message.model || 'Assistant'}</span>
+                <span style={{ display: 'flex', gap: '4px', alignItems: 'center' }}>
+                  {renderBranchSwitcher(message)}
+                  {message.role === 'user' && !streamingMessageId && (
+                    <button className="btn btn-small" onClick={() => handleEditTurn(message)} title="Edit and branch from here">
+                      ✏️
+                    </button>
+                  )}
+                  {message.role === 'assistant' && message.status === 'complete' && (
+                    <button className="btn btn-small" onClick={() => handlePromote(message.id)} title="Save reply as a card in this stream">
+                      💾
+                    </button>
+                  )}
+                </span>
+              </div>
+              {message.content ? (
+                <ReactMarkdown>{message.content}</ReactMarkdown>
+              ) : message.status === 'pending' || message.status === 'streaming' ? (
+                <span className="loading-spinner" style={{ width: '12px', height: '12px' }} />
+              ) : null}
+              {message.id === streamingMessageId && replyNotice && (
+                <div style={{ color: '#b45309', fontSize: '12px' }}>{replyNotice}</div>
+              )}
+              {message.status === 'error' && (
+                <div style={{ color: '#ef4444', fontSize: '12px' }}>{message.errorMessage || 'Generation failed'}</div>
+              )}
+            </div>
+          ))
+        )}
+
+        <div className="chat-composer" style={{ marginTop: '8px' }}>
+          {branchParentId !== undefined && (
+            <div style={{ fontSize: '12px', color: '#6b7280', marginBottom: '4px' }}>
+              Editing creates a new branch (Esc to cancel)
+            </div>
+          )}
+          <textarea
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            onKeyDown={handleKeyDown}
+            placeholder="Send a message... (Ctrl+Enter to send)"
+            rows={3}
+            style={{
+              width: '100%',
+              padding: '8px',
+              border: '1px solid #d1d5db',
+              borderRadius: '4px',
+              fontSize: '14px',
+              resize: 'vertical',
+              fontFamily: 'inherit'
+            }}
+          />
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: '4px' }}>
+            <select
+              value={selectedModel}
+              onChange={(e) => setSelectedModel(e.target.value)}
+              style={{ padding: '4px 8px', border: '1px solid #d1d5db', borderRadius: '4px', fontSize: '12px' }}
+            >
+              {availableModels.map(model => (
+                <option key={model.id} value={model.id}>
+                  {model.name} ({model.provider})
+                </option>
+              ))}
+            </select>
+            <button
+              className="btn btn-primary btn-small"
+              onClick={handleSend}
+              disabled={!draft.trim() || !selectedModel || !!streamingMessageId}
+            >
+              {streamingMessageId ? 'Replying...' : 'Send'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ChatThread;
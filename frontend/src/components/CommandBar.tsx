@@ -3,23 +3,24 @@ import { useApp } from '../contexts/AppContext';
 import { useAuth } from '../contexts/AuthContext';
 import { useTokenCount } from '../hooks/useTokenCount';
 import { tokenCounter } from '../services/tokenCounter';
+import StreamSettings from './StreamSettings';
 
 interface CommandBarProps {
   streamId?: string;
 }
 
 const CommandBar: React.FC<CommandBarProps> = ({ streamId }) => {
-  const { aiContextCards, clearAIContext, currentStream } = useApp();
+  const { aiContextCards, aiContextImages, clearAIContext, currentStream } = useApp();
   const { user } = useAuth();
   const [selectedModel] = useState('gpt-4o'); // Default model for token counting
+  const [showSettings, setShowSettings] = useState(false);
   
-  // Use live token counting
-  const { totalTokens, isLoading: tokenLoading } = useTokenCount(selectedModel);
+  // Live token counts from the backend tokenizer for this model
+  const { totalTokens, imageTokens, contextLimit, exact, isLoading: tokenLoading } = useTokenCount(selectedModel);
+  const hasContext = aiContextCards.length > 0 || aiContextImages.length > 0;
   
-  // Get model context limit for percentage calculation
-  const contextLimit = tokenCounter.getContextLimit(selectedModel);
-  const usagePercentage = tokenCounter.getUsagePercentage(totalTokens, selectedModel);
-  const exceedsLimit = tokenCounter.exceedsLimit(totalTokens, selectedModel);
+  const usagePercentage = Math.round((totalTokens / contextLimit) * 100);
+  const exceedsLimit = totalTokens > contextLimit;
 
   return (
     <div className="app-command-bar">
@@ -29,11 +30,17 @@ const CommandBar: React.FC<CommandBarProps> = ({ streamId }) => {
           <>
             <button
               className="btn btn-small"
-              disabled
-              title="Stream settings (coming soon)"
+              onClick={() => setShowSettings(!showSettings)}
+              title="System prompt and generation parameters for this stream"
             >
-              Settings
+              Settings{currentStream?.aiSettings?.systemPrompt ? ' •' : ''}
             </button>
+            {showSettings && (
+              <StreamSettings
+                streamId={streamId}
+                onClose={() => setShowSettings(false)}
+              />
+            )}
           </>
         )}
       </div>
@@ -49,12 +56,15 @@ const CommandBar: React.FC<CommandBarProps> = ({ streamId }) => {
             style={{ 
               fontSize: '12px', 
               fontWeight: 600,
-              color: exceedsLimit ? '#ef4444' : aiContextCards.length > 0 ? 'var(--ai-context-border)' : 'var(--text-primary)'
+              color: exceedsLimit ? '#ef4444' : hasContext ? 'var(--ai-context-border)' : 'var(--text-primary)'
             }}
+            title={imageTokens.map(image => `${image.label}: ${tokenCounter.formatTokenCount(image.tokens)} tokens`).join('\n') || undefined}
           >
             {tokenLoading ? '...' : (
               <>
-                {aiContextCards.length} cards ({tokenCounter.formatTokenCount(totalTokens)} tokens)
+                {aiContextCards.length} cards
+                {aiContextImages.length > 0 && `, ${aiContextImages.length} image${aiContextImages.length === 1 ? '' : 's'}`}
+                {' '}({exact ? '' : '~'}{tokenCounter.formatTokenCount(totalTokens)} tokens)
                 {totalTokens > 0 && (
                   <span style={{ 
                     fontSize: '10px', 
@@ -67,7 +77,7 @@ const CommandBar: React.FC<CommandBarProps> = ({ streamId }) => {
               </>
             )}
           </span>
-          {aiContextCards.length > 0 && (
+          {hasContext && (
             <>
               <button
                 onClick={clearAIContext}
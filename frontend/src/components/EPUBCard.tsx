@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { Card as CardType, StreamCard } from '../types';
 import api from '../services/api';
+import { useApp } from '../contexts/AppContext';
 
 interface EPUBCardProps {
   card: CardType;
@@ -54,8 +55,11 @@ const EPUBCard: React.FC<EPUBCardProps> = ({
   const [editTitle, setEditTitle] = useState(card.title || '');
   const [isExpanded, setIsExpanded] = useState(false);
   const [coverImageUrl, setCoverImageUrl] = useState<string | null>(null);
+  const { aiContextImages, addAIContextImage, removeAIContextImage } = useApp();
 
   const cardId = (card as any).cardId || card.id;
+  const coverImageId = fileInfo ? `epub:${fileInfo.id}` : '';
+  const coverInAIContext = aiContextImages.some(image => image.id === coverImageId);
 
   useEffect(() => {
     loadFileInfo();
@@ -352,6 +356,22 @@ const EPUBCard: React.FC<EPUBCardProps> = ({
                 <button className="epub-action-btn primary" onClick={handleDownload}>
                   📥 Download EPUB
                 </button>
+                {coverImageUrl && (
+                  <button
+                    className="epub-action-btn secondary"
+                    onClick={() => coverInAIContext
+                      ? removeAIContextImage(coverImageId)
+                      : addAIContextImage({
+                        id: coverImageId,
+                        source: 'epub_cover',
+                        fileId: fileInfo.id,
+                        label: `Cover of ${displayTitle}`
+                      })}
+                    title="Send the cover image to vision models with your next generation"
+                  >
+                    🖼️ {coverInAIContext ? 'Remove cover from AI context' : 'Add cover to AI context'}
+                  </button>
+                )}
                 <button className="epub-action-btn secondary" disabled>
                   📖 Read Online (Coming Soon)
                 </button>
@@ -1,5 +1,10 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import api from '../services/api';
+import { SearchResult } from '../types';
+import SearchSnippet from './SearchSnippet';
+
+// Wait this long after the last keystroke before searching file text
+const SEARCH_DELAY_MS = 250;
 
 interface FileSearchInterfaceProps {
   brainId: string;
@@ -18,6 +23,9 @@ const FileSearchInterface: React.FC<FileSearchInterfaceProps> = ({
   const [searchResults, setSearchResults] = useState<any[]>([]);
   const [isLoading, setIsLoading] = useState(false);
   const [allFiles, setAllFiles] = useState<any[]>([]);
+  const [matches, setMatches] = useState<Record<string, SearchResult>>({});
+  // Only the newest search may set results; slower earlier ones are dropped
+  const searchRequestRef = useRef(0);
 
   useEffect(() => {
     loadAllFiles();
@@ -26,7 +34,11 @@ const FileSearchInterface: React.FC<FileSearchInterfaceProps> = ({
   useEffect(() => {
     if (searchQuery.trim()) {
       performSearch();
+      const timer = setTimeout(searchFileText, SEARCH_DELAY_MS);
+      return () => clearTimeout(timer);
     } else {
+      searchRequestRef.current++;
+      setMatches({});
       setSearchResults(allFiles);
     }
   }, [searchQuery, allFiles]);
@@ -46,20 +58,48 @@ const FileSearchInterface: React.FC<FileSearchInterfaceProps> = ({
     }
   };
 
+  const matchesMetadata = (file: any, query: string) => {
+    const fileName = (file.fileName || file.file_name || '').toLowerCase();
+    const title = (file.title || file.epub_title || file.pdf_title || '').toLowerCase();
+    const author = (file.author || file.epub_author || file.pdf_author || '').toLowerCase();
+    const fileType = (file.fileType || file.file_type || '').toLowerCase();
+    
+    return fileName.includes(query) ||
+           title.includes(query) ||
+           author.includes(query) ||
+           fileType.includes(query);
+  };
+
+  // Instant filter on name, title and author while the text search is pending
   const performSearch = () => {
     const query = searchQuery.toLowerCase().trim();
-    const filtered = allFiles.filter(file => {
-      const fileName = (file.fileName || file.file_name || '').toLowerCase();
-      const title = (file.title || file.epub_title || file.pdf_title || '').toLowerCase();
-      const author = (file.author || file.epub_author || file.pdf_author || '').toLowerCase();
-      const fileType = (file.fileType || file.file_type || '').toLowerCase();
-      
-      return fileName.includes(query) ||
-             title.includes(query) ||
-             author.includes(query) ||
-             fileType.includes(query);
-    });
-    setSearchResults(filtered);
+    setSearchResults(allFiles.filter(file => matchesMetadata(file, query)));
+  };
+
+  // Full-text search inside the files; text matches come first, best first
+  const searchFileText = async () => {
+    const requestId = ++searchRequestRef.current;
+    try {
+      const response = await api.get('/search', {
+        params: { q: searchQuery.trim(), brainId, type: 'file', prefix: 'last', limit: 50 }
+      });
+      if (requestId !== searchRequestRef.current) return;
+
+      const results: SearchResult[] = response.data.results || [];
+      const filesById = new Map(allFiles.map(file => [file.id, file]));
+      const textMatches = results.map(result => filesById.get(result.id)).filter(Boolean);
+      const textMatchIds = new Set(textMatches.map(file => file.id));
+      const query = searchQuery.toLowerCase().trim();
+
+      setMatches(Object.fromEntries(results.map(result => [result.id, result])));
+      setSearchResults([
+        ...textMatches,
+        ...allFiles.filter(file => !textMatchIds.has(file.id) && matchesMetadata(file, query))
+      ]);
+    } catch (error) {
+      // Keep the metadata matches if the text search fails
+      console.error('File text search failed:', error);
+    }
   };
 
   const handleFileSelect = (file: any) => {
@@ -104,7 +144,7 @@ const FileSearchInterface: React.FC<FileSearchInterfaceProps> = ({
       <div className="search-input-section">
         <input
           type="text"
-          placeholder="Search files by name, title, or author..."
+          placeholder="Search files by name, title, author or text..."
           value={searchQuery}
           onChange={(e) => setSearchQuery(e.target.value)}
           className="search-input"
@@ -165,6 +205,7 @@ const FileSearchInterface: React.FC<FileSearchInterfaceProps> = ({
                     <div className="file-result-filename">
                       {file.fileName || file.file_name || 'untitled'}
                     </div>
+                    {matches[file.id] && <SearchSnippet result={matches[file.id]} />}
                   </div>
 
                   <div className="file-result-actions">
@@ -1,6 +1,8 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { Document, Page, pdfjs } from 'react-pdf';
 import api from '../services/api';
+import { useApp } from '../contexts/AppContext';
+import { renderPdfPage } from '../services/contextImages';
 
 // Configure PDF.js worker
 pdfjs.GlobalWorkerOptions.workerSrc = `${window.location.origin}/pdf.worker.min.js`;
@@ -18,7 +20,7 @@ interface FileViewerProps {
   // Control button handlers (same as Card component)
   onAddCardBelow?: (afterPosition: number) => void;
   onCreateCardBelow?: (afterPosition: number) => void;
-  onGenerateCardBelow?: (afterPosition: number, prompt: string, model: string) => void;
+  onGenerateCardBelow?: (afterPosition: number, prompt: string, model: string, mode?: string) => void;
   onUploadFileBelow?: (afterPosition: number) => void;
   onAddFileBelow?: (afterPosition: number) => void;
 }
@@ -40,6 +42,8 @@ const FileViewer: React.FC<FileViewerProps> = ({
   onAddFileBelow,
 }) => {
   const [isExpanded, setIsExpanded] = useState(false);
+  const { aiContextCards, toggleAIContext } = useApp();
+  const isInAIContext = aiContextCards.includes(file.id);
   // Move PDF state to parent to persist across re-mounts
   const [pdfUrl, setPdfUrl] = useState<string | null>(null);
 
@@ -188,6 +192,14 @@ const FileViewer: React.FC<FileViewerProps> = ({
         </div>
 
         <div className="file-controls">
+          <button
+            type="button"
+            className={`ai-context-button ${isInAIContext ? 'active' : ''}`}
+            onClick={() => toggleAIContext(file.id)}
+            title={isInAIContext ? "Remove from AI context" : "Add full file text to AI context"}
+          >
+            AI
+          </button>
           <button 
             className="file-control-btn expand-btn"
             onClick={handleToggleExpand}
@@ -346,6 +358,9 @@ const FileViewer: React.FC<FileViewerProps> = ({
 };
 const EPUBViewer: React.FC<{ file: any }> = ({ file }) => {
   const [coverImageUrl, setCoverImageUrl] = useState<string | null>(null);
+  const { aiContextImages, addAIContextImage, removeAIContextImage } = useApp();
+  const coverImageId = `epub:${file.id}`;
+  const coverInAIContext = aiContextImages.some(image => image.id === coverImageId);
 
   useEffect(() => {
     const loadCoverImage = async (fileId: string, coverPath: string) => {
@@ -444,6 +459,22 @@ const EPUBViewer: React.FC<{ file: any }> = ({ file }) => {
             >
               📥 Download EPUB
             </button>
+            {coverImageUrl && (
+              <button
+                className="epub-action-btn secondary"
+                onClick={() => coverInAIContext
+                  ? removeAIContextImage(coverImageId)
+                  : addAIContextImage({
+                    id: coverImageId,
+                    source: 'epub_cover',
+                    fileId: file.id,
+                    label: `Cover of ${file.title || file.fileName}`
+                  })}
+                title="Send the cover image to vision models with your next generation"
+              >
+                🖼️ {coverInAIContext ? 'Remove cover from AI context' : 'Add cover to AI context'}
+              </button>
+            )}
             <button className="epub-action-btn secondary" disabled>
               📖 Read Online (Coming Soon)
             </button>
@@ -466,6 +497,37 @@ const PDFViewer: React.FC<{
   const [viewMode, setViewMode] = useState<'single' | 'scroll'>('single');
   const [isLoading, setIsLoading] = useState<boolean>(true);
   const [error, setError] = useState<string | null>(null);
+  const [isCapturingPage, setIsCapturingPage] = useState(false);
+  const { aiContextImages, addAIContextImage, removeAIContextImage } = useApp();
+  const pageImageId = `pdf:${file.id}:${currentPage}`;
+  const pageInAIContext = aiContextImages.some(image => image.id === pageImageId);
+
+  // Render the current page as an image that vision models can read
+  const togglePageInAIContext = async () => {
+    if (pageInAIContext) {
+      removeAIContextImage(pageImageId);
+      return;
+    }
+    if (!pdfUrl) return;
+
+    setIsCapturingPage(true);
+    try {
+      const dataUrl = await renderPdfPage(pdfUrl, currentPage);
+      addAIContextImage({
+        id: pageImageId,
+        source: 'pdf_page',
+        fileId: file.id,
+        page: currentPage,
+        label: `${file.title || file.fileName}, page ${currentPage}`,
+        dataUrl
+      });
+    } catch (renderError) {
+      console.error('Failed to render PDF page for AI context:', renderError);
+      alert('Failed to render this page as an image');
+    } finally {
+      setIsCapturingPage(false);
+    }
+  };
   
   // Refs for scroll mode page tracking
   const scrollContainerRef = useRef<HTMLDivElement>(null);
@@ -611,6 +673,14 @@ const PDFViewer: React.FC<{
         </div>
 
         <div className="pdf-view-controls">
+          <button
+            onClick={togglePageInAIContext}
+            disabled={isCapturingPage}
+            className={`pdf-btn ${pageInAIContext ? 'active' : ''}`}
+            title="Send an image of this page to vision models with your next generation"
+          >
+            {isCapturingPage ? 'Rendering...' : pageInAIContext ? '🖼️ Page in AI context' : '🖼️ Add page to AI'}
+          </button>
           <button 
             onClick={() => setViewMode('single')}
             className={`pdf-btn ${viewMode === 'single' ? 'active' : ''}`}
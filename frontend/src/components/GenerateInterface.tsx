@@ -1,10 +1,13 @@
-import React, { useState, useRef, useEffect } from 'react';
+import React, { useState, useRef, useEffect, useCallback } from 'react';
 import api from '../services/api';
+import { useApp } from '../contexts/AppContext';
+import { readImageFile } from '../services/contextImages';
+import { AITransform, PromptTemplate } from '../types';
 
 interface GenerateInterfaceProps {
   brainId: string;
   position: number;
-  onGenerate: (prompt: string, model: string, position: number) => void;
+  onGenerate: (prompt: string, model: string, position: number, mode: string) => void;
   onCancel: () => void;
   contextCards?: string[];
 }
@@ -20,7 +23,23 @@ const GenerateInterface: React.FC<GenerateInterfaceProps> = ({
   const [selectedModel, setSelectedModel] = useState('');
   const [availableModels, setAvailableModels] = useState<any[]>([]);
   const [isLoadingModels, setIsLoadingModels] = useState(true);
+  const [templates, setTemplates] = useState<PromptTemplate[]>([]);
+  const [selectedTemplateId, setSelectedTemplateId] = useState('');
+  const [templateName, setTemplateName] = useState<string | null>(null);
+  const [transforms, setTransforms] = useState<AITransform[]>([]);
+  const [mode, setMode] = useState('text');
   const textareaRef = useRef<HTMLTextAreaElement>(null);
+  const imageInputRef = useRef<HTMLInputElement>(null);
+  const { aiContextImages, addAIContextImage, removeAIContextImage } = useApp();
+  const modelAcceptsImages = availableModels.find(m => m.id === selectedModel)?.vision !== false;
+  const modelCallsTools = availableModels.find(m => m.id === selectedModel)?.tools === true;
+
+  // Agent mode needs a model that can call tools
+  useEffect(() => {
+    if (mode === 'agent' && !modelCallsTools) {
+      setMode('text');
+    }
+  }, [mode, modelCallsTools]);
 
   // Load available AI models on mount
   useEffect(() => {
@@ -49,9 +68,97 @@ const GenerateInterface: React.FC<GenerateInterfaceProps> = ({
     loadModels();
   }, []);
 
+  // Load the structured transform modes (atomic notes, outline, flashcards)
+  useEffect(() => {
+    const loadTransforms = async () => {
+      try {
+        const response = await api.get('/ai/transforms');
+        setTransforms(response.data.transforms || []);
+      } catch (error) {
+        console.error('Failed to load AI transforms:', error);
+      }
+    };
+
+    loadTransforms();
+  }, []);
+
+  // Load prompt templates for this brain (plus the user's global ones)
+  const loadTemplates = useCallback(async () => {
+    try {
+      const response = await api.get('/prompt-templates', { params: { brainId } });
+      setTemplates(response.data.templates || []);
+    } catch (error) {
+      console.error('Failed to load prompt templates:', error);
+    }
+  }, [brainId]);
+
+  useEffect(() => {
+    loadTemplates();
+  }, [loadTemplates]);
+
+  const handleSelectTemplate = (templateId: string) => {
+    setSelectedTemplateId(templateId);
+    const template = templates.find(t => t.id === templateId);
+    if (template) {
+      // Variables stay in the prompt; the server resolves them when generating
+      setPrompt(template.template);
+      textareaRef.current?.focus();
+    }
+  };
+
+  const handleSaveTemplate = async () => {
+    if (!templateName?.trim() || !prompt.trim()) return;
+
+    try {
+      const response = await api.post('/prompt-templates', {
+        brainId,
+        name: templateName.trim(),
+        template: prompt.trim()
+      });
+      await loadTemplates();
+      setSelectedTemplateId(response.data.template.id);
+      setTemplateName(null);
+    } catch (error: any) {
+      console.error('Failed to save prompt template:', error);
+      alert(error.response?.data?.message || 'Failed to save template');
+    }
+  };
+
+  const handleDeleteTemplate = async () => {
+    const template = templates.find(t => t.id === selectedTemplateId);
+    if (!template || !window.confirm(`Delete the "${template.name}" template?`)) return;
+
+    try {
+      await api.delete(`/prompt-templates/${template.id}`);
+      setSelectedTemplateId('');
+      await loadTemplates();
+    } catch (error) {
+      console.error('Failed to delete prompt template:', error);
+    }
+  };
+
+  const handleAttachImages = async (files: FileList | null) => {
+    for (const file of Array.from(files || [])) {
+      try {
+        const dataUrl = await readImageFile(file);
+        addAIContextImage({
+          id: `upload:${file.name}:${file.size}:${file.lastModified}`,
+          source: 'upload',
+          label: file.name,
+          dataUrl
+        });
+      } catch (error: any) {
+        alert(error.message);
+      }
+    }
+    if (imageInputRef.current) {
+      imageInputRef.current.value = '';
+    }
+  };
+
   const handleGenerate = () => {
     if (prompt.trim()) {
-      onGenerate(prompt.trim(), selectedModel, position);
+      onGenerate(prompt.trim(), selectedModel, position, mode);
     }
   };
 
@@ -105,16 +212,100 @@ const GenerateInterface: React.FC<GenerateInterfaceProps> = ({
               ))
             )}
           </select>
-          <span>Context: {contextCards.length} cards</span>
+          <select
+            value={selectedTemplateId}
+            onChange={(e) => handleSelectTemplate(e.target.value)}
+            title="Insert a saved prompt"
+            style={{
+              fontSize: '12px',
+              padding: '2px 4px',
+              border: '1px solid #d1d5db',
+              borderRadius: '4px'
+            }}
+          >
+            <option value="">{templates.length === 0 ? 'No templates' : 'Templates...'}</option>
+            {templates.map(template => (
+              <option key={template.id} value={template.id} title={template.description || undefined}>
+                {template.name}{template.scope === 'user' ? ' (all brains)' : ''}
+              </option>
+            ))}
+          </select>
+          {(transforms.length > 0 || modelCallsTools) && (
+            <select
+              value={mode}
+              onChange={(e) => setMode(e.target.value)}
+              title={mode === 'agent'
+                ? 'Let the model search and read your cards; creating cards or adding them to streams asks for approval'
+                : transforms.find(t => t.id === mode)?.description || 'Generate a single card'}
+              style={{
+                fontSize: '12px',
+                padding: '2px 4px',
+                border: '1px solid #d1d5db',
+                borderRadius: '4px'
+              }}
+            >
+              <option value="text">Single card</option>
+              {modelCallsTools && (
+                <option value="agent" title="Search, read and add to your brain with tools">Agent</option>
+              )}
+              {transforms.map(transform => (
+                <option key={transform.id} value={transform.id} title={transform.description}>
+                  {transform.name}
+                </option>
+              ))}
+            </select>
+          )}
+          <span>
+            Context: {contextCards.length} cards
+            {aiContextImages.length > 0 && `, ${aiContextImages.length} image${aiContextImages.length === 1 ? '' : 's'}`}
+          </span>
+          {aiContextImages.length > 0 && !modelAcceptsImages && (
+            <span style={{ color: '#b45309' }} title="Pick a vision model or remove the images">
+              ⚠️ This model can't read images
+            </span>
+          )}
         </div>
       </div>
+
+      {aiContextImages.length > 0 && (
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px', marginBottom: '8px' }}>
+          {aiContextImages.map(image => (
+            <span
+              key={image.id}
+              style={{
+                display: 'inline-flex',
+                alignItems: 'center',
+                gap: '4px',
+                fontSize: '11px',
+                padding: '2px 6px',
+                border: '1px solid var(--ai-context-border)',
+                borderRadius: '10px',
+                backgroundColor: '#ffffff'
+              }}
+            >
+              {image.dataUrl && (
+                <img src={image.dataUrl} alt="" style={{ width: '16px', height: '16px', objectFit: 'cover', borderRadius: '2px' }} />
+              )}
+              🖼️ {image.label}
+              <button
+                type="button"
+                onClick={() => removeAIContextImage(image.id)}
+                title="Remove image from AI context"
+                style={{ border: 'none', background: 'none', cursor: 'pointer', padding: 0, fontSize: '11px', color: '#6b7280' }}
+              >
+                ✕
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
       
       <textarea
         ref={textareaRef}
         value={prompt}
         onChange={(e) => setPrompt(e.target.value)}
         onKeyDown={handleKeyDown}
-        placeholder="Enter your prompt... (Ctrl+Enter to generate)"
+        placeholder="Enter your prompt... (Ctrl+Enter to generate)&#10;Variables: {{selection}} {{stream_name}} {{brain_name}} {{card:Title}} {{date}}"
         style={{
           width: '100%',
           minHeight: '80px',
@@ -129,6 +320,72 @@ const GenerateInterface: React.FC<GenerateInterfaceProps> = ({
       />
       
       <div style={{ display: 'flex', gap: '8px', justifyContent: 'flex-end' }}>
+        {templateName !== null ? (
+          <>
+            <input
+              type="text"
+              value={templateName}
+              onChange={(e) => setTemplateName(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') handleSaveTemplate();
+                if (e.key === 'Escape') setTemplateName(null);
+              }}
+              placeholder="Template name"
+              maxLength={100}
+              autoFocus
+              style={{ fontSize: '12px', padding: '2px 6px', border: '1px solid #d1d5db', borderRadius: '4px' }}
+            />
+            <button
+              type="button"
+              className="btn btn-small"
+              onClick={handleSaveTemplate}
+              disabled={!templateName.trim()}
+              style={{ fontSize: '12px' }}
+            >
+              Save
+            </button>
+          </>
+        ) : (
+          <button
+            type="button"
+            className="btn btn-small"
+            onClick={() => setTemplateName('')}
+            disabled={!prompt.trim()}
+            title="Save this prompt as a reusable template"
+            style={{ fontSize: '12px' }}
+          >
+            💾 Save as template
+          </button>
+        )}
+        <input
+          ref={imageInputRef}
+          type="file"
+          accept="image/png,image/jpeg,image/gif,image/webp"
+          multiple
+          onChange={(e) => handleAttachImages(e.target.files)}
+          style={{ display: 'none' }}
+        />
+        <button
+          type="button"
+          className="btn btn-small"
+          onClick={() => imageInputRef.current?.click()}
+          title="Attach images for vision models (PNG, JPEG, GIF or WebP, up to 5 MB)"
+          style={{ fontSize: '12px' }}
+        >
+          📎 Image
+        </button>
+        {selectedTemplateId && (
+          <button
+            type="button"
+            className="btn btn-small"
+            onClick={handleDeleteTemplate}
+            title="Delete the selected template"
+            style={{ fontSize: '12px' }}
+          >
+            🗑️
+          </button>
+        )}
+        <div style={{ flex: 1 }} />
         <button
           type="button"
           className="btn btn-small"
@@ -0,0 +1,408 @@
+import React, { useState, useEffect, useRef } from 'react';
+import api from '../services/api';
+import { useApp } from '../contexts/AppContext';
+import { LinkGraph, GraphNode } from '../types';
+
+interface GraphViewProps {
+  brainId: string;
+  streamId: string;
+  canAddToStream: boolean; // Smart streams can't be added to
+  onItemsAdded: () => void;
+  onClose: () => void;
+}
+
+interface NodePosition {
+  x: number;
+  y: number;
+  vx: number;
+  vy: number;
+}
+
+const WIDTH = 800;
+const HEIGHT = 480;
+const LAYOUT_TICKS = 300;
+const LABEL_NODE_LIMIT = 60; // Above this, only label the selected card and its neighbours
+
+// Force layout: nodes repel each other, links pull their ends together, everything drifts to the middle
+const layoutTick = (graph: LinkGraph, positions: Map<string, NodePosition>, alpha: number) => {
+  const nodes = graph.nodes.map(node => positions.get(node.id)!);
+
+  for (let i = 0; i < nodes.length; i++) {
+    for (let j = i + 1; j < nodes.length; j++) {
+      const a = nodes[i];
+      const b = nodes[j];
+      const dx = b.x - a.x || 0.01;
+      const dy = b.y - a.y || 0.01;
+      const distanceSq = Math.max(dx * dx + dy * dy, 25);
+      const force = (900 * alpha) / distanceSq;
+      const distance = Math.sqrt(distanceSq);
+      a.vx -= (dx / distance) * force;
+      a.vy -= (dy / distance) * force;
+      b.vx += (dx / distance) * force;
+      b.vy += (dy / distance) * force;
+    }
+  }
+
+  for (const edge of graph.edges) {
+    const a = positions.get(edge.source);
+    const b = positions.get(edge.target);
+    if (!a || !b) continue;
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const distance = Math.sqrt(dx * dx + dy * dy) || 1;
+    const force = (distance - 70) * 0.04 * alpha;
+    a.vx += (dx / distance) * force;
+    a.vy += (dy / distance) * force;
+    b.vx -= (dx / distance) * force;
+    b.vy -= (dy / distance) * force;
+  }
+
+  for (const node of nodes) {
+    node.vx += (WIDTH / 2 - node.x) * 0.005 * alpha;
+    node.vy += (HEIGHT / 2 - node.y) * 0.005 * alpha;
+    node.vx *= 0.6;
+    node.vy *= 0.6;
+    node.x += node.vx;
+    node.y += node.vy;
+  }
+};
+
+const nodeRadius = (node: GraphNode) => 5 + Math.min(Math.sqrt(node.linksIn + node.linksOut) * 2, 10);
+
+const nodeColors = (node: GraphNode): { fill: string; stroke: string } => {
+  if (node.isMissing) return { fill: '#fee2e2', stroke: '#ef4444' };
+  if (node.isOrphan) return { fill: '#fef3c7', stroke: '#f59e0b' };
+  if (node.isExternal) return { fill: '#ede9fe', stroke: '#8b5cf6' };
+  return { fill: '#dbeafe', stroke: '#3b82f6' };
+};
+
+// Interactive graph of a brain's cards and [[links]]
+const GraphView: React.FC<GraphViewProps> = ({ brainId, streamId, canAddToStream, onItemsAdded, onClose }) => {
+  const { selectedBrain, setBrain, setStream } = useApp();
+  const [graph, setGraph] = useState<LinkGraph | null>(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [message, setMessage] = useState<string | null>(null);
+  const [centerId, setCenterId] = useState<string | null>(null);
+  const [hops, setHops] = useState(1);
+  const [showOrphans, setShowOrphans] = useState(true);
+  const [showBroken, setShowBroken] = useState(true);
+  const [showOtherBrains, setShowOtherBrains] = useState(false);
+  const [selectedId, setSelectedId] = useState<string | null>(null);
+  const [isAdding, setIsAdding] = useState(false);
+  const [, setTick] = useState(0);
+  const positions = useRef(new Map<string, NodePosition>());
+
+  useEffect(() => {
+    const loadGraph = async () => {
+      setIsLoading(true);
+      setError(null);
+
+      try {
+        const response = await api.get(`/brains/${brainId}/graph`, {
+          params: {
+            cardId: centerId || undefined,
+            hops: centerId ? hops : undefined,
+            orphans: showOrphans,
+            broken: showBroken,
+            crossBrain: showOtherBrains
+          }
+        });
+        setGraph(response.data);
+      } catch (err: any) {
+        console.error('Failed to load graph:', err);
+        setError(err.response?.data?.message || 'Failed to load graph');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadGraph();
+  }, [brainId, centerId, hops, showOrphans, showBroken, showOtherBrains]);
+
+  // Run the layout whenever the graph changes; cards already on screen keep their place
+  useEffect(() => {
+    if (!graph) return;
+
+    const previous = positions.current;
+    const next = new Map<string, NodePosition>();
+    graph.nodes.forEach((node, index) => {
+      const angle = (index / Math.max(graph.nodes.length, 1)) * Math.PI * 2;
+      const ring = 60 + (index % 5) * 30;
+      next.set(node.id, previous.get(node.id) || {
+        x: WIDTH / 2 + Math.cos(angle) * ring,
+        y: HEIGHT / 2 + Math.sin(angle) * ring,
+        vx: 0,
+        vy: 0
+      });
+    });
+    positions.current = next;
+
+    let tick = 0;
+    let frame = 0;
+    const step = () => {
+      // A few ticks per frame so large graphs settle quickly
+      for (let i = 0; i < 3 && tick < LAYOUT_TICKS; i++, tick++) {
+        layoutTick(graph, next, 1 - tick / LAYOUT_TICKS);
+      }
+      setTick(tick);
+      if (tick < LAYOUT_TICKS) {
+        frame = requestAnimationFrame(step);
+      }
+    };
+    frame = requestAnimationFrame(step);
+
+    return () => cancelAnimationFrame(frame);
+  }, [graph]);
+
+  const selectedNode = graph?.nodes.find(node => node.id === selectedId) || null;
+
+  const neighbourIds = new Set<string>();
+  if (graph && selectedId) {
+    for (const edge of graph.edges) {
+      if (edge.source === selectedId) neighbourIds.add(edge.target);
+      if (edge.target === selectedId) neighbourIds.add(edge.source);
+    }
+  }
+
+  // The selected card and the cards it links with, as they'd be added to the stream
+  const neighbourhoodIds = selectedNode && !selectedNode.isMissing
+    ? [selectedNode.id, ...Array.from(neighbourIds)].filter(id => graph?.nodes.some(node => node.id === id && !node.isMissing))
+    : [];
+
+  const handleOpen = async (node: GraphNode) => {
+    if (node.isMissing) return;
+    setMessage(null);
+
+    try {
+      const response = await api.post('/search/open', { sourceType: 'card', id: node.id });
+      if (response.data.brain.id !== selectedBrain?.id) {
+        setBrain(response.data.brain);
+      }
+      setStream(response.data.stream);
+    } catch (err: any) {
+      setMessage(err.response?.data?.message || 'Failed to open card');
+    }
+  };
+
+  const handleAddNeighbourhood = async (cardIds: string[]) => {
+    setIsAdding(true);
+    setMessage(null);
+
+    let added = 0;
+    let skipped = 0;
+    for (const cardId of cardIds) {
+      try {
+        await api.post(`/streams/${streamId}/cards`, { cardId });
+        added++;
+      } catch (err: any) {
+        // Cards already in the stream are left where they are
+        if (err.response?.status === 409) {
+          skipped++;
+        } else {
+          setMessage(err.response?.data?.message || 'Failed to add cards to stream');
+          break;
+        }
+      }
+    }
+
+    setIsAdding(false);
+    if (added > 0) {
+      onItemsAdded();
+    }
+    setMessage(prev => prev || `Added ${added} card${added !== 1 ? 's' : ''} to the stream${skipped > 0 ? ` (${skipped} already there)` : ''}`);
+  };
+
+  const showAllLabels = (graph?.nodes.length || 0) <= LABEL_NODE_LIMIT;
+
+  return (
+    <div style={{
+      marginBottom: '1rem',
+      border: '1px solid #e5e7eb',
+      borderRadius: '8px',
+      backgroundColor: 'var(--bg-card)',
+      overflow: 'hidden'
+    }}>
+      <div style={{
+        display: 'flex',
+        flexWrap: 'wrap',
+        alignItems: 'center',
+        gap: '12px',
+        padding: '8px 12px',
+        borderBottom: '1px solid #f3f4f6',
+        fontSize: '12px',
+        color: '#374151'
+      }}>
+        <strong style={{ fontSize: '13px' }}>🕸️ Link graph</strong>
+        {centerId ? (
+          <>
+            <span>
+              Around <em>{graph?.nodes.find(node => node.id === centerId)?.title || 'card'}</em>
+            </span>
+            <select value={hops} onChange={(e) => setHops(parseInt(e.target.value))} title="Links to follow from the card">
+              <option value={1}>1 hop</option>
+              <option value={2}>2 hops</option>
+              <option value={3}>3 hops</option>
+            </select>
+            <button type="button" className="btn btn-small" onClick={() => setCenterId(null)}>
+              Whole brain
+            </button>
+          </>
+        ) : (
+          <span>Whole brain</span>
+        )}
+        <label><input type="checkbox" checked={showOrphans} onChange={(e) => setShowOrphans(e.target.checked)} /> Orphans</label>
+        <label><input type="checkbox" checked={showBroken} onChange={(e) => setShowBroken(e.target.checked)} /> Broken links</label>
+        <label><input type="checkbox" checked={showOtherBrains} onChange={(e) => setShowOtherBrains(e.target.checked)} /> Other brains</label>
+        {graph && (
+          <span style={{ color: '#6b7280' }}>
+            {graph.stats.nodes} cards • {graph.stats.edges} links • {graph.stats.orphans} orphans • {graph.stats.brokenLinks} broken
+            {graph.truncated && ' • showing the best-connected cards'}
+          </span>
+        )}
+        <button type="button" className="btn btn-small" onClick={onClose} title="Hide graph" style={{ marginLeft: 'auto' }}>
+          ✕
+        </button>
+      </div>
+
+      <div style={{ display: 'flex' }}>
+        <svg
+          viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+          style={{ flex: 1, height: `${HEIGHT}px`, backgroundColor: '#fafbfc' }}
+          onClick={() => setSelectedId(null)}
+        >
+          {graph?.edges.map(edge => {
+            const a = positions.current.get(edge.source);
+            const b = positions.current.get(edge.target);
+            if (!a || !b) return null;
+            const isHighlighted = selectedId !== null && (edge.source === selectedId || edge.target === selectedId);
+            return (
+              <line
+                key={edge.id}
+                x1={a.x}
+                y1={a.y}
+                x2={b.x}
+                y2={b.y}
+                stroke={!edge.isValid ? '#ef4444' : isHighlighted ? '#3b82f6' : '#cbd5e1'}
+                strokeWidth={isHighlighted ? 2 : 1}
+                strokeDasharray={edge.isValid ? undefined : '4 3'}
+              >
+                <title>[[{edge.linkText}]]{edge.isValid ? '' : ' (broken)'}</title>
+              </line>
+            );
+          })}
+
+          {graph?.nodes.map(node => {
+            const position = positions.current.get(node.id);
+            if (!position) return null;
+            const { fill, stroke } = nodeColors(node);
+            const isSelected = node.id === selectedId;
+            const isCenter = node.id === centerId;
+            const showLabel = showAllLabels || isSelected || isCenter || neighbourIds.has(node.id);
+            return (
+              <g
+                key={node.id}
+                transform={`translate(${position.x}, ${position.y})`}
+                style={{ cursor: node.isMissing ? 'default' : 'pointer' }}
+                onClick={(e) => {
+                  e.stopPropagation();
+                  setSelectedId(node.id);
+                }}
+                onDoubleClick={(e) => {
+                  e.stopPropagation();
+                  handleOpen(node);
+                }}
+              >
+                <circle
+                  r={nodeRadius(node)}
+                  fill={fill}
+                  stroke={isSelected ? '#1d4ed8' : stroke}
+                  strokeWidth={isSelected || isCenter ? 3 : 1.5}
+                  strokeDasharray={node.isMissing || node.isOrphan ? '3 2' : undefined}
+                />
+                {showLabel && (
+                  <text
+                    y={nodeRadius(node) + 11}
+                    textAnchor="middle"
+                    style={{ fontSize: '10px', fill: node.isMissing ? '#b91c1c' : '#374151', pointerEvents: 'none' }}
+                  >
+                    {node.title.length > 28 ? `${node.title.slice(0, 27)}…` : node.title}
+                  </text>
+                )}
+                <title>
+                  {node.title}
+                  {node.isMissing ? ' (no such card)' : node.isOrphan ? ' (no links)' : ''}
+                  {node.isExternal && node.brainName ? ` • ${node.brainName}` : ''}
+                </title>
+              </g>
+            );
+          })}
+
+          {isLoading && (
+            <text x={WIDTH / 2} y={HEIGHT / 2} textAnchor="middle" style={{ fontSize: '13px', fill: '#6b7280' }}>
+              Loading graph...
+            </text>
+          )}
+          {!isLoading && graph && graph.nodes.length === 0 && (
+            <text x={WIDTH / 2} y={HEIGHT / 2} textAnchor="middle" style={{ fontSize: '13px', fill: '#6b7280' }}>
+              No cards to show
+            </text>
+          )}
+        </svg>
+
+        {selectedNode && (
+          <div style={{ width: '220px', padding: '10px 12px', borderLeft: '1px solid #f3f4f6', fontSize: '12px' }}>
+            <div style={{ fontWeight: 600, fontSize: '13px', marginBottom: '4px', wordBreak: 'break-word' }}>
+              {selectedNode.title}
+            </div>
+            {selectedNode.isMissing ? (
+              <div style={{ color: '#b91c1c' }}>
+                No card has this title. Cards linking to it have a broken link.
+              </div>
+            ) : (
+              <>
+                <div style={{ color: '#6b7280', marginBottom: '8px' }}>
+                  {selectedNode.isExternal && selectedNode.brainName && <div>Brain: {selectedNode.brainName}</div>}
+                  <div>{selectedNode.linksOut} links out • {selectedNode.linksIn} backlinks</div>
+                  {selectedNode.brokenLinks > 0 && (
+                    <div style={{ color: '#b91c1c' }}>{selectedNode.brokenLinks} broken link{selectedNode.brokenLinks !== 1 ? 's' : ''}</div>
+                  )}
+                  {selectedNode.isOrphan && <div style={{ color: '#b45309' }}>Orphan: nothing links to or from it</div>}
+                </div>
+                <div style={{ display: 'flex', flexDirection: 'column', gap: '6px' }}>
+                  <button type="button" className="btn btn-small" onClick={() => handleOpen(selectedNode)}>
+                    Open
+                  </button>
+                  {selectedNode.id !== centerId && (
+                    <button type="button" className="btn btn-small" onClick={() => setCenterId(selectedNode.id)}>
+                      Focus on this card
+                    </button>
+                  )}
+                  {canAddToStream && (
+                    <button
+                      type="button"
+                      className="btn btn-primary btn-small"
+                      onClick={() => handleAddNeighbourhood(neighbourhoodIds)}
+                      disabled={isAdding}
+                      title="Add this card and the cards it links with to the stream"
+                    >
+                      {isAdding ? 'Adding...' : `+ Add neighbourhood (${neighbourhoodIds.length})`}
+                    </button>
+                  )}
+                </div>
+              </>
+            )}
+          </div>
+        )}
+      </div>
+
+      {(error || message) && (
+        <div style={{ padding: '6px 12px', fontSize: '12px', color: error ? '#ef4444' : '#374151', borderTop: '1px solid #f3f4f6' }}>
+          {error || message}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GraphView;
@@ -0,0 +1,316 @@
+import React, { useState, useEffect, useRef } from 'react';
+import api from '../services/api';
+import { useApp } from '../contexts/AppContext';
+import { notifyStreamChanged } from '../services/streamEvents';
+import { Brain, Stream, SearchResult, SearchGroup } from '../types';
+import SearchSnippet from './SearchSnippet';
+
+type PaletteEntry =
+  | { kind: 'brain'; key: string; brain: Brain }
+  | { kind: 'stream'; key: string; stream: Stream & { brainName?: string } }
+  | { kind: 'result'; key: string; result: SearchResult };
+
+const displayName = (item: Brain | Stream) => (item as any).name || item.title;
+
+const sectionStyle: React.CSSProperties = {
+  padding: '6px 12px 2px',
+  fontSize: '11px',
+  fontWeight: 600,
+  color: '#6b7280',
+  textTransform: 'uppercase',
+  letterSpacing: '0.03em'
+};
+
+// "Jump to anything": Ctrl/Cmd+K searches every brain for brains, streams, cards and files.
+// Enter opens the selection; Shift+Enter adds a card or file to the open stream as a reference.
+const JumpPalette: React.FC = () => {
+  const { selectedBrain, currentStream, setBrain, setStream, setError } = useApp();
+  const [isOpen, setIsOpen] = useState(false);
+  const [query, setQuery] = useState('');
+  const [entries, setEntries] = useState<PaletteEntry[]>([]);
+  const [groupNames, setGroupNames] = useState<Record<string, string>>({});
+  const [selectedIndex, setSelectedIndex] = useState(0);
+  const [isSearching, setIsSearching] = useState(false);
+  const [message, setMessage] = useState<string | null>(null);
+  const [brains, setBrains] = useState<Brain[]>([]);
+  const requestId = useRef(0);
+
+  useEffect(() => {
+    const handleKeyDown = (e: KeyboardEvent) => {
+      if (e.key.toLowerCase() === 'k' && (e.ctrlKey || e.metaKey)) {
+        e.preventDefault();
+        setIsOpen(open => !open);
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  // Brains are needed to switch to a stream or result in another brain
+  useEffect(() => {
+    if (!isOpen) return;
+    setQuery('');
+    setEntries([]);
+    setMessage(null);
+
+    api.get('/brains')
+      .then(response => setBrains(response.data.brains || []))
+      .catch(err => console.error('Failed to load brains:', err));
+  }, [isOpen]);
+
+  useEffect(() => {
+    if (!isOpen || !query.trim()) {
+      setEntries([]);
+      setIsSearching(false);
+      return;
+    }
+
+    const id = ++requestId.current;
+    setIsSearching(true);
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await api.get('/search/everywhere', {
+          params: { q: query, brainId: selectedBrain?.id }
+        });
+        if (id !== requestId.current) return;
+
+        const groups: SearchGroup[] = response.data.groups || [];
+        setGroupNames(Object.fromEntries(groups.map(group => [group.brainId, group.brainName])));
+        setEntries([
+          ...(response.data.brains || []).map((brain: Brain) => ({ kind: 'brain', key: `brain-${brain.id}`, brain })),
+          ...(response.data.streams || []).map((stream: Stream) => ({ kind: 'stream', key: `stream-${stream.id}`, stream })),
+          ...groups.flatMap(group => group.results.map(result => ({ kind: 'result', key: `${result.sourceType}-${result.id}`, result })))
+        ] as PaletteEntry[]);
+        setSelectedIndex(0);
+        setMessage(null);
+      } catch (err: any) {
+        if (id !== requestId.current) return;
+        setEntries([]);
+        setMessage(err.response?.data?.message || 'Search failed');
+      } finally {
+        if (id === requestId.current) setIsSearching(false);
+      }
+    }, 200);
+
+    return () => clearTimeout(timer);
+  }, [isOpen, query, selectedBrain?.id]);
+
+  const close = () => setIsOpen(false);
+
+  const switchTo = (brainId: string, stream: Stream | null) => {
+    const brain = brains.find(item => item.id === brainId);
+    if (brain && brain.id !== selectedBrain?.id) {
+      setBrain(brain);
+    }
+    if (stream) {
+      setStream(stream);
+    }
+  };
+
+  const openEntry = async (entry: PaletteEntry) => {
+    try {
+      if (entry.kind === 'brain') {
+        setBrain(entry.brain);
+      } else if (entry.kind === 'stream') {
+        switchTo(entry.stream.brainId, entry.stream);
+      } else {
+        const response = await api.post('/search/open', { sourceType: entry.result.sourceType, id: entry.result.id });
+        switchTo(response.data.brain.id, response.data.stream);
+      }
+      close();
+    } catch (err: any) {
+      setMessage(err.response?.data?.message || 'Failed to open');
+    }
+  };
+
+  const addToStream = async (entry: PaletteEntry) => {
+    if (entry.kind !== 'result') return;
+    if (!currentStream) {
+      setMessage('Open a stream first to add items to it');
+      return;
+    }
+
+    try {
+      const { sourceType, id, title } = entry.result;
+      if (sourceType === 'file') {
+        await api.post(`/streams/${currentStream.id}/files`, { fileId: id });
+      } else {
+        await api.post(`/streams/${currentStream.id}/cards`, { cardId: id });
+      }
+      notifyStreamChanged(currentStream.id);
+      setMessage(`Added "${title || 'Untitled'}" to ${displayName(currentStream)}`);
+    } catch (err: any) {
+      const errorMessage = err.response?.data?.message || 'Failed to add to stream';
+      setMessage(errorMessage);
+      setError(errorMessage);
+    }
+  };
+
+  const handleKeyDown = (e: React.KeyboardEvent) => {
+    if (e.key === 'Escape') {
+      close();
+    } else if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setSelectedIndex(index => Math.min(index + 1, entries.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setSelectedIndex(index => Math.max(index - 1, 0));
+    } else if (e.key === 'Enter' && entries[selectedIndex]) {
+      e.preventDefault();
+      if (e.shiftKey) {
+        addToStream(entries[selectedIndex]);
+      } else {
+        openEntry(entries[selectedIndex]);
+      }
+    }
+  };
+
+  if (!isOpen) return null;
+
+  const renderEntry = (entry: PaletteEntry, index: number) => {
+    const isSelected = index === selectedIndex;
+    let icon = '';
+    let label = '';
+    let detail = '';
+
+    if (entry.kind === 'brain') {
+      icon = '🧠';
+      label = displayName(entry.brain);
+      detail = 'Brain';
+    } else if (entry.kind === 'stream') {
+      icon = entry.stream.isSmart ? '⚡' : '🌊';
+      label = displayName(entry.stream);
+      detail = entry.stream.brainName || '';
+    } else {
+      icon = entry.result.sourceType === 'file' ? '📄' : '📝';
+      label = entry.result.title || 'Untitled';
+      detail = entry.result.fileType || '';
+    }
+
+    return (
+      <div
+        key={entry.key}
+        onMouseEnter={() => setSelectedIndex(index)}
+        onClick={() => openEntry(entry)}
+        style={{
+          padding: '6px 12px',
+          cursor: 'pointer',
+          backgroundColor: isSelected ? '#eff6ff' : 'transparent',
+          borderLeft: isSelected ? '3px solid #3b82f6' : '3px solid transparent'
+        }}
+      >
+        <div style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '14px' }}>
+          <span>{icon}</span>
+          <span style={{ flex: 1, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{label}</span>
+          {detail && <span style={{ fontSize: '12px', color: '#9ca3af' }}>{detail}</span>}
+          {entry.kind === 'result' && currentStream && (
+            <button
+              type="button"
+              className="btn btn-small"
+              onClick={(e) => {
+                e.stopPropagation();
+                addToStream(entry);
+              }}
+              title="Add to the open stream (Shift+Enter)"
+              style={{ fontSize: '11px', padding: '1px 6px' }}
+            >
+              + Add
+            </button>
+          )}
+        </div>
+        {entry.kind === 'result' && isSelected && (
+          <div style={{ marginLeft: '24px', marginTop: '2px' }}>
+            <SearchSnippet result={entry.result} />
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  // Section headings: brains, streams, then one per brain of results
+  const rows: React.ReactNode[] = [];
+  let lastSection = '';
+  entries.forEach((entry, index) => {
+    const section = entry.kind === 'result' ? `result-${entry.result.brainId}` : entry.kind;
+    if (section !== lastSection) {
+      const heading = entry.kind === 'brain' ? 'Brains'
+        : entry.kind === 'stream' ? 'Streams'
+        : groupNames[entry.result.brainId] || entry.result.brainName;
+      rows.push(<div key={`section-${section}`} style={sectionStyle}>{heading}</div>);
+      lastSection = section;
+    }
+    rows.push(renderEntry(entry, index));
+  });
+
+  return (
+    <div
+      onClick={close}
+      style={{
+        position: 'fixed',
+        inset: 0,
+        backgroundColor: 'rgba(0, 0, 0, 0.3)',
+        display: 'flex',
+        justifyContent: 'center',
+        alignItems: 'flex-start',
+        paddingTop: '12vh',
+        zIndex: 1000
+      }}
+    >
+      <div
+        onClick={(e) => e.stopPropagation()}
+        onKeyDown={handleKeyDown}
+        style={{
+          width: '600px',
+          maxWidth: 'calc(100vw - 32px)',
+          backgroundColor: 'var(--bg-card)',
+          border: '1px solid #d1d5db',
+          borderRadius: '8px',
+          boxShadow: '0 16px 40px rgba(0, 0, 0, 0.25)',
+          overflow: 'hidden'
+        }}
+      >
+        <input
+          type="text"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Jump to a brain, stream, card or file..."
+          autoFocus
+          style={{
+            width: '100%',
+            padding: '12px 14px',
+            border: 'none',
+            borderBottom: '1px solid #e5e7eb',
+            fontSize: '16px',
+            outline: 'none'
+          }}
+        />
+
+        <div style={{ maxHeight: '55vh', overflowY: 'auto', padding: entries.length > 0 ? '4px 0' : 0 }}>
+          {rows}
+          {query.trim() && !isSearching && entries.length === 0 && !message && (
+            <div style={{ padding: '12px 14px', fontSize: '13px', color: '#6b7280' }}>Nothing found</div>
+          )}
+        </div>
+
+        <div style={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          gap: '8px',
+          padding: '6px 12px',
+          borderTop: '1px solid #e5e7eb',
+          fontSize: '11px',
+          color: message ? '#1f2937' : '#9ca3af'
+        }}>
+          <span>
+            {message || (isSearching ? 'Searching...' : '↑↓ move · Enter open · Shift+Enter add to stream · Esc close')}
+          </span>
+          <span style={{ color: '#9ca3af' }}>All brains</span>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default JumpPalette;
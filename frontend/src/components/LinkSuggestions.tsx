@@ -0,0 +1,145 @@
+import React, { useState, useEffect } from 'react';
+import api from '../services/api';
+import { LinkSuggestion } from '../types';
+
+interface LinkSuggestionsProps {
+  cardId: string;
+  onLinked: (content: string) => void;
+  onClose: () => void;
+}
+
+const LinkSuggestions: React.FC<LinkSuggestionsProps> = ({ cardId, onLinked, onClose }) => {
+  const [suggestions, setSuggestions] = useState<LinkSuggestion[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isAnalyzing, setIsAnalyzing] = useState(false);
+  const [busyId, setBusyId] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    const loadSuggestions = async () => {
+      try {
+        const response = await api.get(`/cards/${cardId}/link-suggestions`);
+        setSuggestions(response.data.suggestions);
+      } catch (err: any) {
+        console.error('Failed to load link suggestions:', err);
+        setError(err.response?.data?.message || 'Failed to load link suggestions');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadSuggestions();
+  }, [cardId]);
+
+  const handleAnalyze = async () => {
+    setIsAnalyzing(true);
+    setError(null);
+
+    try {
+      const response = await api.post(`/cards/${cardId}/link-suggestions/analyze`);
+      setSuggestions(response.data.suggestions);
+    } catch (err: any) {
+      console.error('Failed to analyze links:', err);
+      setError(err.response?.data?.message || 'Failed to look for links');
+    } finally {
+      setIsAnalyzing(false);
+    }
+  };
+
+  const handleDecision = async (suggestion: LinkSuggestion, decision: 'accept' | 'reject') => {
+    setBusyId(suggestion.id);
+    setError(null);
+
+    try {
+      const response = await api.post(`/cards/${cardId}/link-suggestions/${suggestion.id}/${decision}`);
+      setSuggestions(prev => prev.filter(item => item.id !== suggestion.id));
+      if (decision === 'accept') {
+        onLinked(response.data.card.content || '');
+      }
+    } catch (err: any) {
+      console.error(`Failed to ${decision} link suggestion:`, err);
+      setError(err.response?.data?.message || `Failed to ${decision} suggestion`);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div
+      className="link-suggestions"
+      style={{
+        padding: '8px 12px',
+        borderTop: '1px solid #f3f4f6',
+        backgroundColor: '#fafbfc'
+      }}
+    >
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '6px' }}>
+        <span style={{ fontSize: '12px', fontWeight: 600, color: '#374151' }}>Suggested links</span>
+        <div style={{ display: 'flex', gap: '6px' }}>
+          <button
+            type="button"
+            className="btn btn-small"
+            onClick={handleAnalyze}
+            disabled={isAnalyzing}
+            title="Look for related cards this card doesn't link to yet"
+            style={{ fontSize: '12px' }}
+          >
+            {isAnalyzing ? 'Looking...' : '🔍 Find links'}
+          </button>
+          <button type="button" className="btn btn-small" onClick={onClose} title="Hide suggestions">
+            ✕
+          </button>
+        </div>
+      </div>
+
+      {isLoading ? (
+        <div style={{ fontSize: '12px', color: '#6b7280' }}>Loading suggestions...</div>
+      ) : suggestions.length === 0 ? (
+        <div style={{ fontSize: '12px', color: '#6b7280', fontStyle: 'italic' }}>
+          No suggestions. Use "Find links" to look for related cards.
+        </div>
+      ) : (
+        suggestions.map(suggestion => (
+          <div
+            key={suggestion.id}
+            style={{ display: 'flex', alignItems: 'center', gap: '8px', padding: '4px 0' }}
+          >
+            <div style={{ flex: 1, minWidth: 0 }}>
+              <div style={{ fontSize: '13px', color: '#1f2937' }} title={suggestion.targetPreview || undefined}>
+                [[{suggestion.targetTitle}]]
+              </div>
+              <div style={{ fontSize: '11px', color: '#6b7280' }}>
+                {suggestion.reason}
+                {suggestion.anchorText ? ' • links the mention' : ' • adds to Related'}
+              </div>
+            </div>
+            <button
+              type="button"
+              className="btn btn-primary btn-small"
+              onClick={() => handleDecision(suggestion, 'accept')}
+              disabled={busyId !== null}
+              title="Write this link into the card"
+            >
+              ✓
+            </button>
+            <button
+              type="button"
+              className="btn btn-small"
+              onClick={() => handleDecision(suggestion, 'reject')}
+              disabled={busyId !== null}
+              title="Don't suggest this link again"
+            >
+              ✕
+            </button>
+          </div>
+        ))
+      )}
+
+      {error && (
+        <div style={{ fontSize: '11px', color: '#ef4444', marginTop: '4px' }}>{error}</div>
+      )}
+    </div>
+  );
+};
+
+export default LinkSuggestions;
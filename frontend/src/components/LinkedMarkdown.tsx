@@ -0,0 +1,217 @@
+import React, { useState, useEffect } from 'react';
+import ReactMarkdown, { Components } from 'react-markdown';
+import api from '../services/api';
+import { useApp } from '../contexts/AppContext';
+import { anchorElementId, revealLinkTarget } from '../services/linkNavigation';
+import { ResolvedLink } from '../types';
+
+interface LinkedMarkdownProps {
+  content: string;
+  cardId: string;
+  embedded?: boolean; // Inside a ![[...]] embed: no nested embeds and no anchor ids
+}
+
+type Segment = { type: 'markdown'; text: string } | { type: 'embed'; linkText: string };
+
+const LINK_HREF_PREFIX = '#link:';
+const BLOCK_ID_PATTERN = /\s\^([A-Za-z0-9-]+)\s*$/;
+
+// [[Title|alias]] -> [alias](#link:...), leaving `code` alone. A ![[...]] inside a line is just a link.
+const linkifyLine = (line: string) =>
+  line.split(/(`[^`]*`)/).map((part, index) => (index % 2 === 1 ? part : part.replace(/!?\[\[([^\]]+)\]\]/g, (match, inner: string) => {
+    const aliasIndex = inner.indexOf('|');
+    const label = (aliasIndex === -1 ? inner : inner.slice(aliasIndex + 1)).trim() || inner.trim();
+    return `[${label.replace(/([\\[\]])/g, '\\$1')}](${LINK_HREF_PREFIX}${encodeURIComponent(inner.trim())})`;
+  }))).join('');
+
+// Split content into markdown and ![[...]] lines, outside fenced code
+const toSegments = (content: string, allowEmbeds: boolean): Segment[] => {
+  const segments: Segment[] = [];
+  let lines: string[] = [];
+  let inCode = false;
+
+  const flush = () => {
+    if (lines.length > 0) segments.push({ type: 'markdown', text: lines.join('\n') });
+    lines = [];
+  };
+
+  for (const line of content.split('\n')) {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inCode = !inCode;
+      lines.push(line);
+      continue;
+    }
+
+    const embed = !inCode && allowEmbeds ? line.match(/^\s*!\[\[([^\]]+)\]\]\s*$/) : null;
+    if (embed) {
+      flush();
+      segments.push({ type: 'embed', linkText: embed[1].trim() });
+    } else {
+      lines.push(inCode ? line : linkifyLine(line));
+    }
+  }
+  flush();
+
+  return segments;
+};
+
+const textOf = (node: React.ReactNode): string => {
+  if (typeof node === 'string' || typeof node === 'number') return String(node);
+  if (Array.isArray(node)) return node.map(textOf).join('');
+  if (React.isValidElement(node)) return textOf((node.props as any).children);
+  return '';
+};
+
+// Take a trailing ^block-id marker off a paragraph or list item
+const splitBlockId = (children: React.ReactNode) => {
+  const list = React.Children.toArray(children);
+  const last = list[list.length - 1];
+  const match = typeof last === 'string' ? last.match(BLOCK_ID_PATTERN) : null;
+  if (!match) return { children, blockId: null };
+  return { children: [...list.slice(0, -1), (last as string).replace(BLOCK_ID_PATTERN, '')], blockId: match[1] };
+};
+
+const describeTarget = (link: ResolvedLink) =>
+  `${link.targetTitle || link.linkText}` +
+  (link.anchorType === 'heading' ? ` › ${link.anchor}` : link.anchorType === 'block' ? ` › ^${link.anchor}` : '') +
+  (link.targetVersion ? ` (v${link.targetVersion})` : '');
+
+// Card content with [[links]] that jump to the linked card, section or block, and ![[...]] embeds shown inline
+const LinkedMarkdown: React.FC<LinkedMarkdownProps> = ({ content, cardId, embedded = false }) => {
+  const [links, setLinks] = useState<ResolvedLink[] | null>(null);
+  const { selectedBrain, setBrain, setStream, setError } = useApp();
+  const hasLinks = content.includes('[[');
+
+  useEffect(() => {
+    if (!hasLinks) return;
+    let cancelled = false;
+
+    const loadLinks = async () => {
+      try {
+        const response = await api.get(`/cards/${cardId}/links/resolved`);
+        if (!cancelled) setLinks(response.data.links);
+      } catch (err) {
+        console.error('Failed to resolve card links:', err);
+        if (!cancelled) setLinks([]);
+      }
+    };
+
+    loadLinks();
+    return () => {
+      cancelled = true;
+    };
+  }, [cardId, content, hasLinks]);
+
+  const findLink = (linkText: string) => links?.find(link => link.linkText === linkText);
+
+  const openLink = async (link: ResolvedLink | undefined) => {
+    if (!link || !link.isValid || !link.targetCardId) return;
+
+    // Cards already in the stream scroll into view; others are opened first
+    if (revealLinkTarget({ cardId: link.targetCardId, anchorType: link.anchorType, anchor: link.anchor })) return;
+
+    try {
+      const response = await api.post('/search/open', { sourceType: 'card', id: link.targetCardId });
+      if (response.data.brain.id !== selectedBrain?.id) {
+        setBrain(response.data.brain);
+      }
+      setStream(response.data.stream);
+    } catch (err: any) {
+      setError(err.response?.data?.message || 'Failed to open linked card');
+    }
+  };
+
+  const heading = (Tag: 'h1' | 'h2' | 'h3' | 'h4' | 'h5' | 'h6') =>
+    ({ node, children, ...props }: any) => (
+      <Tag {...props} id={embedded ? undefined : anchorElementId(cardId, 'heading', textOf(children))}>{children}</Tag>
+    );
+
+  const block = (Tag: 'p' | 'li') =>
+    ({ node, children, ...props }: any) => {
+      const split = splitBlockId(children);
+      return (
+        <Tag {...props} id={!embedded && split.blockId ? anchorElementId(cardId, 'block', split.blockId) : undefined}>
+          {split.children}
+        </Tag>
+      );
+    };
+
+  const components: Components = {
+    h1: heading('h1'),
+    h2: heading('h2'),
+    h3: heading('h3'),
+    h4: heading('h4'),
+    h5: heading('h5'),
+    h6: heading('h6'),
+    p: block('p'),
+    li: block('li'),
+    a: ({ node, href, children, ...props }: any) => {
+      if (!href || !href.startsWith(LINK_HREF_PREFIX)) {
+        return <a href={href} {...props}>{children}</a>;
+      }
+
+      const linkText = decodeURIComponent(href.slice(LINK_HREF_PREFIX.length));
+      const link = findLink(linkText);
+      const isBroken = link ? !link.isValid : links !== null;
+
+      return (
+        <a
+          href={href}
+          onClick={event => {
+            event.preventDefault();
+            event.stopPropagation();
+            openLink(link);
+          }}
+          title={isBroken ? `No card found for [[${linkText}]]` : link ? describeTarget(link) : linkText}
+          style={{
+            color: isBroken ? '#b91c1c' : '#2563eb',
+            textDecoration: isBroken ? 'underline dashed' : 'none',
+            cursor: isBroken ? 'default' : 'pointer'
+          }}
+        >
+          {/* A title with | in it resolves as a whole and has no alias to show */}
+          {link && !link.alias && link.linkText.includes('|') ? link.linkText : children}
+        </a>
+      );
+    }
+  };
+
+  return (
+    <>
+      {toSegments(content, !embedded).map((segment, index) => {
+        if (segment.type === 'markdown') {
+          return <ReactMarkdown key={index} components={components}>{segment.text}</ReactMarkdown>;
+        }
+
+        const link = findLink(segment.linkText);
+        return (
+          <div
+            key={index}
+            style={{
+              margin: '6px 0',
+              padding: '4px 10px',
+              borderLeft: '3px solid #93c5fd',
+              backgroundColor: '#f8fafc'
+            }}
+          >
+            <div
+              onClick={() => openLink(link)}
+              style={{ fontSize: '12px', color: '#6b7280', cursor: link?.isValid ? 'pointer' : 'default' }}
+            >
+              ↪ {link ? describeTarget(link) : segment.linkText}
+            </div>
+            {links === null ? (
+              <div style={{ fontSize: '12px', color: '#9ca3af' }}>Loading...</div>
+            ) : !link || !link.isValid ? (
+              <div style={{ fontSize: '12px', color: '#b91c1c' }}>⚠️ Nothing to embed for [[{segment.linkText}]]</div>
+            ) : (
+              <LinkedMarkdown content={link.embedContent || ''} cardId={link.targetCardId as string} embedded />
+            )}
+          </div>
+        );
+      })}
+    </>
+  );
+};
+
+export default LinkedMarkdown;
@@ -2,6 +2,7 @@ import React, { useState, useEffect, useCallback } from 'react';
 import { Card as CardType, StreamCard } from '../types';
 import { useApp } from '../contexts/AppContext';
 import api from '../services/api';
+import { renderPdfPage } from '../services/contextImages';
 
 // Dynamic import for react-pdf to avoid bundling issues
 let Document: any = null;
@@ -78,13 +79,44 @@ const PDFCard: React.FC<PDFCardProps> = ({
   const [pdfData, setPdfData] = useState<string | null>(null);
   const [fileInfo, setFileInfo] = useState<PDFFileInfo | null>(null);
   const [componentsLoaded, setComponentsLoaded] = useState(false);
-  const { aiContextCards } = useApp();
+  const [isCapturingPage, setIsCapturingPage] = useState(false);
+  const { aiContextCards, aiContextImages, addAIContextImage, removeAIContextImage } = useApp();
 
   const cardId = (card as any).cardId || card.id;
   
   // PDF files cannot be in AI context as per spec
   const canBeInAIContext = false;
 
+  // Individual pages can, as images for vision models
+  const pageImageId = fileInfo ? `pdf:${fileInfo.id}:${currentPage}` : '';
+  const pageInAIContext = aiContextImages.some(image => image.id === pageImageId);
+
+  const togglePageInAIContext = async () => {
+    if (!fileInfo || !pdfData) return;
+    if (pageInAIContext) {
+      removeAIContextImage(pageImageId);
+      return;
+    }
+
+    setIsCapturingPage(true);
+    try {
+      const dataUrl = await renderPdfPage(pdfData, currentPage);
+      addAIContextImage({
+        id: pageImageId,
+        source: 'pdf_page',
+        fileId: fileInfo.id,
+        page: currentPage,
+        label: `${fileInfo.title || fileInfo.fileName}, page ${currentPage}`,
+        dataUrl
+      });
+    } catch (renderError) {
+      console.error('Failed to render PDF page for AI context:', renderError);
+      alert('Failed to render this page as an image');
+    } finally {
+      setIsCapturingPage(false);
+    }
+  };
+
   useEffect(() => {
     // Load file information when component mounts
     loadFileInfo();
@@ -377,6 +409,19 @@ const PDFCard: React.FC<PDFCardProps> = ({
                     renderAnnotationLayer={false}
                   />
                 </Document>
+
+                <div className="pdf-controls">
+                  <button
+                    className="btn btn-small"
+                    onClick={togglePageInAIContext}
+                    disabled={isCapturingPage}
+                    title="Send an image of this page to vision models with your next generation"
+                  >
+                    {isCapturingPage
+                      ? 'Rendering...'
+                      : pageInAIContext ? `🖼️ Remove page ${currentPage} from AI context` : `🖼️ Add page ${currentPage} to AI context`}
+                  </button>
+                </div>
                 
                 {numPages && numPages > 1 && (
                   <div className="pdf-controls">
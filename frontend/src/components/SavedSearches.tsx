@@ -0,0 +1,164 @@
+import React, { useState, useEffect } from 'react';
+import api from '../services/api';
+import { useApp } from '../contexts/AppContext';
+import { SavedSearch } from '../types';
+
+interface SavedSearchesProps {
+  brainId: string;
+  query: string; // Current search box text, offered for saving
+  onRun: (query: string) => void;
+}
+
+// Saved searches for a brain: run one, save the current query, or turn one into a stream
+// (a snapshot of its results, or a smart stream that keeps following the query)
+const SavedSearches: React.FC<SavedSearchesProps> = ({ brainId, query, onRun }) => {
+  const { setStream } = useApp();
+  const [searches, setSearches] = useState<SavedSearch[]>([]);
+  const [busyId, setBusyId] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    const loadSearches = async () => {
+      try {
+        const response = await api.get('/search/saved', { params: { brainId } });
+        setSearches(response.data.searches || []);
+      } catch (err) {
+        console.error('Failed to load saved searches:', err);
+      }
+    };
+
+    loadSearches();
+  }, [brainId]);
+
+  const handleSave = async () => {
+    const name = window.prompt('Name this search:', query.trim());
+    if (!name?.trim()) return;
+    setError(null);
+
+    try {
+      const response = await api.post('/search/saved', { brainId, name: name.trim(), query: query.trim() });
+      setSearches(prev => [...prev, response.data.search].sort((a, b) => a.name.localeCompare(b.name)));
+    } catch (err: any) {
+      console.error('Failed to save search:', err);
+      setError(err.response?.data?.message || 'Failed to save search');
+    }
+  };
+
+  const handleDelete = async (search: SavedSearch) => {
+    if (!window.confirm(`Delete the saved search "${search.name}"?`)) return;
+    setBusyId(search.id);
+    setError(null);
+
+    try {
+      await api.delete(`/search/saved/${search.id}`);
+      setSearches(prev => prev.filter(item => item.id !== search.id));
+    } catch (err: any) {
+      console.error('Failed to delete saved search:', err);
+      setError(err.response?.data?.message || 'Failed to delete saved search');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleMakeStream = async (search: SavedSearch) => {
+    setBusyId(search.id);
+    setError(null);
+
+    try {
+      const response = await api.post(`/search/saved/${search.id}/stream`, { brainId });
+      setStream(response.data.stream);
+    } catch (err: any) {
+      console.error('Failed to create stream from search:', err);
+      setError(err.response?.data?.message || 'Failed to create stream');
+      setBusyId(null);
+    }
+  };
+
+  const handleMakeSmartStream = async (search: SavedSearch) => {
+    setBusyId(search.id);
+    setError(null);
+
+    try {
+      const response = await api.post('/streams', { brainId, name: search.name, smartQuery: search.query });
+      setStream(response.data.stream);
+    } catch (err: any) {
+      console.error('Failed to create smart stream:', err);
+      setError(err.response?.data?.message || 'Failed to create smart stream');
+      setBusyId(null);
+    }
+  };
+
+  const alreadySaved = searches.some(search => search.query === query.trim());
+
+  if (searches.length === 0 && !query.trim()) return null;
+
+  return (
+    <div className="saved-searches" style={{ marginBottom: '0.75rem' }}>
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px', alignItems: 'center' }}>
+        {searches.map(search => (
+          <span
+            key={search.id}
+            style={{
+              display: 'inline-flex',
+              alignItems: 'center',
+              gap: '4px',
+              padding: '2px 4px 2px 8px',
+              border: '1px solid #e5e7eb',
+              borderRadius: '12px',
+              fontSize: '12px',
+              backgroundColor: search.query === query.trim() ? '#eff6ff' : '#fff'
+            }}
+          >
+            <button
+              type="button"
+              onClick={() => onRun(search.query)}
+              title={search.query}
+              style={{ border: 'none', background: 'none', padding: 0, cursor: 'pointer', color: '#1f2937', fontSize: '12px' }}
+            >
+              🔖 {search.name}
+            </button>
+            <button
+              type="button"
+              onClick={() => handleMakeStream(search)}
+              disabled={busyId !== null}
+              title="Create a stream from this search's results"
+              style={{ border: 'none', background: 'none', padding: '0 2px', cursor: 'pointer', color: '#3b82f6', fontSize: '12px' }}
+            >
+              → stream
+            </button>
+            <button
+              type="button"
+              onClick={() => handleMakeSmartStream(search)}
+              disabled={busyId !== null}
+              title="Create a smart stream that re-runs this search each time it is opened"
+              style={{ border: 'none', background: 'none', padding: '0 2px', cursor: 'pointer', color: '#3b82f6', fontSize: '12px' }}
+            >
+              ⚡
+            </button>
+            <button
+              type="button"
+              onClick={() => handleDelete(search)}
+              disabled={busyId !== null}
+              title="Delete saved search"
+              style={{ border: 'none', background: 'none', padding: '0 2px', cursor: 'pointer', color: '#9ca3af', fontSize: '12px' }}
+            >
+              ✕
+            </button>
+          </span>
+        ))}
+
+        {query.trim() && !alreadySaved && (
+          <button type="button" className="btn btn-small" onClick={handleSave} title="Save this search to run it again later">
+            ☆ Save search
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div style={{ fontSize: '12px', color: '#ef4444', marginTop: '4px' }}>{error}</div>
+      )}
+    </div>
+  );
+};
+
+export default SavedSearches;
@@ -0,0 +1,26 @@
+import React from 'react';
+import { SearchResult } from '../types';
+
+interface SearchSnippetProps {
+  result: SearchResult;
+}
+
+// Snippet of a search hit with the matched words highlighted
+const SearchSnippet: React.FC<SearchSnippetProps> = ({ result }) => {
+  if (!result.snippet.trim()) return null;
+
+  return (
+    <div
+      className="search-snippet"
+      style={{ fontSize: '13px', color: '#6b7280', lineHeight: 1.4, wordBreak: 'break-word' }}
+    >
+      {result.highlights.map((part, i) => part.highlight ? (
+        <mark key={i} style={{ backgroundColor: '#fef08a', color: '#1f2937', padding: 0 }}>{part.text}</mark>
+      ) : (
+        <span key={i}>{part.text}</span>
+      ))}
+    </div>
+  );
+};
+
+export default SearchSnippet;
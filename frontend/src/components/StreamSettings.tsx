@@ -0,0 +1,214 @@
+import React, { useState, useEffect } from 'react';
+import api from '../services/api';
+import { useApp } from '../contexts/AppContext';
+import { StreamAISettings } from '../types';
+
+interface StreamSettingsProps {
+  streamId: string;
+  onClose: () => void;
+}
+
+// Stop sequences are edited one per line, so newlines and tabs are written as \n and \t
+const escapeSequence = (sequence: string) =>
+  sequence.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/\t/g, '\\t');
+
+const unescapeSequence = (line: string) =>
+  line.replace(/\\(n|t|\\)/g, (_, char) => (char === 'n' ? '\n' : char === 't' ? '\t' : '\\'));
+
+const inputStyle: React.CSSProperties = {
+  width: '100%',
+  padding: '6px 8px',
+  border: '1px solid #d1d5db',
+  borderRadius: '4px',
+  fontSize: '13px'
+};
+
+const labelStyle: React.CSSProperties = {
+  display: 'block',
+  fontSize: '12px',
+  fontWeight: 600,
+  color: '#374151',
+  marginBottom: '4px'
+};
+
+const StreamSettings: React.FC<StreamSettingsProps> = ({ streamId, onClose }) => {
+  const { currentStream, setStream } = useApp();
+  const [systemPrompt, setSystemPrompt] = useState('');
+  const [temperature, setTemperature] = useState('');
+  const [maxTokens, setMaxTokens] = useState('');
+  const [stopSequences, setStopSequences] = useState('');
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [errors, setErrors] = useState<Record<string, string>>({});
+
+  useEffect(() => {
+    const loadSettings = async () => {
+      try {
+        const response = await api.get(`/streams/${streamId}`);
+        const settings: StreamAISettings | undefined = response.data.stream.aiSettings;
+        setSystemPrompt(settings?.systemPrompt || '');
+        setTemperature(settings?.temperature != null ? String(settings.temperature) : '');
+        setMaxTokens(settings?.maxTokens != null ? String(settings.maxTokens) : '');
+        setStopSequences((settings?.stopSequences || []).map(escapeSequence).join('\n'));
+      } catch (error) {
+        console.error('Failed to load stream settings:', error);
+        setErrors({ general: 'Failed to load stream settings' });
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadSettings();
+  }, [streamId]);
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    setErrors({});
+
+    try {
+      // Empty fields clear the setting so the provider default applies
+      const aiSettings = {
+        systemPrompt: systemPrompt.trim() || null,
+        temperature: temperature.trim() === '' ? null : Number(temperature),
+        maxTokens: maxTokens.trim() === '' ? null : Number(maxTokens),
+        stopSequences: stopSequences.split('\n').filter(line => line.length > 0).map(unescapeSequence)
+      };
+
+      const response = await api.put(`/streams/${streamId}`, { aiSettings });
+
+      if (currentStream?.id === streamId) {
+        setStream({ ...currentStream, aiSettings: response.data.stream.aiSettings });
+      }
+      onClose();
+    } catch (error: any) {
+      console.error('Failed to save stream settings:', error);
+      setErrors(error.response?.data?.fields || { general: error.response?.data?.message || 'Failed to save stream settings' });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleKeyDown = (e: React.KeyboardEvent) => {
+    if (e.key === 'Escape') {
+      onClose();
+    }
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      handleSave();
+    }
+  };
+
+  const renderError = (field: string) => errors[field] && (
+    <div style={{ fontSize: '11px', color: '#ef4444', marginTop: '2px' }}>{errors[field]}</div>
+  );
+
+  return (
+    <div
+      onKeyDown={handleKeyDown}
+      style={{
+        position: 'fixed',
+        left: 'var(--content-padding)',
+        bottom: 'calc(var(--command-bar-height) + 8px)',
+        width: '420px',
+        maxWidth: 'calc(100vw - 32px)',
+        padding: '16px',
+        backgroundColor: 'var(--bg-card)',
+        border: '1px solid #d1d5db',
+        borderRadius: '8px',
+        boxShadow: '0 8px 24px rgba(0, 0, 0, 0.15)',
+        zIndex: 100
+      }}
+    >
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '12px' }}>
+        <span className="card-title" style={{ fontSize: '14px' }}>AI settings for this stream</span>
+        <button type="button" className="btn btn-small" onClick={onClose} title="Close (Esc)">
+          ✕
+        </button>
+      </div>
+
+      {isLoading ? (
+        <div className="body-text" style={{ fontSize: '12px', color: '#6b7280' }}>Loading settings...</div>
+      ) : (
+        <>
+          <div style={{ marginBottom: '12px' }}>
+            <label style={labelStyle} htmlFor="stream-system-prompt">System prompt</label>
+            <textarea
+              id="stream-system-prompt"
+              value={systemPrompt}
+              onChange={(e) => setSystemPrompt(e.target.value)}
+              placeholder="Instructions sent with every generation in this stream"
+              maxLength={20000}
+              autoFocus
+              style={{ ...inputStyle, minHeight: '100px', resize: 'vertical' }}
+            />
+            {renderError('systemPrompt')}
+          </div>
+
+          <div style={{ display: 'flex', gap: '12px', marginBottom: '12px' }}>
+            <div style={{ flex: 1 }}>
+              <label style={labelStyle} htmlFor="stream-temperature">Temperature</label>
+              <input
+                id="stream-temperature"
+                type="number"
+                min={0}
+                max={2}
+                step={0.1}
+                value={temperature}
+                onChange={(e) => setTemperature(e.target.value)}
+                placeholder="Default"
+                title="0 is focused and repeatable, higher values are more varied (Anthropic caps at 1)"
+                style={inputStyle}
+              />
+              {renderError('temperature')}
+            </div>
+            <div style={{ flex: 1 }}>
+              <label style={labelStyle} htmlFor="stream-max-tokens">Max tokens</label>
+              <input
+                id="stream-max-tokens"
+                type="number"
+                min={1}
+                step={1}
+                value={maxTokens}
+                onChange={(e) => setMaxTokens(e.target.value)}
+                placeholder="Default"
+                title="Longest reply the model may write"
+                style={inputStyle}
+              />
+              {renderError('maxTokens')}
+            </div>
+          </div>
+
+          <div style={{ marginBottom: '12px' }}>
+            <label style={labelStyle} htmlFor="stream-stop-sequences">Stop sequences</label>
+            <textarea
+              id="stream-stop-sequences"
+              value={stopSequences}
+              onChange={(e) => setStopSequences(e.target.value)}
+              placeholder={'One per line, up to 4 (write a newline as \\n)'}
+              style={{ ...inputStyle, minHeight: '60px', resize: 'vertical', fontFamily: 'monospace' }}
+            />
+            {renderError('stopSequences')}
+          </div>
+
+          {renderError('general')}
+
+          <div style={{ display: 'flex', gap: '8px', justifyContent: 'flex-end' }}>
+            <button type="button" className="btn btn-small" onClick={onClose}>
+              Cancel
+            </button>
+            <button
+              type="button"
+              className="btn btn-primary btn-small"
+              onClick={handleSave}
+              disabled={isSaving}
+            >
+              {isSaving ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default StreamSettings;
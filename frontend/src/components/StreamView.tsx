@@ -1,16 +1,22 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import Card from './Card';
 import FileViewer from './FileViewer';
+import ChatThread from './ChatThread';
+import AskBrain from './AskBrain';
+import GraphView from './GraphView';
 import CardSearchInterface from './CardSearchInterface';
 import FileUploadInterface from './FileUploadInterface';
 import FileSearchInterface from './FileSearchInterface';
-import { Stream, StreamCard, Card as CardType } from '../types';
+import { Stream, StreamCard, Card as CardType, ContextReport, AgentToolCall } from '../types';
 import api from '../services/api';
 import { useApp } from '../contexts/AppContext';
+import { toRequestImages } from '../services/contextImages';
 import config from '../config.js';
+import { describeProviderEvent } from '../services/providerEvents';
+import { onStreamChanged } from '../services/streamEvents';
 
 interface StreamItem {
-  itemType: 'card' | 'file';
+  itemType: 'card' | 'file' | 'thread';
   position: number;
   id: string;
   [key: string]: any;
@@ -28,16 +34,19 @@ const StreamView: React.FC<StreamViewProps> = ({ streamId, brainId }) => {
   const [error, setError] = useState<string | null>(null);
   const [activeCardIdForAdd, setActiveCardIdForAdd] = useState<string | null>(null);
   const [generatingCardId, setGeneratingCardId] = useState<string | null>(null);
+  const [generationContext, setGenerationContext] = useState<ContextReport | null>(null);
+  const [generationNotice, setGenerationNotice] = useState<string | null>(null);
+  const [generationToolCalls, setGenerationToolCalls] = useState<AgentToolCall[]>([]);
+  const [showAskBrain, setShowAskBrain] = useState(false);
+  const [showGraph, setShowGraph] = useState(false);
+  const [smartError, setSmartError] = useState<string | null>(null);
   const [generationController, setGenerationController] = useState<AbortController | null>(null);
+  const [generatingJobId, setGeneratingJobId] = useState<string | null>(null);
   const [activeCardIdForUpload, setActiveCardIdForUpload] = useState<string | null>(null);
   const [activeCardIdForFileAdd, setActiveCardIdForFileAdd] = useState<string | null>(null);
-  const { setError: setGlobalError, aiContextCards } = useApp();
+  const { setError: setGlobalError, aiContextCards, aiContextImages } = useApp();
 
-  useEffect(() => {
-    loadStream();
-  }, [streamId]);
-
-  const loadStream = async () => {
+  const loadStream = useCallback(async () => {
     try {
       setIsLoading(true);
       setError(null);
@@ -46,9 +55,15 @@ const StreamView: React.FC<StreamViewProps> = ({ streamId, brainId }) => {
       const streamResponse = await api.get(`/streams/${streamId}`);
       setStream(streamResponse.data.stream);
 
-      // Load stream items (mixed cards and files)
+      // Load stream items (mixed cards and files); smart streams re-run their query here
       const itemsResponse = await api.get(`/streams/${streamId}/cards`);
       setStreamItems(itemsResponse.data.items || []); // Use items instead of cards
+
+      const smart = itemsResponse.data.smart;
+      setSmartError(smart?.error || null);
+      if (smart) {
+        setStream({ ...streamResponse.data.stream, smartEvaluatedAt: smart.evaluatedAt });
+      }
     } catch (err: any) {
       const errorMessage = err.response?.data?.message || 'Failed to load stream';
       setError(errorMessage);
@@ -56,7 +71,16 @@ const StreamView: React.FC<StreamViewProps> = ({ streamId, brainId }) => {
     } finally {
       setIsLoading(false);
     }
-  };
+  }, [streamId, setGlobalError]);
+
+  // Items added from elsewhere, e.g. the jump palette
+  useEffect(() => {
+    return onStreamChanged((changedStreamId) => {
+      if (changedStreamId === streamId) {
+        loadStream();
+      }
+    });
+  }, [streamId, loadStream]);
 
   const handleUpdateCard = async (cardId: string, updates: Partial<CardType>) => {
     try {
@@ -80,8 +104,13 @@ const StreamView: React.FC<StreamViewProps> = ({ streamId, brainId }) => {
       
       // Update server in background
       try {
-        await api.put(`/cards/${cardId}`, updates);
+        const response = await api.put(`/cards/${cardId}`, updates);
         // Server updated successfully, optimistic update was correct
+
+        // A rename rewrote [[links]] in other cards, some of which may be in this stream
+        if (response.data.rename?.cardsUpdated > 0) {
+          await loadStream();
+        }
       } catch (serverError) {
         // Revert optimistic update on server error
         setStreamItems(originalStreamItems);
@@ -333,7 +362,136 @@ const StreamView: React.FC<StreamViewProps> = ({ streamId, brainId }) => {
     setActiveCardIdForAdd(null);
   };
 
-  const handleGenerateCardBelow = async (afterPosition: number, prompt: string, model: string) => {
+  // Connect to a card's server-side generation job; the server replays
+  // output generated so far, so this also reattaches after a refresh
+  const attachToGeneration = useCallback((cardId: string, controller: AbortController) => {
+    const eventSourceUrl = `${config.apiUrl}/ai/stream/${cardId}`;
+    
+    const eventSource = new EventSource(eventSourceUrl, {
+      withCredentials: true
+    });
+
+    const setCardContent = (content: string) => {
+      setStreamItems(prev => prev.map(item => {
+        if (item.itemType === 'card' && (item.id === cardId || (item as any).cardId === cardId)) {
+          return { ...item, content, contentPreview: content };
+        }
+        return item;
+      }));
+    };
+
+    const finishGeneration = () => {
+      setGeneratingCardId(null);
+      setGenerationController(null);
+      setGeneratingJobId(null);
+      setGenerationContext(null);
+      setGenerationNotice(null);
+      setGenerationToolCalls([]);
+      eventSource.close();
+    };
+
+    eventSource.onmessage = (event) => {
+      try {
+        const data = JSON.parse(event.data);
+        
+        switch (data.type) {
+          case 'start':
+            console.log(`🤖 Starting AI generation with ${data.model}`);
+            setGeneratingJobId(data.jobId);
+            break;
+
+          case 'context':
+            // Report of which context items were cut to fit the model
+            setGenerationContext(data.report);
+            break;
+            
+          case 'queued':
+          case 'retry':
+          case 'fallback':
+            // The provider is busy or failing; the server is retrying or switching models
+            setGenerationNotice(describeProviderEvent(data));
+            break;
+
+          case 'tool_call':
+            // An agent generation called a tool; the same call is re-sent as its status changes
+            setGenerationToolCalls(prev => (prev.some(call => call.id === data.call.id)
+              ? prev.map(call => (call.id === data.call.id ? data.call : call))
+              : [...prev, data.call]));
+            break;
+
+          case 'chunk':
+            // Update local state with new content
+            setGenerationNotice(null);
+            setCardContent(data.totalContent);
+            break;
+            
+          case 'complete':
+            console.log('✅ AI generation completed');
+            finishGeneration();
+            if (data.cards?.length > 0 || data.toolCalls?.some((call: AgentToolCall) => call.requiresConfirmation && call.status === 'complete')) {
+              // A transform replaced the generating card with the cards it created,
+              // or an agent added cards to the brain
+              loadStream();
+            } else {
+              setCardContent(data.totalContent);
+            }
+            return;
+
+          case 'cancelled':
+            setCardContent(data.totalContent || '');
+            finishGeneration();
+            return;
+            
+          case 'error':
+            console.error('❌ AI generation error:', data.message);
+            setGlobalError(`AI generation failed: ${data.message}`);
+            finishGeneration();
+            return;
+        }
+      } catch (error) {
+        console.error('Error parsing AI stream data:', error);
+      }
+    };
+
+    eventSource.onerror = (error) => {
+      // The browser reconnects on its own (sending Last-Event-ID) unless the stream was closed
+      if (eventSource.readyState === EventSource.CONNECTING) {
+        console.warn('AI generation connection dropped, reconnecting...');
+        return;
+      }
+      console.error('EventSource error:', error);
+      setGlobalError('AI generation connection failed');
+      finishGeneration();
+    };
+
+    // Handle cancellation
+    controller.signal.addEventListener('abort', finishGeneration);
+  }, [loadStream, setGlobalError]);
+
+  // Reattach to a generation that is still running on the server
+  const resumeActiveGeneration = useCallback(async () => {
+    try {
+      const response = await api.get('/ai/jobs', {
+        params: { brainId, streamId, status: 'queued,running', limit: 1 }
+      });
+      const job = response.data.jobs?.[0];
+      if (job?.cardId) {
+        const controller = new AbortController();
+        setGeneratingCardId(job.cardId);
+        setGeneratingJobId(job.id);
+        setGenerationController(controller);
+        attachToGeneration(job.cardId, controller);
+      }
+    } catch (err) {
+      console.error('Failed to check for running generations:', err);
+    }
+  }, [brainId, streamId, attachToGeneration]);
+
+  useEffect(() => {
+    loadStream().then(resumeActiveGeneration);
+  }, [loadStream, resumeActiveGeneration]);
+
+  const handleGenerateCardBelow = async (afterPosition: number, prompt: string, model: string, mode: string = 'text') => {
     try {
       // Create empty unsaved card for streaming content
       // Insert after the triggering card position
@@ -362,76 +520,26 @@ const StreamView: React.FC<StreamViewProps> = ({ streamId, brainId }) => {
           cardId: newCardId,
           prompt,
           model,
-          contextCardIds: aiContextCards
+          mode,
+          contextCardIds: aiContextCards,
+          images: toRequestImages(aiContextImages)
         });
 
         console.log('🔍 AI generation initiated:', initResponse.status);
+        setGeneratingJobId(initResponse.data.jobId);
 
         // Then connect to the streaming endpoint using EventSource
-        const eventSourceUrl = `${config.apiUrl}/ai/stream/${newCardId}`;
-        
-        const eventSource = new EventSource(eventSourceUrl, {
-          withCredentials: true
-        });
-
         console.log(`🤖 Starting AI generation with ${model}`);
-
-        eventSource.onmessage = (event) => {
-          try {
-            const data = JSON.parse(event.data);
-            
-            switch (data.type) {
-              case 'start':
-                console.log(`🤖 Starting AI generation with ${data.model}`);
-                break;
-                
-              case 'chunk':
-                // Update local state with new content
-                setStreamItems(prev => prev.map(item => {
-                  if (item.itemType === 'card' && (item.id === newCardId || (item as any).cardId === newCardId)) {
-                    return { ...item, content: data.totalContent, contentPreview: data.totalContent };
-                  }
-                  return item;
-                }));
-                break;
-                
-              case 'complete':
-                console.log('✅ AI generation completed');
-                setGeneratingCardId(null);
-                setGenerationController(null);
-                eventSource.close();
-                return;
-                
-              case 'error':
-                console.error('❌ AI generation error:', data.message);
-                setGlobalError(`AI generation failed: ${data.message}`);
-                setGeneratingCardId(null);
-                setGenerationController(null);
-                eventSource.close();
-                return;
-            }
-          } catch (error) {
-            console.error('Error parsing AI stream data:', error);
-          }
-        };
-
-        eventSource.onerror = (error) => {
-          console.error('EventSource error:', error);
-          setGlobalError('AI generation connection failed');
-          setGeneratingCardId(null);
-          setGenerationController(null);
-          eventSource.close();
-        };
-
-        // Handle cancellation
-        controller.signal.addEventListener('abort', () => {
-          eventSource.close();
-          setGeneratingCardId(null);
-          setGenerationController(null);
-        });
+        attachToGeneration(newCardId, controller);
       } catch (fetchError: any) {
         if (fetchError.name === 'AbortError') {
           console.log('AI generation cancelled by user');
+        } else if ([400, 402, 413].includes(fetchError.response?.status)) {
+          // Invalid request (e.g. images for a text-only model), budget spent or
+          // prompt too long for the model: refuse instead of simulating
+          setGlobalError(fetchError.response.data?.message || 'AI request refused');
+          setGeneratingCardId(null);
+          setGenerationController(null);
         } else {
           console.error('AI generation fetch error:', fetchError);
           console.error('Error details:', {
@@ -493,12 +601,32 @@ Note: Real AI integration requires proper nginx configuration to forward /api/ai
     }
   };
 
-  const handleStopGeneration = () => {
+  const handleStopGeneration = async () => {
+    // Cancel on the server so the provider request stops and the partial output is kept
+    if (generatingJobId) {
+      try {
+        const response = await api.post(`/ai/jobs/${generatingJobId}/cancel`);
+        const { cardId, output } = response.data.job;
+        setStreamItems(prev => prev.map(item => {
+          if (item.itemType === 'card' && (item.id === cardId || (item as any).cardId === cardId)) {
+            return { ...item, content: output || '', contentPreview: output || '' };
+          }
+          return item;
+        }));
+      } catch (err: any) {
+        // 409 means it finished before the cancel arrived
+        if (err.response?.status !== 409) {
+          setGlobalError(err.response?.data?.message || 'Failed to stop generation');
+        }
+      }
+    }
+
     if (generationController) {
       generationController.abort();
-      setGeneratingCardId(null);
-      setGenerationController(null);
     }
+    setGeneratingCardId(null);
+    setGenerationController(null);
+    setGeneratingJobId(null);
   };
 
   const handleUploadFileBelow = (afterPosition: number) => {
@@ -579,6 +707,27 @@ Note: Real AI integration requires proper nginx configuration to forward /api/ai
     }
   };
 
+  // Chat thread handling functions
+  const handleCreateChatThread = async () => {
+    try {
+      await api.post('/chat/threads', { brainId, streamId });
+      await loadStream();
+    } catch (err: any) {
+      const errorMessage = err.response?.data?.message || 'Failed to create chat thread';
+      setGlobalError(errorMessage);
+    }
+  };
+
+  const handleDeleteChatThread = async (threadId: string) => {
+    try {
+      await api.delete(`/chat/threads/${threadId}`);
+      await loadStream();
+    } catch (err: any) {
+      const errorMessage = err.response?.data?.message || 'Failed to delete chat thread';
+      setGlobalError(errorMessage);
+    }
+  };
+
   const handleMoveFileUp = async (fileId: string) => {
     try {
       // Find current file position
@@ -691,6 +840,37 @@ Note: Real AI integration requires proper nginx configuration to forward /api/ai
     await loadStream();
   };
 
+  const handleEditSmartQuery = async () => {
+    const smartQuery = window.prompt(
+      'Show everything matching this search (e.g. tag:project modified:>7d links-to:"Roadmap"):',
+      stream?.smartQuery || ''
+    );
+    if (!smartQuery?.trim()) return;
+
+    try {
+      await api.put(`/streams/${streamId}`, { smartQuery: smartQuery.trim() });
+      await loadStream();
+    } catch (err: any) {
+      const errorMessage = err.response?.data?.fields?.smartQuery || err.response?.data?.message || 'Failed to update smart stream';
+      setGlobalError(errorMessage);
+    }
+  };
+
+  const handleFreezeSmartStream = async () => {
+    if (!window.confirm(`Freeze this stream? It keeps its current items and stops following "${stream?.smartQuery}".`)) return;
+
+    try {
+      await api.post(`/streams/${streamId}/freeze`);
+      await loadStream();
+    } catch (err: any) {
+      const errorMessage = err.response?.data?.message || 'Failed to freeze stream';
+      setGlobalError(errorMessage);
+    }
+  };
+
+  // Smart streams are read-only lists of search matches
+  const isSmart = !!stream.isSmart;
+
   return (
     <div className="stream-view">
       {/* Stream header with refresh button */}
@@ -703,28 +883,111 @@ Note: Real AI integration requires proper nginx configuration to forward /api/ai
         borderBottom: '1px solid #e5e7eb'
       }}>
         <div style={{ color: '#6b7280', fontSize: '14px' }}>
+          {isSmart && '⚡ '}
           {streamItems.length} item{streamItems.length !== 1 ? 's' : ''} in stream
         </div>
-        <button
-          onClick={handleRefreshStream}
-          className="btn btn-small"
-          disabled={isLoading}
-          title="Refresh stream to see latest changes"
-          style={{ display: 'flex', alignItems: 'center', gap: '0.25rem' }}
-        >
-          {isLoading ? (
-            <>
-              <span className="loading-spinner" style={{ width: '12px', height: '12px' }} />
-              Loading...
-            </>
-          ) : (
-            <>
-              🔄 Refresh
-            </>
+        <div style={{ display: 'flex', gap: '0.5rem' }}>
+          <button
+            onClick={() => setShowAskBrain(!showAskBrain)}
+            className="btn btn-small"
+            title="Ask a question answered from everything in this brain"
+          >
+            🔎 Ask Brain
+          </button>
+          <button
+            onClick={() => setShowGraph(!showGraph)}
+            className="btn btn-small"
+            title="Show how the cards in this brain link to each other"
+          >
+            🕸️ Graph
+          </button>
+          {!isSmart && (
+            <button
+              onClick={handleCreateChatThread}
+              className="btn btn-small"
+              title="Start a multi-turn AI conversation at the end of this stream"
+            >
+              💬 New Chat
+            </button>
           )}
-        </button>
+          <button
+            onClick={handleRefreshStream}
+            className="btn btn-small"
+            disabled={isLoading}
+            title="Refresh stream to see latest changes"
+            style={{ display: 'flex', alignItems: 'center', gap: '0.25rem' }}
+          >
+            {isLoading ? (
+              <>
+                <span className="loading-spinner" style={{ width: '12px', height: '12px' }} />
+                Loading...
+              </>
+            ) : (
+              <>
+                🔄 Refresh
+              </>
+            )}
+          </button>
+        </div>
       </div>
 
+      {isSmart && (
+        <div style={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          gap: '0.5rem',
+          marginBottom: '1rem',
+          padding: '0.5rem 0.75rem',
+          backgroundColor: '#eff6ff',
+          border: '1px solid #bfdbfe',
+          borderRadius: '6px',
+          fontSize: '13px'
+        }}>
+          <div>
+            <div>
+              Smart stream: <code>{stream.smartQuery}</code>
+            </div>
+            <div style={{ fontSize: '12px', color: smartError ? '#ef4444' : '#6b7280' }}>
+              {smartError
+                ? `Could not update: ${smartError}`
+                : `Updated each time the stream is opened${stream.smartEvaluatedAt ? ` (last ${new Date(stream.smartEvaluatedAt).toLocaleTimeString()})` : ''}`}
+            </div>
+          </div>
+          <div style={{ display: 'flex', gap: '0.5rem', flexShrink: 0 }}>
+            <button onClick={handleEditSmartQuery} className="btn btn-small" title="Change the search this stream follows">
+              ✏️ Edit Query
+            </button>
+            <button
+              onClick={handleFreezeSmartStream}
+              className="btn btn-small"
+              title="Keep the current items as a normal stream you can rearrange and add to"
+            >
+              🧊 Freeze
+            </button>
+          </div>
+        </div>
+      )}
+
+      {showAskBrain && (
+        <AskBrain
+          brainId={brainId}
+          streamId={streamId}
+          onClose={() => setShowAskBrain(false)}
+          onCardCreated={loadStream}
+        />
+      )}
+
+      {showGraph && (
+        <GraphView
+          brainId={brainId}
+          streamId={streamId}
+          canAddToStream={!isSmart}
+          onItemsAdded={loadStream}
+          onClose={() => setShowGraph(false)}
+        />
+      )}
+
       {/* Stream items (both cards and files) */}
       {streamItems.map((item, index) => {
         const itemId = item.id || '';
@@ -738,15 +1001,26 @@ Note: Real AI integration requires proper nginx configuration to forward /api/ai
               streamId={streamId}
               brainId={brainId}
               onDelete={(fileId) => handleDeleteFile(fileId)}
-              onMoveUp={(fileId) => handleMoveFileUp(fileId)}
-              onMoveDown={(fileId) => handleMoveFileDown(fileId)}
+              onMoveUp={isSmart ? undefined : (fileId) => handleMoveFileUp(fileId)}
+              onMoveDown={isSmart ? undefined : (fileId) => handleMoveFileDown(fileId)}
               isFirst={index === 0}
               isLast={index === streamItems.length - 1}
-              onAddCardBelow={handleAddCardBelow}
-              onCreateCardBelow={handleCreateCardBelow}
-              onGenerateCardBelow={handleGenerateCardBelow}
-              onUploadFileBelow={handleUploadFileBelow}
-              onAddFileBelow={handleAddFileBelow}
+              onAddCardBelow={isSmart ? undefined : handleAddCardBelow}
+              onCreateCardBelow={isSmart ? undefined : handleCreateCardBelow}
+              onGenerateCardBelow={isSmart ? undefined : handleGenerateCardBelow}
+              onUploadFileBelow={isSmart ? undefined : handleUploadFileBelow}
+              onAddFileBelow={isSmart ? undefined : handleAddFileBelow}
+            />
+          );
+        } else if (item.itemType === 'thread') {
+          // Render chat thread
+          return (
+            <ChatThread
+              key={`thread-${itemId}`}
+              thread={item as any}
+              streamId={streamId}
+              onDelete={handleDeleteChatThread}
+              onCardCreated={loadStream}
             />
           );
         } else if (item.itemType === 'card') {
@@ -762,14 +1036,18 @@ Note: Real AI integration requires proper nginx configuration to forward /api/ai
               onDelete={handleDeleteCard}
               onDeleteFromBrain={handleDeleteCardFromBrain}
               onToggleCollapse={handleToggleCollapse}
-              onAddCardBelow={handleAddCardBelow}
-              onCreateCardBelow={handleCreateCardBelow}
-              onGenerateCardBelow={handleGenerateCardBelow}
-              onUploadFileBelow={handleUploadFileBelow}
+              onAddCardBelow={isSmart ? undefined : handleAddCardBelow}
+              onCreateCardBelow={isSmart ? undefined : handleCreateCardBelow}
+              onGenerateCardBelow={isSmart ? undefined : handleGenerateCardBelow}
+              onUploadFileBelow={isSmart ? undefined : handleUploadFileBelow}
               isGenerating={generatingCardId === itemId}
+              generationContext={generatingCardId === itemId ? generationContext : null}
+              generationNotice={generatingCardId === itemId ? generationNotice : null}
+              generationJobId={generatingCardId === itemId ? generatingJobId : null}
+              generationToolCalls={generatingCardId === itemId ? generationToolCalls : []}
               onStopGeneration={handleStopGeneration}
-              onMoveUp={handleMoveUp}
-              onMoveDown={handleMoveDown}
+              onMoveUp={isSmart ? undefined : handleMoveUp}
+              onMoveDown={isSmart ? undefined : handleMoveDown}
               isFirst={index === 0}
               isLast={index === streamItems.length - 1}
               showAddInterface={activeCardIdForAdd === itemId}
@@ -778,7 +1056,7 @@ Note: Real AI integration requires proper nginx configuration to forward /api/ai
               showUploadInterface={activeCardIdForUpload === itemId}
               onFileUploaded={handleFileUploaded}
               onCancelUpload={handleCancelUpload}
-              onAddFileBelow={handleAddFileBelow}
+              onAddFileBelow={isSmart ? undefined : handleAddFileBelow}
               showFileAddInterface={activeCardIdForFileAdd === itemId}
               onAddFile={handleAddExistingFile}
               onCancelFileAdd={handleCancelFileAdd}
@@ -790,7 +1068,13 @@ Note: Real AI integration requires proper nginx configuration to forward /api/ai
       })}
 
 
-      {streamItems.length === 0 && (
+      {streamItems.length === 0 && isSmart && (
+        <div className="text-center" style={{ padding: '2rem', color: '#6b7280' }}>
+          <p>Nothing matches this stream's query yet.</p>
+        </div>
+      )}
+
+      {streamItems.length === 0 && !isSmart && (
         <div className="text-center" style={{ padding: '2rem', color: '#6b7280' }}>
           <p>This stream is empty.</p>
           <div className="flex gap-md justify-center" style={{ marginTop: '1rem' }}>
@@ -830,6 +1114,13 @@ Note: Real AI integration requires proper nginx configuration to forward /api/ai
             >
               📚 Add File
             </button>
+            <button
+              onClick={handleEditSmartQuery}
+              className="btn btn-small"
+              title="Fill this stream with everything matching a search, kept up to date"
+            >
+              ⚡ Make Smart
+            </button>
           </div>
         </div>
       )}
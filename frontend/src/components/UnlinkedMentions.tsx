@@ -0,0 +1,153 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../services/api';
+import { useApp } from '../contexts/AppContext';
+import { notifyStreamChanged } from '../services/streamEvents';
+import { UnlinkedMentionSource, UnlinkedMention } from '../types';
+
+interface UnlinkedMentionsProps {
+  cardId: string;
+  streamId: string;
+  onClose: () => void;
+}
+
+// Cards and files that name this card without a [[link]], with a one-click "Link it"
+const UnlinkedMentions: React.FC<UnlinkedMentionsProps> = ({ cardId, streamId, onClose }) => {
+  const [sources, setSources] = useState<UnlinkedMentionSource[]>([]);
+  const [terms, setTerms] = useState<string[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [busyKey, setBusyKey] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const { selectedBrain, setBrain, setStream } = useApp();
+
+  const loadMentions = useCallback(async () => {
+    try {
+      const response = await api.get(`/cards/${cardId}/unlinked-mentions`);
+      setSources(response.data.sources);
+      setTerms(response.data.terms);
+    } catch (err: any) {
+      console.error('Failed to load unlinked mentions:', err);
+      setError(err.response?.data?.message || 'Failed to load unlinked mentions');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [cardId]);
+
+  useEffect(() => {
+    loadMentions();
+  }, [loadMentions]);
+
+  const handleLink = async (source: UnlinkedMentionSource, mention: UnlinkedMention | null) => {
+    setBusyKey(`${source.sourceId}:${mention ? mention.position : 'all'}`);
+    setError(null);
+
+    try {
+      await api.post(`/cards/${cardId}/unlinked-mentions/link`, {
+        sourceCardId: source.sourceId,
+        ...(mention ? { position: mention.position } : { all: true })
+      });
+      // Positions after the new link have moved, so fetch them again
+      await loadMentions();
+      notifyStreamChanged(streamId);
+    } catch (err: any) {
+      console.error('Failed to link mention:', err);
+      setError(err.response?.data?.message || 'Failed to link mention');
+      if (err.response?.status === 409) loadMentions();
+    } finally {
+      setBusyKey(null);
+    }
+  };
+
+  const handleOpen = async (source: UnlinkedMentionSource) => {
+    try {
+      const response = await api.post('/search/open', { sourceType: source.sourceType, id: source.sourceId });
+      if (response.data.brain.id !== selectedBrain?.id) {
+        setBrain(response.data.brain);
+      }
+      setStream(response.data.stream);
+    } catch (err: any) {
+      setError(err.response?.data?.message || 'Failed to open');
+    }
+  };
+
+  return (
+    <div
+      className="unlinked-mentions"
+      style={{
+        padding: '8px 12px',
+        borderTop: '1px solid #f3f4f6',
+        backgroundColor: '#fafbfc'
+      }}
+    >
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '6px' }}>
+        <span style={{ fontSize: '12px', fontWeight: 600, color: '#374151' }} title={terms.length > 0 ? `Looking for: ${terms.join(', ')}` : undefined}>
+          Unlinked mentions
+        </span>
+        <button type="button" className="btn btn-small" onClick={onClose} title="Hide unlinked mentions">
+          ✕
+        </button>
+      </div>
+
+      {isLoading ? (
+        <div style={{ fontSize: '12px', color: '#6b7280' }}>Looking for mentions...</div>
+      ) : sources.length === 0 ? (
+        <div style={{ fontSize: '12px', color: '#6b7280', fontStyle: 'italic' }}>
+          No other cards or files mention this card without linking it.
+        </div>
+      ) : (
+        sources.map(source => (
+          <div key={source.sourceId} style={{ padding: '4px 0', borderBottom: '1px solid #f3f4f6' }}>
+            <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+              <span
+                onClick={() => handleOpen(source)}
+                style={{ flex: 1, minWidth: 0, fontSize: '13px', color: '#1f2937', cursor: 'pointer' }}
+                title="Open"
+              >
+                {source.sourceType === 'file' ? '📄' : '📝'} {source.title}
+                <span style={{ fontSize: '11px', color: '#6b7280' }}> • {source.count} mention{source.count === 1 ? '' : 's'}</span>
+              </span>
+              {source.canLink && source.count > 1 && (
+                <button
+                  type="button"
+                  className="btn btn-small"
+                  onClick={() => handleLink(source, null)}
+                  disabled={busyKey !== null}
+                  title="Link every mention in this card"
+                >
+                  Link all
+                </button>
+              )}
+            </div>
+            {source.mentions.map(mention => (
+              <div key={mention.position} style={{ display: 'flex', alignItems: 'center', gap: '8px', padding: '2px 0 2px 16px' }}>
+                <div style={{ flex: 1, minWidth: 0, fontSize: '12px', color: '#6b7280', lineHeight: 1.4, wordBreak: 'break-word' }}>
+                  {mention.highlights.map((part, i) => part.highlight ? (
+                    <mark key={i} style={{ backgroundColor: '#fef08a', color: '#1f2937', padding: 0 }}>{part.text}</mark>
+                  ) : (
+                    <span key={i}>{part.text}</span>
+                  ))}
+                </div>
+                {source.canLink && (
+                  <button
+                    type="button"
+                    className="btn btn-primary btn-small"
+                    onClick={() => handleLink(source, mention)}
+                    disabled={busyKey !== null}
+                    title="Turn this mention into a [[link]]"
+                  >
+                    {busyKey === `${source.sourceId}:${mention.position}` ? '...' : 'Link it'}
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+        ))
+      )}
+
+      {error && (
+        <div style={{ fontSize: '11px', color: '#ef4444', marginTop: '4px' }}>{error}</div>
+      )}
+    </div>
+  );
+};
+
+export default UnlinkedMentions;
@@ -0,0 +1,71 @@
+import React, { useState, useEffect } from 'react';
+import ReactMarkdown from 'react-markdown';
+import api from '../services/api';
+import { CardVersion } from '../types';
+
+interface VersionedLink {
+  linkText: string;
+  position: number;
+  card: { id: string; title: string | null };
+  version: CardVersion;
+}
+
+interface VersionedLinksProps {
+  cardId: string;
+  content: string; // Reload when the card's content changes
+}
+
+// Matches [[Title:v2]] and [[Brain/Title:v2]]
+export const hasVersionedLinks = (content: string) => /\[\[[^\]]+:v\d+\]\]/.test(content);
+
+// The content that a card's [[Title:vN]] links pointed at, as it was in that version
+const VersionedLinks: React.FC<VersionedLinksProps> = ({ cardId, content }) => {
+  const [links, setLinks] = useState<VersionedLink[]>([]);
+  const [openPosition, setOpenPosition] = useState<number | null>(null);
+
+  useEffect(() => {
+    const loadLinks = async () => {
+      try {
+        const response = await api.get(`/cards/${cardId}/links`);
+        setLinks((response.data.forwardLinks || []).filter((link: any) => link.version));
+      } catch (err) {
+        console.error('Failed to load versioned links:', err);
+      }
+    };
+
+    loadLinks();
+  }, [cardId, content]);
+
+  if (links.length === 0) return null;
+
+  return (
+    <div style={{ marginTop: '8px', borderTop: '1px dashed #e5e7eb', paddingTop: '6px' }}>
+      {links.map(link => (
+        <div key={link.position} style={{ marginBottom: '4px' }}>
+          <div
+            onClick={() => setOpenPosition(prev => (prev === link.position ? null : link.position))}
+            style={{ fontSize: '12px', color: '#4b5563', cursor: 'pointer' }}
+            title={`Saved ${new Date(link.version.createdAt).toLocaleString()}`}
+          >
+            {openPosition === link.position ? '▾' : '▸'} 📌 {link.card.title} <strong>v{link.version.versionNumber}</strong>
+            {!link.version.isActive && <span style={{ color: '#9ca3af' }}> • older than the current card</span>}
+          </div>
+          {openPosition === link.position && (
+            <div style={{
+              margin: '4px 0 4px 16px',
+              padding: '4px 8px',
+              borderLeft: '3px solid #d1d5db',
+              fontSize: '13px',
+              maxHeight: '300px',
+              overflowY: 'auto'
+            }}>
+              <ReactMarkdown>{link.version.content || ''}</ReactMarkdown>
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default VersionedLinks;
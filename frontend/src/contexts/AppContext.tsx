@@ -1,11 +1,13 @@
-import React, { createContext, useContext, useReducer, ReactNode } from 'react';
-import { Brain, Stream, AppState } from '../types';
+import React, { createContext, useContext, useReducer, useCallback, ReactNode } from 'react';
+import { Brain, Stream, AppState, ContextImage } from '../types';
 
 interface AppContextType extends AppState {
   setBrain: (brain: Brain | null) => void;
   setStream: (stream: Stream | null) => void;
   toggleAIContext: (cardId: string) => void;
   clearAIContext: () => void;
+  addAIContextImage: (image: ContextImage) => void;
+  removeAIContextImage: (imageId: string) => void;
   setLoading: (loading: boolean) => void;
   setError: (error: string | null) => void;
 }
@@ -25,6 +27,8 @@ type AppAction =
   | { type: 'SET_STREAM'; payload: Stream | null }
   | { type: 'TOGGLE_AI_CONTEXT'; payload: string }
   | { type: 'CLEAR_AI_CONTEXT' }
+  | { type: 'ADD_AI_CONTEXT_IMAGE'; payload: ContextImage }
+  | { type: 'REMOVE_AI_CONTEXT_IMAGE'; payload: string }
   | { type: 'SET_LOADING'; payload: boolean }
   | { type: 'SET_ERROR'; payload: string | null };
 
@@ -32,6 +36,7 @@ const initialState: AppState = {
   selectedBrain: null,
   currentStream: null,
   aiContextCards: [],
+  aiContextImages: [],
   isLoading: false,
   error: null,
 };
@@ -62,6 +67,21 @@ const appReducer = (state: AppState, action: AppAction): AppState => {
       return {
         ...state,
         aiContextCards: [],
+        aiContextImages: [],
+      };
+    case 'ADD_AI_CONTEXT_IMAGE':
+      // Re-adding the same page or cover replaces it
+      return {
+        ...state,
+        aiContextImages: [
+          ...state.aiContextImages.filter(image => image.id !== action.payload.id),
+          action.payload,
+        ],
+      };
+    case 'REMOVE_AI_CONTEXT_IMAGE':
+      return {
+        ...state,
+        aiContextImages: state.aiContextImages.filter(image => image.id !== action.payload),
       };
     case 'SET_LOADING':
       return {
@@ -101,13 +121,22 @@ export const AppProvider: React.FC<AppProviderProps> = ({ children }) => {
     dispatch({ type: 'CLEAR_AI_CONTEXT' });
   };
 
+  const addAIContextImage = (image: ContextImage) => {
+    dispatch({ type: 'ADD_AI_CONTEXT_IMAGE', payload: image });
+  };
+
+  const removeAIContextImage = (imageId: string) => {
+    dispatch({ type: 'REMOVE_AI_CONTEXT_IMAGE', payload: imageId });
+  };
+
   const setLoading = (loading: boolean) => {
     dispatch({ type: 'SET_LOADING', payload: loading });
   };
 
-  const setError = (error: string | null) => {
+  // Stable, so components can list it as a hook dependency
+  const setError = useCallback((error: string | null) => {
     dispatch({ type: 'SET_ERROR', payload: error });
-  };
+  }, []);
 
   const value: AppContextType = {
     ...state,
@@ -115,6 +144,8 @@ export const AppProvider: React.FC<AppProviderProps> = ({ children }) => {
     setStream,
     toggleAIContext,
     clearAIContext,
+    addAIContextImage,
+    removeAIContextImage,
     setLoading,
     setError,
   };
@@ -2,73 +2,86 @@ import { useState, useEffect } from 'react';
 import { useApp } from '../contexts/AppContext';
 import { tokenCounter } from '../services/tokenCounter';
 import api from '../services/api';
+import { toRequestImages } from '../services/contextImages';
 
 interface TokenCountData {
   totalTokens: number;
   cardTokens: { cardId: string; tokens: number; title: string }[];
+  imageTokens: { label: string; tokens: number }[];
   isLoading: boolean;
   selectedModel: string;
+  contextLimit: number;
+  exact: boolean;
 }
 
 export const useTokenCount = (selectedModel: string = 'gpt-4o'): TokenCountData => {
-  const { aiContextCards } = useApp();
+  const { aiContextCards, aiContextImages, selectedBrain } = useApp();
   const [tokenData, setTokenData] = useState<TokenCountData>({
     totalTokens: 0,
     cardTokens: [],
+    imageTokens: [],
     isLoading: false,
-    selectedModel
+    selectedModel,
+    contextLimit: tokenCounter.getContextLimit(selectedModel),
+    exact: false
   });
 
   useEffect(() => {
-    if (aiContextCards.length === 0) {
+    const fallbackLimit = tokenCounter.getContextLimit(selectedModel);
+
+    if ((aiContextCards.length === 0 && aiContextImages.length === 0) || !selectedBrain) {
       setTokenData({
         totalTokens: 0,
         cardTokens: [],
+        imageTokens: [],
         isLoading: false,
-        selectedModel
+        selectedModel,
+        contextLimit: fallbackLimit,
+        exact: false
       });
       return;
     }
 
+    let cancelled = false;
+
     const calculateTokens = async () => {
       setTokenData(prev => ({ ...prev, isLoading: true }));
 
       try {
-        // Fetch content for all context cards
-        const cardPromises = aiContextCards.map(async (cardId) => {
-          const response = await api.get(`/cards/${cardId}`);
-          const card = response.data.card;
-          
-          // Get the full content for token counting
-          const content = card.content || card.contentPreview || '';
-          const title = card.title || 'Untitled';
-          
-          // Create context text as it would be sent to AI
-          const contextText = `# ${title}\n\n${content}`;
-          const tokens = tokenCounter.countTokens(contextText, selectedModel);
-          
-          return {
-            cardId,
-            tokens,
-            title,
-            content: contextText
-          };
+        // The backend counts with the model's own tokenizer over the full
+        // card and file text, exactly as it will be sent as AI context;
+        // images are priced from their size with the provider's formula
+        const response = await api.post('/ai/tokens/count', {
+          model: selectedModel,
+          brainId: selectedBrain.id,
+          itemIds: aiContextCards,
+          images: toRequestImages(aiContextImages)
         });
+        if (cancelled) return;
 
-        const cardTokenResults = await Promise.all(cardPromises);
-        const totalTokens = cardTokenResults.reduce((sum, card) => sum + card.tokens, 0);
-
+        const { items, images, totalTokens, contextLimit, exact } = response.data;
         setTokenData({
           totalTokens,
-          cardTokens: cardTokenResults,
+          cardTokens: items.map((item: any) => ({
+            cardId: item.id,
+            tokens: item.tokens,
+            title: item.title || 'Untitled'
+          })),
+          imageTokens: (images || []).map((image: any) => ({
+            label: image.label,
+            tokens: image.tokens
+          })),
           isLoading: false,
-          selectedModel
+          selectedModel,
+          contextLimit: contextLimit || fallbackLimit,
+          exact
         });
 
       } catch (error) {
+        if (cancelled) return;
         console.error('Failed to calculate token counts:', error);
-        // Fallback to rough estimation
-        const estimatedTotal = aiContextCards.length * 150; // Rough estimate
+        // Fallback to rough estimation (a full-page image is roughly 1000 tokens)
+        const estimatedTotal = aiContextCards.length * 150 + aiContextImages.length * 1000; // Rough estimate
         setTokenData({
           totalTokens: estimatedTotal,
           cardTokens: aiContextCards.map(cardId => ({
@@ -76,19 +89,28 @@ export const useTokenCount = (selectedModel: string = 'gpt-4o'): TokenCountData
             tokens: 150,
             title: 'Untitled'
           })),
+          imageTokens: aiContextImages.map(image => ({
+            label: image.label,
+            tokens: 1000
+          })),
           isLoading: false,
-          selectedModel
+          selectedModel,
+          contextLimit: fallbackLimit,
+          exact: false
         });
       }
     };
 
     // Debounce the calculation to avoid excessive API calls
     const timeoutId = setTimeout(calculateTokens, 300);
-    return () => clearTimeout(timeoutId);
+    return () => {
+      cancelled = true;
+      clearTimeout(timeoutId);
+    };
 
-  }, [aiContextCards, selectedModel]);
+  }, [aiContextCards, aiContextImages, selectedBrain, selectedModel]);
 
   return tokenData;
 };
 
-export default useTokenCount;
\ No newline at end of file
+export default useTokenCount;
@@ -0,0 +1,69 @@
+import { pdfjs } from 'react-pdf';
+import { ContextImage } from '../types';
+
+// Formats and size every vision provider accepts (the backend enforces the same limits)
+const SUPPORTED_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+// Long edge of rendered PDF pages; larger images are downscaled by the providers anyway
+const PAGE_RENDER_SIZE = 1568;
+
+/**
+ * Render one PDF page to a JPEG data URL for use as AI context
+ */
+export const renderPdfPage = async (pdfUrl: string, pageNumber: number): Promise<string> => {
+  const pdf = await pdfjs.getDocument(pdfUrl).promise;
+  try {
+    const page = await pdf.getPage(pageNumber);
+    const size = page.getViewport({ scale: 1 });
+    const viewport = page.getViewport({ scale: PAGE_RENDER_SIZE / Math.max(size.width, size.height) });
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.floor(viewport.width);
+    canvas.height = Math.floor(viewport.height);
+    const canvasContext = canvas.getContext('2d');
+    if (!canvasContext) {
+      throw new Error('Canvas rendering is not available');
+    }
+
+    // PDFs are usually transparent; JPEG would turn that black
+    canvasContext.fillStyle = '#ffffff';
+    canvasContext.fillRect(0, 0, canvas.width, canvas.height);
+    await page.render({ canvasContext, viewport }).promise;
+
+    return canvas.toDataURL('image/jpeg', 0.85);
+  } finally {
+    pdf.destroy();
+  }
+};
+
+/**
+ * Read an image file picked by the user as a data URL
+ */
+export const readImageFile = (file: File): Promise<string> => {
+  if (!SUPPORTED_TYPES.includes(file.type)) {
+    return Promise.reject(new Error(`${file.name} is not a PNG, JPEG, GIF or WebP image`));
+  }
+  if (file.size > MAX_IMAGE_BYTES) {
+    return Promise.reject(new Error(`${file.name} is larger than ${MAX_IMAGE_BYTES / 1024 / 1024} MB`));
+  }
+
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result as string);
+    reader.onerror = () => reject(reader.error || new Error(`Failed to read ${file.name}`));
+    reader.readAsDataURL(file);
+  });
+};
+
+/**
+ * Image inputs in the shape /ai/generate-streaming and /ai/tokens/count expect
+ */
+export const toRequestImages = (images: ContextImage[]) =>
+  images.map(image => ({
+    source: image.source,
+    fileId: image.fileId,
+    page: image.page,
+    dataUrl: image.dataUrl,
+    name: image.label
+  }));
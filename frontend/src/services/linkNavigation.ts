@@ -0,0 +1,68 @@
+// Scrolls to the card, section or block a [[link]] points at. Cards that aren't rendered yet
+// (collapsed, previewed, or still being opened) pick up the request when they render.
+const REVEAL_REQUESTED = 'clarity:reveal-requested';
+
+export interface LinkTarget {
+  cardId: string;
+  anchorType: 'heading' | 'block' | null;
+  anchor: string | null;
+}
+
+let pendingReveal: LinkTarget | null = null;
+
+/**
+ * Slug of a heading, matching the backend's markdownSections.slugify
+ */
+export const slugify = (text: string) =>
+  text.toLowerCase().trim().replace(/[^\w\s-]/g, '').replace(/\s+/g, '-');
+
+/**
+ * Element id of a heading or ^block-id inside a rendered card
+ */
+export const anchorElementId = (cardId: string, anchorType: 'heading' | 'block', anchor: string) =>
+  anchorType === 'heading' ? `card-${cardId}-h-${slugify(anchor)}` : `card-${cardId}-b-${anchor}`;
+
+/**
+ * Scroll to a link target: the anchor if it's rendered, otherwise the card. Returns false if neither is on screen.
+ */
+export const scrollToTarget = (target: LinkTarget) => {
+  const element = (target.anchorType && target.anchor && document.getElementById(anchorElementId(target.cardId, target.anchorType, target.anchor)))
+    || document.querySelector(`[data-card-id="${target.cardId}"]`);
+  if (!element) return false;
+
+  element.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  return true;
+};
+
+/**
+ * Ask the target card to expand and scroll to the anchor. Returns false if the card isn't in the current stream.
+ */
+export const revealLinkTarget = (target: LinkTarget) => {
+  pendingReveal = target;
+  window.dispatchEvent(new CustomEvent(REVEAL_REQUESTED, { detail: { cardId: target.cardId } }));
+  return !!document.querySelector(`[data-card-id="${target.cardId}"]`);
+};
+
+/**
+ * Whether a reveal is waiting for this card
+ */
+export const hasPendingReveal = (cardId: string) => pendingReveal?.cardId === cardId;
+
+/**
+ * Take the reveal waiting for this card, if any
+ */
+export const takePendingReveal = (cardId: string) => {
+  if (pendingReveal?.cardId !== cardId) return null;
+  const target = pendingReveal;
+  pendingReveal = null;
+  return target;
+};
+
+/**
+ * Call handler whenever a card is asked to reveal itself; returns the unsubscribe function
+ */
+export const onRevealRequested = (handler: (cardId: string) => void) => {
+  const listener = (event: Event) => handler((event as CustomEvent).detail.cardId);
+  window.addEventListener(REVEAL_REQUESTED, listener);
+  return () => window.removeEventListener(REVEAL_REQUESTED, listener);
+};
@@ -0,0 +1,21 @@
+import { ProviderEvent } from '../types';
+
+/**
+ * Short status line for a provider retry/fallback/queueing event
+ */
+export const describeProviderEvent = (event: ProviderEvent): string => {
+  switch (event.type) {
+    case 'queued':
+      return `⏳ Waiting for ${event.provider} (#${event.position} in queue)`;
+    case 'retry': {
+      const reason = event.status === 429 ? 'rate limited' : event.status ? `error ${event.status}` : 'connection failed';
+      return `🔁 ${event.model} ${reason}, retry ${event.attempt}/${event.maxRetries} in ${Math.ceil((event.delayMs || 0) / 1000)}s`;
+    }
+    case 'fallback':
+      return `↪️ ${event.fromModel} unavailable, using ${event.toModel}`;
+    default:
+      return '';
+  }
+};
+
+export default describeProviderEvent;
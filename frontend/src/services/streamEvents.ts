@@ -0,0 +1,18 @@
+// Lets components outside a stream view (e.g. the jump palette) tell it to reload
+const STREAM_CHANGED = 'clarity:stream-changed';
+
+/**
+ * Announce that items were added to or removed from a stream
+ */
+export const notifyStreamChanged = (streamId: string) => {
+  window.dispatchEvent(new CustomEvent(STREAM_CHANGED, { detail: { streamId } }));
+};
+
+/**
+ * Call handler whenever a stream's items change; returns the unsubscribe function
+ */
+export const onStreamChanged = (handler: (streamId: string) => void) => {
+  const listener = (event: Event) => handler((event as CustomEvent).detail.streamId);
+  window.addEventListener(STREAM_CHANGED, listener);
+  return () => window.removeEventListener(STREAM_CHANGED, listener);
+};
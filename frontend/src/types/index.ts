@@ -54,17 +54,82 @@ export interface CardVersion {
   id: string;
   cardId: string;
   versionNumber: number;
-  content: string;
-  isActive: boolean;
+  title: string | null; // Card title when the version was saved
+  contentHash: string;
+  fileSize: number;
+  content?: string; // Only included when a single version is requested
+  isActive: boolean; // Matches the card's current content
+  createdAt: string;
+}
+
+export interface ResolvedLink {
+  linkText: string; // Text between [[ and ]]
+  position: number;
+  isValid: boolean;
+  isEmbed: boolean; // ![[...]]
+  alias: string | null; // [[Title|alias]]
+  anchorType: 'heading' | 'block' | null; // [[Title#Heading]], [[Title^block-id]]
+  anchor: string | null;
+  targetVersion: number | null;
+  targetCardId: string | null;
+  targetTitle: string | null;
+  targetBrainId: string | null;
+  embedContent?: string | null; // Linked content of a valid embed
+}
+
+export interface UnlinkedMention {
+  position: number; // Character offset in the source card
+  text: string; // The words as written
+  highlights: { text: string; highlight: boolean }[]; // Context split around the mention
+}
+
+export interface UnlinkedMentionSource {
+  sourceType: 'card' | 'file';
+  sourceId: string;
+  title: string;
+  canLink: boolean; // Files can't be rewritten
+  count: number;
+  mentions: UnlinkedMention[];
+}
+
+export interface VersionDiffLine {
+  type: 'equal' | 'added' | 'removed';
+  text: string;
+}
+
+export interface LinkSuggestion {
+  id: string;
+  sourceCardId: string;
+  targetCardId: string;
+  targetTitle: string;
+  targetPreview: string | null;
+  score: number;
+  reason: string;
+  anchorText: string | null;
+  status: 'pending' | 'accepted' | 'rejected';
   createdAt: string;
+  decidedAt: string | null;
 }
 
 // Stream types
+export interface StreamAISettings {
+  systemPrompt: string | null;
+  temperature: number | null;
+  maxTokens: number | null;
+  stopSequences: string[];
+}
+
 export interface Stream {
   id: string;
   brainId: string;
   title: string;
   isFavorited: boolean;
+  aiSettings?: StreamAISettings;
+  // Smart streams get their items from a search query, re-run each time the stream is opened
+  isSmart?: boolean;
+  smartQuery?: string | null;
+  smartLimit?: number;
+  smartEvaluatedAt?: string | null;
   createdAt: string;
   lastAccessedAt: string;
 }
@@ -107,6 +172,158 @@ export interface StreamCard {
   };
 }
 
+// Chat threads
+export interface ChatMessage {
+  id: string;
+  threadId: string;
+  parentMessageId: string | null;
+  role: 'system' | 'user' | 'assistant';
+  content: string;
+  model: string | null;
+  contextCardIds: string[];
+  status: 'pending' | 'streaming' | 'complete' | 'error';
+  errorMessage: string | null;
+  createdAt: string;
+}
+
+export interface ChatThread {
+  id: string;
+  brainId: string;
+  title: string | null;
+  model: string | null;
+  activeMessageId: string | null;
+  createdAt: string;
+  updatedAt: string;
+  messages?: ChatMessage[];
+  activeBranch?: string[];
+}
+
+// What went into an AI generation's context window
+export interface ContextReportItem {
+  id: string;
+  type?: 'card' | 'file';
+  title?: string;
+  status: 'included' | 'truncated' | 'omitted' | 'missing';
+  originalTokens?: number;
+  includedTokens?: number;
+  reason?: string;
+}
+
+export interface ContextReport {
+  contextLimit: number;
+  reserveTokens: number;
+  budgetTokens: number;
+  usedTokens: number;
+  items: ContextReportItem[];
+  includedCount: number;
+  truncatedCount: number;
+  omittedCount: number;
+}
+
+// Retry, fallback and queueing notices sent while an AI provider is busy or failing
+export interface ProviderEvent {
+  type: 'queued' | 'retry' | 'fallback';
+  model?: string;
+  provider?: string;
+  position?: number;
+  attempt?: number;
+  maxRetries?: number;
+  delayMs?: number;
+  fromModel?: string;
+  toModel?: string;
+  status?: number | null;
+  message?: string;
+}
+
+// Reusable AI prompts with {{variables}}
+export interface PromptTemplate {
+  id: string;
+  brainId: string | null;
+  name: string;
+  description: string | null;
+  template: string;
+  variables: string[];
+  scope: 'brain' | 'user';
+  createdAt: string;
+  updatedAt: string;
+}
+
+// "Ask my brain" answer sources
+export interface AskCitation {
+  index: number;
+  sourceType: 'card' | 'file';
+  sourceId: string;
+  cardId: string | null;
+  fileId: string | null;
+  title: string;
+  score: number;
+  cited: boolean;
+  excerpt: string;
+}
+
+// Structured generation modes that produce several cards
+export interface AITransform {
+  id: string;
+  name: string;
+  description: string;
+}
+
+// A tool call made by an agent generation; calls that change the brain wait for approval
+export interface AgentToolCall {
+  id: string;
+  name: string;
+  arguments: Record<string, any>;
+  requiresConfirmation: boolean;
+  status: 'awaiting_confirmation' | 'running' | 'complete' | 'rejected' | 'failed';
+  result: any;
+  error: string | null;
+}
+
+// Images attached to AI requests (PDF page renders, EPUB covers, uploads)
+export interface ContextImage {
+  id: string; // Client-side key, e.g. "pdf:<fileId>:<page>"
+  source: 'pdf_page' | 'epub_cover' | 'upload';
+  label: string;
+  fileId?: string;
+  page?: number;
+  dataUrl?: string; // Base64 data URL for rendered pages and uploads
+}
+
+// Full-text search hit from /api/search
+export interface SearchResult {
+  sourceType: 'card' | 'file';
+  id: string; // Card or file ID
+  brainId: string;
+  brainName: string;
+  title: string | null;
+  cardType: 'saved' | 'file' | 'unsaved' | null;
+  fileType: string | null;
+  updatedAt: string | null;
+  rank: number;
+  snippet: string;
+  highlights: { text: string; highlight: boolean }[]; // Snippet split around matched words
+}
+
+// Search hits of one brain in a search across all brains
+export interface SearchGroup {
+  brainId: string;
+  brainName: string;
+  results: SearchResult[];
+  total: number;
+}
+
+// Named query in the search language, re-runnable and convertible to a stream
+export interface SavedSearch {
+  id: string;
+  brainId: string | null; // null = runs across all brains
+  name: string;
+  query: string;
+  scope: 'brain' | 'user';
+  lastRunAt: string | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
 // Card links
 export interface CardLink {
   id: string;
@@ -116,6 +333,39 @@ export interface CardLink {
   createdAt: string;
 }
 
+// Link graph (GET /brains/:id/graph)
+export interface GraphNode {
+  id: string; // Card ID, or "missing:<link text>" for links to cards that don't exist
+  title: string;
+  brainId: string | null;
+  brainName: string | null;
+  cardType: 'saved' | 'file' | 'unsaved' | null;
+  isExternal: boolean; // Card in another brain
+  isMissing: boolean;
+  isOrphan: boolean;
+  linksIn: number;
+  linksOut: number;
+  brokenLinks: number;
+  distance?: number; // Hops from the center card
+}
+
+export interface GraphEdge {
+  id: string;
+  source: string;
+  target: string;
+  linkText: string;
+  isValid: boolean;
+  targetVersion: number | null;
+}
+
+export interface LinkGraph {
+  nodes: GraphNode[];
+  edges: GraphEdge[];
+  stats: { nodes: number; edges: number; orphans: number; brokenLinks: number };
+  truncated: boolean;
+  centerId: string | null;
+}
+
 // Authentication types
 export interface LoginCredentials {
   username: string;
@@ -134,6 +384,7 @@ export interface AppState {
   selectedBrain: Brain | null;
   currentStream: Stream | null;
   aiContextCards: string[]; // Array of card IDs
+  aiContextImages: ContextImage[];
   isLoading: boolean;
   error: string | null;
 }